@@ -0,0 +1,12 @@
+-- Migration number: 0002 	 Record rejected webhook deliveries (failed signature checks)
+
+CREATE TABLE IF NOT EXISTS webhook_auth_failures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    reason TEXT NOT NULL, -- 'missing_signature', 'invalid_signature', 'not_configured'
+    ip TEXT,
+    user_agent TEXT,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_auth_failures_source ON webhook_auth_failures(source, created_at);
@@ -0,0 +1,6 @@
+-- Migration number: 0003 	 Stable source ids for dropping redelivered webhooks, and edit timestamps
+
+ALTER TABLE feedback ADD COLUMN external_id TEXT; -- Stable id from the source (e.g. 'issue:123')
+ALTER TABLE feedback ADD COLUMN updated_at INTEGER; -- Set when an edit event rewrites the content
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_feedback_external_id ON feedback(source, external_id);
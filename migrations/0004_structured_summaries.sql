@@ -0,0 +1,4 @@
+-- Migration number: 0004 	 Structured (JSON) summary output next to the prose summary
+
+ALTER TABLE source_summaries ADD COLUMN structured TEXT; -- JSON: themes, pain_points, praise, feature_requests, sentiment_score, representative_feedback_ids
+ALTER TABLE aggregated_summaries ADD COLUMN structured TEXT; -- JSON, same shape as source_summaries.structured
@@ -0,0 +1,14 @@
+-- Migration number: 0005 	 Per-item classification of feedback
+
+CREATE TABLE IF NOT EXISTS feedback_classifications (
+    feedback_id INTEGER PRIMARY KEY REFERENCES feedback(id),
+    sentiment REAL NOT NULL, -- -1 (very negative) to 1 (very positive)
+    category TEXT NOT NULL, -- 'bug', 'feature_request', 'praise', 'question', 'complaint'
+    urgency TEXT NOT NULL, -- 'low', 'medium', 'high', 'critical'
+    product_area TEXT NOT NULL, -- From the PRODUCT_AREAS taxonomy
+    model TEXT,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+CREATE INDEX IF NOT EXISTS idx_classifications_category ON feedback_classifications(category);
+CREATE INDEX IF NOT EXISTS idx_classifications_product_area ON feedback_classifications(product_area);
@@ -0,0 +1,22 @@
+-- Migration number: 0006 	 Themes clustered from feedback embeddings
+
+CREATE TABLE IF NOT EXISTS themes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    label TEXT NOT NULL,
+    centroid TEXT NOT NULL, -- JSON array, mean embedding of the members
+    member_count INTEGER NOT NULL DEFAULT 0,
+    first_seen INTEGER NOT NULL, -- created_at of the oldest member feedback
+    last_seen INTEGER NOT NULL, -- created_at of the newest member feedback
+    created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    updated_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+CREATE TABLE IF NOT EXISTS theme_members (
+    feedback_id INTEGER PRIMARY KEY REFERENCES feedback(id),
+    theme_id INTEGER NOT NULL REFERENCES themes(id),
+    similarity REAL NOT NULL,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+CREATE INDEX IF NOT EXISTS idx_themes_member_count ON themes(member_count);
+CREATE INDEX IF NOT EXISTS idx_theme_members_theme ON theme_members(theme_id);
@@ -0,0 +1,24 @@
+-- Migration number: 0007 	 Full-text index over feedback content
+
+CREATE VIRTUAL TABLE IF NOT EXISTS feedback_fts USING fts5(
+    content,
+    content='feedback',
+    content_rowid='id',
+    tokenize='porter unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS feedback_fts_insert AFTER INSERT ON feedback BEGIN
+    INSERT INTO feedback_fts(rowid, content) VALUES (new.id, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS feedback_fts_delete AFTER DELETE ON feedback BEGIN
+    INSERT INTO feedback_fts(feedback_fts, rowid, content) VALUES ('delete', old.id, old.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS feedback_fts_update AFTER UPDATE OF content ON feedback BEGIN
+    INSERT INTO feedback_fts(feedback_fts, rowid, content) VALUES ('delete', old.id, old.content);
+    INSERT INTO feedback_fts(rowid, content) VALUES (new.id, new.content);
+END;
+
+-- Index rows that existed before the full-text table was added
+INSERT INTO feedback_fts(feedback_fts) VALUES ('rebuild');
@@ -0,0 +1,16 @@
+-- Migration number: 0008 	 Record which feedback and source summaries each summary was built from
+
+CREATE TABLE IF NOT EXISTS summary_feedback (
+    summary_id INTEGER NOT NULL REFERENCES source_summaries(id),
+    feedback_id INTEGER NOT NULL REFERENCES feedback(id),
+    PRIMARY KEY (summary_id, feedback_id)
+);
+
+CREATE TABLE IF NOT EXISTS aggregated_summary_sources (
+    aggregated_summary_id INTEGER NOT NULL REFERENCES aggregated_summaries(id),
+    source_summary_id INTEGER NOT NULL REFERENCES source_summaries(id),
+    PRIMARY KEY (aggregated_summary_id, source_summary_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_summary_feedback_feedback ON summary_feedback(feedback_id);
+CREATE INDEX IF NOT EXISTS idx_aggregated_summary_sources_source ON aggregated_summary_sources(source_summary_id);
@@ -0,0 +1,18 @@
+-- Migration number: 0009 	 Windowed summarization batches
+
+ALTER TABLE feedback ADD COLUMN batch_id TEXT; -- Summarization batch that claimed the row (NULL = waiting for the next batch)
+
+CREATE TABLE IF NOT EXISTS feedback_batches (
+    id TEXT PRIMARY KEY,
+    source TEXT NOT NULL,
+    status TEXT NOT NULL, -- 'running', 'completed', 'failed', 'expired'
+    item_count INTEGER NOT NULL DEFAULT 0,
+    workflow_id TEXT,
+    summary_id INTEGER REFERENCES source_summaries(id),
+    error TEXT,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    completed_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_batch ON feedback(source, processed, batch_id);
+CREATE INDEX IF NOT EXISTS idx_feedback_batches_source ON feedback_batches(source, status);
@@ -0,0 +1,15 @@
+-- Migration number: 0010 	 Webhook payloads that could not be parsed or stored
+
+CREATE TABLE IF NOT EXISTS dead_letters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    payload TEXT NOT NULL, -- Raw request body as received
+    stage TEXT NOT NULL, -- 'enqueue', 'parse' or 'store'
+    error TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    replay_count INTEGER NOT NULL DEFAULT 0,
+    replayed_at INTEGER,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+CREATE INDEX IF NOT EXISTS idx_dead_letters_source ON dead_letters(source, created_at);
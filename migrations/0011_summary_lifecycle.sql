@@ -0,0 +1,11 @@
+-- Migration number: 0011 	 Re-summarize, supersede and soft-delete source summaries
+
+ALTER TABLE source_summaries ADD COLUMN status TEXT NOT NULL DEFAULT 'active'; -- 'active', 'superseded', 'deleted'
+ALTER TABLE source_summaries ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE source_summaries ADD COLUMN supersedes_id INTEGER REFERENCES source_summaries(id); -- Previous version of this summary
+ALTER TABLE source_summaries ADD COLUMN status_changed_at INTEGER; -- When the summary was superseded or deleted
+
+ALTER TABLE feedback_batches ADD COLUMN supersedes_id INTEGER REFERENCES source_summaries(id); -- Summary a re-summarization batch replaces
+
+CREATE INDEX IF NOT EXISTS idx_source_summaries_status ON source_summaries(status, source);
+CREATE INDEX IF NOT EXISTS idx_source_summaries_supersedes ON source_summaries(supersedes_id);
@@ -0,0 +1,7 @@
+-- Migration number: 0012 	 One aggregated summary per calendar period
+
+ALTER TABLE aggregated_summaries ADD COLUMN period_type TEXT; -- 'day', 'week', 'month' or 'custom' (NULL for rolling windows stored before periods existed)
+ALTER TABLE aggregated_summaries ADD COLUMN period_key TEXT; -- e.g. '2025-01-15', '2025-W03', '2025-01'
+ALTER TABLE aggregated_summaries ADD COLUMN updated_at INTEGER; -- Set when a re-run replaces the period's summary
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_aggregated_period ON aggregated_summaries(period_type, period_key);
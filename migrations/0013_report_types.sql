@@ -0,0 +1,7 @@
+-- Migration number: 0013 	 Report types for aggregated summaries (weekly roll-up, monthly trend report)
+
+ALTER TABLE aggregated_summaries ADD COLUMN report_type TEXT NOT NULL DEFAULT 'rollup'; -- 'rollup' or 'trend'
+
+-- One summary per report type and period
+DROP INDEX IF EXISTS idx_aggregated_period;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_aggregated_period ON aggregated_summaries(report_type, period_type, period_key);
@@ -0,0 +1,21 @@
+-- Migration number: 0014 	 Comparison reports between two periods (quantitative deltas plus a narrative)
+
+CREATE TABLE IF NOT EXISTS comparison_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    period_type TEXT NOT NULL, -- 'day', 'week', 'month' or 'custom'
+    period_key TEXT NOT NULL, -- Period being reported on
+    date_range_start INTEGER NOT NULL,
+    date_range_end INTEGER NOT NULL,
+    previous_period_key TEXT NOT NULL, -- Period it is compared against
+    previous_range_start INTEGER NOT NULL,
+    previous_range_end INTEGER NOT NULL,
+    metrics TEXT NOT NULL, -- JSON: volume, sentiment, category and theme deltas
+    summary TEXT NOT NULL, -- Narrative of what changed
+    structured TEXT, -- JSON: summary, rising, fading
+    created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    updated_at INTEGER -- Set when a re-run replaces the report
+);
+
+-- One report per pair of periods
+CREATE UNIQUE INDEX IF NOT EXISTS idx_comparison_reports_periods ON comparison_reports(period_type, period_key, previous_period_key);
+CREATE INDEX IF NOT EXISTS idx_comparison_reports_date ON comparison_reports(date_range_end);
@@ -0,0 +1,27 @@
+-- Migration number: 0015 	 Spike and anomaly alerts
+
+CREATE TABLE IF NOT EXISTS alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL, -- 'volume_spike' or 'negative_sentiment'
+    scope TEXT NOT NULL, -- 'source' or 'theme'
+    scope_key TEXT NOT NULL, -- Source name or theme id
+    label TEXT NOT NULL, -- Source name or theme label
+    dedupe_key TEXT NOT NULL, -- '<kind>:<scope>:<scope_key>'; one alert per key per cooldown
+    message TEXT NOT NULL,
+    current_value REAL NOT NULL, -- Items or negative rate in the window
+    baseline_value REAL NOT NULL, -- Expected items per window or negative rate over the baseline
+    details TEXT, -- JSON: window and baseline counts
+    window_start INTEGER NOT NULL,
+    window_end INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open', -- 'open' or 'acknowledged'
+    occurrence_count INTEGER NOT NULL DEFAULT 1, -- Detections folded into this alert during its cooldown
+    last_seen_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    acknowledged_at INTEGER,
+    acknowledged_by TEXT,
+    delivered_at INTEGER, -- When the outbound webhooks were last attempted
+    delivery_error TEXT, -- Failures from that attempt (NULL when every webhook accepted it)
+    created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+CREATE INDEX IF NOT EXISTS idx_alerts_dedupe ON alerts(dedupe_key, created_at);
+CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status, created_at);
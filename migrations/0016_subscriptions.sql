@@ -0,0 +1,34 @@
+-- Migration number: 0016 	 Summary subscriptions and their delivery log
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    channel TEXT NOT NULL, -- 'slack', 'email' or 'webhook'
+    target TEXT NOT NULL, -- Slack/webhook URL or email address
+    secret TEXT, -- HMAC signing secret for 'webhook' subscriptions
+    period_type TEXT, -- Only deliver aggregated summaries of this period type (NULL for all)
+    report_type TEXT, -- Only deliver aggregated summaries of this report type (NULL for all)
+    include_source_summaries INTEGER NOT NULL DEFAULT 0, -- Also deliver new per-source summaries
+    source TEXT, -- Only deliver source summaries of this source (NULL for all)
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    updated_at INTEGER
+);
+
+-- One row per summary sent to a subscription (retries of the same delivery update the row)
+CREATE TABLE IF NOT EXISTS subscription_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subscription_id INTEGER NOT NULL REFERENCES subscriptions(id),
+    summary_type TEXT NOT NULL, -- 'aggregated' or 'source'
+    summary_id INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'delivered' or 'failed'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    delivered_at INTEGER,
+    updated_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_enabled ON subscriptions(enabled);
+CREATE INDEX IF NOT EXISTS idx_subscription_deliveries_subscription ON subscription_deliveries(subscription_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_subscription_deliveries_summary ON subscription_deliveries(summary_type, summary_id);
@@ -0,0 +1,4 @@
+-- Migration number: 0017 	 Event type of dead-lettered webhook deliveries
+
+-- Event header of the delivery (e.g. X-GitHub-Event), needed to parse the payload on replay
+ALTER TABLE dead_letters ADD COLUMN event TEXT;
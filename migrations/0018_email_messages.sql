@@ -0,0 +1,18 @@
+-- Migration number: 0018 	 Inbound email messages for thread stitching
+
+-- One row per received email; a thread's messages are stored together as one feedback item
+CREATE TABLE IF NOT EXISTS email_messages (
+    message_id TEXT PRIMARY KEY, -- Message-ID header without angle brackets
+    thread_id TEXT NOT NULL, -- Message-ID of the first message of the thread
+    in_reply_to TEXT,
+    from_address TEXT,
+    from_name TEXT,
+    to_address TEXT,
+    subject TEXT,
+    body TEXT NOT NULL, -- New text only: quoted replies and signature removed
+    attachments TEXT, -- JSON array of { filename, content_type, size, inline }
+    sent_at INTEGER NOT NULL,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_messages_thread ON email_messages(thread_id, sent_at);
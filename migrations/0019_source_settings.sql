@@ -0,0 +1,25 @@
+-- Migration number: 0019 	 Runtime source settings and quarantined deliveries
+
+-- Runtime configuration of a registered source or vendor (see sources.js); no row means defaults
+CREATE TABLE IF NOT EXISTS source_settings (
+    source TEXT PRIMARY KEY, -- Webhook path source: 'github', 'support' or 'support/zendesk'
+    enabled INTEGER NOT NULL DEFAULT 1,
+    batch_window_seconds INTEGER, -- NULL falls back to env vars and the adapter's default
+    batch_max_items INTEGER,
+    batch_max_in_flight INTEGER,
+    settings TEXT, -- JSON object of parser settings (env var name to value)
+    updated_at INTEGER
+);
+
+-- Metadata of deliveries for unregistered sources, kept for inspection when UNKNOWN_SOURCES=quarantine
+CREATE TABLE IF NOT EXISTS quarantined_webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL, -- Path after /webhook/
+    payload_size INTEGER NOT NULL, -- Body length in bytes (the body itself is not kept)
+    payload_sha256 TEXT NOT NULL, -- Hex SHA-256 of the body
+    headers TEXT, -- JSON object of request headers, without credentials
+    ip_address TEXT,
+    created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_quarantined_webhooks_created ON quarantined_webhooks(created_at);
@@ -1,4 +1,5 @@
 -- Feedback Aggregation Tool Database Schema
+-- Snapshot of the current schema; changes ship as numbered files in migrations/ (kept in sync by test/migrations.spec.js)
 
 -- Raw feedback entries from all sources
 CREATE TABLE IF NOT EXISTS feedback (
@@ -6,8 +7,25 @@ CREATE TABLE IF NOT EXISTS feedback (
     source TEXT NOT NULL, -- 'github', 'discord', 'twitter', 'email', 'support', 'forum'
     content TEXT NOT NULL,
     metadata TEXT, -- JSON string with source-specific metadata
+    external_id TEXT, -- Stable id from the source (e.g. 'issue:123'), used to drop redelivered webhooks
     created_at INTEGER NOT NULL DEFAULT (unixepoch()),
-    processed INTEGER DEFAULT 0 -- 0 = not processed, 1 = processed
+    updated_at INTEGER, -- Set when an edit event rewrites the content
+    processed INTEGER DEFAULT 0, -- 0 = not processed, 1 = processed
+    batch_id TEXT -- Summarization batch that claimed the row (NULL = waiting for the next batch)
+);
+
+-- Summarization batches (pending feedback claimed by one FeedbackProcessingWorkflow run)
+CREATE TABLE IF NOT EXISTS feedback_batches (
+    id TEXT PRIMARY KEY,
+    source TEXT NOT NULL,
+    status TEXT NOT NULL, -- 'running', 'completed', 'failed', 'expired'
+    item_count INTEGER NOT NULL DEFAULT 0,
+    workflow_id TEXT,
+    summary_id INTEGER REFERENCES source_summaries(id),
+    supersedes_id INTEGER REFERENCES source_summaries(id), -- Summary a re-summarization batch replaces
+    error TEXT,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    completed_at INTEGER
 );
 
 -- Per-source summaries
@@ -15,9 +33,14 @@ CREATE TABLE IF NOT EXISTS source_summaries (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     source TEXT NOT NULL,
     summary TEXT NOT NULL,
+    structured TEXT, -- JSON: themes, pain_points, praise, feature_requests, sentiment_score, representative_feedback_ids
     date_range_start INTEGER NOT NULL,
     date_range_end INTEGER NOT NULL,
     feedback_count INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active', -- 'active', 'superseded', 'deleted' (only active summaries are shown and aggregated)
+    version INTEGER NOT NULL DEFAULT 1,
+    supersedes_id INTEGER REFERENCES source_summaries(id), -- Previous version of this summary
+    status_changed_at INTEGER, -- When the summary was superseded or deleted
     created_at INTEGER NOT NULL DEFAULT (unixepoch())
 );
 
@@ -25,17 +48,246 @@ CREATE TABLE IF NOT EXISTS source_summaries (
 CREATE TABLE IF NOT EXISTS aggregated_summaries (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     summary TEXT NOT NULL,
+    structured TEXT, -- JSON, same shape as source_summaries.structured
     date_range_start INTEGER NOT NULL,
     date_range_end INTEGER NOT NULL,
     source_count INTEGER NOT NULL,
     total_feedback_count INTEGER NOT NULL,
+    period_type TEXT, -- 'day', 'week', 'month' or 'custom' (NULL for rolling windows stored before periods existed)
+    period_key TEXT, -- e.g. '2025-01-15', '2025-W03', '2025-01'
+    report_type TEXT NOT NULL DEFAULT 'rollup', -- 'rollup' or 'trend'; one summary per (report_type, period_type, period_key)
+    created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    updated_at INTEGER -- Set when a re-run replaces the period's summary
+);
+
+-- Comparison reports between two periods (quantitative deltas plus a narrative)
+CREATE TABLE IF NOT EXISTS comparison_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    period_type TEXT NOT NULL, -- 'day', 'week', 'month' or 'custom'
+    period_key TEXT NOT NULL, -- Period being reported on
+    date_range_start INTEGER NOT NULL,
+    date_range_end INTEGER NOT NULL,
+    previous_period_key TEXT NOT NULL, -- Period it is compared against
+    previous_range_start INTEGER NOT NULL,
+    previous_range_end INTEGER NOT NULL,
+    metrics TEXT NOT NULL, -- JSON: volume, sentiment, category and theme deltas
+    summary TEXT NOT NULL, -- Narrative of what changed
+    structured TEXT, -- JSON: summary, rising, fading
+    created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    updated_at INTEGER -- Set when a re-run replaces the report
+);
+
+-- Feedback rows each source summary was generated from
+CREATE TABLE IF NOT EXISTS summary_feedback (
+    summary_id INTEGER NOT NULL REFERENCES source_summaries(id),
+    feedback_id INTEGER NOT NULL REFERENCES feedback(id),
+    PRIMARY KEY (summary_id, feedback_id)
+);
+
+-- Source summaries each aggregated summary was generated from
+CREATE TABLE IF NOT EXISTS aggregated_summary_sources (
+    aggregated_summary_id INTEGER NOT NULL REFERENCES aggregated_summaries(id),
+    source_summary_id INTEGER NOT NULL REFERENCES source_summaries(id),
+    PRIMARY KEY (aggregated_summary_id, source_summary_id)
+);
+
+-- Per-item classification of feedback
+CREATE TABLE IF NOT EXISTS feedback_classifications (
+    feedback_id INTEGER PRIMARY KEY REFERENCES feedback(id),
+    sentiment REAL NOT NULL, -- -1 (very negative) to 1 (very positive)
+    category TEXT NOT NULL, -- 'bug', 'feature_request', 'praise', 'question', 'complaint'
+    urgency TEXT NOT NULL, -- 'low', 'medium', 'high', 'critical'
+    product_area TEXT NOT NULL, -- From the PRODUCT_AREAS taxonomy
+    model TEXT,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+-- Themes clustered from feedback embeddings across all sources
+CREATE TABLE IF NOT EXISTS themes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    label TEXT NOT NULL,
+    centroid TEXT NOT NULL, -- JSON array, mean embedding of the members
+    member_count INTEGER NOT NULL DEFAULT 0,
+    first_seen INTEGER NOT NULL, -- created_at of the oldest member feedback
+    last_seen INTEGER NOT NULL, -- created_at of the newest member feedback
+    created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    updated_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+-- Feedback rows belonging to each theme
+CREATE TABLE IF NOT EXISTS theme_members (
+    feedback_id INTEGER PRIMARY KEY REFERENCES feedback(id),
+    theme_id INTEGER NOT NULL REFERENCES themes(id),
+    similarity REAL NOT NULL,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+-- Webhook payloads that could not be parsed or stored (kept for inspection and replay)
+CREATE TABLE IF NOT EXISTS dead_letters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    payload TEXT NOT NULL, -- Raw request body as received
+    event TEXT, -- Event header of the delivery (e.g. X-GitHub-Event), needed to parse the payload on replay
+    stage TEXT NOT NULL, -- 'enqueue', 'parse' or 'store'
+    error TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    replay_count INTEGER NOT NULL DEFAULT 0,
+    replayed_at INTEGER,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+-- Spike and anomaly alerts (deduplicated per cooldown, delivered to outbound webhooks)
+CREATE TABLE IF NOT EXISTS alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL, -- 'volume_spike' or 'negative_sentiment'
+    scope TEXT NOT NULL, -- 'source' or 'theme'
+    scope_key TEXT NOT NULL, -- Source name or theme id
+    label TEXT NOT NULL, -- Source name or theme label
+    dedupe_key TEXT NOT NULL, -- '<kind>:<scope>:<scope_key>'; one alert per key per cooldown
+    message TEXT NOT NULL,
+    current_value REAL NOT NULL, -- Items or negative rate in the window
+    baseline_value REAL NOT NULL, -- Expected items per window or negative rate over the baseline
+    details TEXT, -- JSON: window and baseline counts
+    window_start INTEGER NOT NULL,
+    window_end INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open', -- 'open' or 'acknowledged'
+    occurrence_count INTEGER NOT NULL DEFAULT 1, -- Detections folded into this alert during its cooldown
+    last_seen_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    acknowledged_at INTEGER,
+    acknowledged_by TEXT,
+    delivered_at INTEGER, -- When the outbound webhooks were last attempted
+    delivery_error TEXT, -- Failures from that attempt (NULL when every webhook accepted it)
+    created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+-- Destinations that receive new summaries (see subscriptions.js)
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    channel TEXT NOT NULL, -- 'slack', 'email' or 'webhook'
+    target TEXT NOT NULL, -- Slack/webhook URL or email address
+    secret TEXT, -- HMAC signing secret for 'webhook' subscriptions
+    period_type TEXT, -- Only deliver aggregated summaries of this period type (NULL for all)
+    report_type TEXT, -- Only deliver aggregated summaries of this report type (NULL for all)
+    include_source_summaries INTEGER NOT NULL DEFAULT 0, -- Also deliver new per-source summaries
+    source TEXT, -- Only deliver source summaries of this source (NULL for all)
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    updated_at INTEGER
+);
+
+-- One row per summary sent to a subscription (retries of the same delivery update the row)
+CREATE TABLE IF NOT EXISTS subscription_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subscription_id INTEGER NOT NULL REFERENCES subscriptions(id),
+    summary_type TEXT NOT NULL, -- 'aggregated' or 'source'
+    summary_id INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'delivered' or 'failed'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    delivered_at INTEGER,
+    updated_at INTEGER
+);
+
+-- Inbound email messages, grouped into threads (see email.js)
+CREATE TABLE IF NOT EXISTS email_messages (
+    message_id TEXT PRIMARY KEY, -- Message-ID header without angle brackets
+    thread_id TEXT NOT NULL, -- Message-ID of the first message of the thread
+    in_reply_to TEXT,
+    from_address TEXT,
+    from_name TEXT,
+    to_address TEXT,
+    subject TEXT,
+    body TEXT NOT NULL, -- New text only: quoted replies and signature removed
+    attachments TEXT, -- JSON array of { filename, content_type, size, inline }
+    sent_at INTEGER NOT NULL,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch())
+);
+
+-- Runtime configuration of registered sources and vendors (see sources.js)
+CREATE TABLE IF NOT EXISTS source_settings (
+    source TEXT PRIMARY KEY, -- Webhook path source: 'github', 'support' or 'support/zendesk'
+    enabled INTEGER NOT NULL DEFAULT 1,
+    batch_window_seconds INTEGER, -- NULL falls back to env vars and the adapter's default
+    batch_max_items INTEGER,
+    batch_max_in_flight INTEGER,
+    settings TEXT, -- JSON object of parser settings (env var name to value)
+    updated_at INTEGER
+);
+
+-- Deliveries for unregistered sources (UNKNOWN_SOURCES=quarantine)
+CREATE TABLE IF NOT EXISTS quarantined_webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL, -- Path after /webhook/
+    payload_size INTEGER NOT NULL, -- Body length in bytes (the body itself is not kept)
+    payload_sha256 TEXT NOT NULL, -- Hex SHA-256 of the body
+    headers TEXT, -- JSON object of request headers, without credentials
+    ip_address TEXT,
+    created_at INTEGER NOT NULL
+);
+
+-- Rejected webhook deliveries (failed signature checks)
+CREATE TABLE IF NOT EXISTS webhook_auth_failures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    reason TEXT NOT NULL, -- 'missing_signature', 'invalid_signature', 'not_configured'
+    ip TEXT,
+    user_agent TEXT,
     created_at INTEGER NOT NULL DEFAULT (unixepoch())
 );
 
+-- Full-text index over feedback content (kept in sync by the triggers below)
+CREATE VIRTUAL TABLE IF NOT EXISTS feedback_fts USING fts5(
+    content,
+    content='feedback',
+    content_rowid='id',
+    tokenize='porter unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS feedback_fts_insert AFTER INSERT ON feedback BEGIN
+    INSERT INTO feedback_fts(rowid, content) VALUES (new.id, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS feedback_fts_delete AFTER DELETE ON feedback BEGIN
+    INSERT INTO feedback_fts(feedback_fts, rowid, content) VALUES ('delete', old.id, old.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS feedback_fts_update AFTER UPDATE OF content ON feedback BEGIN
+    INSERT INTO feedback_fts(feedback_fts, rowid, content) VALUES ('delete', old.id, old.content);
+    INSERT INTO feedback_fts(rowid, content) VALUES (new.id, new.content);
+END;
+
+-- Index rows that existed before the full-text table was added
+INSERT INTO feedback_fts(feedback_fts) VALUES ('rebuild');
+
 -- Indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_feedback_source ON feedback(source);
 CREATE INDEX IF NOT EXISTS idx_feedback_created ON feedback(created_at);
 CREATE INDEX IF NOT EXISTS idx_feedback_processed ON feedback(processed);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_feedback_external_id ON feedback(source, external_id);
+CREATE INDEX IF NOT EXISTS idx_feedback_batch ON feedback(source, processed, batch_id);
+CREATE INDEX IF NOT EXISTS idx_feedback_batches_source ON feedback_batches(source, status);
 CREATE INDEX IF NOT EXISTS idx_source_summaries_source ON source_summaries(source);
 CREATE INDEX IF NOT EXISTS idx_source_summaries_date ON source_summaries(date_range_start, date_range_end);
+CREATE INDEX IF NOT EXISTS idx_source_summaries_status ON source_summaries(status, source);
+CREATE INDEX IF NOT EXISTS idx_source_summaries_supersedes ON source_summaries(supersedes_id);
 CREATE INDEX IF NOT EXISTS idx_aggregated_date ON aggregated_summaries(date_range_start, date_range_end);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_aggregated_period ON aggregated_summaries(report_type, period_type, period_key);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_comparison_reports_periods ON comparison_reports(period_type, period_key, previous_period_key);
+CREATE INDEX IF NOT EXISTS idx_comparison_reports_date ON comparison_reports(date_range_end);
+CREATE INDEX IF NOT EXISTS idx_summary_feedback_feedback ON summary_feedback(feedback_id);
+CREATE INDEX IF NOT EXISTS idx_aggregated_summary_sources_source ON aggregated_summary_sources(source_summary_id);
+CREATE INDEX IF NOT EXISTS idx_classifications_category ON feedback_classifications(category);
+CREATE INDEX IF NOT EXISTS idx_classifications_product_area ON feedback_classifications(product_area);
+CREATE INDEX IF NOT EXISTS idx_themes_member_count ON themes(member_count);
+CREATE INDEX IF NOT EXISTS idx_theme_members_theme ON theme_members(theme_id);
+CREATE INDEX IF NOT EXISTS idx_dead_letters_source ON dead_letters(source, created_at);
+CREATE INDEX IF NOT EXISTS idx_alerts_dedupe ON alerts(dedupe_key, created_at);
+CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_enabled ON subscriptions(enabled);
+CREATE INDEX IF NOT EXISTS idx_subscription_deliveries_subscription ON subscription_deliveries(subscription_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_subscription_deliveries_summary ON subscription_deliveries(summary_type, summary_id);
+CREATE INDEX IF NOT EXISTS idx_email_messages_thread ON email_messages(thread_id, sent_at);
+CREATE INDEX IF NOT EXISTS idx_quarantined_webhooks_created ON quarantined_webhooks(created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_auth_failures_source ON webhook_auth_failures(source, created_at);
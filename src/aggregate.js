@@ -3,86 +3,86 @@
  */
 
 import * as db from './db.js';
+import { createLLMClient } from './llm.js';
+import { buildAggregationPrompt, renderSourceSummary, renderPartialSummary } from './prompts.js';
+import { validateStructuredSummary } from './structured.js';
+import { getInputTokenBudget, mapReduce, truncateToTokens } from './chunking.js';
+import { reduceSummaries } from './summarize.js';
+import { resolveAggregationPeriod, getMatchMode, getPreviousPeriod, getTimeZone } from './periods.js';
+
+// 'rollup' synthesizes a period (weekly cron, manual runs); 'trend' describes change over it (monthly cron)
+export const REPORT_TYPES = ['rollup', 'trend'];
 
 /**
- * Generate aggregated summary using Workers AI
+ * Generate a structured aggregated summary using the shared LLM client
+ * Returns { summary, structured }
  */
-async function generateAggregatedSummary(ai, sourceSummaries) {
+export async function generateAggregatedSummary(llm, sourceSummaries, { themes = [], reportType = 'rollup', previous = null } = {}) {
 	if (!sourceSummaries || sourceSummaries.length === 0) {
-		return 'No source summaries available to aggregate.';
+		return { summary: 'No source summaries available to aggregate.', structured: null };
 	}
 	
-	// Combine all source summaries
-	const combinedSummaries = sourceSummaries
-		.map((summary, index) => {
-			const sourceName = summary.source || 'Unknown';
-			const dateRange = new Date(summary.date_range_start * 1000).toLocaleDateString() + 
-				' to ' + 
-				new Date(summary.date_range_end * 1000).toLocaleDateString();
-			
-			return `Source: ${sourceName} (${summary.feedback_count} items, ${dateRange})\n${summary.summary}`;
-		})
-		.join('\n\n---\n\n');
+	// Aggregates may only cite feedback that the source summaries already cited
+	const feedbackIds = [...new Set(sourceSummaries.flatMap(s => s.structured?.representative_feedback_ids || []))];
+	const structured = await llm.completeJSON(
+		'aggregate',
+		buildAggregationPrompt(sourceSummaries, { themes, reportType, previous }),
+		(data) => validateStructuredSummary(data, { allowedFeedbackIds: feedbackIds })
+	);
 	
-	// Create prompt for aggregation
-	const prompt = `You are a product manager analyzing feedback summaries from multiple sources. 
-Create a comprehensive aggregated summary that:
-1. Identifies common themes across all sources
-2. Highlights the most critical issues or pain points
-3. Notes positive feedback and what users love
-4. Prioritizes feature requests and suggestions by frequency/importance
-5. Provides overall sentiment analysis
-6. Suggests actionable insights for the product team
-
-Source Summaries:
-${combinedSummaries}
+	return { summary: structured.summary, structured };
+}
 
-Provide a well-structured, executive-level summary that synthesizes insights from all sources.`;
+/**
+ * Aggregate any number of source summaries with map-reduce over token-budgeted chunks
+ * runStep(name, fn) lets workflows run each chunk and reduction as a durable step
+ * themes (top clustered themes for the period) are included in every chunk prompt
+ * reportType picks the prompt ('rollup' or 'trend')
+ * previous (the previous period's aggregated summary) is included so the model can describe movement
+ * Returns { summary, structured, chunkCount }
+ */
+export async function aggregateInChunks(env, llm, sourceSummaries, { runStep, themes = [], reportType = 'rollup', previous = null } = {}) {
+	const { result, chunkCount } = await mapReduce({
+		items: sourceSummaries,
+		budget: getInputTokenBudget(env, 'aggregate'),
+		name: 'aggregate',
+		renderItem: renderSourceSummary,
+		truncateItem: (summary, maxTokens) => ({
+			...summary,
+			summary: truncateToTokens(summary.summary, Math.floor(maxTokens / 2)),
+			structured: null
+		}),
+		renderPartial: renderPartialSummary,
+		map: (chunk) => generateAggregatedSummary(llm, chunk, { themes, reportType, previous }),
+		reduce: (partials) => reduceSummaries(llm, partials, { task: 'aggregate', scope: 'feedback summaries from all sources' }),
+		runStep
+	});
+	
+	return { ...result, chunkCount };
+}
 
-	try {
-		const response = await ai.run('@cf/meta/llama-3.1-8b-instruct', {
-			messages: [
-				{
-					role: 'system',
-					content: 'You are a product management assistant that synthesizes feedback from multiple sources into actionable insights.'
-				},
-				{
-					role: 'user',
-					content: prompt
-				}
-			],
-			max_tokens: 1500,
-			temperature: 0.7
-		});
-		
-		// Extract the summary from the response
-		if (response.response) {
-			return response.response;
-		}
-		if (typeof response === 'string') {
-			return response;
-		}
-		return JSON.stringify(response);
-	} catch (error) {
-		console.error('Error generating aggregated summary:', error);
-		// Fallback to a simple aggregation if AI fails
-		return `Aggregated summary of ${sourceSummaries.length} sources covering ${sourceSummaries.reduce((sum, s) => sum + s.feedback_count, 0)} total feedback items. Error generating AI summary: ${error.message}`;
-	}
+/**
+ * Get the aggregated summary of the same report type for the period before a period (null if none)
+ */
+export async function getPreviousAggregate(env, period, reportType = 'rollup') {
+	const previous = getPreviousPeriod(period, getTimeZone(env));
+	return db.getAggregatedSummaryForPeriod(env.DB, previous.type, previous.key, reportType);
 }
 
 /**
- * Aggregate summaries from all sources for a given time period
+ * Aggregate summaries from all sources for a period
+ * options: see resolveAggregationPeriod (period/date, start/end or days) plus reportType and
+ * includePrevious (add the previous period's aggregate to the prompt); a number is read as days
  */
-export async function aggregateSummaries(env, days = 7) {
-	const ai = env.AI;
-	
-	// Calculate date range
-	const now = Math.floor(Date.now() / 1000);
-	const startTime = now - (days * 24 * 60 * 60);
+export async function aggregateSummaries(env, options = {}) {
+	const llm = createLLMClient(env);
+	const { reportType = 'rollup', includePrevious = false, ...periodOptions } = typeof options === 'number' ? { days: options } : options;
 	
 	try {
-		// Get all source summaries for the time period
-		const sourceSummaries = await db.getSourceSummaries(env.DB, startTime, now);
+		const period = resolveAggregationPeriod(env, periodOptions);
+		
+		// Get all source summaries for the period
+		const sourceSummaries = await db.getSourceSummaries(env.DB, period.start, period.end, getMatchMode(env));
 		
 		if (sourceSummaries.length === 0) {
 			return {
@@ -93,32 +93,38 @@ export async function aggregateSummaries(env, days = 7) {
 		}
 		
 		// Generate aggregated summary
-		const aggregatedSummary = await generateAggregatedSummary(ai, sourceSummaries);
+		const previous = includePrevious ? await getPreviousAggregate(env, period, reportType) : null;
+		const { summary: aggregatedSummary, structured } = await aggregateInChunks(env, llm, sourceSummaries, { reportType, previous });
 		
 		// Calculate totals
 		const totalFeedbackCount = sourceSummaries.reduce((sum, s) => sum + s.feedback_count, 0);
 		const uniqueSources = new Set(sourceSummaries.map(s => s.source));
 		const sourceCount = uniqueSources.size;
 		
-		// Store aggregated summary
-		await db.insertAggregatedSummary(
+		// Store aggregated summary (replacing an earlier one for the same report type and period)
+		await db.upsertAggregatedSummary(
 			env.DB,
+			period,
 			aggregatedSummary,
-			startTime,
-			now,
 			sourceCount,
-			totalFeedbackCount
+			totalFeedbackCount,
+			structured,
+			sourceSummaries.map(s => s.id),
+			reportType
 		);
 		
 		return {
 			success: true,
 			message: 'Aggregated summary generated successfully',
 			summary: aggregatedSummary,
+			structured,
 			sourceCount,
 			totalFeedbackCount,
+			period,
+			reportType,
 			dateRange: {
-				start: startTime,
-				end: now
+				start: period.start,
+				end: period.end
 			}
 		};
 	} catch (error) {
@@ -139,11 +145,24 @@ export async function getAggregationStats(env) {
 		const latestAggregated = await db.getLatestAggregatedSummaries(env.DB, 1);
 		const latestSourceSummaries = await db.getLatestSourceSummaries(env.DB, 10);
 		
+		// Rejected webhook deliveries (probing attempts) and classification labels over the last 7 days
+		const since = Math.floor(Date.now() / 1000) - (7 * 24 * 60 * 60);
+		const webhookAuthFailures = await db.getWebhookAuthFailureCounts(env.DB, since);
+		const classificationBreakdown = await db.getClassificationBreakdown(env.DB, since);
+		
+		// Payloads waiting for replay and alerts nobody has acknowledged
+		const deadLetters = await db.getDeadLetterCounts(env.DB);
+		const openAlerts = await db.getOpenAlertCounts(env.DB);
+		
 		return {
 			success: true,
 			feedbackCountsBySource: feedbackCounts,
 			latestAggregatedSummary: latestAggregated[0] || null,
-			recentSourceSummaries: latestSourceSummaries
+			recentSourceSummaries: latestSourceSummaries,
+			webhookAuthFailures,
+			classificationBreakdown,
+			deadLetters,
+			openAlerts
 		};
 	} catch (error) {
 		console.error('Error getting aggregation stats:', error);
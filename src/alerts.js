@@ -0,0 +1,187 @@
+/**
+ * Spike and anomaly alerts
+ *
+ * The detector compares the latest window of feedback with a rolling baseline before it,
+ * per source and per theme:
+ * - volume_spike: at least minCount items in the window and at least volumeRatio times the
+ *   baseline rate (baseline items scaled to the window length)
+ * - negative_sentiment: at least minCount classified items in the window, a negative rate of at
+ *   least negativeRate, and at least negativeRateIncrease above the baseline's negative rate
+ *
+ * Policy comes from env vars:
+ * - ALERT_WINDOW_SECONDS (default 3600), ALERT_BASELINE_SECONDS (default 7 days)
+ * - ALERT_MIN_COUNT (default 5), ALERT_VOLUME_RATIO (default 3)
+ * - ALERT_NEGATIVE_RATE (default 0.5), ALERT_NEGATIVE_RATE_INCREASE (default 0.2)
+ * - ALERT_COOLDOWN_SECONDS: detections of the same alert within this time are folded into it (default 21600)
+ * - ALERT_WEBHOOKS: outbound webhook targets (see notifications.js)
+ *
+ * Detection runs after every ingested payload (source scope only, since themes and sentiment are
+ * assigned later by the workflow) and on a schedule (both scopes).
+ */
+
+import * as db from './db.js';
+import { SENTIMENT_THRESHOLD } from './stats.js';
+import { parseWebhookTargets, notifyTargets } from './notifications.js';
+
+export const ALERT_KINDS = ['volume_spike', 'negative_sentiment'];
+
+export const ALERT_SCOPES = ['source', 'theme'];
+
+export const DEFAULT_ALERT_POLICY = {
+	windowSeconds: 60 * 60,
+	baselineSeconds: 7 * 24 * 60 * 60,
+	minCount: 5,
+	volumeRatio: 3,
+	negativeRate: 0.5,
+	negativeRateIncrease: 0.2,
+	cooldownSeconds: 6 * 60 * 60
+};
+
+/**
+ * Resolve the alerting policy from env vars
+ */
+export function getAlertPolicy(env = {}) {
+	const setting = (name, fallback) => {
+		const value = parseFloat(env[`ALERT_${name}`]);
+		return Number.isFinite(value) && value >= 0 ? value : fallback;
+	};
+	
+	return {
+		windowSeconds: Math.max(60, setting('WINDOW_SECONDS', DEFAULT_ALERT_POLICY.windowSeconds)),
+		baselineSeconds: Math.max(60, setting('BASELINE_SECONDS', DEFAULT_ALERT_POLICY.baselineSeconds)),
+		minCount: Math.max(1, setting('MIN_COUNT', DEFAULT_ALERT_POLICY.minCount)),
+		volumeRatio: setting('VOLUME_RATIO', DEFAULT_ALERT_POLICY.volumeRatio),
+		negativeRate: setting('NEGATIVE_RATE', DEFAULT_ALERT_POLICY.negativeRate),
+		negativeRateIncrease: setting('NEGATIVE_RATE_INCREASE', DEFAULT_ALERT_POLICY.negativeRateIncrease),
+		cooldownSeconds: setting('COOLDOWN_SECONDS', DEFAULT_ALERT_POLICY.cooldownSeconds)
+	};
+}
+
+/**
+ * Round a rate or expected count for storage and messages
+ */
+function round(value) {
+	return Math.round(value * 100) / 100;
+}
+
+/**
+ * Name of a scope entry for messages
+ */
+function describe(scope, label) {
+	return scope === 'theme' ? `theme "${label}"` : label;
+}
+
+/**
+ * Turn window/baseline metric rows into the alerts whose thresholds are crossed
+ * Returns [{ kind, scope, scopeKey, label, dedupeKey, message, currentValue, baselineValue, details }]
+ */
+export function evaluateAlerts(rows, scope, policy) {
+	const alerts = [];
+	const baselineWindows = policy.baselineSeconds / policy.windowSeconds;
+	const windowMinutes = Math.round(policy.windowSeconds / 60);
+	
+	const alert = (kind, row, currentValue, baselineValue, message) => ({
+		kind,
+		scope,
+		scopeKey: row.scope_key,
+		label: row.label,
+		dedupeKey: `${kind}:${scope}:${row.scope_key}`,
+		message,
+		currentValue,
+		baselineValue,
+		details: {
+			window_count: row.window_count,
+			baseline_count: row.baseline_count,
+			window_classified: row.window_classified,
+			window_negative: row.window_negative,
+			baseline_classified: row.baseline_classified,
+			baseline_negative: row.baseline_negative
+		}
+	});
+	
+	for (const row of rows) {
+		const expected = row.baseline_count / baselineWindows;
+		if (row.window_count >= policy.minCount && row.window_count >= policy.volumeRatio * expected) {
+			alerts.push(alert('volume_spike', row, row.window_count, round(expected),
+				`${row.window_count} items from ${describe(scope, row.label)} in the last ${windowMinutes} minutes (baseline ${round(expected)})`));
+		}
+		
+		const rate = row.window_classified > 0 ? row.window_negative / row.window_classified : 0;
+		const baselineRate = row.baseline_classified > 0 ? row.baseline_negative / row.baseline_classified : 0;
+		if (row.window_classified >= policy.minCount && rate >= policy.negativeRate && rate - baselineRate >= policy.negativeRateIncrease) {
+			alerts.push(alert('negative_sentiment', row, round(rate), round(baselineRate),
+				`${Math.round(rate * 100)}% negative feedback from ${describe(scope, row.label)} in the last ${windowMinutes} minutes (baseline ${Math.round(baselineRate * 100)}%)`));
+		}
+	}
+	
+	return alerts;
+}
+
+/**
+ * Send a new alert to the ALERT_WEBHOOKS targets and record the outcome
+ * Options: fetch overrides the global fetch (for tests)
+ */
+export async function deliverAlert(env, alert, options = {}) {
+	const targets = parseWebhookTargets(env.ALERT_WEBHOOKS, 'ALERT_WEBHOOKS');
+	if (targets.length === 0) {
+		return { delivered: 0, errors: [] };
+	}
+	
+	const result = await notifyTargets(targets, {
+		type: 'feedback.alert',
+		text: `:rotating_light: ${alert.message}`,
+		data: { alert }
+	}, options);
+	
+	await db.markAlertDelivered(env.DB, alert.id, result.errors.length > 0 ? result.errors.join('; ') : null);
+	return result;
+}
+
+/**
+ * Detect spikes, store new alerts (deduplicated per cooldown) and deliver them
+ * Options:
+ * - scopes: scopes to check (default both)
+ * - sources: only check these sources
+ * - now: end of the detection window (unix seconds)
+ * - fetch: overrides the global fetch for deliveries (for tests)
+ * Returns { fired, suppressed } where fired are the newly created alerts
+ */
+export async function detectAlerts(env, options = {}) {
+	const policy = getAlertPolicy(env);
+	const now = options.now ?? Math.floor(Date.now() / 1000);
+	const windowStart = now - policy.windowSeconds + 1;
+	
+	const candidates = [];
+	for (const scope of options.scopes || ALERT_SCOPES) {
+		const rows = await db.getAlertMetrics(env.DB, scope, {
+			windowStart,
+			windowEnd: now,
+			baselineStart: windowStart - policy.baselineSeconds,
+			negativeThreshold: SENTIMENT_THRESHOLD,
+			sources: scope === 'source' ? options.sources : null
+		});
+		candidates.push(...evaluateAlerts(rows, scope, policy));
+	}
+	
+	const fired = [];
+	let suppressed = 0;
+	for (const candidate of candidates) {
+		const { id, created } = await db.recordAlert(env.DB, { ...candidate, windowStart, windowEnd: now }, now - policy.cooldownSeconds, now);
+		if (!created) {
+			suppressed++;
+			continue;
+		}
+		
+		const alert = await db.getAlertById(env.DB, id);
+		console.warn(`Alert ${id}: ${alert.message}`);
+		try {
+			await deliverAlert(env, alert, options);
+		} catch (error) {
+			// The alert is stored either way and stays visible in /api/alerts
+			console.error(`Failed to deliver alert ${id}:`, error);
+		}
+		fired.push(alert);
+	}
+	
+	return { fired, suppressed };
+}
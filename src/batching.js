@@ -0,0 +1,197 @@
+/**
+ * Windowed summarization batches
+ *
+ * Stored feedback waits until its source is due for a batch, then one
+ * FeedbackProcessingWorkflow run summarizes everything that was waiting.
+ * A source is due when either:
+ * - at least maxItems rows are waiting, or
+ * - the oldest waiting row is older than windowSeconds
+ *
+ * Policy per source comes from its runtime settings (/api/sources), then env vars, falling back
+ * to the global ones and finally to the default policy its adapter declares (see sources.js):
+ * - <SOURCE>_BATCH_WINDOW_SECONDS / BATCH_WINDOW_SECONDS (default 600)
+ * - <SOURCE>_BATCH_MAX_ITEMS / BATCH_MAX_ITEMS (default 50)
+ * - <SOURCE>_BATCH_MAX_IN_FLIGHT / BATCH_MAX_IN_FLIGHT (default 1)
+ * - BATCH_TIMEOUT_SECONDS: running batches older than this are expired and their rows released (default 3600)
+ *
+ * Rows are claimed atomically (feedback.batch_id), so overlapping flushes for the
+ * same source never summarize a row twice.
+ *
+ * Re-summarization claims the rows an existing summary covered into a batch of their own;
+ * the workflow stores the new summary as the next version and marks the old one superseded.
+ */
+
+import * as db from './db.js';
+import { SOURCE_ADAPTERS, batchingOverrides } from './sources.js';
+
+export const DEFAULT_BATCH_POLICY = {
+	windowSeconds: 600,
+	maxItems: 50,
+	maxInFlight: 1
+};
+
+export const DEFAULT_BATCH_TIMEOUT_SECONDS = 3600;
+
+// Most rows one batch claims; the workflow map-reduces large batches anyway
+const MAX_BATCH_SIZE = 500;
+
+// Most summaries one date-range re-summarization starts workflows for
+export const MAX_RESUMMARIZE_SUMMARIES = 20;
+
+/**
+ * Resolve the batching policy for a source
+ * overrides are its runtime settings (see batchingOverrides); unset fields fall back to env vars,
+ * then to the adapter's default policy
+ */
+export function getBatchPolicy(env = {}, source, overrides = {}) {
+	const prefix = source.toUpperCase();
+	const defaults = {
+		...DEFAULT_BATCH_POLICY,
+		...(Object.hasOwn(SOURCE_ADAPTERS, source) ? SOURCE_ADAPTERS[source].batching : {})
+	};
+	const setting = (name, key) => {
+		const value = parseInt(overrides[key] ?? env[`${prefix}_BATCH_${name}`] ?? env[`BATCH_${name}`], 10);
+		return Number.isFinite(value) && value >= 0 ? value : defaults[key];
+	};
+	
+	return {
+		windowSeconds: setting('WINDOW_SECONDS', 'windowSeconds'),
+		maxItems: Math.max(1, setting('MAX_ITEMS', 'maxItems')),
+		maxInFlight: Math.max(1, setting('MAX_IN_FLIGHT', 'maxInFlight'))
+	};
+}
+
+/**
+ * Whether waiting feedback should be summarized now
+ */
+export function isBatchDue(policy, { pending, oldest }, now = Math.floor(Date.now() / 1000)) {
+	if (!pending) {
+		return false;
+	}
+	return pending >= policy.maxItems || now - oldest >= policy.windowSeconds;
+}
+
+/**
+ * Start a batch for a source if it is due
+ * Options: force - start even if the window has not elapsed (back-pressure still applies)
+ * Returns { started, reason, batchId, workflowId, itemCount }
+ */
+export async function flushSource(env, source, { force = false } = {}) {
+	const [settings] = await db.getSourceSettings(env.DB, [source]);
+	const policy = getBatchPolicy(env, source, batchingOverrides(settings));
+	const [stats] = await db.getPendingFeedbackStats(env.DB, source);
+	
+	if (!stats) {
+		return { started: false, reason: 'no_pending_feedback' };
+	}
+	if (!force && !isBatchDue(policy, stats)) {
+		return { started: false, reason: 'window_open', pending: stats.pending };
+	}
+	
+	const batchId = crypto.randomUUID();
+	const itemCount = await db.claimFeedbackBatch(env.DB, source, batchId, {
+		limit: MAX_BATCH_SIZE,
+		maxInFlight: policy.maxInFlight
+	});
+	
+	if (itemCount === 0) {
+		return { started: false, reason: 'batch_in_flight', pending: stats.pending };
+	}
+	
+	const workflowId = await startBatchWorkflow(env, { source, batchId });
+	return { started: true, batchId, workflowId, itemCount };
+}
+
+/**
+ * Start the FeedbackProcessingWorkflow for a claimed batch
+ * Returns the workflow id
+ */
+async function startBatchWorkflow(env, params) {
+	try {
+		const workflow = await env.FEEDBACK_WORKFLOW.run({ params });
+		await db.setBatchWorkflowId(env.DB, params.batchId, workflow.id);
+		return workflow.id;
+	} catch (error) {
+		// Hand the rows back so the next flush (or re-summarization) can pick them up
+		await db.releaseFeedbackBatch(env.DB, params.batchId, 'failed', error.message);
+		throw error;
+	}
+}
+
+/**
+ * Re-run summarization for the feedback an active summary covered
+ * The covered rows are reset to unprocessed and claimed for a new batch; the old summary
+ * stays active until the workflow stores its replacement
+ * Returns { started, reason, summaryId, batchId, workflowId, itemCount }
+ * (reason is 'not_found', 'not_active', 'in_progress' or 'no_feedback' when nothing started)
+ */
+export async function resummarizeSummary(env, summaryId) {
+	const summary = await db.getSourceSummaryById(env.DB, summaryId);
+	if (!summary) {
+		return { started: false, reason: 'not_found', summaryId };
+	}
+	if (summary.status !== 'active') {
+		return { started: false, reason: 'not_active', summaryId, status: summary.status };
+	}
+	
+	const batchId = crypto.randomUUID();
+	const itemCount = await db.claimSummaryFeedback(env.DB, summaryId, batchId);
+	
+	if (itemCount === 0) {
+		// The batch row exists only if the summary had nothing left to claim
+		await db.releaseFeedbackBatch(env.DB, batchId, 'failed', 'No feedback to re-summarize');
+		const running = await db.getRunningResummarization(env.DB, summaryId);
+		return running
+			? { started: false, reason: 'in_progress', summaryId, batchId: running.id }
+			: { started: false, reason: 'no_feedback', summaryId };
+	}
+	
+	const workflowId = await startBatchWorkflow(env, { source: summary.source, batchId, supersedesId: summaryId });
+	return { started: true, summaryId, batchId, workflowId, itemCount };
+}
+
+/**
+ * Re-summarize every active summary whose date range overlaps a period
+ * Each summary gets its own batch, so every new summary supersedes exactly one old one
+ * Returns { results, remaining } where remaining counts summaries left for another call
+ */
+export async function resummarizeRange(env, { source, since, until } = {}) {
+	const summaries = await db.getActiveSourceSummariesInRange(env.DB, { source, since, until });
+	
+	const results = [];
+	for (const summary of summaries.slice(0, MAX_RESUMMARIZE_SUMMARIES)) {
+		try {
+			results.push(await resummarizeSummary(env, summary.id));
+		} catch (error) {
+			console.error(`Failed to re-summarize summary ${summary.id}:`, error);
+			results.push({ started: false, reason: 'error', summaryId: summary.id, error: error.message });
+		}
+	}
+	
+	return { results, remaining: Math.max(0, summaries.length - MAX_RESUMMARIZE_SUMMARIES) };
+}
+
+/**
+ * Expire stuck batches, then start batches for every source that is due
+ * Options: force - start a batch for every source with waiting feedback (daily digest)
+ * Returns the flush result per source
+ */
+export async function flushDueBatches(env, { force = false } = {}) {
+	const timeout = parseInt(env.BATCH_TIMEOUT_SECONDS, 10) || DEFAULT_BATCH_TIMEOUT_SECONDS;
+	const expired = await db.releaseStaleBatches(env.DB, Math.floor(Date.now() / 1000) - timeout);
+	if (expired.length > 0) {
+		console.warn(`Expired ${expired.length} stale feedback batches: ${expired.join(', ')}`);
+	}
+	
+	const results = {};
+	for (const { source } of await db.getPendingFeedbackStats(env.DB)) {
+		try {
+			results[source] = await flushSource(env, source, { force });
+		} catch (error) {
+			console.error(`Failed to start batch for ${source}:`, error);
+			results[source] = { started: false, reason: 'error', error: error.message };
+		}
+	}
+	
+	return results;
+}
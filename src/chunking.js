@@ -0,0 +1,126 @@
+/**
+ * Token-budget-aware chunking and map-reduce summarization
+ *
+ * Large batches are split into chunks that fit the model context, each chunk is
+ * summarized on its own, and the partial summaries are reduced (repeatedly if
+ * needed) into a single result.
+ */
+
+import { getTaskConfig } from './llm.js';
+
+// Context window of @cf/meta/llama-3.1-8b-instruct
+const DEFAULT_CONTEXT_TOKENS = 7968;
+
+// Room left for the instructions, JSON format description and chat template
+const PROMPT_OVERHEAD_TOKENS = 900;
+
+const MIN_INPUT_TOKENS = 500;
+
+/**
+ * Rough token estimate (~4 characters per token for English text)
+ */
+export function estimateTokens(text) {
+	return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Cut text down to roughly the given number of tokens
+ */
+export function truncateToTokens(text, maxTokens) {
+	const maxChars = maxTokens * 4;
+	if (!text || text.length <= maxChars) {
+		return text;
+	}
+	return text.slice(0, Math.max(0, maxChars - 15)) + '\n[truncated]';
+}
+
+/**
+ * Tokens available for the feedback/summary content of a prompt
+ * LLM_CONTEXT_TOKENS overrides the model context size, LLM_<TASK>_INPUT_TOKENS sets the budget directly
+ */
+export function getInputTokenBudget(env = {}, task) {
+	const explicit = parseInt(env[`LLM_${task.toUpperCase()}_INPUT_TOKENS`], 10);
+	if (explicit > 0) {
+		return explicit;
+	}
+	
+	const contextTokens = parseInt(env.LLM_CONTEXT_TOKENS, 10) || DEFAULT_CONTEXT_TOKENS;
+	const { maxTokens } = getTaskConfig(env, task);
+	return Math.max(MIN_INPUT_TOKENS, contextTokens - maxTokens - PROMPT_OVERHEAD_TOKENS);
+}
+
+/**
+ * Split items into chunks whose rendered size fits the token budget
+ * Options:
+ * - render(item): text used for the size estimate
+ * - truncate(item, maxTokens): shrink an item that is too large on its own
+ * - minPerChunk: pack at least this many items per chunk (so reductions always make progress)
+ * - maxPerChunk: cap the item count (for tasks whose output grows with each item)
+ */
+export function chunkByTokenBudget(items, budget, { render = (item) => String(item), truncate, minPerChunk = 1, maxPerChunk = Infinity } = {}) {
+	const chunks = [];
+	let current = [];
+	let currentTokens = 0;
+	
+	for (const original of items) {
+		let item = original;
+		let tokens = estimateTokens(render(item));
+		
+		// An item larger than the whole budget gets cut down to fit alone
+		if (tokens > budget && truncate) {
+			item = truncate(item, budget);
+			tokens = estimateTokens(render(item));
+		}
+		
+		const full = currentTokens + tokens > budget || current.length >= maxPerChunk;
+		if (current.length >= minPerChunk && full) {
+			chunks.push(current);
+			current = [];
+			currentTokens = 0;
+		}
+		
+		current.push(item);
+		currentTokens += tokens;
+	}
+	
+	if (current.length > 0) {
+		chunks.push(current);
+	}
+	
+	return chunks;
+}
+
+/**
+ * Summarize items with map-reduce
+ * - map(chunk): summarize one chunk of items
+ * - reduce(partials): merge several partial results into one
+ * - runStep(name, fn): executes each unit of work (workflow step.do, or a direct call)
+ * Returns the final result plus how many chunks were summarized
+ */
+export async function mapReduce({ items, budget, name, renderItem, truncateItem, renderPartial, map, reduce, runStep = (stepName, fn) => fn() }) {
+	const chunks = chunkByTokenBudget(items, budget, { render: renderItem, truncate: truncateItem });
+	
+	let partials = [];
+	for (let i = 0; i < chunks.length; i++) {
+		partials.push(await runStep(`${name}-chunk-${i + 1}-of-${chunks.length}`, () => map(chunks[i])));
+	}
+	
+	// Reduce level by level until a single result is left
+	let level = 1;
+	while (partials.length > 1) {
+		const groups = chunkByTokenBudget(partials, budget, { render: renderPartial, minPerChunk: 2 });
+		const reduced = [];
+		
+		for (let i = 0; i < groups.length; i++) {
+			const group = groups[i];
+			reduced.push(
+				group.length === 1 ? group[0] : await runStep(`${name}-reduce-${level}-${i + 1}-of-${groups.length}`, () => reduce(group))
+			);
+		}
+		
+		partials = reduced;
+		level++;
+	}
+	
+	return { result: partials[0], chunkCount: chunks.length };
+}
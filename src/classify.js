@@ -0,0 +1,144 @@
+/**
+ * Per-item feedback classification
+ *
+ * Each feedback row is labeled with:
+ * - sentiment: -1 (very negative) to 1 (very positive)
+ * - category: bug, feature_request, praise, question, complaint
+ * - urgency: low, medium, high, critical
+ * - product_area: one of the configured taxonomy (PRODUCT_AREAS env var, comma-separated)
+ */
+
+import { buildClassificationPrompt, renderFeedbackItem } from './prompts.js';
+import { chunkByTokenBudget, getInputTokenBudget, truncateToTokens } from './chunking.js';
+
+export const CATEGORIES = ['bug', 'feature_request', 'praise', 'question', 'complaint'];
+
+export const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Each classification costs ~40 output tokens, so cap items per call to stay within max_tokens
+const MAX_ITEMS_PER_CHUNK = 20;
+
+export const DEFAULT_PRODUCT_AREAS = [
+	'dashboard',
+	'api',
+	'billing',
+	'authentication',
+	'performance',
+	'documentation',
+	'integrations',
+	'other'
+];
+
+/**
+ * Product area taxonomy from the PRODUCT_AREAS env var (falls back to the defaults)
+ * 'other' is always available for items that fit nowhere else
+ */
+export function getProductAreas(env = {}) {
+	const configured = (env.PRODUCT_AREAS || '')
+		.split(',')
+		.map(area => area.trim().toLowerCase())
+		.filter(Boolean);
+	
+	const areas = configured.length > 0 ? configured : DEFAULT_PRODUCT_AREAS;
+	return areas.includes('other') ? areas : [...areas, 'other'];
+}
+
+/**
+ * Map a label onto an allowed value (tolerates case, spaces and dashes)
+ */
+function normalizeLabel(value, allowed) {
+	if (typeof value !== 'string') {
+		return null;
+	}
+	const normalized = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+	return allowed.find(option => option.replace(/[\s-]+/g, '_') === normalized) || null;
+}
+
+/**
+ * Validate the model's classification output for a chunk of feedback
+ * Returns { valid, errors, value } where value is a list of classifications
+ */
+export function validateClassifications(data, { feedbackIds, productAreas }) {
+	const errors = [];
+	const list = Array.isArray(data) ? data : data?.classifications;
+	
+	if (!Array.isArray(list)) {
+		return { valid: false, errors: ['Response must contain a "classifications" array'], value: null };
+	}
+	
+	const byId = new Map();
+	for (const entry of list) {
+		const id = parseInt(entry?.id, 10);
+		if (!feedbackIds.includes(id)) {
+			continue;
+		}
+		
+		const sentiment = parseFloat(entry.sentiment);
+		const category = normalizeLabel(entry.category, CATEGORIES);
+		const urgency = normalizeLabel(entry.urgency, URGENCY_LEVELS);
+		const productArea = normalizeLabel(entry.product_area, productAreas) || 'other';
+		
+		if (!Number.isFinite(sentiment)) {
+			errors.push(`Feedback ${id}: sentiment must be a number between -1 and 1`);
+		}
+		if (!category) {
+			errors.push(`Feedback ${id}: category must be one of ${CATEGORIES.join(', ')}`);
+		}
+		if (!urgency) {
+			errors.push(`Feedback ${id}: urgency must be one of ${URGENCY_LEVELS.join(', ')}`);
+		}
+		
+		byId.set(id, {
+			feedback_id: id,
+			sentiment: Number.isFinite(sentiment) ? Math.max(-1, Math.min(1, sentiment)) : 0,
+			category,
+			urgency,
+			product_area: productArea
+		});
+	}
+	
+	const missing = feedbackIds.filter(id => !byId.has(id));
+	if (missing.length > 0) {
+		errors.push(`Missing classifications for feedback ids: ${missing.join(', ')}`);
+	}
+	
+	return { valid: errors.length === 0, errors, value: errors.length === 0 ? [...byId.values()] : null };
+}
+
+/**
+ * Classify one chunk of feedback records
+ */
+export async function classifyFeedback(env, llm, feedbackItems) {
+	if (!feedbackItems || feedbackItems.length === 0) {
+		return [];
+	}
+	
+	const productAreas = getProductAreas(env);
+	const feedbackIds = feedbackItems.map(item => item.id);
+	
+	return llm.completeJSON(
+		'classify',
+		buildClassificationPrompt(feedbackItems, { categories: CATEGORIES, urgencyLevels: URGENCY_LEVELS, productAreas }),
+		(data) => validateClassifications(data, { feedbackIds, productAreas })
+	);
+}
+
+/**
+ * Classify any number of feedback records in token-budgeted chunks
+ * runStep(name, fn) lets workflows run each chunk as a durable step
+ */
+export async function classifyInChunks(env, llm, feedbackItems, { runStep = (name, fn) => fn() } = {}) {
+	const chunks = chunkByTokenBudget(feedbackItems, getInputTokenBudget(env, 'classify'), {
+		render: renderFeedbackItem,
+		truncate: (item, maxTokens) => ({ ...item, content: truncateToTokens(item.content, maxTokens - 50) }),
+		maxPerChunk: MAX_ITEMS_PER_CHUNK
+	});
+	
+	const classifications = [];
+	for (let i = 0; i < chunks.length; i++) {
+		const result = await runStep(`classify-chunk-${i + 1}-of-${chunks.length}`, () => classifyFeedback(env, llm, chunks[i]));
+		classifications.push(...result);
+	}
+	
+	return classifications;
+}
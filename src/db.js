@@ -2,6 +2,18 @@
  * Database utility functions for D1 operations
  */
 
+import { parseStoredStructured } from './structured.js';
+
+// Most parameters D1 binds to one statement; longer id lists are split across statements
+const MAX_BOUND_PARAMETERS = 100;
+
+/**
+ * Parse the structured JSON column on summary rows
+ */
+function withStructured(rows) {
+	return rows.map(row => ({ ...row, structured: parseStoredStructured(row.structured) }));
+}
+
 /**
  * Insert a new feedback entry
  */
@@ -15,6 +27,60 @@ export async function insertFeedback(db, source, content, metadata = {}) {
 	return result.meta.last_row_id;
 }
 
+/**
+ * Store a feedback item idempotently using its external id
+ * requeue: an edit also marks a summarized row unprocessed so the next batch picks it up again
+ * Returns { id, status } where status is 'inserted', 'updated' or 'duplicate'
+ */
+export async function upsertFeedback(db, source, item) {
+	const { content, metadata = {}, externalId = null, isEdit = false, requeue = false } = item;
+	const now = Math.floor(Date.now() / 1000);
+	
+	if (externalId) {
+		const existing = await db.prepare(
+			'SELECT id FROM feedback WHERE source = ? AND external_id = ?'
+		)
+			.bind(source, externalId)
+			.first();
+		
+		if (existing) {
+			if (!isEdit) {
+				return { id: existing.id, status: 'duplicate' };
+			}
+			
+			// An unprocessed row loses its claim, so a running batch that already fetched the old
+			// content does not mark it processed and the next batch summarizes the edit
+			await db.prepare(
+				requeue
+					? 'UPDATE feedback SET content = ?, metadata = ?, updated_at = ?, processed = 0, batch_id = NULL WHERE id = ?'
+					: 'UPDATE feedback SET content = ?, metadata = ?, updated_at = ?, batch_id = CASE WHEN processed = 0 THEN NULL ELSE batch_id END WHERE id = ?'
+			)
+				.bind(content, JSON.stringify(metadata), now, existing.id)
+				.run();
+			
+			return { id: existing.id, status: 'updated' };
+		}
+	}
+	
+	// ON CONFLICT guards against two deliveries racing past the lookup above
+	const result = await db.prepare(
+		'INSERT INTO feedback (source, content, metadata, external_id, created_at) VALUES (?, ?, ?, ?, ?) ON CONFLICT(source, external_id) DO NOTHING'
+	)
+		.bind(source, content, JSON.stringify(metadata), externalId, now)
+		.run();
+	
+	if (result.meta.changes === 0) {
+		const existing = await db.prepare(
+			'SELECT id FROM feedback WHERE source = ? AND external_id = ?'
+		)
+			.bind(source, externalId)
+			.first();
+		return { id: existing.id, status: 'duplicate' };
+	}
+	
+	return { id: result.meta.last_row_id, status: 'inserted' };
+}
+
 /**
  * Get unprocessed feedback for a source
  */
@@ -30,30 +96,202 @@ export async function getUnprocessedFeedback(db, source, limit = 50) {
 
 /**
  * Mark feedback as processed
+ * Ids are bound MAX_BOUND_PARAMETERS at a time, in one transaction
  */
 export async function markFeedbackProcessed(db, feedbackIds) {
 	if (!feedbackIds || feedbackIds.length === 0) return;
 	
+	const statements = [];
+	for (let i = 0; i < feedbackIds.length; i += MAX_BOUND_PARAMETERS) {
+		const chunk = feedbackIds.slice(i, i + MAX_BOUND_PARAMETERS);
+		const placeholders = chunk.map(() => '?').join(',');
+		statements.push(db.prepare(`UPDATE feedback SET processed = 1 WHERE id IN (${placeholders})`).bind(...chunk));
+	}
+	const results = await db.batch(statements);
+	
+	return results.reduce((changes, result) => changes + result.meta.changes, 0);
+}
+
+/**
+ * Count feedback waiting for a summarization batch, per source
+ * Returns rows of { source, pending, oldest } (oldest = created_at of the oldest waiting row)
+ */
+export async function getPendingFeedbackStats(db, source = null) {
+	const result = await db.prepare(
+		`SELECT source, COUNT(*) as pending, MIN(created_at) as oldest FROM feedback
+		WHERE processed = 0 AND batch_id IS NULL ${source ? 'AND source = ?' : ''}
+		GROUP BY source`
+	)
+		.bind(...(source ? [source] : []))
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Atomically claim waiting feedback for a new batch
+ * The batch is only created while the source has fewer than maxInFlight running batches
+ * (re-summarization batches do not count), and rows already claimed by another batch are never claimed again
+ * Returns the number of claimed rows (0 when nothing was waiting or the source is at capacity)
+ */
+export async function claimFeedbackBatch(db, source, batchId, { limit = 500, maxInFlight = 1 } = {}) {
+	const now = Math.floor(Date.now() / 1000);
+	
+	// D1 runs a batch as one transaction, so the capacity check and the claim cannot interleave
+	const [, claim] = await db.batch([
+		db.prepare(
+			`INSERT INTO feedback_batches (id, source, status, created_at)
+			SELECT ?, ?, 'running', ?
+			WHERE (SELECT COUNT(*) FROM feedback_batches WHERE source = ? AND status = 'running' AND supersedes_id IS NULL) < ?
+				AND EXISTS (SELECT 1 FROM feedback WHERE source = ? AND processed = 0 AND batch_id IS NULL)`
+		).bind(batchId, source, now, source, maxInFlight, source),
+		db.prepare(
+			`UPDATE feedback SET batch_id = ?
+			WHERE id IN (
+				SELECT id FROM feedback WHERE source = ? AND processed = 0 AND batch_id IS NULL
+				ORDER BY created_at ASC, id ASC LIMIT ?
+			)
+			AND EXISTS (SELECT 1 FROM feedback_batches WHERE id = ?)`
+		).bind(batchId, source, limit, batchId),
+		db.prepare(
+			'UPDATE feedback_batches SET item_count = (SELECT COUNT(*) FROM feedback WHERE batch_id = ?) WHERE id = ?'
+		).bind(batchId, batchId)
+	]);
+	
+	return claim.meta.changes;
+}
+
+/**
+ * Record the workflow instance processing a batch
+ */
+export async function setBatchWorkflowId(db, batchId, workflowId) {
+	await db.prepare(
+		'UPDATE feedback_batches SET workflow_id = ? WHERE id = ?'
+	)
+		.bind(workflowId, batchId)
+		.run();
+}
+
+/**
+ * Get the ids of the unprocessed feedback rows claimed by a batch
+ */
+export async function getBatchFeedbackIds(db, batchId) {
+	const result = await db.prepare(
+		'SELECT id FROM feedback WHERE batch_id = ? AND processed = 0 ORDER BY created_at ASC, id ASC'
+	)
+		.bind(batchId)
+		.all();
+	
+	return (result.results || []).map(row => row.id);
+}
+
+/**
+ * Get the columns summarization needs for rows still claimed by a batch (at most
+ * MAX_BOUND_PARAMETERS - 1 ids); metadata is reduced to the author the prompts show
+ */
+export async function getBatchFeedbackRecords(db, batchId, feedbackIds) {
+	if (!feedbackIds || feedbackIds.length === 0) return [];
+	
 	const placeholders = feedbackIds.map(() => '?').join(',');
 	const result = await db.prepare(
-		`UPDATE feedback SET processed = 1 WHERE id IN (${placeholders})`
+		`SELECT id, source, content, json_object('author', json_extract(metadata, '$.author')) AS metadata, created_at
+		FROM feedback WHERE batch_id = ? AND id IN (${placeholders}) ORDER BY created_at ASC, id ASC`
 	)
-		.bind(...feedbackIds)
+		.bind(batchId, ...feedbackIds)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Mark every row still claimed for a batch as processed (rows edited since the claim lost it,
+ * see upsertFeedback)
+ * Returns the number of rows marked
+ */
+export async function markBatchProcessed(db, batchId) {
+	const result = await db.prepare(
+		'UPDATE feedback SET processed = 1 WHERE batch_id = ?'
+	)
+		.bind(batchId)
 		.run();
 	
 	return result.meta.changes;
 }
 
 /**
- * Insert a source summary
+ * Mark a batch as completed
  */
-export async function insertSourceSummary(db, source, summary, dateRangeStart, dateRangeEnd, feedbackCount) {
+export async function completeFeedbackBatch(db, batchId, summaryId = null) {
+	await db.prepare(
+		"UPDATE feedback_batches SET status = 'completed', summary_id = ?, completed_at = ? WHERE id = ?"
+	)
+		.bind(summaryId, Math.floor(Date.now() / 1000), batchId)
+		.run();
+}
+
+/**
+ * End a batch that did not complete and hand its unprocessed rows back to the next batch
+ * Rows are marked processed instead when the batch already stored its summary, or when it is
+ * a re-summarization (the summary they belong to is still active)
+ */
+export async function releaseFeedbackBatch(db, batchId, status = 'failed', error = null) {
+	await db.batch([
+		db.prepare(
+			`UPDATE feedback SET batch_id = NULL,
+				processed = EXISTS (
+					SELECT 1 FROM feedback_batches WHERE id = ? AND (summary_id IS NOT NULL OR supersedes_id IS NOT NULL)
+				)
+			WHERE batch_id = ? AND processed = 0`
+		).bind(batchId, batchId),
+		db.prepare(
+			'UPDATE feedback_batches SET status = ?, error = ?, completed_at = ? WHERE id = ?'
+		).bind(status, error, Math.floor(Date.now() / 1000), batchId)
+	]);
+}
+
+/**
+ * Expire batches that have been running since before the cutoff (e.g. a workflow that never finished)
+ * Returns the expired batch ids
+ */
+export async function releaseStaleBatches(db, startedBefore) {
+	const result = await db.prepare(
+		"SELECT id FROM feedback_batches WHERE status = 'running' AND created_at < ?"
+	)
+		.bind(startedBefore)
+		.all();
+	
+	const batchIds = (result.results || []).map(row => row.id);
+	for (const batchId of batchIds) {
+		await releaseFeedbackBatch(db, batchId, 'expired', 'Batch did not finish in time');
+	}
+	
+	return batchIds;
+}
+
+/**
+ * Get recent batches, newest first
+ */
+export async function getFeedbackBatches(db, source = null, limit = 50) {
+	const result = await db.prepare(
+		`SELECT * FROM feedback_batches ${source ? 'WHERE source = ?' : ''} ORDER BY created_at DESC LIMIT ?`
+	)
+		.bind(...(source ? [source] : []), limit)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Insert a source summary and record which feedback rows it covered
+ */
+export async function insertSourceSummary(db, source, summary, dateRangeStart, dateRangeEnd, feedbackCount, structured = null, feedbackIds = []) {
 	const result = await db.prepare(
-		'INSERT INTO source_summaries (source, summary, date_range_start, date_range_end, feedback_count, created_at) VALUES (?, ?, ?, ?, ?, ?)'
+		'INSERT INTO source_summaries (source, summary, structured, date_range_start, date_range_end, feedback_count, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
 	)
 		.bind(
 			source,
 			summary,
+			structured ? JSON.stringify(structured) : null,
 			dateRangeStart,
 			dateRangeEnd,
 			feedbackCount,
@@ -61,57 +299,276 @@ export async function insertSourceSummary(db, source, summary, dateRangeStart, d
 		)
 		.run();
 	
-	return result.meta.last_row_id;
+	const summaryId = result.meta.last_row_id;
+	await linkSummaryFeedback(db, summaryId, feedbackIds);
+	
+	return summaryId;
+}
+
+/**
+ * Store the summary of a batch exactly once
+ * The summary, its provenance, the batch's summary_id and, for re-summarization batches, the
+ * supersession of the previous version are written in one transaction; a retried call finds the
+ * batch's summary_id and writes nothing
+ * A summary deleted while it was being re-summarized stays deleted
+ * Returns { summaryId, created }
+ */
+export async function storeBatchSummary(db, batchId, source, summary, { dateRangeStart, dateRangeEnd, structured = null, feedbackIds = [], supersedesId = null }) {
+	const existing = await db.prepare(
+		'SELECT summary_id FROM feedback_batches WHERE id = ?'
+	)
+		.bind(batchId)
+		.first();
+	
+	if (existing?.summary_id) {
+		return { summaryId: existing.summary_id, created: false };
+	}
+	
+	const now = Math.floor(Date.now() / 1000);
+	const batchSummary = '(SELECT summary_id FROM feedback_batches WHERE id = ?)';
+	const statements = [
+		db.prepare(
+			'INSERT INTO source_summaries (source, summary, structured, date_range_start, date_range_end, feedback_count, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+		).bind(source, summary, structured ? JSON.stringify(structured) : null, dateRangeStart, dateRangeEnd, feedbackIds.length, now),
+		db.prepare(
+			'UPDATE feedback_batches SET summary_id = last_insert_rowid() WHERE id = ?'
+		).bind(batchId),
+		...feedbackIds.map(feedbackId => db.prepare(
+			`INSERT OR IGNORE INTO summary_feedback (summary_id, feedback_id) VALUES (${batchSummary}, ?)`
+		).bind(batchId, feedbackId))
+	];
+	
+	if (supersedesId) {
+		statements.push(
+			db.prepare(
+				`UPDATE source_summaries
+				SET supersedes_id = ?, version = (SELECT version + 1 FROM source_summaries WHERE id = ?)
+				WHERE id = ${batchSummary}`
+			).bind(supersedesId, supersedesId, batchId),
+			db.prepare(
+				"UPDATE source_summaries SET status = 'superseded', status_changed_at = ? WHERE id = ? AND status = 'active'"
+			).bind(now, supersedesId)
+		);
+	}
+	
+	await db.batch(statements);
+	const stored = await db.prepare(
+		'SELECT summary_id FROM feedback_batches WHERE id = ?'
+	)
+		.bind(batchId)
+		.first();
+	
+	return { summaryId: stored.summary_id, created: true };
+}
+
+/**
+ * Atomically claim the feedback covered by an active summary for a re-summarization batch
+ * Covered rows are the recorded provenance, or for summaries stored before provenance was
+ * recorded, the source's rows inside the summary's date range. The rows are reset to
+ * unprocessed and claimed in one transaction so a regular batch can never pick them up.
+ * Returns the number of claimed rows (0 when the summary is not active, has no rows, or
+ * is already being re-summarized)
+ */
+export async function claimSummaryFeedback(db, summaryId, batchId) {
+	const now = Math.floor(Date.now() / 1000);
+	
+	const [, claim] = await db.batch([
+		db.prepare(
+			`INSERT INTO feedback_batches (id, source, status, supersedes_id, created_at)
+			SELECT ?, source, 'running', id, ? FROM source_summaries
+			WHERE id = ? AND status = 'active'
+				AND NOT EXISTS (SELECT 1 FROM feedback_batches WHERE supersedes_id = ? AND status = 'running')`
+		).bind(batchId, now, summaryId, summaryId),
+		db.prepare(
+			`UPDATE feedback SET processed = 0, batch_id = ?
+			WHERE processed = 1
+				AND (
+					id IN (SELECT feedback_id FROM summary_feedback WHERE summary_id = ?)
+					OR id IN (
+						SELECT f.id FROM feedback f JOIN source_summaries s
+							ON s.source = f.source AND f.created_at BETWEEN s.date_range_start AND s.date_range_end
+						WHERE s.id = ? AND NOT EXISTS (SELECT 1 FROM summary_feedback WHERE summary_id = s.id)
+					)
+				)
+				AND EXISTS (SELECT 1 FROM feedback_batches WHERE id = ?)`
+		).bind(batchId, summaryId, summaryId, batchId),
+		db.prepare(
+			'UPDATE feedback_batches SET item_count = (SELECT COUNT(*) FROM feedback WHERE batch_id = ?) WHERE id = ?'
+		).bind(batchId, batchId)
+	]);
+	
+	return claim.meta.changes;
+}
+
+/**
+ * Get the running re-summarization batch for a summary (null if there is none)
+ */
+export async function getRunningResummarization(db, summaryId) {
+	return db.prepare(
+		"SELECT * FROM feedback_batches WHERE supersedes_id = ? AND status = 'running'"
+	)
+		.bind(summaryId)
+		.first();
 }
 
 /**
- * Get source summaries for a date range
+ * Soft-delete a source summary so listings and aggregation ignore it
+ * Returns whether the summary existed and was not already deleted
  */
-export async function getSourceSummaries(db, dateRangeStart, dateRangeEnd) {
+export async function deleteSourceSummary(db, summaryId) {
 	const result = await db.prepare(
-		'SELECT * FROM source_summaries WHERE date_range_start >= ? AND date_range_end <= ? ORDER BY created_at DESC'
+		"UPDATE source_summaries SET status = 'deleted', status_changed_at = ? WHERE id = ? AND status != 'deleted'"
 	)
-		.bind(dateRangeStart, dateRangeEnd)
+		.bind(Math.floor(Date.now() / 1000), summaryId)
+		.run();
+	
+	return result.meta.changes > 0;
+}
+
+/**
+ * Get every version of a source summary (any version's id works), newest first
+ */
+export async function getSourceSummaryVersions(db, summaryId) {
+	const result = await db.prepare(
+		`WITH RECURSIVE
+			older(id, supersedes_id) AS (
+				SELECT id, supersedes_id FROM source_summaries WHERE id = ?
+				UNION SELECT s.id, s.supersedes_id FROM source_summaries s JOIN older ON s.id = older.supersedes_id
+			),
+			lineage(id) AS (
+				SELECT id FROM older
+				UNION SELECT s.id FROM source_summaries s JOIN lineage ON s.supersedes_id = lineage.id
+			)
+		SELECT * FROM source_summaries WHERE id IN (SELECT id FROM lineage) ORDER BY version DESC, id DESC`
+	)
+		.bind(summaryId)
+		.all();
+	
+	return withStructured(result.results || []);
+}
+
+/**
+ * Get active source summaries whose date range overlaps a period, oldest first
+ */
+export async function getActiveSourceSummariesInRange(db, { source, since = 0, until = Number.MAX_SAFE_INTEGER } = {}) {
+	const result = await db.prepare(
+		`SELECT * FROM source_summaries
+		WHERE status = 'active' AND date_range_end >= ? AND date_range_start <= ? ${source ? 'AND source = ?' : ''}
+		ORDER BY date_range_start ASC, id ASC`
+	)
+		.bind(since, until, ...(source ? [source] : []))
+		.all();
+	
+	return withStructured(result.results || []);
+}
+
+/**
+ * Record the feedback rows a source summary was generated from
+ */
+export async function linkSummaryFeedback(db, summaryId, feedbackIds) {
+	if (!feedbackIds || feedbackIds.length === 0) return 0;
+	
+	const statement = db.prepare(
+		'INSERT OR IGNORE INTO summary_feedback (summary_id, feedback_id) VALUES (?, ?)'
+	);
+	await db.batch(feedbackIds.map(feedbackId => statement.bind(summaryId, feedbackId)));
+	
+	return feedbackIds.length;
+}
+
+/**
+ * Get a source summary by id
+ */
+export async function getSourceSummaryById(db, summaryId) {
+	const row = await db.prepare(
+		'SELECT * FROM source_summaries WHERE id = ?'
+	)
+		.bind(summaryId)
+		.first();
+	
+	return row ? withStructured([row])[0] : null;
+}
+
+/**
+ * Get the feedback rows (with classification labels) a source summary was generated from
+ */
+export async function getFeedbackForSummary(db, summaryId) {
+	const result = await db.prepare(
+		`SELECT f.id, f.source, f.content, f.metadata, f.external_id, f.created_at, f.updated_at, f.processed,
+			c.sentiment, c.category, c.urgency, c.product_area
+		FROM summary_feedback sf
+		JOIN feedback f ON f.id = sf.feedback_id
+		LEFT JOIN feedback_classifications c ON c.feedback_id = f.id
+		WHERE sf.summary_id = ? ORDER BY f.created_at ASC, f.id ASC`
+	)
+		.bind(summaryId)
 		.all();
 	
 	return result.results || [];
 }
 
+// How a source summary's date range must relate to a period to be selected (see periods.js)
+const SUMMARY_MATCH_CONDITIONS = {
+	overlap: 'date_range_start <= ?2 AND date_range_end >= ?1',
+	end: 'date_range_end BETWEEN ?1 AND ?2',
+	contained: 'date_range_start >= ?1 AND date_range_end <= ?2'
+};
+
+/**
+ * Get active source summaries for a period (start and end inclusive)
+ * match: 'overlap' (default), 'end' or 'contained'
+ */
+export async function getSourceSummaries(db, dateRangeStart, dateRangeEnd, match = 'overlap') {
+	const condition = SUMMARY_MATCH_CONDITIONS[match];
+	if (!condition) {
+		throw new Error(`Unknown summary match mode: ${match}`);
+	}
+	
+	const result = await db.prepare(
+		`SELECT * FROM source_summaries WHERE status = 'active' AND ${condition} ORDER BY created_at DESC`
+	)
+		.bind(dateRangeStart, dateRangeEnd)
+		.all();
+	
+	return withStructured(result.results || []);
+}
+
 /**
- * Get latest source summaries
+ * Get latest active source summaries
  */
 export async function getLatestSourceSummaries(db, limit = 10) {
 	const result = await db.prepare(
-		'SELECT * FROM source_summaries ORDER BY created_at DESC LIMIT ?'
+		"SELECT * FROM source_summaries WHERE status = 'active' ORDER BY created_at DESC LIMIT ?"
 	)
 		.bind(limit)
 		.all();
 	
-	return result.results || [];
+	return withStructured(result.results || []);
 }
 
 /**
- * Get source summaries by source
+ * Get active source summaries by source
  */
 export async function getSourceSummariesBySource(db, source, limit = 10) {
 	const result = await db.prepare(
-		'SELECT * FROM source_summaries WHERE source = ? ORDER BY created_at DESC LIMIT ?'
+		"SELECT * FROM source_summaries WHERE source = ? AND status = 'active' ORDER BY created_at DESC LIMIT ?"
 	)
 		.bind(source, limit)
 		.all();
 	
-	return result.results || [];
+	return withStructured(result.results || []);
 }
 
 /**
- * Insert an aggregated summary
+ * Insert an aggregated summary and record which source summaries it was built from
  */
-export async function insertAggregatedSummary(db, summary, dateRangeStart, dateRangeEnd, sourceCount, totalFeedbackCount) {
+export async function insertAggregatedSummary(db, summary, dateRangeStart, dateRangeEnd, sourceCount, totalFeedbackCount, structured = null, sourceSummaryIds = []) {
 	const result = await db.prepare(
-		'INSERT INTO aggregated_summaries (summary, date_range_start, date_range_end, source_count, total_feedback_count, created_at) VALUES (?, ?, ?, ?, ?, ?)'
+		'INSERT INTO aggregated_summaries (summary, structured, date_range_start, date_range_end, source_count, total_feedback_count, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
 	)
 		.bind(
 			summary,
+			structured ? JSON.stringify(structured) : null,
 			dateRangeStart,
 			dateRangeEnd,
 			sourceCount,
@@ -120,22 +577,264 @@ export async function insertAggregatedSummary(db, summary, dateRangeStart, dateR
 		)
 		.run();
 	
-	return result.meta.last_row_id;
+	const aggregatedSummaryId = result.meta.last_row_id;
+	await linkAggregatedSources(db, aggregatedSummaryId, sourceSummaryIds);
+	
+	return aggregatedSummaryId;
+}
+
+/**
+ * Store the aggregated summary for a period, replacing an earlier one of the same report type
+ * for the same period
+ * period is { type, key, start, end } (see periods.js); the id stays the same on replacement
+ * The summary and its source links are written in one transaction
+ * Returns the aggregated summary id
+ */
+export async function upsertAggregatedSummary(db, period, summary, sourceCount, totalFeedbackCount, structured = null, sourceSummaryIds = [], reportType = 'rollup') {
+	const now = Math.floor(Date.now() / 1000);
+	// The summary's id, for the statements after the upsert
+	const summaryId = 'SELECT id FROM aggregated_summaries WHERE report_type = ? AND period_type = ? AND period_key = ?';
+	const key = [reportType, period.type, period.key];
+	const link = db.prepare(
+		`INSERT OR IGNORE INTO aggregated_summary_sources (aggregated_summary_id, source_summary_id) SELECT id, ? FROM (${summaryId})`
+	);
+	
+	const [upsert] = await db.batch([
+		db.prepare(
+			`INSERT INTO aggregated_summaries
+				(summary, structured, date_range_start, date_range_end, source_count, total_feedback_count, period_type, period_key, report_type, created_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+			ON CONFLICT (report_type, period_type, period_key) DO UPDATE SET
+				summary = excluded.summary,
+				structured = excluded.structured,
+				date_range_start = excluded.date_range_start,
+				date_range_end = excluded.date_range_end,
+				source_count = excluded.source_count,
+				total_feedback_count = excluded.total_feedback_count,
+				updated_at = excluded.created_at
+			RETURNING id`
+		).bind(
+			summary,
+			structured ? JSON.stringify(structured) : null,
+			period.start,
+			period.end,
+			sourceCount,
+			totalFeedbackCount,
+			period.type,
+			period.key,
+			reportType,
+			now
+		),
+		db.prepare(`DELETE FROM aggregated_summary_sources WHERE aggregated_summary_id = (${summaryId})`).bind(...key),
+		...(sourceSummaryIds || []).map(id => link.bind(id, ...key))
+	]);
+	
+	return upsert.results[0].id;
+}
+
+/**
+ * Record the source summaries an aggregated summary was built from
+ */
+async function linkAggregatedSources(db, aggregatedSummaryId, sourceSummaryIds) {
+	if (!sourceSummaryIds || sourceSummaryIds.length === 0) return;
+	
+	const statement = db.prepare(
+		'INSERT OR IGNORE INTO aggregated_summary_sources (aggregated_summary_id, source_summary_id) VALUES (?, ?)'
+	);
+	await db.batch(sourceSummaryIds.map(id => statement.bind(aggregatedSummaryId, id)));
+}
+
+/**
+ * Get the aggregated summary of a report type stored for a period (null if there is none)
+ */
+export async function getAggregatedSummaryForPeriod(db, periodType, periodKey, reportType = 'rollup') {
+	const row = await db.prepare(
+		'SELECT * FROM aggregated_summaries WHERE report_type = ? AND period_type = ? AND period_key = ?'
+	)
+		.bind(reportType, periodType, periodKey)
+		.first();
+	
+	return row ? withStructured([row])[0] : null;
+}
+
+/**
+ * Get an aggregated summary by id
+ */
+export async function getAggregatedSummaryById(db, aggregatedSummaryId) {
+	const row = await db.prepare(
+		'SELECT * FROM aggregated_summaries WHERE id = ?'
+	)
+		.bind(aggregatedSummaryId)
+		.first();
+	
+	return row ? withStructured([row])[0] : null;
 }
 
 /**
- * Get latest aggregated summaries
+ * Get the source summaries an aggregated summary was built from
  */
-export async function getLatestAggregatedSummaries(db, limit = 10) {
+export async function getSourcesForAggregatedSummary(db, aggregatedSummaryId) {
 	const result = await db.prepare(
-		'SELECT * FROM aggregated_summaries ORDER BY created_at DESC LIMIT ?'
+		`SELECT s.* FROM aggregated_summary_sources a
+		JOIN source_summaries s ON s.id = a.source_summary_id
+		WHERE a.aggregated_summary_id = ? ORDER BY s.source ASC, s.created_at DESC`
 	)
-		.bind(limit)
+		.bind(aggregatedSummaryId)
+		.all();
+	
+	return withStructured(result.results || []);
+}
+
+/**
+ * Get latest aggregated summaries, most recent period first
+ * Filters: periodType ('day', 'week', 'month', 'custom'), reportType ('rollup', 'trend')
+ */
+export async function getLatestAggregatedSummaries(db, limit = 10, { periodType, reportType } = {}) {
+	const conditions = [];
+	const params = [];
+	if (periodType) {
+		conditions.push('period_type = ?');
+		params.push(periodType);
+	}
+	if (reportType) {
+		conditions.push('report_type = ?');
+		params.push(reportType);
+	}
+	
+	const result = await db.prepare(
+		`SELECT * FROM aggregated_summaries ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+		ORDER BY date_range_end DESC, id DESC LIMIT ?`
+	)
+		.bind(...params, limit)
+		.all();
+	
+	return withStructured(result.results || []);
+}
+
+/**
+ * Get feedback volume, classification sentiment and category counts for a time window (inclusive)
+ * Returns { volume: [{ source, count }], sentiment: [{ source, avg_sentiment, count }], categories: [{ category, count }] }
+ */
+export async function getPeriodMetrics(db, start, end) {
+	const [volume, sentiment, categories] = await db.batch([
+		db.prepare(
+			'SELECT source, COUNT(*) as count FROM feedback WHERE created_at >= ? AND created_at <= ? GROUP BY source'
+		).bind(start, end),
+		db.prepare(
+			`SELECT f.source, AVG(c.sentiment) as avg_sentiment, COUNT(*) as count FROM feedback_classifications c
+			JOIN feedback f ON f.id = c.feedback_id WHERE f.created_at >= ? AND f.created_at <= ? GROUP BY f.source`
+		).bind(start, end),
+		db.prepare(
+			`SELECT c.category, COUNT(*) as count FROM feedback_classifications c
+			JOIN feedback f ON f.id = c.feedback_id WHERE f.created_at >= ? AND f.created_at <= ? GROUP BY c.category`
+		).bind(start, end)
+	]);
+	
+	return {
+		volume: volume.results || [],
+		sentiment: sentiment.results || [],
+		categories: categories.results || []
+	};
+}
+
+/**
+ * Count theme members created in two time windows, largest absolute change first
+ * current and previous are { start, end } (inclusive); themes with no members in either are skipped
+ */
+export async function getThemeGrowth(db, current, previous, limit = 20) {
+	const result = await db.prepare(
+		`SELECT t.id, t.label,
+			SUM(f.created_at >= ?1 AND f.created_at <= ?2) as current_count,
+			SUM(f.created_at >= ?3 AND f.created_at <= ?4) as previous_count
+		FROM themes t
+		JOIN theme_members m ON m.theme_id = t.id
+		JOIN feedback f ON f.id = m.feedback_id
+		WHERE (f.created_at >= ?1 AND f.created_at <= ?2) OR (f.created_at >= ?3 AND f.created_at <= ?4)
+		GROUP BY t.id
+		ORDER BY ABS(current_count - previous_count) DESC, current_count DESC
+		LIMIT ?5`
+	)
+		.bind(current.start, current.end, previous.start, previous.end, limit)
 		.all();
 	
 	return result.results || [];
 }
 
+/**
+ * Parse the JSON columns on comparison report rows
+ */
+function withComparison(rows) {
+	return withStructured(rows).map(row => ({ ...row, metrics: parseStoredStructured(row.metrics) }));
+}
+
+/**
+ * Store the comparison report for a pair of periods, replacing an earlier one for the same pair
+ * current and previous are { type, key, start, end } (see periods.js); the id stays the same on replacement
+ * Returns the comparison report id
+ */
+export async function upsertComparisonReport(db, current, previous, metrics, summary, structured = null) {
+	const now = Math.floor(Date.now() / 1000);
+	const row = await db.prepare(
+		`INSERT INTO comparison_reports
+			(period_type, period_key, date_range_start, date_range_end, previous_period_key, previous_range_start, previous_range_end, metrics, summary, structured, created_at)
+		VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		ON CONFLICT (period_type, period_key, previous_period_key) DO UPDATE SET
+			date_range_start = excluded.date_range_start,
+			date_range_end = excluded.date_range_end,
+			previous_range_start = excluded.previous_range_start,
+			previous_range_end = excluded.previous_range_end,
+			metrics = excluded.metrics,
+			summary = excluded.summary,
+			structured = excluded.structured,
+			updated_at = excluded.created_at
+		RETURNING id`
+	)
+		.bind(
+			current.type,
+			current.key,
+			current.start,
+			current.end,
+			previous.key,
+			previous.start,
+			previous.end,
+			JSON.stringify(metrics),
+			summary,
+			structured ? JSON.stringify(structured) : null,
+			now
+		)
+		.first();
+	
+	return row.id;
+}
+
+/**
+ * Get a comparison report by id
+ */
+export async function getComparisonReportById(db, reportId) {
+	const row = await db.prepare(
+		'SELECT * FROM comparison_reports WHERE id = ?'
+	)
+		.bind(reportId)
+		.first();
+	
+	return row ? withComparison([row])[0] : null;
+}
+
+/**
+ * Get latest comparison reports, most recent period first
+ * Filters: periodType ('day', 'week', 'month', 'custom')
+ */
+export async function getComparisonReports(db, limit = 10, { periodType } = {}) {
+	const result = await db.prepare(
+		`SELECT * FROM comparison_reports ${periodType ? 'WHERE period_type = ?' : ''}
+		ORDER BY date_range_end DESC, id DESC LIMIT ?`
+	)
+		.bind(...(periodType ? [periodType] : []), limit)
+		.all();
+	
+	return withComparison(result.results || []);
+}
+
 /**
  * Get feedback count by source
  */
@@ -147,3 +846,1139 @@ export async function getFeedbackCountsBySource(db) {
 	
 	return result.results || [];
 }
+
+/**
+ * Count feedback per time bucket, split by source, classification category and sentiment band
+ * Buckets start at offset + n * bucketSeconds (unix seconds); since and until are inclusive
+ * Feedback without a classification only counts towards the source series
+ * Returns { bySource: [{ bucket, source, count }], byCategory: [{ bucket, category, count }], bySentiment: [{ bucket, band, count }] }
+ */
+export async function getFeedbackTimeseries(db, { since, until, bucketSeconds, offset = 0, sentimentThreshold = 0.2 }) {
+	const bucket = 'CAST((f.created_at - ?3) / ?4 AS INTEGER) * ?4 + ?3';
+	const [bySource, byCategory, bySentiment] = await db.batch([
+		db.prepare(
+			`SELECT ${bucket} as bucket, f.source, COUNT(*) as count FROM feedback f
+			WHERE f.created_at >= ?1 AND f.created_at <= ?2 GROUP BY bucket, f.source ORDER BY bucket`
+		).bind(since, until, offset, bucketSeconds),
+		db.prepare(
+			`SELECT ${bucket} as bucket, c.category, COUNT(*) as count FROM feedback f
+			JOIN feedback_classifications c ON c.feedback_id = f.id
+			WHERE f.created_at >= ?1 AND f.created_at <= ?2 GROUP BY bucket, c.category ORDER BY bucket`
+		).bind(since, until, offset, bucketSeconds),
+		db.prepare(
+			`SELECT ${bucket} as bucket,
+				CASE WHEN c.sentiment > ?5 THEN 'positive' WHEN c.sentiment < -?5 THEN 'negative' ELSE 'neutral' END as band,
+				COUNT(*) as count
+			FROM feedback f JOIN feedback_classifications c ON c.feedback_id = f.id
+			WHERE f.created_at >= ?1 AND f.created_at <= ?2 GROUP BY bucket, band ORDER BY bucket`
+		).bind(since, until, offset, bucketSeconds, sentimentThreshold)
+	]);
+	
+	return {
+		bySource: bySource.results || [],
+		byCategory: byCategory.results || [],
+		bySentiment: bySentiment.results || []
+	};
+}
+
+/**
+ * Count unprocessed feedback per source, including rows claimed by a running batch
+ * Returns rows of { source, unprocessed, waiting, oldest } (waiting = not yet claimed by a batch,
+ * oldest = created_at of the oldest unprocessed row)
+ */
+export async function getBacklogStats(db) {
+	const result = await db.prepare(
+		`SELECT source, COUNT(*) as unprocessed, SUM(batch_id IS NULL) as waiting, MIN(created_at) as oldest
+		FROM feedback WHERE processed = 0 GROUP BY source ORDER BY oldest ASC`
+	)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Store per-item classifications (re-classifying a row replaces its labels)
+ */
+export async function upsertClassifications(db, classifications, model = null) {
+	if (!classifications || classifications.length === 0) return 0;
+	
+	const now = Math.floor(Date.now() / 1000);
+	const statement = db.prepare(
+		`INSERT INTO feedback_classifications (feedback_id, sentiment, category, urgency, product_area, model, created_at)
+		VALUES (?, ?, ?, ?, ?, ?, ?)
+		ON CONFLICT(feedback_id) DO UPDATE SET
+			sentiment = excluded.sentiment,
+			category = excluded.category,
+			urgency = excluded.urgency,
+			product_area = excluded.product_area,
+			model = excluded.model,
+			created_at = excluded.created_at`
+	);
+	
+	await db.batch(classifications.map(c =>
+		statement.bind(c.feedback_id, c.sentiment, c.category, c.urgency, c.product_area, model, now)
+	));
+	
+	return classifications.length;
+}
+
+/**
+ * Get classification counts (category, urgency, product area) and average sentiment per source
+ */
+export async function getClassificationBreakdown(db, since = 0) {
+	const [categories, urgencies, productAreas, sentiment] = await db.batch([
+		db.prepare(
+			`SELECT c.category, COUNT(*) as count FROM feedback_classifications c
+			JOIN feedback f ON f.id = c.feedback_id WHERE f.created_at >= ? GROUP BY c.category ORDER BY count DESC`
+		).bind(since),
+		db.prepare(
+			`SELECT c.urgency, COUNT(*) as count FROM feedback_classifications c
+			JOIN feedback f ON f.id = c.feedback_id WHERE f.created_at >= ? GROUP BY c.urgency ORDER BY count DESC`
+		).bind(since),
+		db.prepare(
+			`SELECT c.product_area, COUNT(*) as count FROM feedback_classifications c
+			JOIN feedback f ON f.id = c.feedback_id WHERE f.created_at >= ? GROUP BY c.product_area ORDER BY count DESC`
+		).bind(since),
+		db.prepare(
+			`SELECT f.source, AVG(c.sentiment) as avg_sentiment, COUNT(*) as count FROM feedback_classifications c
+			JOIN feedback f ON f.id = c.feedback_id WHERE f.created_at >= ? GROUP BY f.source`
+		).bind(since)
+	]);
+	
+	return {
+		categories: categories.results || [],
+		urgencies: urgencies.results || [],
+		productAreas: productAreas.results || [],
+		sentimentBySource: sentiment.results || []
+	};
+}
+
+/**
+ * Get classified feedback filtered by labels
+ * Filters: source, category, urgency, productArea, minSentiment, maxSentiment
+ */
+export async function getClassifiedFeedback(db, filters = {}, limit = 50) {
+	const conditions = [];
+	const params = [];
+	
+	if (filters.source) {
+		conditions.push('f.source = ?');
+		params.push(filters.source);
+	}
+	if (filters.category) {
+		conditions.push('c.category = ?');
+		params.push(filters.category);
+	}
+	if (filters.urgency) {
+		conditions.push('c.urgency = ?');
+		params.push(filters.urgency);
+	}
+	if (filters.productArea) {
+		conditions.push('c.product_area = ?');
+		params.push(filters.productArea);
+	}
+	if (filters.minSentiment !== undefined) {
+		conditions.push('c.sentiment >= ?');
+		params.push(filters.minSentiment);
+	}
+	if (filters.maxSentiment !== undefined) {
+		conditions.push('c.sentiment <= ?');
+		params.push(filters.maxSentiment);
+	}
+	
+	const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+	const result = await db.prepare(
+		`SELECT f.id, f.source, f.content, f.metadata, f.created_at, c.sentiment, c.category, c.urgency, c.product_area
+		FROM feedback f JOIN feedback_classifications c ON c.feedback_id = f.id
+		${where} ORDER BY f.created_at DESC LIMIT ?`
+	)
+		.bind(...params, limit)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Build WHERE conditions for feedback filters
+ * Filters: source, since, until, processed, category, urgency, productArea,
+ * and the metadata fields author, label (one of metadata.labels) and priority
+ * Expects feedback aliased as f and feedback_classifications as c
+ */
+function feedbackFilterConditions(filters = {}) {
+	const conditions = [];
+	const params = [];
+	
+	if (filters.source) {
+		conditions.push('f.source = ?');
+		params.push(filters.source);
+	}
+	if (filters.since !== undefined) {
+		conditions.push('f.created_at >= ?');
+		params.push(filters.since);
+	}
+	if (filters.until !== undefined) {
+		conditions.push('f.created_at <= ?');
+		params.push(filters.until);
+	}
+	if (filters.processed !== undefined) {
+		conditions.push('f.processed = ?');
+		params.push(filters.processed ? 1 : 0);
+	}
+	if (filters.category) {
+		conditions.push('c.category = ?');
+		params.push(filters.category);
+	}
+	if (filters.urgency) {
+		conditions.push('c.urgency = ?');
+		params.push(filters.urgency);
+	}
+	if (filters.productArea) {
+		conditions.push('c.product_area = ?');
+		params.push(filters.productArea);
+	}
+	if (filters.author) {
+		conditions.push("json_extract(f.metadata, '$.author') = ?");
+		params.push(filters.author);
+	}
+	if (filters.label) {
+		conditions.push("EXISTS (SELECT 1 FROM json_each(f.metadata, '$.labels') WHERE json_each.value = ?)");
+		params.push(filters.label);
+	}
+	if (filters.priority) {
+		conditions.push("json_extract(f.metadata, '$.priority') = ?");
+		params.push(filters.priority);
+	}
+	
+	return { conditions, params };
+}
+
+/**
+ * Full-text search over feedback content, best matches first
+ * snippetStart/snippetEnd mark the matched terms in the returned snippet
+ */
+export async function searchFeedbackText(db, matchQuery, filters = {}, { limit = 20, offset = 0, snippetStart = '[', snippetEnd = ']' } = {}) {
+	const { conditions, params } = feedbackFilterConditions(filters);
+	const where = ['feedback_fts MATCH ?', ...conditions].join(' AND ');
+	
+	const result = await db.prepare(
+		`SELECT f.id, f.source, f.content, f.metadata, f.created_at, f.processed,
+			c.sentiment, c.category, c.urgency, c.product_area,
+			snippet(feedback_fts, 0, ?, ?, '…', 24) as snippet, bm25(feedback_fts) as rank
+		FROM feedback_fts
+		JOIN feedback f ON f.id = feedback_fts.rowid
+		LEFT JOIN feedback_classifications c ON c.feedback_id = f.id
+		WHERE ${where} ORDER BY rank LIMIT ? OFFSET ?`
+	)
+		.bind(snippetStart, snippetEnd, matchQuery, ...params, limit, offset)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Get feedback rows (with classification labels) by id, restricted to the filters
+ */
+export async function getFeedbackByIds(db, feedbackIds, filters = {}) {
+	if (!feedbackIds || feedbackIds.length === 0) return [];
+	
+	const { conditions, params } = feedbackFilterConditions(filters);
+	const placeholders = feedbackIds.map(() => '?').join(',');
+	const where = [`f.id IN (${placeholders})`, ...conditions].join(' AND ');
+	
+	const result = await db.prepare(
+		`SELECT f.id, f.source, f.content, f.metadata, f.created_at, f.processed,
+			c.sentiment, c.category, c.urgency, c.product_area
+		FROM feedback f LEFT JOIN feedback_classifications c ON c.feedback_id = f.id
+		WHERE ${where}`
+	)
+		.bind(...feedbackIds, ...params)
+		.all();
+	
+	return result.results || [];
+}
+
+// Sortable columns for feedback listings (edits sort by their update time)
+const FEEDBACK_SORT_COLUMNS = {
+	created_at: 'f.created_at',
+	updated_at: 'COALESCE(f.updated_at, f.created_at)',
+	id: 'f.id'
+};
+
+/**
+ * List feedback with keyset pagination
+ * Options: sort (created_at, updated_at or id), order ('asc' or 'desc'), limit,
+ * after ({ value, id } of the last row on the previous page)
+ * Each row includes sort_value so the caller can build the next cursor
+ */
+export async function listFeedback(db, filters = {}, { sort = 'created_at', order = 'desc', limit = 50, after = null } = {}) {
+	const column = FEEDBACK_SORT_COLUMNS[sort] || FEEDBACK_SORT_COLUMNS.created_at;
+	const direction = order === 'asc' ? 'ASC' : 'DESC';
+	const comparison = order === 'asc' ? '>' : '<';
+	const { conditions, params } = feedbackFilterConditions(filters);
+	
+	if (after) {
+		// Rows tied on the sort value are ordered by id, so (value, id) is a stable position
+		conditions.push(`(${column} ${comparison} ? OR (${column} = ? AND f.id ${comparison} ?))`);
+		params.push(after.value, after.value, after.id);
+	}
+	
+	const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+	const result = await db.prepare(
+		`SELECT f.id, f.source, f.content, f.metadata, f.external_id, f.created_at, f.updated_at, f.processed,
+			c.sentiment, c.category, c.urgency, c.product_area, ${column} as sort_value
+		FROM feedback f LEFT JOIN feedback_classifications c ON c.feedback_id = f.id
+		${where} ORDER BY ${column} ${direction}, f.id ${direction} LIMIT ?`
+	)
+		.bind(...params, limit)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Get one feedback row with its classification labels
+ */
+export async function getFeedbackById(db, feedbackId) {
+	return db.prepare(
+		`SELECT f.id, f.source, f.content, f.metadata, f.external_id, f.created_at, f.updated_at, f.processed,
+			c.sentiment, c.category, c.urgency, c.product_area
+		FROM feedback f LEFT JOIN feedback_classifications c ON c.feedback_id = f.id
+		WHERE f.id = ?`
+	)
+		.bind(feedbackId)
+		.first();
+}
+
+/**
+ * Get the active source summaries covering each feedback row
+ * Uses the recorded provenance; summaries stored before provenance was recorded fall back to
+ * matching the source and a date range containing the row's created_at
+ * Returns rows of { feedback_id, id, created_at, date_range_start, date_range_end }
+ */
+export async function getSummariesForFeedback(db, feedbackIds) {
+	if (!feedbackIds || feedbackIds.length === 0) return [];
+	
+	// Each id is bound twice and D1 allows 100 bound parameters per query
+	if (feedbackIds.length > 50) {
+		const rows = [];
+		for (let i = 0; i < feedbackIds.length; i += 50) {
+			rows.push(...await getSummariesForFeedback(db, feedbackIds.slice(i, i + 50)));
+		}
+		return rows;
+	}
+	
+	const placeholders = feedbackIds.map(() => '?').join(',');
+	const result = await db.prepare(
+		`SELECT sf.feedback_id, s.id, s.created_at, s.date_range_start, s.date_range_end
+		FROM summary_feedback sf JOIN source_summaries s ON s.id = sf.summary_id
+		WHERE sf.feedback_id IN (${placeholders}) AND s.status = 'active'
+		UNION
+		SELECT f.id as feedback_id, s.id, s.created_at, s.date_range_start, s.date_range_end
+		FROM feedback f JOIN source_summaries s
+			ON s.source = f.source AND f.created_at BETWEEN s.date_range_start AND s.date_range_end
+		WHERE f.processed = 1 AND f.id IN (${placeholders}) AND s.status = 'active'
+			AND NOT EXISTS (SELECT 1 FROM summary_feedback sf2 WHERE sf2.summary_id = s.id)
+		ORDER BY created_at DESC`
+	)
+		.bind(...feedbackIds, ...feedbackIds)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Get a theme's centroid and member count for similarity matching
+ */
+export async function getThemeCentroid(db, themeId) {
+	const row = await db.prepare(
+		'SELECT id, centroid, member_count FROM themes WHERE id = ?'
+	)
+		.bind(themeId)
+		.first();
+	
+	return row ? { ...row, centroid: JSON.parse(row.centroid) } : null;
+}
+
+/**
+ * Create a theme seeded from one feedback embedding, with that row as its first member
+ * Returns the theme id
+ */
+export async function insertTheme(db, label, centroid, feedbackId, seenAt) {
+	const now = Math.floor(Date.now() / 1000);
+	const [result] = await db.batch([
+		db.prepare(
+			'INSERT INTO themes (label, centroid, member_count, first_seen, last_seen, created_at, updated_at) VALUES (?, ?, 1, ?, ?, ?, ?)'
+		).bind(label, JSON.stringify(centroid), seenAt, seenAt, now, now),
+		db.prepare(
+			'INSERT INTO theme_members (feedback_id, theme_id, similarity, created_at) VALUES (?, last_insert_rowid(), 1, ?)'
+		).bind(feedbackId, now)
+	]);
+	
+	return result.meta.last_row_id;
+}
+
+/**
+ * Add a feedback row to a theme and store the theme's new centroid, unless another writer
+ * changed the theme since it was read (its member_count is no longer expectedCount)
+ * The centroid, count, first/last seen range and membership are written in one transaction
+ * Returns true when the row joined, false on a conflict
+ */
+export async function joinTheme(db, themeId, expectedCount, { feedbackId, similarity, centroid, seenAt }) {
+	const now = Math.floor(Date.now() / 1000);
+	const [update] = await db.batch([
+		db.prepare(
+			`UPDATE themes SET centroid = ?, member_count = member_count + 1,
+				first_seen = MIN(first_seen, ?), last_seen = MAX(last_seen, ?), updated_at = ?
+			WHERE id = ? AND member_count = ?`
+		).bind(JSON.stringify(centroid), seenAt, seenAt, now, themeId, expectedCount),
+		// changes() is the row count of the UPDATE above
+		db.prepare(
+			'INSERT INTO theme_members (feedback_id, theme_id, similarity, created_at) SELECT ?, ?, ?, ? WHERE changes() = 1'
+		).bind(feedbackId, themeId, similarity, now)
+	]);
+	
+	return update.meta.changes === 1;
+}
+
+/**
+ * Get theme memberships for feedback rows
+ */
+export async function getThemeMemberships(db, feedbackIds) {
+	if (!feedbackIds || feedbackIds.length === 0) return [];
+	
+	const placeholders = feedbackIds.map(() => '?').join(',');
+	const result = await db.prepare(
+		`SELECT feedback_id, theme_id, similarity FROM theme_members WHERE feedback_id IN (${placeholders})`
+	)
+		.bind(...feedbackIds)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Attach per-source member counts (within the time window) to theme rows
+ */
+async function withThemeSourceCounts(db, themes, since, until) {
+	if (themes.length === 0) return themes;
+	
+	const placeholders = themes.map(() => '?').join(',');
+	const result = await db.prepare(
+		`SELECT m.theme_id, f.source, COUNT(*) as count FROM theme_members m
+		JOIN feedback f ON f.id = m.feedback_id
+		WHERE m.theme_id IN (${placeholders}) AND f.created_at >= ? AND f.created_at <= ?
+		GROUP BY m.theme_id, f.source`
+	)
+		.bind(...themes.map(t => t.id), since, until)
+		.all();
+	
+	const counts = {};
+	for (const row of result.results || []) {
+		counts[row.theme_id] = { ...counts[row.theme_id], [row.source]: row.count };
+	}
+	
+	return themes.map(theme => ({ ...theme, source_counts: counts[theme.id] || {} }));
+}
+
+/**
+ * Get the largest themes by members created within a time window
+ */
+export async function getThemes(db, { since = 0, until = Number.MAX_SAFE_INTEGER, limit = 20 } = {}) {
+	const result = await db.prepare(
+		`SELECT t.id, t.label, t.member_count, t.first_seen, t.last_seen, t.created_at, t.updated_at, COUNT(m.feedback_id) as window_count
+		FROM themes t
+		JOIN theme_members m ON m.theme_id = t.id
+		JOIN feedback f ON f.id = m.feedback_id
+		WHERE f.created_at >= ? AND f.created_at <= ?
+		GROUP BY t.id
+		ORDER BY window_count DESC, t.last_seen DESC
+		LIMIT ?`
+	)
+		.bind(since, until, limit)
+		.all();
+	
+	return withThemeSourceCounts(db, result.results || [], since, until);
+}
+
+/**
+ * Get a single theme with per-source counts
+ */
+export async function getThemeById(db, themeId) {
+	const theme = await db.prepare(
+		'SELECT id, label, member_count, first_seen, last_seen, created_at, updated_at FROM themes WHERE id = ?'
+	)
+		.bind(themeId)
+		.first();
+	
+	if (!theme) return null;
+	
+	const [withCounts] = await withThemeSourceCounts(db, [theme], 0, Number.MAX_SAFE_INTEGER);
+	return withCounts;
+}
+
+/**
+ * Get the feedback rows belonging to a theme, most similar first
+ */
+export async function getThemeMembers(db, themeId, limit = 50) {
+	const result = await db.prepare(
+		`SELECT f.id, f.source, f.content, f.metadata, f.created_at, m.similarity
+		FROM theme_members m JOIN feedback f ON f.id = m.feedback_id
+		WHERE m.theme_id = ? ORDER BY m.similarity DESC, f.created_at DESC LIMIT ?`
+	)
+		.bind(themeId, limit)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Record a webhook delivery that failed signature verification
+ */
+export async function recordWebhookAuthFailure(db, source, reason, ip = null, userAgent = null) {
+	const result = await db.prepare(
+		'INSERT INTO webhook_auth_failures (source, reason, ip, user_agent, created_at) VALUES (?, ?, ?, ?, ?)'
+	)
+		.bind(source, reason, ip, userAgent, Math.floor(Date.now() / 1000))
+		.run();
+	
+	return result.meta.last_row_id;
+}
+
+/**
+ * Get webhook auth failure counts by source and reason since a timestamp
+ */
+export async function getWebhookAuthFailureCounts(db, since = 0) {
+	const result = await db.prepare(
+		'SELECT source, reason, COUNT(*) as count, MAX(created_at) as last_seen FROM webhook_auth_failures WHERE created_at >= ? GROUP BY source, reason'
+	)
+		.bind(since)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Store a webhook payload that could not be ingested
+ * event is the delivery's event header (e.g. X-GitHub-Event), kept so a replay parses it the same way
+ */
+export async function insertDeadLetter(db, source, payload, stage, error, attempts = 1, event = null) {
+	const result = await db.prepare(
+		'INSERT INTO dead_letters (source, payload, event, stage, error, attempts, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+	)
+		.bind(source, payload, event, stage, error, attempts, Math.floor(Date.now() / 1000))
+		.run();
+	
+	return result.meta.last_row_id;
+}
+
+/**
+ * Get dead letters, newest first (without payloads)
+ * Filters: source, stage, includeReplayed
+ */
+export async function getDeadLetters(db, { source, stage, includeReplayed = false } = {}, limit = 50) {
+	const conditions = [];
+	const params = [];
+	
+	if (source) {
+		conditions.push('source = ?');
+		params.push(source);
+	}
+	if (stage) {
+		conditions.push('stage = ?');
+		params.push(stage);
+	}
+	if (!includeReplayed) {
+		conditions.push('replayed_at IS NULL');
+	}
+	
+	const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+	const result = await db.prepare(
+		`SELECT id, source, event, stage, error, attempts, replay_count, replayed_at, LENGTH(payload) as payload_size, created_at
+		FROM dead_letters ${where} ORDER BY created_at DESC, id DESC LIMIT ?`
+	)
+		.bind(...params, limit)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Get one dead letter including its payload
+ */
+export async function getDeadLetterById(db, deadLetterId) {
+	return db.prepare(
+		'SELECT * FROM dead_letters WHERE id = ?'
+	)
+		.bind(deadLetterId)
+		.first();
+}
+
+/**
+ * Record that a dead letter was sent back through ingestion
+ */
+export async function markDeadLetterReplayed(db, deadLetterId) {
+	await db.prepare(
+		'UPDATE dead_letters SET replay_count = replay_count + 1, replayed_at = ? WHERE id = ?'
+	)
+		.bind(Math.floor(Date.now() / 1000), deadLetterId)
+		.run();
+}
+
+/**
+ * Count dead letters waiting for replay, by source and stage
+ */
+export async function getDeadLetterCounts(db) {
+	const result = await db.prepare(
+		'SELECT source, stage, COUNT(*) as count, MAX(created_at) as last_seen FROM dead_letters WHERE replayed_at IS NULL GROUP BY source, stage'
+	)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Count feedback per source or theme in a detection window and the baseline before it
+ * Window is [windowStart, windowEnd], baseline is [baselineStart, windowStart)
+ * Negative means a classification sentiment below -negativeThreshold
+ * Options: sources - only these sources (source scope)
+ * Returns rows of { scope_key, label, window_count, baseline_count, window_classified, window_negative,
+ * baseline_classified, baseline_negative }
+ */
+export async function getAlertMetrics(db, scope, { windowStart, windowEnd, baselineStart, negativeThreshold = 0.2, sources = null }) {
+	const grouping = scope === 'theme'
+		? { key: 't.id', label: 't.label', join: 'JOIN theme_members m ON m.feedback_id = f.id JOIN themes t ON t.id = m.theme_id' }
+		: { key: 'f.source', label: 'f.source', join: '' };
+	const sourceFilter = sources && sources.length > 0
+		? `AND f.source IN (${sources.map((_, i) => `?${i + 5}`).join(',')})`
+		: '';
+	
+	const result = await db.prepare(
+		`SELECT ${grouping.key} as scope_key, ${grouping.label} as label,
+			SUM(f.created_at >= ?1) as window_count,
+			SUM(f.created_at < ?1) as baseline_count,
+			SUM(f.created_at >= ?1 AND c.feedback_id IS NOT NULL) as window_classified,
+			SUM(f.created_at >= ?1 AND c.sentiment < -?4) as window_negative,
+			SUM(f.created_at < ?1 AND c.feedback_id IS NOT NULL) as baseline_classified,
+			SUM(f.created_at < ?1 AND c.sentiment < -?4) as baseline_negative
+		FROM feedback f
+		${grouping.join}
+		LEFT JOIN feedback_classifications c ON c.feedback_id = f.id
+		WHERE f.created_at >= ?2 AND f.created_at <= ?3 ${sourceFilter}
+		GROUP BY ${grouping.key}`
+	)
+		.bind(windowStart, baselineStart, windowEnd, negativeThreshold, ...(sourceFilter ? sources : []))
+		.all();
+	
+	// SUM over rows where the condition is always NULL (no classifications) is NULL
+	return (result.results || []).map(row => ({
+		...row,
+		scope_key: String(row.scope_key),
+		window_negative: row.window_negative || 0,
+		baseline_negative: row.baseline_negative || 0
+	}));
+}
+
+/**
+ * Parse the details JSON column on alert rows
+ */
+function withDetails(rows) {
+	return rows.map(row => ({ ...row, details: parseStoredStructured(row.details) }));
+}
+
+/**
+ * Store an alert unless one with the same dedupe key was created since cooldownSince
+ * A suppressed detection is folded into the existing alert (occurrence_count, last_seen_at, current_value)
+ * now is the detection time (unix seconds)
+ * Returns { id, created }
+ */
+export async function recordAlert(db, alert, cooldownSince, now = Math.floor(Date.now() / 1000)) {
+
+	// One statement, so concurrent detections cannot both create an alert
+	const inserted = await db.prepare(
+		`INSERT INTO alerts
+			(kind, scope, scope_key, label, dedupe_key, message, current_value, baseline_value, details, window_start, window_end, last_seen_at, created_at)
+		SELECT ?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?12
+		WHERE NOT EXISTS (SELECT 1 FROM alerts WHERE dedupe_key = ?5 AND created_at >= ?13)
+		RETURNING id`
+	)
+		.bind(
+			alert.kind,
+			alert.scope,
+			alert.scopeKey,
+			alert.label,
+			alert.dedupeKey,
+			alert.message,
+			alert.currentValue,
+			alert.baselineValue,
+			JSON.stringify(alert.details || {}),
+			alert.windowStart,
+			alert.windowEnd,
+			now,
+			cooldownSince
+		)
+		.first();
+	
+	if (inserted) {
+		return { id: inserted.id, created: true };
+	}
+	
+	const existing = await db.prepare(
+		`UPDATE alerts SET occurrence_count = occurrence_count + 1, last_seen_at = ?, current_value = MAX(current_value, ?)
+		WHERE id = (SELECT id FROM alerts WHERE dedupe_key = ? ORDER BY created_at DESC, id DESC LIMIT 1)
+		RETURNING id`
+	)
+		.bind(now, alert.currentValue, alert.dedupeKey)
+		.first();
+	
+	return { id: existing.id, created: false };
+}
+
+/**
+ * Record the outcome of delivering an alert to the outbound webhooks
+ */
+export async function markAlertDelivered(db, alertId, error = null) {
+	await db.prepare(
+		'UPDATE alerts SET delivered_at = ?, delivery_error = ? WHERE id = ?'
+	)
+		.bind(Math.floor(Date.now() / 1000), error, alertId)
+		.run();
+}
+
+/**
+ * Get alerts, newest first
+ * Filters: status ('open', 'acknowledged'), kind, scope, source (source-scope alerts for that source)
+ */
+export async function getAlerts(db, { status, kind, scope, source } = {}, limit = 50) {
+	const conditions = [];
+	const params = [];
+	
+	if (status) {
+		conditions.push('status = ?');
+		params.push(status);
+	}
+	if (kind) {
+		conditions.push('kind = ?');
+		params.push(kind);
+	}
+	if (scope) {
+		conditions.push('scope = ?');
+		params.push(scope);
+	}
+	if (source) {
+		conditions.push("scope = 'source' AND scope_key = ?");
+		params.push(source);
+	}
+	
+	const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+	const result = await db.prepare(
+		`SELECT * FROM alerts ${where} ORDER BY created_at DESC, id DESC LIMIT ?`
+	)
+		.bind(...params, limit)
+		.all();
+	
+	return withDetails(result.results || []);
+}
+
+/**
+ * Get one alert
+ */
+export async function getAlertById(db, alertId) {
+	const row = await db.prepare(
+		'SELECT * FROM alerts WHERE id = ?'
+	)
+		.bind(alertId)
+		.first();
+	
+	return row ? withDetails([row])[0] : null;
+}
+
+/**
+ * Acknowledge an open alert
+ * Returns true if the alert was open
+ */
+export async function acknowledgeAlert(db, alertId, acknowledgedBy = null) {
+	const result = await db.prepare(
+		"UPDATE alerts SET status = 'acknowledged', acknowledged_at = ?, acknowledged_by = ? WHERE id = ? AND status = 'open'"
+	)
+		.bind(Math.floor(Date.now() / 1000), acknowledgedBy, alertId)
+		.run();
+	
+	return result.meta.changes > 0;
+}
+
+/**
+ * Count open alerts by kind
+ */
+export async function getOpenAlertCounts(db) {
+	const result = await db.prepare(
+		"SELECT kind, COUNT(*) as count, MAX(created_at) as last_seen FROM alerts WHERE status = 'open' GROUP BY kind"
+	)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Create a summary subscription
+ * subscription is { name, channel, target, secret, periodType, reportType, includeSourceSummaries, source, enabled }
+ * Returns the new subscription id
+ */
+export async function createSubscription(db, subscription) {
+	const row = await db.prepare(
+		`INSERT INTO subscriptions
+			(name, channel, target, secret, period_type, report_type, include_source_summaries, source, enabled, created_at)
+		VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		RETURNING id`
+	)
+		.bind(
+			subscription.name,
+			subscription.channel,
+			subscription.target,
+			subscription.secret ?? null,
+			subscription.periodType ?? null,
+			subscription.reportType ?? null,
+			subscription.includeSourceSummaries ? 1 : 0,
+			subscription.source ?? null,
+			subscription.enabled === false ? 0 : 1,
+			Math.floor(Date.now() / 1000)
+		)
+		.first();
+	
+	return row.id;
+}
+
+/**
+ * Replace the settings of a subscription (same fields as createSubscription)
+ * Returns true if the subscription exists
+ */
+export async function updateSubscription(db, subscriptionId, subscription) {
+	const result = await db.prepare(
+		`UPDATE subscriptions SET
+			name = ?, channel = ?, target = ?, secret = ?, period_type = ?, report_type = ?,
+			include_source_summaries = ?, source = ?, enabled = ?, updated_at = ?
+		WHERE id = ?`
+	)
+		.bind(
+			subscription.name,
+			subscription.channel,
+			subscription.target,
+			subscription.secret ?? null,
+			subscription.periodType ?? null,
+			subscription.reportType ?? null,
+			subscription.includeSourceSummaries ? 1 : 0,
+			subscription.source ?? null,
+			subscription.enabled === false ? 0 : 1,
+			Math.floor(Date.now() / 1000),
+			subscriptionId
+		)
+		.run();
+	
+	return result.meta.changes > 0;
+}
+
+/**
+ * Delete a subscription and its delivery log
+ * Returns true if the subscription existed
+ */
+export async function deleteSubscription(db, subscriptionId) {
+	const [, result] = await db.batch([
+		db.prepare('DELETE FROM subscription_deliveries WHERE subscription_id = ?').bind(subscriptionId),
+		db.prepare('DELETE FROM subscriptions WHERE id = ?').bind(subscriptionId)
+	]);
+	
+	return result.meta.changes > 0;
+}
+
+/**
+ * Get every subscription, oldest first
+ */
+export async function getSubscriptions(db) {
+	const result = await db.prepare(
+		'SELECT * FROM subscriptions ORDER BY id'
+	)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Get one subscription
+ */
+export async function getSubscriptionById(db, subscriptionId) {
+	return db.prepare(
+		'SELECT * FROM subscriptions WHERE id = ?'
+	)
+		.bind(subscriptionId)
+		.first();
+}
+
+/**
+ * Get the enabled subscriptions a new summary should be delivered to
+ * summaryType is 'aggregated' (filtered by period and report type) or 'source' (filtered by source)
+ */
+export async function getSubscriptionsForSummary(db, summaryType, summary) {
+	const statement = summaryType === 'aggregated'
+		? db.prepare(
+			`SELECT * FROM subscriptions
+			WHERE enabled = 1 AND (period_type IS NULL OR period_type = ?) AND (report_type IS NULL OR report_type = ?)
+			ORDER BY id`
+		).bind(summary.period_type, summary.report_type)
+		: db.prepare(
+			`SELECT * FROM subscriptions
+			WHERE enabled = 1 AND include_source_summaries = 1 AND (source IS NULL OR source = ?)
+			ORDER BY id`
+		).bind(summary.source);
+	
+	const result = await statement.all();
+	return result.results || [];
+}
+
+/**
+ * Log pending deliveries of a summary to subscriptions
+ * Returns the new delivery ids in the order of subscriptionIds
+ */
+export async function createSubscriptionDeliveries(db, subscriptionIds, summaryType, summaryId) {
+	if (subscriptionIds.length === 0) {
+		return [];
+	}
+	
+	const now = Math.floor(Date.now() / 1000);
+	const results = await db.batch(subscriptionIds.map(subscriptionId => db.prepare(
+		`INSERT INTO subscription_deliveries (subscription_id, summary_type, summary_id, created_at)
+		VALUES (?, ?, ?, ?)
+		RETURNING id`
+	).bind(subscriptionId, summaryType, summaryId, now)));
+	
+	return results.map(result => result.results[0].id);
+}
+
+/**
+ * Record one attempt of a delivery: delivered when error is null, otherwise still pending
+ */
+export async function recordDeliveryAttempt(db, deliveryId, error = null) {
+	const now = Math.floor(Date.now() / 1000);
+	await db.prepare(
+		`UPDATE subscription_deliveries SET
+			attempts = attempts + 1,
+			status = CASE WHEN ?1 IS NULL THEN 'delivered' ELSE status END,
+			delivered_at = CASE WHEN ?1 IS NULL THEN ?2 ELSE delivered_at END,
+			last_error = ?1,
+			updated_at = ?2
+		WHERE id = ?3`
+	)
+		.bind(error, now, deliveryId)
+		.run();
+}
+
+/**
+ * Mark a delivery failed once its retries are exhausted
+ */
+export async function failDelivery(db, deliveryId) {
+	await db.prepare(
+		"UPDATE subscription_deliveries SET status = 'failed', updated_at = ? WHERE id = ? AND status = 'pending'"
+	)
+		.bind(Math.floor(Date.now() / 1000), deliveryId)
+		.run();
+}
+
+/**
+ * Get the delivery log of a subscription, newest first
+ */
+export async function getSubscriptionDeliveries(db, subscriptionId, limit = 50) {
+	const result = await db.prepare(
+		'SELECT * FROM subscription_deliveries WHERE subscription_id = ? ORDER BY created_at DESC, id DESC LIMIT ?'
+	)
+		.bind(subscriptionId, limit)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Get a stored email message by Message-ID
+ */
+export async function getEmailMessage(db, messageId) {
+	return db.prepare('SELECT * FROM email_messages WHERE message_id = ?')
+		.bind(messageId)
+		.first();
+}
+
+/**
+ * Find the thread of the first stored message among messageIds (nearest ancestor first)
+ * Returns the thread id, or null when none of the messages is known
+ */
+export async function findEmailThread(db, messageIds) {
+	const ids = messageIds.slice(0, 100);
+	if (ids.length === 0) return null;
+	
+	const placeholders = ids.map(() => '?').join(',');
+	const result = await db.prepare(
+		`SELECT message_id, thread_id FROM email_messages WHERE message_id IN (${placeholders})`
+	)
+		.bind(...ids)
+		.all();
+	
+	const threads = new Map((result.results || []).map(row => [row.message_id, row.thread_id]));
+	const known = ids.find(id => threads.has(id));
+	return known ? threads.get(known) : null;
+}
+
+/**
+ * Get the messages of an email thread, oldest first
+ */
+export async function getEmailThreadMessages(db, threadId) {
+	const result = await db.prepare(
+		'SELECT * FROM email_messages WHERE thread_id = ? ORDER BY sent_at ASC, created_at ASC'
+	)
+		.bind(threadId)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Store a received email message (a redelivered Message-ID is ignored)
+ */
+export async function insertEmailMessage(db, message) {
+	await db.prepare(
+		`INSERT INTO email_messages (message_id, thread_id, in_reply_to, from_address, from_name, to_address, subject, body, attachments, sent_at)
+		VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		ON CONFLICT(message_id) DO NOTHING`
+	)
+		.bind(
+			message.message_id,
+			message.thread_id,
+			message.in_reply_to ?? null,
+			message.from_address ?? null,
+			message.from_name ?? null,
+			message.to_address ?? null,
+			message.subject ?? null,
+			message.body,
+			message.attachments ?? null,
+			message.sent_at
+		)
+		.run();
+}
+
+/**
+ * Get the runtime settings of sources (source_settings rows), all of them or those named
+ */
+export async function getSourceSettings(db, sources = null) {
+	if (sources && sources.length === 0) {
+		return [];
+	}
+	
+	const where = sources ? `WHERE source IN (${sources.map(() => '?').join(', ')})` : '';
+	const result = await db.prepare(
+		`SELECT * FROM source_settings ${where} ORDER BY source`
+	)
+		.bind(...(sources || []))
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Store the runtime settings of a source (see validateSourceUpdate)
+ */
+export async function upsertSourceSettings(db, source, settings) {
+	await db.prepare(
+		`INSERT INTO source_settings (source, enabled, batch_window_seconds, batch_max_items, batch_max_in_flight, settings, updated_at)
+		VALUES (?, ?, ?, ?, ?, ?, ?)
+		ON CONFLICT(source) DO UPDATE SET
+			enabled = excluded.enabled,
+			batch_window_seconds = excluded.batch_window_seconds,
+			batch_max_items = excluded.batch_max_items,
+			batch_max_in_flight = excluded.batch_max_in_flight,
+			settings = excluded.settings,
+			updated_at = excluded.updated_at`
+	)
+		.bind(
+			source,
+			settings.enabled === false ? 0 : 1,
+			settings.batch_window_seconds ?? null,
+			settings.batch_max_items ?? null,
+			settings.batch_max_in_flight ?? null,
+			JSON.stringify(settings.settings || {}),
+			Math.floor(Date.now() / 1000)
+		)
+		.run();
+}
+
+/**
+ * Remove the runtime settings of a source, restoring its defaults
+ * Returns true if the source had settings
+ */
+export async function deleteSourceSettings(db, source) {
+	const result = await db.prepare(
+		'DELETE FROM source_settings WHERE source = ?'
+	)
+		.bind(source)
+		.run();
+	
+	return result.meta.changes > 0;
+}
+
+/**
+ * Record a delivery for an unregistered source, unless maxRows are already kept
+ * Returns the quarantine id, or null when the table is full
+ */
+export async function insertQuarantinedWebhook(db, webhook, maxRows) {
+	const result = await db.prepare(
+		`INSERT INTO quarantined_webhooks (source, payload_size, payload_sha256, headers, ip_address, created_at)
+		SELECT ?, ?, ?, ?, ?, ?
+		WHERE (SELECT COUNT(*) FROM quarantined_webhooks) < ?`
+	)
+		.bind(
+			webhook.source,
+			webhook.payloadSize,
+			webhook.payloadSha256,
+			webhook.headers ?? null,
+			webhook.ipAddress ?? null,
+			Math.floor(Date.now() / 1000),
+			maxRows
+		)
+		.run();
+	
+	return result.meta.changes > 0 ? result.meta.last_row_id : null;
+}
+
+/**
+ * Get quarantined deliveries without their headers, newest first
+ */
+export async function getQuarantinedWebhooks(db, { source } = {}, limit = 50) {
+	const where = source ? 'WHERE source = ?' : '';
+	const result = await db.prepare(
+		`SELECT id, source, payload_size, payload_sha256, ip_address, created_at
+		FROM quarantined_webhooks ${where} ORDER BY created_at DESC, id DESC LIMIT ?`
+	)
+		.bind(...(source ? [source] : []), limit)
+		.all();
+	
+	return result.results || [];
+}
+
+/**
+ * Get one quarantined delivery including its headers
+ */
+export async function getQuarantinedWebhookById(db, quarantineId) {
+	return db.prepare(
+		'SELECT * FROM quarantined_webhooks WHERE id = ?'
+	)
+		.bind(quarantineId)
+		.first();
+}
+
+/**
+ * Delete a quarantined delivery
+ * Returns true if it existed
+ */
+export async function deleteQuarantinedWebhook(db, quarantineId) {
+	const result = await db.prepare(
+		'DELETE FROM quarantined_webhooks WHERE id = ?'
+	)
+		.bind(quarantineId)
+		.run();
+	
+	return result.meta.changes > 0;
+}
@@ -0,0 +1,126 @@
+/**
+ * Inbound email (Cloudflare Email Routing)
+ *
+ * The Worker's email() handler receives raw messages, which are parsed (see mime.js) and reduced
+ * to their new text (see emailText.js); attachments are recorded as metadata only.
+ *
+ * Messages are grouped into threads with Message-ID / In-Reply-To / References: a thread is one
+ * feedback item (external id thread:<root Message-ID>) whose content lists every message, and a
+ * reply rewrites it and queues it for summarization again.
+ */
+
+import * as db from './db.js';
+import { parseMime } from './mime.js';
+import { extractMessageText } from './emailText.js';
+import { ingestItems } from './queue.js';
+import { getSourceConfig } from './sources.js';
+
+export const EMAIL_SOURCE = 'email';
+
+// Larger messages are rejected before they are read (Email Routing accepts up to 25 MiB)
+export const MAX_EMAIL_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Format a sender for thread content
+ */
+function formatSender(message) {
+	return message.from_name ? `${message.from_name} <${message.from_address}>` : message.from_address || 'unknown sender';
+}
+
+/**
+ * Build the feedback item for a thread from its messages (oldest first)
+ */
+export function buildThreadItem(threadId, messages) {
+	const [first] = messages;
+	const latest = messages[messages.length - 1];
+	const participants = [...new Set(messages.map(message => message.from_address).filter(Boolean))];
+	const attachments = messages.flatMap(message => JSON.parse(message.attachments || '[]'));
+	
+	const history = messages.map(message =>
+		`From: ${formatSender(message)} (${new Date(message.sent_at * 1000).toISOString()})\n${message.body || '(no text)'}`
+	);
+	
+	return {
+		content: `Subject: ${first.subject || 'No Subject'}\n\n${history.join('\n\n---\n\n')}`,
+		externalId: `thread:${threadId}`,
+		metadata: {
+			from: first.from_address,
+			subject: first.subject,
+			message_id: first.message_id,
+			thread_id: threadId,
+			message_count: messages.length,
+			participants,
+			last_message_id: latest.message_id,
+			last_message_at: latest.sent_at,
+			attachments
+		}
+	};
+}
+
+/**
+ * Store one raw email: record the message, then store or update its thread's feedback item
+ * Options: to - envelope recipient, now - arrival time (unix seconds)
+ * Returns the ingestPayload result plus { threadId, messageId, duplicate }
+ */
+export async function ingestEmail(env, raw, options = {}) {
+	const now = options.now ?? Math.floor(Date.now() / 1000);
+	const parsed = parseMime(raw);
+	const messageId = parsed.messageId || `generated-${crypto.randomUUID()}@feedback.invalid`;
+	
+	if (await db.getEmailMessage(env.DB, messageId)) {
+		return { source: EMAIL_SOURCE, stored: 0, updated: 0, duplicates: 1, batchId: null, alerts: 0, threadId: null, messageId, duplicate: true };
+	}
+	
+	// Thread of the nearest known ancestor; otherwise the oldest reference starts a new thread
+	const ancestors = [parsed.inReplyTo, ...[...parsed.references].reverse()].filter(Boolean);
+	const threadId = await db.findEmailThread(env.DB, ancestors) || parsed.references[0] || parsed.inReplyTo || messageId;
+	
+	const message = {
+		message_id: messageId,
+		thread_id: threadId,
+		in_reply_to: parsed.inReplyTo,
+		from_address: parsed.from?.address || null,
+		from_name: parsed.from?.name || null,
+		to_address: options.to || parsed.to[0]?.address || null,
+		subject: parsed.subject,
+		body: extractMessageText(parsed),
+		attachments: JSON.stringify(parsed.attachments.map(({ filename, content_type, size, inline }) => ({ filename, content_type, size, inline }))),
+		sent_at: parsed.date ?? now
+	};
+	
+	// The thread is rebuilt from the stored messages plus this one, so a retry after a failure
+	// below produces the same content
+	const earlier = await db.getEmailThreadMessages(env.DB, threadId);
+	const messages = [...earlier, message].sort((a, b) => a.sent_at - b.sent_at);
+	const item = { ...buildThreadItem(threadId, messages), isEdit: earlier.length > 0, requeue: true };
+	
+	const result = await ingestItems(env, EMAIL_SOURCE, [item]);
+	await db.insertEmailMessage(env.DB, message);
+	
+	return { ...result, threadId, messageId, duplicate: false };
+}
+
+/**
+ * Email Worker entry point: read the raw message and ingest it
+ * Oversized messages, and all messages while the email source is disabled, are rejected back to
+ * the sender; storage errors are thrown so the
+ * delivery fails instead of the message being dropped
+ */
+export async function receiveEmail(message, env) {
+	if (message.rawSize > MAX_EMAIL_BYTES) {
+		message.setReject(`Message is larger than ${MAX_EMAIL_BYTES / 1024 / 1024} MiB`);
+		return null;
+	}
+	
+	// Disabling the email source (/api/sources/email) also stops inbound email
+	const { enabled } = await getSourceConfig(env, EMAIL_SOURCE);
+	if (!enabled) {
+		message.setReject('Feedback email is disabled');
+		return null;
+	}
+	
+	const raw = new Uint8Array(await new Response(message.raw).arrayBuffer());
+	const result = await ingestEmail(env, raw, { to: message.to });
+	console.log(`Ingested email ${result.messageId} from ${message.from} into thread ${result.threadId}`);
+	return result;
+}
@@ -0,0 +1,123 @@
+/**
+ * Plain text of email bodies
+ *
+ * HTML-only messages are converted to text, and quoted replies ("On ... wrote:", "> " lines,
+ * Outlook headers, Gmail quote blocks) and signatures ("-- ", "Sent from my ...", short
+ * sign-offs) are stripped, so feedback holds only what the sender wrote. Used by inbound email
+ * (email.js) and the email webhook parser.
+ */
+
+// Sign-offs that start a signature when only a few short lines follow them
+const SIGN_OFF = /^(?:(?:best|kind|warm|many)\s+(?:regards|wishes)|regards|thanks|thank you|thanks again|cheers|best|sincerely),?!?$/i;
+
+// Lines that start a quoted reply; everything from here on is the previous message
+const QUOTE_MARKERS = [
+	/^On\s.+\swrote:$/,
+	/^-{2,}\s*Original Message\s*-{2,}$/i,
+	/^-{2,}\s*Forwarded message\s*-{2,}$/i,
+	/^_{10,}$/,
+	/^Am\s.+\sschrieb\s.+:$/,
+	/^Le\s.+\sa écrit\s?:$/
+];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the HTML entities left after tags are removed
+ */
+function decodeEntities(text) {
+	return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+		if (entity[0] === '#') {
+			const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+			return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+		}
+		return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+	});
+}
+
+/**
+ * Convert an HTML body to plain text
+ * Quoted replies in <blockquote>, Gmail and Outlook reply blocks are dropped
+ */
+export function htmlToText(html) {
+	let text = html
+		.replace(/<!--[\s\S]*?-->/g, '')
+		.replace(/<(script|style|head|title)\b[\s\S]*?<\/\1>/gi, '')
+		// Reply blocks run to the end of the message
+		.replace(/<div[^>]*(?:class="[^"]*gmail_quote[^"]*"|id="(?:divRplyFwdMsg|appendonsend)")[\s\S]*$/i, '');
+	
+	// Innermost quotes first, so nested blockquotes are removed completely
+	let previous;
+	do {
+		previous = text;
+		text = text.replace(/<blockquote\b[^>]*>(?:(?!<blockquote\b)[\s\S])*?<\/blockquote>/gi, '');
+	} while (text !== previous);
+	
+	// Line breaks in the markup are plain whitespace; only tags break lines
+	return decodeEntities(text
+		.replace(/\s+/g, ' ')
+		.replace(/<br\s*\/?>/gi, '\n')
+		.replace(/<li\b[^>]*>/gi, '\n- ')
+		.replace(/<\/?(?:p|div|h[1-6]|tr|ul|ol|table|section|article|header|footer)\b[^>]*>/gi, '\n')
+		.replace(/<[^>]+>/g, ''))
+		.replace(/[ \t ]+/g, ' ')
+		.replace(/ *\n */g, '\n')
+		.replace(/\n{3,}/g, '\n\n')
+		.trim();
+}
+
+/**
+ * Remove the quoted previous message from a reply
+ * Everything from the first quote marker on is dropped, as are remaining "> " lines
+ */
+export function stripQuotedReply(text) {
+	const lines = text.split(/\r?\n/);
+	const kept = [];
+	
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i].trim();
+		// Clients wrap long "On <date>, <name> wrote:" lines
+		const joined = `${line} ${(lines[i + 1] || '').trim()}`.trim();
+		const outlookHeader = /^From:\s/.test(line) && lines.slice(i + 1, i + 5).some(next => /^(Sent|Date):\s/.test(next.trim()));
+		
+		if (QUOTE_MARKERS.some(marker => marker.test(line) || marker.test(joined)) || outlookHeader) {
+			break;
+		}
+		if (!line.startsWith('>')) {
+			kept.push(lines[i]);
+		}
+	}
+	
+	return kept.join('\n').trim();
+}
+
+/**
+ * Remove the signature from a message body
+ * Cuts at the "-- " delimiter, mobile footers, or a sign-off followed by at most 4 short lines
+ */
+export function stripSignature(text) {
+	const lines = text.split('\n');
+	
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i].trim();
+		const rest = lines.slice(i + 1).filter(next => next.trim());
+		
+		if (lines[i].replace(/\r$/, '') === '-- ' || line === '--' || /^(Sent from my |Get Outlook for )/i.test(line)) {
+			return lines.slice(0, i).join('\n').trim();
+		}
+		if (i > 0 && SIGN_OFF.test(line) && rest.length <= 4 && rest.every(next => next.trim().length <= 60)) {
+			return lines.slice(0, i).join('\n').trim();
+		}
+	}
+	
+	return text.trim();
+}
+
+/**
+ * Get the new text of a message: the plain-text body (or the HTML body converted to text)
+ * without quoted replies and signature
+ */
+export function extractMessageText({ text, html }) {
+	const body = text && text.trim() ? text : htmlToText(html || '');
+	return stripSignature(stripQuotedReply(body.replace(/\r\n/g, '\n')));
+}
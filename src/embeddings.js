@@ -0,0 +1,50 @@
+/**
+ * Text embeddings through the Workers AI binding
+ *
+ * EMBEDDING_MODEL overrides the model (default @cf/baai/bge-base-en-v1.5, 768 dimensions;
+ * the Vectorize index must be created with matching dimensions).
+ */
+
+import { workersAIProvider } from './llm.js';
+import { truncateToTokens } from './chunking.js';
+
+export const DEFAULT_EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+
+// bge models accept up to 512 tokens per input
+const MAX_INPUT_TOKENS = 512;
+
+// Inputs sent per model call
+const BATCH_SIZE = 50;
+
+/**
+ * Create an embedder
+ * Options: provider (defaults to Workers AI via env.AI), same interface as the LLM client
+ */
+export function createEmbedder(env = {}, options = {}) {
+	const provider = options.provider || workersAIProvider(env.AI);
+	const model = env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+	
+	/**
+	 * Embed a list of texts, returning one vector per text
+	 */
+	async function embed(texts) {
+		const vectors = [];
+		
+		for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+			const batch = texts.slice(i, i + BATCH_SIZE).map(text => truncateToTokens(text || '', MAX_INPUT_TOKENS));
+			const response = await provider.run(model, { text: batch });
+			
+			if (!Array.isArray(response?.data) || response.data.length !== batch.length) {
+				throw new Error(`Unexpected embedding response from ${model}`);
+			}
+			vectors.push(...response.data);
+		}
+		
+		return vectors;
+	}
+	
+	return {
+		model,
+		embed
+	};
+}
@@ -0,0 +1,105 @@
+/**
+ * Raw feedback browsing
+ *
+ * Lists stored feedback with keyset (cursor) pagination. Cursors are opaque
+ * base64url strings holding the sort value and id of the last row on a page,
+ * so pages stay stable while new feedback arrives.
+ */
+
+import * as db from './db.js';
+import { parseMetadata } from './prompts.js';
+
+export const SORT_FIELDS = ['created_at', 'updated_at', 'id'];
+
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * Encode the position after a row as a cursor
+ */
+export function encodeCursor(value, id) {
+	return btoa(JSON.stringify([value, id]))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+/**
+ * Decode a cursor into { value, id } (null if it is malformed)
+ */
+export function decodeCursor(cursor) {
+	try {
+		const [value, id] = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+		if (!Number.isFinite(value) || !Number.isInteger(id)) {
+			return null;
+		}
+		return { value, id };
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Shape a feedback row for the API
+ */
+export function formatFeedback(row) {
+	return {
+		id: row.id,
+		source: row.source,
+		content: row.content,
+		metadata: parseMetadata(row.metadata),
+		external_id: row.external_id ?? null,
+		created_at: row.created_at,
+		updated_at: row.updated_at ?? null,
+		processed: row.processed === 1,
+		classification: row.category
+			? { sentiment: row.sentiment, category: row.category, urgency: row.urgency, product_area: row.product_area }
+			: null
+	};
+}
+
+/**
+ * Attach the covering source summaries to formatted feedback items
+ */
+async function withSummaries(env, items) {
+	const links = await db.getSummariesForFeedback(env.DB, items.map(item => item.id));
+	
+	return items.map(item => ({
+		...item,
+		summaries: links
+			.filter(link => link.feedback_id === item.id)
+			.map(({ feedback_id, ...summary }) => summary)
+	}));
+}
+
+/**
+ * List feedback
+ * Filters: see db.listFeedback (source, since, until, processed, author, label, priority, ...)
+ * Options: sort, order, limit, after (decoded cursor)
+ * Returns { feedback, nextCursor } where nextCursor is null on the last page
+ */
+export async function browseFeedback(env, filters = {}, options = {}) {
+	const limit = Math.max(1, Math.min(options.limit || 50, MAX_PAGE_SIZE));
+	
+	// Fetch one extra row to know whether another page exists
+	const rows = await db.listFeedback(env.DB, filters, { ...options, limit: limit + 1 });
+	const page = rows.slice(0, limit);
+	const last = page[page.length - 1];
+	
+	return {
+		feedback: await withSummaries(env, page.map(formatFeedback)),
+		nextCursor: rows.length > limit ? encodeCursor(last.sort_value, last.id) : null
+	};
+}
+
+/**
+ * Get one feedback item with its covering summaries (null if it does not exist)
+ */
+export async function getFeedbackDetail(env, feedbackId) {
+	const row = await db.getFeedbackById(env.DB, feedbackId);
+	if (!row) {
+		return null;
+	}
+	
+	const [item] = await withSummaries(env, [formatFeedback(row)]);
+	return item;
+}
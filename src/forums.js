@@ -0,0 +1,183 @@
+/**
+ * Forum engine adapters
+ *
+ * Each engine posts to its own path (/webhook/forum/<engine>) and is stored as forum feedback.
+ * An engine plugs in by adding an adapter to FORUM_ENGINES (the fields are described in
+ * sources.js): eventHeader names the header carrying the event type (passed to parse as
+ * event) and parse returns feedback items like the other webhook parsers.
+ *
+ * - discourse: topic_created, post_created and post_edited (X-Discourse-Event), for Discourse
+ *   and Discourse-based communities such as the Cloudflare Community
+ */
+
+import { htmlToText } from './emailText.js';
+
+/**
+ * Category names from DISCOURSE_CATEGORIES (JSON object of category id to name)
+ * Webhooks only carry category ids and slugs
+ */
+function discourseCategories(env) {
+	try {
+		return JSON.parse(env.DISCOURSE_CATEGORIES || '{}');
+	} catch {
+		console.error('DISCOURSE_CATEGORIES is not valid JSON');
+		return {};
+	}
+}
+
+/**
+ * Resolve the name of a category: the configured name, else the slug the payload carries
+ */
+function categoryName(categoryId, slug, env) {
+	if (categoryId === undefined || categoryId === null) {
+		return null;
+	}
+	return discourseCategories(env)[categoryId] || slug || null;
+}
+
+/**
+ * Link to a topic, or to a post within it (DISCOURSE_URL is the forum's base URL)
+ */
+function discourseUrl(env, slug, topicId, postNumber = 1) {
+	if (!env.DISCOURSE_URL) {
+		return null;
+	}
+	const base = env.DISCOURSE_URL.replace(/\/+$/, '');
+	return `${base}/t/${slug || 'topic'}/${topicId}${postNumber > 1 ? `/${postNumber}` : ''}`;
+}
+
+/**
+ * Like count of a post (newer payloads carry like_count, older ones an actions summary)
+ */
+function postLikes(post) {
+	if (typeof post.like_count === 'number') {
+		return post.like_count;
+	}
+	// Post action type 2 is a like
+	return post.actions_summary?.find(action => action.id === 2)?.count ?? 0;
+}
+
+/**
+ * Plain text of a post: its cooked HTML without quotes of other posts and link previews (oneboxes)
+ */
+function discourseText(post) {
+	if (!post.cooked) {
+		return post.raw || '';
+	}
+	return htmlToText(post.cooked.replace(/<aside\b[^>]*class="[^"]*\b(?:quote|onebox)\b[^"]*"[^>]*>[\s\S]*?<\/aside>/gi, ''));
+}
+
+// Public, regular posts only: whispers, moderator notes and small actions are not feedback
+const REGULAR_POST_TYPE = 1;
+
+/**
+ * Build the item of a Discourse topic
+ * The topic's first post becomes its body: topic_created only carries the title, and the
+ * post_created delivery for post 1 fills in the text
+ */
+function discourseTopicItem(topic, env) {
+	return {
+		content: `Topic: ${topic.title}`,
+		externalId: `discourse:topic:${topic.id}`,
+		isEdit: false,
+		metadata: {
+			engine: 'discourse',
+			topic_id: topic.id,
+			topic_title: topic.title,
+			topic_url: discourseUrl(env, topic.slug, topic.id),
+			category_id: topic.category_id ?? null,
+			category: categoryName(topic.category_id, null, env),
+			tags: (topic.tags || []).map(tag => (typeof tag === 'string' ? tag : tag.name)),
+			author: topic.created_by?.username || null,
+			engagement: {
+				views: topic.views ?? 0,
+				likes: topic.like_count ?? 0,
+				replies: topic.reply_count ?? Math.max(0, (topic.posts_count ?? 1) - 1)
+			}
+		}
+	};
+}
+
+/**
+ * Build the item of a Discourse post: the topic item for post 1, a reply item otherwise
+ * Replies are linked to their topic (topic_external_id) and to the post they answer
+ */
+function discoursePostItem(post, env, isEdit) {
+	const text = discourseText(post);
+	const base = {
+		engine: 'discourse',
+		topic_id: post.topic_id,
+		topic_title: post.topic_title,
+		category_id: post.category_id ?? null,
+		category: categoryName(post.category_id, post.category_slug, env),
+		author: post.username || null
+	};
+	const engagement = { likes: postLikes(post), reads: post.reads ?? 0, replies: post.reply_count ?? 0 };
+	
+	if (post.post_number === 1) {
+		return {
+			content: `Topic: ${post.topic_title}\n\n${text}`,
+			externalId: `discourse:topic:${post.topic_id}`,
+			// Replaces the title-only item stored for topic_created
+			isEdit: true,
+			metadata: { ...base, topic_url: discourseUrl(env, post.topic_slug, post.topic_id), post_id: post.id, engagement }
+		};
+	}
+	
+	const replyTo = post.reply_to_post_number > 1 ? `post #${post.reply_to_post_number} in ` : '';
+	return {
+		content: `Reply to ${replyTo}topic #${post.topic_id} (${post.topic_title}): ${text}`,
+		externalId: `discourse:post:${post.id}`,
+		isEdit,
+		metadata: {
+			...base,
+			topic_external_id: `discourse:topic:${post.topic_id}`,
+			post_id: post.id,
+			post_number: post.post_number,
+			reply_to_post_number: post.reply_to_post_number ?? null,
+			post_url: discourseUrl(env, post.topic_slug, post.topic_id, post.post_number),
+			engagement
+		}
+	};
+}
+
+/**
+ * Whether a Discourse post is public feedback from a community member
+ */
+function isFeedbackPost(post) {
+	return (post.post_type ?? REGULAR_POST_TYPE) === REGULAR_POST_TYPE
+		&& post.topic_archetype !== 'private_message'
+		&& !post.staff
+		&& !post.hidden
+		&& !post.deleted_at
+		&& post.user_id !== -1;
+}
+
+// One parser per X-Discourse-Event
+const DISCOURSE_EVENT_PARSERS = {
+	topic_created: ({ topic }, env) => topic && topic.archetype !== 'private_message' ? [discourseTopicItem(topic, env)] : [],
+	post_created: ({ post }, env) => post && isFeedbackPost(post) ? [discoursePostItem(post, env, false)] : [],
+	post_edited: ({ post }, env) => post && isFeedbackPost(post) ? [discoursePostItem(post, env, true)] : []
+};
+
+/**
+ * Parse a Discourse webhook
+ * The event comes from X-Discourse-Event (a payload without it is treated as a new topic or
+ * post by its shape); other events (likes, users, ...) yield no items
+ * Options: event, env (DISCOURSE_URL, DISCOURSE_CATEGORIES)
+ */
+export function parseDiscourseWebhook(payload, { event = null, env = {} } = {}) {
+	const parser = DISCOURSE_EVENT_PARSERS[event || (payload.post ? 'post_created' : payload.topic ? 'topic_created' : null)];
+	return parser ? parser(payload, env) : [];
+}
+
+// Adapters by the engine segment of /webhook/forum/<engine> (see SOURCE_ADAPTERS in sources.js)
+export const FORUM_ENGINES = {
+	discourse: {
+		name: 'discourse',
+		verification: { method: 'hub-signature', secret: 'DISCOURSE_WEBHOOK_SECRET', header: 'X-Discourse-Event-Signature' },
+		eventHeader: 'X-Discourse-Event',
+		parse: parseDiscourseWebhook,
+		settings: ['DISCOURSE_URL', 'DISCOURSE_CATEGORIES']
+	}
+};
@@ -3,19 +3,98 @@
  * 
  * Routes:
  * - POST /webhook/:source - Receive webhook data
+ * - POST /webhook/support/:vendor - Receive helpdesk webhooks (zendesk, intercom, freshdesk, jsm)
+ * - POST /webhook/forum/:engine - Receive forum engine webhooks (discourse)
  * - GET /api/summaries - Get all summaries
  * - GET /api/summaries/:source - Get summaries for a source
- * - GET /api/aggregated - Get aggregated summaries
+ * - GET /api/summaries/:id/feedback - Get the feedback a summary was generated from
+ * - GET /api/summaries/:id/versions - Get every version of a summary
+ * - POST /api/summaries/:id/resummarize - Regenerate a summary from the feedback it covered
+ * - POST /api/summaries/resummarize - Regenerate the summaries overlapping a date range
+ * - DELETE /api/summaries/:id - Soft-delete a summary
+ * - GET /api/aggregated - Get aggregated summaries (?period=day|week|month|custom, ?report_type=rollup|trend)
+ * - GET /api/aggregated/:id/sources - Get the source summaries an aggregated summary was built from
+ * - GET /api/trends - Get comparison reports (?period=day|week|month|custom)
+ * - GET /api/trends/:id - Get one comparison report
+ * - POST /api/trends - Compare a period with the previous one (or an explicit baseline)
+ * - GET /api/feedback - Browse raw feedback (cursor pagination)
+ * - GET /api/feedback/search - Search raw feedback (keyword or semantic)
+ * - GET /api/feedback/:id - Get one feedback item
+ * - GET /api/classifications - Get classified feedback filtered by labels
+ * - GET /api/themes - Get cross-source themes
+ * - GET /api/themes/:id - Get a theme with its member feedback
  * - GET /api/stats - Get statistics
+ * - GET /api/stats/timeseries - Get bucketed feedback counts and backlog metrics for charts
+ * - GET /api/batches - Get summarization batches and waiting feedback
+ * - GET /api/dead-letters - Get webhook payloads that failed ingestion
+ * - GET /api/dead-letters/:id - Get one dead letter with its payload
+ * - POST /api/dead-letters/:id/replay - Send a dead letter through ingestion again
+ * - GET /api/alerts - Get spike alerts (?status=open|acknowledged, ?kind, ?scope, ?source)
+ * - GET /api/alerts/:id - Get one alert
+ * - POST /api/alerts/:id/acknowledge - Acknowledge an alert
+ * - POST /api/alerts/detect - Run spike detection now
+ * - GET /api/subscriptions - Get summary subscriptions
+ * - POST /api/subscriptions - Create a subscription (Slack, email or signed webhook)
+ * - GET /api/subscriptions/:id - Get one subscription
+ * - PATCH /api/subscriptions/:id - Update a subscription
+ * - DELETE /api/subscriptions/:id - Delete a subscription
+ * - GET /api/subscriptions/:id/deliveries - Get a subscription's delivery log
+ * - GET /api/sources - Get the registered sources with their runtime settings
+ * - GET /api/sources/:name - Get one source or vendor (e.g. support/zendesk)
+ * - PATCH /api/sources/:name - Enable, disable or configure a source or vendor
+ * - DELETE /api/sources/:name - Restore a source's default settings
+ * - GET /api/quarantine - Get deliveries for unregistered sources
+ * - GET /api/quarantine/:id - Get one quarantined delivery with its headers
+ * - DELETE /api/quarantine/:id - Delete a quarantined delivery
  * - GET / - Serve dashboard
+ *
+ * Routes in ADMIN_ROUTES (subscriptions, dead letters, quarantine, source changes, summary
+ * deletion and re-summarization, new comparison reports, alert acknowledgement and detection)
+ * need Authorization: Bearer <ADMIN_TOKEN>.
+ *
+ * Also receives email routed to the Worker (Email Routing "Send to a Worker", see email.js).
  */
 
 import * as db from './db.js';
-import { parseWebhook } from './webhooks.js';
-import { getAggregationStats } from './aggregate.js';
+import { verifyWebhookSignature, timingSafeEqual } from './verify.js';
+import {
+	getWebhookEvent,
+	parseWebhookSource,
+	getSourceConfig,
+	validateSourceUpdate,
+	formatSource,
+	batchingOverrides,
+	quarantineWebhook,
+	SOURCE_ADAPTERS
+} from './sources.js';
+import { getAggregationStats, REPORT_TYPES } from './aggregate.js';
+import { searchFeedback, SEARCH_MODES, MAX_SEMANTIC_CANDIDATES } from './search.js';
+import { flushSource, resummarizeSummary, resummarizeRange, getBatchPolicy } from './batching.js';
+import { enqueueWebhook, handleIngestBatch, replayDeadLetter } from './queue.js';
+import { resolveAggregationPeriod } from './periods.js';
+import { runScheduledJob } from './scheduled.js';
+import { comparePeriods, resolveComparisonPeriods } from './trends.js';
+import { getTimeseries, getBacklog } from './stats.js';
+import { detectAlerts } from './alerts.js';
+import { validateSubscription, formatSubscription } from './subscriptions.js';
+import { receiveEmail } from './email.js';
+import { browseFeedback, getFeedbackDetail, formatFeedback, decodeCursor, SORT_FIELDS } from './feedback.js';
 import { FeedbackProcessingWorkflow } from './workflows/FeedbackProcessingWorkflow.js';
 import { AggregationWorkflow } from './workflows/AggregationWorkflow.js';
 
+// Routes that change configuration, replace summaries or expose raw payloads and delivery targets; they need
+// Authorization: Bearer <ADMIN_TOKEN>
+const ADMIN_ROUTES = [
+	{ pattern: /^\/api\/subscriptions(\/|$)/, methods: null },
+	{ pattern: /^\/api\/dead-letters(\/|$)/, methods: null },
+	{ pattern: /^\/api\/quarantine(\/|$)/, methods: null },
+	{ pattern: /^\/api\/sources(\/|$)/, methods: ['PATCH', 'DELETE'] },
+	{ pattern: /^\/api\/summaries\/\d+$/, methods: ['DELETE'] },
+	{ pattern: /^\/api\/summaries\/(\d+\/)?resummarize$/, methods: ['POST'] },
+	{ pattern: /^\/api\/trends$/, methods: ['POST'] },
+	{ pattern: /^\/api\/alerts\/(\d+\/acknowledge|detect)$/, methods: ['POST'] }
+];
+
 // Export workflows for registration
 export { FeedbackProcessingWorkflow } from './workflows/FeedbackProcessingWorkflow.js';
 export { AggregationWorkflow } from './workflows/AggregationWorkflow.js';
@@ -44,9 +123,21 @@ export default {
 		return new Response('Not Found', { status: 404 });
 	},
 	
-	// Cron trigger handler
+	// Cron trigger handler (one job per trigger, see scheduled.js)
 	async scheduled(event, env, ctx) {
-		ctx.waitUntil(handleCronTrigger(env));
+		ctx.waitUntil(
+			runScheduledJob(event, env).catch(error => console.error(`Scheduled job for "${event.cron}" failed:`, error))
+		);
+	},
+	
+	// Queue consumer for webhook ingestion
+	async queue(batch, env, ctx) {
+		await handleIngestBatch(batch, env);
+	},
+	
+	// Email Routing handler for inbound feedback email
+	async email(message, env, ctx) {
+		await receiveEmail(message, env);
 	}
 };
 
@@ -65,46 +156,82 @@ async function handleWebhook(request, env, ctx) {
 		return new Response('Source required', { status: 400 });
 	}
 	
+	// Only registered sources and vendors are accepted; others are rejected or quarantined
 	try {
-		const payload = await request.json();
-		
-		// Parse webhook based on source
-		const feedbackItems = parseWebhook(source, payload);
+		parseWebhookSource(source);
+	} catch (error) {
+		if (!(error instanceof RangeError)) {
+			throw error;
+		}
+		if (env.UNKNOWN_SOURCES === 'quarantine') {
+			const quarantineId = await quarantineWebhook(env, source, request);
+			if (quarantineId !== null) {
+				console.warn(`Quarantined webhook for unknown source ${source} (${quarantineId})`);
+				return jsonResponse({ success: true, quarantined: true, quarantineId }, 202);
+			}
+			console.warn(`Quarantine is full, rejecting webhook for unknown source ${source}`);
+		}
+		return jsonResponse({ success: false, error: error.message }, 404);
+	}
+	
+	const { enabled } = await getSourceConfig(env, source);
+	if (!enabled) {
+		return jsonResponse({ success: false, error: `Source ${source} is disabled` }, 403);
+	}
+	
+	// Verify the delivery before touching the payload
+	const rawBody = await request.text();
+	const verification = await verifyWebhookSignature(source, request, rawBody, env);
+	
+	if (!verification.valid) {
+		console.warn(`Rejected ${source} webhook: ${verification.reason}`);
+		ctx.waitUntil(
+			db.recordWebhookAuthFailure(
+				env.DB,
+				source,
+				verification.reason,
+				request.headers.get('CF-Connecting-IP'),
+				request.headers.get('User-Agent')
+			).catch(error => console.error('Failed to record webhook auth failure:', error))
+		);
 		
-		if (feedbackItems.length === 0) {
-			return new Response(JSON.stringify({ message: 'No feedback items extracted' }), {
-				headers: { 'Content-Type': 'application/json' }
-			});
+		return jsonResponse({ success: false, error: 'Invalid webhook signature' }, 401);
+	}
+	
+	try {
+		// Discord interaction endpoints must answer PINGs to pass their verification handshake
+		if (source.toLowerCase() === 'discord' && isDiscordPing(rawBody)) {
+			return jsonResponse({ type: 1 });
 		}
 		
-		// Trigger FeedbackProcessingWorkflow to handle storing and summarizing
-		// The workflow will handle all steps: store → summarize → mark processed
-		const workflowId = await env.FEEDBACK_WORKFLOW.run({
-			params: {
-				source,
-				feedbackItems: feedbackItems.map(item => ({
-					content: item.content,
-					metadata: item.metadata
-				}))
-			}
+		// Parsing and storage happen in the queue consumer so a downstream failure never loses the delivery
+		const { queued, deadLetterId } = await enqueueWebhook(env, source, rawBody, {
+			event: getWebhookEvent(source, request.headers)
 		});
 		
-		return new Response(JSON.stringify({
+		return jsonResponse({
 			success: true,
-			message: `Processing ${feedbackItems.length} feedback items via workflow`,
-			workflowId: workflowId.id
-		}), {
-			headers: { 'Content-Type': 'application/json' }
-		});
+			queued,
+			message: queued ? `Queued ${source} webhook for ingestion` : `Stored ${source} webhook for replay`,
+			deadLetterId
+		}, 202);
 	} catch (error) {
 		console.error('Webhook error:', error);
-		return new Response(JSON.stringify({
+		return jsonResponse({
 			success: false,
 			error: error.message
-		}), {
-			status: 500,
-			headers: { 'Content-Type': 'application/json' }
-		});
+		}, 500);
+	}
+}
+
+/**
+ * Whether a Discord delivery is an interaction PING
+ */
+function isDiscordPing(rawBody) {
+	try {
+		return JSON.parse(rawBody).type === 1;
+	} catch {
+		return false;
 	}
 }
 
@@ -114,6 +241,10 @@ async function handleWebhook(request, env, ctx) {
 async function handleAPI(request, env, url) {
 	const path = url.pathname;
 	
+	if (requiresAdmin(path, request.method) && !isAdminRequest(request, env)) {
+		return jsonResponse({ success: false, error: 'Admin token required' }, 401);
+	}
+	
 	try {
 		// GET /api/summaries
 		if (path === '/api/summaries' && request.method === 'GET') {
@@ -121,6 +252,83 @@ async function handleAPI(request, env, url) {
 			return jsonResponse({ success: true, summaries });
 		}
 		
+		// GET /api/summaries/:id/feedback
+		const summaryFeedbackMatch = path.match(/^\/api\/summaries\/(\d+)\/feedback$/);
+		if (summaryFeedbackMatch && request.method === 'GET') {
+			const summaryId = parseInt(summaryFeedbackMatch[1]);
+			const summary = await db.getSourceSummaryById(env.DB, summaryId);
+			
+			if (!summary) {
+				return jsonResponse({ success: false, error: 'Summary not found' }, 404);
+			}
+			
+			const feedback = await db.getFeedbackForSummary(env.DB, summaryId);
+			return jsonResponse({ success: true, summary, feedback: feedback.map(formatFeedback) });
+		}
+		
+		// GET /api/summaries/:id/versions
+		const summaryVersionsMatch = path.match(/^\/api\/summaries\/(\d+)\/versions$/);
+		if (summaryVersionsMatch && request.method === 'GET') {
+			const versions = await db.getSourceSummaryVersions(env.DB, parseInt(summaryVersionsMatch[1]));
+			
+			if (versions.length === 0) {
+				return jsonResponse({ success: false, error: 'Summary not found' }, 404);
+			}
+			return jsonResponse({ success: true, versions });
+		}
+		
+		// POST /api/summaries/:id/resummarize
+		const resummarizeMatch = path.match(/^\/api\/summaries\/(\d+)\/resummarize$/);
+		if (resummarizeMatch && request.method === 'POST') {
+			const result = await resummarizeSummary(env, parseInt(resummarizeMatch[1]));
+			
+			if (result.reason === 'not_found') {
+				return jsonResponse({ success: false, error: 'Summary not found' }, 404);
+			}
+			if (!result.started) {
+				return jsonResponse({ success: false, error: resummarizeError(result), ...result }, 409);
+			}
+			return jsonResponse({
+				success: true,
+				message: `Re-summarization started for summary ${result.summaryId}`,
+				...result
+			}, 202);
+		}
+		
+		// POST /api/summaries/resummarize
+		if (path === '/api/summaries/resummarize' && request.method === 'POST') {
+			const body = await request.json().catch(() => ({}));
+			const since = parseInt(body.since);
+			const until = parseInt(body.until);
+			
+			if (!Number.isFinite(since) || !Number.isFinite(until) || since > until) {
+				return jsonResponse({ success: false, error: 'since and until (unix seconds, since <= until) are required' }, 400);
+			}
+			
+			const { results, remaining } = await resummarizeRange(env, { source: body.source || undefined, since, until });
+			return jsonResponse({
+				success: true,
+				started: results.filter(result => result.started).length,
+				remaining,
+				results
+			}, 202);
+		}
+		
+		// DELETE /api/summaries/:id
+		const summaryMatch = path.match(/^\/api\/summaries\/(\d+)$/);
+		if (summaryMatch && request.method === 'DELETE') {
+			const summaryId = parseInt(summaryMatch[1]);
+			const deleted = await db.deleteSourceSummary(env.DB, summaryId);
+			
+			if (!deleted) {
+				const summary = await db.getSourceSummaryById(env.DB, summaryId);
+				return summary
+					? jsonResponse({ success: false, error: 'Summary is already deleted' }, 409)
+					: jsonResponse({ success: false, error: 'Summary not found' }, 404);
+			}
+			return jsonResponse({ success: true, message: `Deleted summary ${summaryId}` });
+		}
+		
 		// GET /api/summaries/:source
 		if (path.startsWith('/api/summaries/') && request.method === 'GET') {
 			const source = path.split('/api/summaries/')[1];
@@ -131,67 +339,502 @@ async function handleAPI(request, env, url) {
 		// GET /api/aggregated
 		if (path === '/api/aggregated' && request.method === 'GET') {
 			const limit = parseInt(url.searchParams.get('limit') || '10');
-			const summaries = await db.getLatestAggregatedSummaries(env.DB, limit);
+			const summaries = await db.getLatestAggregatedSummaries(env.DB, limit, {
+				periodType: url.searchParams.get('period'),
+				reportType: url.searchParams.get('report_type')
+			});
 			return jsonResponse({ success: true, summaries });
 		}
 		
+		// GET /api/aggregated/:id/sources
+		const aggregatedSourcesMatch = path.match(/^\/api\/aggregated\/(\d+)\/sources$/);
+		if (aggregatedSourcesMatch && request.method === 'GET') {
+			const aggregatedSummaryId = parseInt(aggregatedSourcesMatch[1]);
+			const summary = await db.getAggregatedSummaryById(env.DB, aggregatedSummaryId);
+			
+			if (!summary) {
+				return jsonResponse({ success: false, error: 'Aggregated summary not found' }, 404);
+			}
+			
+			const sources = await db.getSourcesForAggregatedSummary(env.DB, aggregatedSummaryId);
+			return jsonResponse({ success: true, summary, sources });
+		}
+		
+		// GET /api/trends
+		if (path === '/api/trends' && request.method === 'GET') {
+			const limit = Math.min(parseInt(url.searchParams.get('limit') || '10'), 100);
+			const reports = await db.getComparisonReports(env.DB, limit, {
+				periodType: url.searchParams.get('period')
+			});
+			return jsonResponse({ success: true, reports });
+		}
+		
+		// GET /api/trends/:id
+		const trendMatch = path.match(/^\/api\/trends\/(\d+)$/);
+		if (trendMatch && request.method === 'GET') {
+			const report = await db.getComparisonReportById(env.DB, parseInt(trendMatch[1]));
+			
+			if (!report) {
+				return jsonResponse({ success: false, error: 'Comparison report not found' }, 404);
+			}
+			return jsonResponse({ success: true, report });
+		}
+		
+		// POST /api/trends
+		// Body: { period, date } or { start, end } (see periods.js), plus previous_start/previous_end for an explicit baseline
+		if (path === '/api/trends' && request.method === 'POST') {
+			const { previous_start: previousStart, previous_end: previousEnd, ...body } = await request.json().catch(() => ({}));
+			
+			let periods;
+			try {
+				periods = resolveComparisonPeriods(env, { ...body, previousStart, previousEnd });
+			} catch (error) {
+				if (error instanceof RangeError) {
+					return jsonResponse({ success: false, error: error.message }, 400);
+				}
+				throw error;
+			}
+			
+			const report = await comparePeriods(env, periods.current, periods.previous);
+			return jsonResponse({ success: true, report });
+		}
+		
+		// GET /api/feedback/search
+		if (path === '/api/feedback/search' && request.method === 'GET') {
+			const params = url.searchParams;
+			const query = (params.get('q') || '').trim();
+			const mode = params.get('mode') || 'keyword';
+			
+			if (!query) {
+				return jsonResponse({ success: false, error: 'Missing search query (q)' }, 400);
+			}
+			if (!SEARCH_MODES.includes(mode)) {
+				return jsonResponse({ success: false, error: `mode must be one of ${SEARCH_MODES.join(', ')}` }, 400);
+			}
+			
+			const result = await searchFeedback(env, query, feedbackFilters(params), {
+				mode,
+				limit: parseInt(params.get('limit') || '20'),
+				offset: parseInt(params.get('offset') || '0')
+			});
+			
+			// Semantic results only come from the nearest candidateLimit vectors (see truncated)
+			const candidateLimit = mode === 'semantic' ? MAX_SEMANTIC_CANDIDATES : null;
+			return jsonResponse({ success: true, query, mode, ...result, candidateLimit });
+		}
+		
+		// GET /api/feedback
+		if (path === '/api/feedback' && request.method === 'GET') {
+			const params = url.searchParams;
+			const sort = params.get('sort') || 'created_at';
+			const order = params.get('order') || 'desc';
+			const after = params.has('cursor') ? decodeCursor(params.get('cursor')) : null;
+			
+			if (!SORT_FIELDS.includes(sort)) {
+				return jsonResponse({ success: false, error: `sort must be one of ${SORT_FIELDS.join(', ')}` }, 400);
+			}
+			if (order !== 'asc' && order !== 'desc') {
+				return jsonResponse({ success: false, error: 'order must be asc or desc' }, 400);
+			}
+			if (params.has('cursor') && !after) {
+				return jsonResponse({ success: false, error: 'Invalid cursor' }, 400);
+			}
+			
+			const result = await browseFeedback(env, feedbackFilters(params), {
+				sort,
+				order,
+				after,
+				limit: parseInt(params.get('limit') || '50')
+			});
+			return jsonResponse({ success: true, ...result });
+		}
+		
+		// GET /api/feedback/:id
+		if (path.startsWith('/api/feedback/') && request.method === 'GET') {
+			const feedbackId = parseInt(path.split('/api/feedback/')[1]);
+			const feedback = Number.isInteger(feedbackId) ? await getFeedbackDetail(env, feedbackId) : null;
+			
+			if (!feedback) {
+				return jsonResponse({ success: false, error: 'Feedback not found' }, 404);
+			}
+			return jsonResponse({ success: true, feedback });
+		}
+		
+		// GET /api/classifications
+		if (path === '/api/classifications' && request.method === 'GET') {
+			const params = url.searchParams;
+			const number = (name) => params.has(name) ? parseFloat(params.get(name)) : undefined;
+			const feedback = await db.getClassifiedFeedback(env.DB, {
+				source: params.get('source') || undefined,
+				category: params.get('category') || undefined,
+				urgency: params.get('urgency') || undefined,
+				productArea: params.get('product_area') || undefined,
+				minSentiment: number('min_sentiment'),
+				maxSentiment: number('max_sentiment')
+			}, Math.min(parseInt(params.get('limit') || '50'), 200));
+			return jsonResponse({ success: true, feedback });
+		}
+		
+		// GET /api/themes
+		if (path === '/api/themes' && request.method === 'GET') {
+			const themes = await db.getThemes(env.DB, {
+				since: parseInt(url.searchParams.get('since') || '0'),
+				until: parseInt(url.searchParams.get('until') || String(Math.floor(Date.now() / 1000))),
+				limit: Math.min(parseInt(url.searchParams.get('limit') || '20'), 100)
+			});
+			return jsonResponse({ success: true, themes });
+		}
+		
+		// GET /api/themes/:id
+		if (path.startsWith('/api/themes/') && request.method === 'GET') {
+			const themeId = parseInt(path.split('/api/themes/')[1]);
+			const theme = Number.isInteger(themeId) ? await db.getThemeById(env.DB, themeId) : null;
+			
+			if (!theme) {
+				return jsonResponse({ success: false, error: 'Theme not found' }, 404);
+			}
+			
+			const limit = Math.min(parseInt(url.searchParams.get('limit') || '50'), 200);
+			const members = await db.getThemeMembers(env.DB, themeId, limit);
+			return jsonResponse({ success: true, theme, members });
+		}
+		
 		// GET /api/stats
 		if (path === '/api/stats' && request.method === 'GET') {
 			const stats = await getAggregationStats(env);
 			return jsonResponse(stats);
 		}
 		
+		// GET /api/stats/timeseries
+		// ?bucket=hour|day|week&since=&until= (unix seconds)
+		if (path === '/api/stats/timeseries' && request.method === 'GET') {
+			const params = url.searchParams;
+			const number = (name) => params.has(name) ? Number(params.get(name)) : undefined;
+			
+			let timeseries;
+			try {
+				timeseries = await getTimeseries(env, {
+					bucket: params.get('bucket') || 'day',
+					since: number('since'),
+					until: number('until')
+				});
+			} catch (error) {
+				if (error instanceof RangeError) {
+					return jsonResponse({ success: false, error: error.message }, 400);
+				}
+				throw error;
+			}
+			
+			const backlog = await getBacklog(env);
+			return jsonResponse({ success: true, ...timeseries, backlog });
+		}
+		
 		// POST /api/aggregate (manual trigger - uses AggregationWorkflow)
+		// Body: { period, date } or { start, end } or { days } (see periods.js), plus report_type and include_previous
 		if (path === '/api/aggregate' && request.method === 'POST') {
-			const body = await request.json().catch(() => ({}));
-			const days = parseInt(body.days || '7');
+			const { report_type: reportType = 'rollup', include_previous: includePrevious = false, ...body } = await request.json().catch(() => ({}));
+			
+			if (!REPORT_TYPES.includes(reportType)) {
+				return jsonResponse({ success: false, error: `report_type must be one of ${REPORT_TYPES.join(', ')}` }, 400);
+			}
+			
+			let period;
+			try {
+				period = resolveAggregationPeriod(env, body);
+			} catch (error) {
+				if (error instanceof RangeError) {
+					return jsonResponse({ success: false, error: error.message }, 400);
+				}
+				throw error;
+			}
 			
 			const workflowId = await env.AGGREGATION_WORKFLOW.run({
-				params: { days }
+				params: { period, reportType, includePrevious: includePrevious === true }
 			});
 			
 			return jsonResponse({
 				success: true,
-				message: 'Aggregation workflow started',
+				message: `Aggregation workflow started for ${period.type} ${period.key}`,
+				period,
+				reportType,
 				workflowId: workflowId.id
 			});
 		}
 		
-		// POST /api/summarize/:source (manual trigger - uses FeedbackProcessingWorkflow)
-		if (path.startsWith('/api/summarize/') && request.method === 'POST') {
-			const source = path.split('/api/summarize/')[1];
+		// GET /api/dead-letters
+		if (path === '/api/dead-letters' && request.method === 'GET') {
+			const params = url.searchParams;
+			const deadLetters = await db.getDeadLetters(env.DB, {
+				source: params.get('source') || undefined,
+				stage: params.get('stage') || undefined,
+				includeReplayed: params.get('include_replayed') === 'true'
+			}, Math.min(parseInt(params.get('limit') || '50'), 200));
+			return jsonResponse({ success: true, deadLetters });
+		}
+		
+		// GET /api/dead-letters/:id
+		const deadLetterMatch = path.match(/^\/api\/dead-letters\/(\d+)$/);
+		if (deadLetterMatch && request.method === 'GET') {
+			const deadLetter = await db.getDeadLetterById(env.DB, parseInt(deadLetterMatch[1]));
+			
+			if (!deadLetter) {
+				return jsonResponse({ success: false, error: 'Dead letter not found' }, 404);
+			}
+			return jsonResponse({ success: true, deadLetter });
+		}
+		
+		// POST /api/dead-letters/:id/replay
+		const replayMatch = path.match(/^\/api\/dead-letters\/(\d+)\/replay$/);
+		if (replayMatch && request.method === 'POST') {
+			const { replayed, deadLetter } = await replayDeadLetter(env, parseInt(replayMatch[1]));
+			
+			if (!deadLetter) {
+				return jsonResponse({ success: false, error: 'Dead letter not found' }, 404);
+			}
+			return jsonResponse({
+				success: true,
+				replayed,
+				message: `Re-queued ${deadLetter.source} payload from dead letter ${deadLetter.id}`
+			});
+		}
+		
+		// GET /api/alerts
+		if (path === '/api/alerts' && request.method === 'GET') {
+			const params = url.searchParams;
+			const alerts = await db.getAlerts(env.DB, {
+				status: params.get('status') || undefined,
+				kind: params.get('kind') || undefined,
+				scope: params.get('scope') || undefined,
+				source: params.get('source') || undefined
+			}, Math.min(parseInt(params.get('limit') || '50'), 200));
+			return jsonResponse({ success: true, alerts });
+		}
+		
+		// GET /api/alerts/:id
+		const alertMatch = path.match(/^\/api\/alerts\/(\d+)$/);
+		if (alertMatch && request.method === 'GET') {
+			const alert = await db.getAlertById(env.DB, parseInt(alertMatch[1]));
+			
+			if (!alert) {
+				return jsonResponse({ success: false, error: 'Alert not found' }, 404);
+			}
+			return jsonResponse({ success: true, alert });
+		}
+		
+		// POST /api/alerts/:id/acknowledge
+		// Body (optional): { by } - who acknowledged it
+		const acknowledgeMatch = path.match(/^\/api\/alerts\/(\d+)\/acknowledge$/);
+		if (acknowledgeMatch && request.method === 'POST') {
+			const alertId = parseInt(acknowledgeMatch[1]);
 			const body = await request.json().catch(() => ({}));
-			const days = parseInt(body.days || '1');
+			const acknowledged = await db.acknowledgeAlert(env.DB, alertId, body.by || null);
 			
-			// Fetch unprocessed feedback for this source
-			const cutoffTime = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
-			const feedbackItems = await db.getUnprocessedFeedback(env.DB, source, 100);
-			const recentFeedback = feedbackItems.filter(f => f.created_at >= cutoffTime);
+			if (!acknowledged) {
+				const alert = await db.getAlertById(env.DB, alertId);
+				return alert
+					? jsonResponse({ success: false, error: 'Alert is already acknowledged' }, 409)
+					: jsonResponse({ success: false, error: 'Alert not found' }, 404);
+			}
+			return jsonResponse({ success: true, alert: await db.getAlertById(env.DB, alertId) });
+		}
+		
+		// POST /api/alerts/detect (manual trigger - same check as the scheduled job)
+		if (path === '/api/alerts/detect' && request.method === 'POST') {
+			const { fired, suppressed } = await detectAlerts(env);
+			return jsonResponse({ success: true, fired, suppressed });
+		}
+		
+		// GET /api/subscriptions
+		if (path === '/api/subscriptions' && request.method === 'GET') {
+			const subscriptions = await db.getSubscriptions(env.DB);
+			return jsonResponse({ success: true, subscriptions: subscriptions.map(row => formatSubscription(row)) });
+		}
+		
+		// POST /api/subscriptions
+		// Body: { name, channel, target, secret, period_type, report_type, include_source_summaries, source, enabled }
+		// The response includes the signing secret of webhook subscriptions; it is not shown again
+		if (path === '/api/subscriptions' && request.method === 'POST') {
+			const body = await request.json().catch(() => ({}));
 			
-			if (recentFeedback.length === 0) {
-				return jsonResponse({
-					success: true,
-					message: `No unprocessed feedback for ${source}`
-				});
+			let subscription;
+			try {
+				subscription = validateSubscription(body);
+			} catch (error) {
+				if (error instanceof RangeError) {
+					return jsonResponse({ success: false, error: error.message }, 400);
+				}
+				throw error;
+			}
+			
+			const subscriptionId = await db.createSubscription(env.DB, subscription);
+			const created = await db.getSubscriptionById(env.DB, subscriptionId);
+			return jsonResponse({ success: true, subscription: formatSubscription(created, { revealSecret: true }) }, 201);
+		}
+		
+		// GET /api/subscriptions/:id/deliveries
+		const deliveriesMatch = path.match(/^\/api\/subscriptions\/(\d+)\/deliveries$/);
+		if (deliveriesMatch && request.method === 'GET') {
+			const subscriptionId = parseInt(deliveriesMatch[1]);
+			const subscription = await db.getSubscriptionById(env.DB, subscriptionId);
+			
+			if (!subscription) {
+				return jsonResponse({ success: false, error: 'Subscription not found' }, 404);
+			}
+			
+			const deliveries = await db.getSubscriptionDeliveries(env.DB, subscriptionId, Math.min(parseInt(url.searchParams.get('limit') || '50'), 200));
+			return jsonResponse({ success: true, subscription: formatSubscription(subscription), deliveries });
+		}
+		
+		// GET, PATCH, DELETE /api/subscriptions/:id
+		const subscriptionMatch = path.match(/^\/api\/subscriptions\/(\d+)$/);
+		if (subscriptionMatch) {
+			const subscriptionId = parseInt(subscriptionMatch[1]);
+			
+			if (request.method === 'DELETE') {
+				const deleted = await db.deleteSubscription(env.DB, subscriptionId);
+				return deleted
+					? jsonResponse({ success: true, message: `Deleted subscription ${subscriptionId}` })
+					: jsonResponse({ success: false, error: 'Subscription not found' }, 404);
+			}
+			
+			const existing = await db.getSubscriptionById(env.DB, subscriptionId);
+			if (!existing) {
+				return jsonResponse({ success: false, error: 'Subscription not found' }, 404);
 			}
 			
-			const workflowId = await env.FEEDBACK_WORKFLOW.run({
-				params: {
-					source,
-					feedbackItems: recentFeedback.map(item => ({
-						content: item.content,
-						metadata: typeof item.metadata === 'string' 
-							? JSON.parse(item.metadata) 
-							: item.metadata
-					}))
+			if (request.method === 'GET') {
+				return jsonResponse({ success: true, subscription: formatSubscription(existing) });
+			}
+			
+			// Body: any fields of POST /api/subscriptions; omitted fields keep their value
+			if (request.method === 'PATCH') {
+				const body = await request.json().catch(() => ({}));
+				
+				let subscription;
+				try {
+					subscription = validateSubscription(body, existing);
+				} catch (error) {
+					if (error instanceof RangeError) {
+						return jsonResponse({ success: false, error: error.message }, 400);
+					}
+					throw error;
 				}
-			});
+				
+				await db.updateSubscription(env.DB, subscriptionId, subscription);
+				const updated = await db.getSubscriptionById(env.DB, subscriptionId);
+				return jsonResponse({ success: true, subscription: formatSubscription(updated, { revealSecret: updated.secret !== existing.secret }) });
+			}
+		}
+		
+		// GET /api/sources
+		if (path === '/api/sources' && request.method === 'GET') {
+			const rows = await db.getSourceSettings(env.DB);
+			return jsonResponse({ success: true, sources: Object.keys(SOURCE_ADAPTERS).map(name => describeSource(env, name, rows)) });
+		}
+		
+		// GET, PATCH, DELETE /api/sources/:name (a source such as github, or a vendor such as support/zendesk)
+		const sourceMatch = path.match(/^\/api\/sources\/([\w-]+(?:\/[\w-]+)?)$/);
+		if (sourceMatch) {
+			const name = sourceMatch[1].toLowerCase();
+			try {
+				parseWebhookSource(name);
+			} catch (error) {
+				if (error instanceof RangeError) {
+					return jsonResponse({ success: false, error: error.message }, 404);
+				}
+				throw error;
+			}
+			
+			if (request.method === 'GET') {
+				const rows = await db.getSourceSettings(env.DB);
+				return jsonResponse({ success: true, source: describeSource(env, name, rows) });
+			}
+			
+			// Body: { enabled, batching: { window_seconds, max_items, max_in_flight }, settings: { NAME: value } }
+			// Omitted fields keep their value; null resets a batching field or setting to its default
+			if (request.method === 'PATCH') {
+				const body = await request.json().catch(() => ({}));
+				const [existing] = await db.getSourceSettings(env.DB, [name]);
+				
+				let update;
+				try {
+					update = validateSourceUpdate(name, body, existing);
+				} catch (error) {
+					if (error instanceof RangeError) {
+						return jsonResponse({ success: false, error: error.message }, 400);
+					}
+					throw error;
+				}
+				
+				await db.upsertSourceSettings(env.DB, name, update);
+				const rows = await db.getSourceSettings(env.DB);
+				return jsonResponse({ success: true, source: describeSource(env, name, rows) });
+			}
+			
+			if (request.method === 'DELETE') {
+				await db.deleteSourceSettings(env.DB, name);
+				const rows = await db.getSourceSettings(env.DB);
+				return jsonResponse({ success: true, message: `Restored the default settings of ${name}`, source: describeSource(env, name, rows) });
+			}
+		}
+		
+		// GET /api/quarantine
+		if (path === '/api/quarantine' && request.method === 'GET') {
+			const webhooks = await db.getQuarantinedWebhooks(env.DB, {
+				source: url.searchParams.get('source') || undefined
+			}, Math.min(parseInt(url.searchParams.get('limit') || '50'), 200));
+			return jsonResponse({ success: true, webhooks });
+		}
+		
+		// GET, DELETE /api/quarantine/:id
+		const quarantineMatch = path.match(/^\/api\/quarantine\/(\d+)$/);
+		if (quarantineMatch) {
+			const quarantineId = parseInt(quarantineMatch[1]);
+			
+			if (request.method === 'GET') {
+				const webhook = await db.getQuarantinedWebhookById(env.DB, quarantineId);
+				if (!webhook) {
+					return jsonResponse({ success: false, error: 'Quarantined webhook not found' }, 404);
+				}
+				return jsonResponse({ success: true, webhook: { ...webhook, headers: JSON.parse(webhook.headers || '{}') } });
+			}
+			
+			if (request.method === 'DELETE') {
+				const deleted = await db.deleteQuarantinedWebhook(env.DB, quarantineId);
+				return deleted
+					? jsonResponse({ success: true, message: `Deleted quarantined webhook ${quarantineId}` })
+					: jsonResponse({ success: false, error: 'Quarantined webhook not found' }, 404);
+			}
+		}
+		
+		// GET /api/batches
+		if (path === '/api/batches' && request.method === 'GET') {
+			const source = url.searchParams.get('source');
+			const [batches, pending] = await Promise.all([
+				db.getFeedbackBatches(env.DB, source, Math.min(parseInt(url.searchParams.get('limit') || '50'), 200)),
+				db.getPendingFeedbackStats(env.DB, source)
+			]);
+			return jsonResponse({ success: true, batches, pending });
+		}
+		
+		// POST /api/summarize/:source (manual trigger - starts a batch without waiting for the window)
+		if (path.startsWith('/api/summarize/') && request.method === 'POST') {
+			const source = path.split('/api/summarize/')[1];
+			const batch = await flushSource(env, source, { force: true });
+			
+			if (!batch.started) {
+				const message = batch.reason === 'batch_in_flight'
+					? `A batch for ${source} is already running`
+					: `No unprocessed feedback for ${source}`;
+				return jsonResponse({ success: true, message, reason: batch.reason });
+			}
 			
 			return jsonResponse({
 				success: true,
 				message: `Summarization workflow started for ${source}`,
-				workflowId: workflowId.id,
-				feedbackCount: recentFeedback.length
+				batchId: batch.batchId,
+				workflowId: batch.workflowId,
+				feedbackCount: batch.itemCount
 			});
 		}
 		
@@ -222,23 +865,74 @@ async function handleStaticAssets(request, env) {
 }
 
 /**
- * Handle cron trigger - triggers AggregationWorkflow
+ * Whether a route is one of ADMIN_ROUTES
  */
-async function handleCronTrigger(env) {
-	try {
-		console.log('Running scheduled aggregation workflow...');
-		
-		// Trigger aggregation workflow for the last 7 days
-		const workflowId = await env.AGGREGATION_WORKFLOW.run({
-			params: { days: 7 }
-		});
-		
-		console.log('Aggregation workflow started:', workflowId.id);
-	} catch (error) {
-		console.error('Cron trigger error:', error);
+function requiresAdmin(path, method) {
+	return ADMIN_ROUTES.some(route => route.pattern.test(path) && (!route.methods || route.methods.includes(method)));
+}
+
+/**
+ * Check the request's bearer token against the ADMIN_TOKEN secret
+ * Without the secret every admin request is refused
+ */
+function isAdminRequest(request, env) {
+	const [scheme, token] = (request.headers.get('Authorization') || '').split(' ');
+	if (!env.ADMIN_TOKEN || scheme !== 'Bearer' || !token) {
+		return false;
+	}
+	
+	const encoder = new TextEncoder();
+	return timingSafeEqual(encoder.encode(token), encoder.encode(env.ADMIN_TOKEN));
+}
+
+/**
+ * Explain why a re-summarization did not start
+ */
+function resummarizeError({ reason, status }) {
+	switch (reason) {
+		case 'not_active':
+			return `Only active summaries can be re-summarized (this one is ${status})`;
+		case 'in_progress':
+			return 'This summary is already being re-summarized';
+		default:
+			return 'The summary has no feedback left to re-summarize';
 	}
 }
 
+/**
+ * Describe a registered source with its stored settings and, for plain sources, the batching
+ * policy in effect (rows are all source_settings rows, so vendors are described too)
+ */
+function describeSource(env, name, rows) {
+	const row = rows.find(setting => setting.source === name) ?? null;
+	const { vendor } = parseWebhookSource(name);
+	return formatSource(name, row, {
+		policy: vendor ? null : getBatchPolicy(env, name, batchingOverrides(row)),
+		vendorRows: rows
+	});
+}
+
+/**
+ * Read the feedback filters shared by the browse and search endpoints
+ */
+function feedbackFilters(params) {
+	const number = (name) => params.has(name) ? parseInt(params.get(name)) : undefined;
+	const processed = params.get('processed');
+	
+	return {
+		source: params.get('source') || undefined,
+		since: number('since'),
+		until: number('until'),
+		processed: processed === null ? undefined : processed === 'true' || processed === '1',
+		category: params.get('category') || undefined,
+		urgency: params.get('urgency') || undefined,
+		productArea: params.get('product_area') || undefined,
+		author: params.get('author') || undefined,
+		label: params.get('label') || undefined,
+		priority: params.get('priority') || undefined
+	};
+}
+
 /**
  * Helper to create JSON responses
  */
@@ -0,0 +1,49 @@
+/**
+ * Feedback ingestion
+ *
+ * Webhooks only store feedback; summarization happens later in batches (see batching.js).
+ */
+
+import * as db from './db.js';
+
+/**
+ * Store parsed feedback items for a source
+ * Redelivered items are skipped and edits update the existing row in place; edits flagged
+ * requeue are summarized again
+ * Returns { feedbackIds, inserted, updated, requeued, duplicates } (feedbackIds are the newly inserted rows)
+ */
+export async function storeFeedbackItems(env, source, feedbackItems) {
+	const feedbackIds = [];
+	let updated = 0;
+	let requeued = 0;
+	let duplicates = 0;
+	
+	for (const item of feedbackItems) {
+		const { id, status } = await db.upsertFeedback(env.DB, source, {
+			content: item.content,
+			metadata: item.metadata,
+			externalId: item.externalId,
+			isEdit: item.isEdit || false,
+			requeue: item.requeue || false
+		});
+		
+		if (status === 'inserted') {
+			feedbackIds.push(id);
+		} else if (status === 'updated') {
+			updated++;
+			if (item.requeue) {
+				requeued++;
+			}
+		} else {
+			duplicates++;
+		}
+	}
+	
+	return {
+		feedbackIds,
+		inserted: feedbackIds.length,
+		updated,
+		requeued,
+		duplicates
+	};
+}
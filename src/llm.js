@@ -0,0 +1,227 @@
+/**
+ * Shared LLM client for all summarization tasks
+ *
+ * Every Workers AI call goes through createLLMClient so model selection,
+ * generation parameters, response parsing and retries live in one place.
+ * Per-task settings can be overridden with env vars:
+ * - LLM_MODEL: default model for every task
+ * - LLM_<TASK>_MODEL, LLM_<TASK>_TEMPERATURE, LLM_<TASK>_MAX_TOKENS
+ * - LLM_MAX_RETRIES, LLM_RETRY_BASE_MS
+ * - LLM_JSON_REPAIR_ATTEMPTS: follow-up calls allowed to fix malformed JSON
+ */
+
+import { parseJSONFromText } from './structured.js';
+
+export const DEFAULT_MODEL = '@cf/meta/llama-3.1-8b-instruct';
+
+/**
+ * Default generation settings per task
+ */
+export const TASK_DEFAULTS = {
+	summarize: { maxTokens: 1000, temperature: 0.7 },
+	aggregate: { maxTokens: 1500, temperature: 0.7 },
+	classify: { maxTokens: 1000, temperature: 0.1 },
+	compare: { maxTokens: 1000, temperature: 0.3 }
+};
+
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+const DEFAULT_JSON_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Error raised when the model call fails or returns nothing usable
+ */
+export class LLMError extends Error {
+	constructor(message, { task, transient = false, cause } = {}) {
+		super(message);
+		this.name = 'LLMError';
+		this.task = task;
+		this.transient = transient;
+		this.cause = cause;
+	}
+}
+
+/**
+ * Provider backed by the Workers AI binding
+ * A provider is any object with run(model, inputs) returning the raw model response
+ */
+export function workersAIProvider(ai) {
+	return {
+		name: 'workers-ai',
+		run: (model, inputs) => ai.run(model, inputs)
+	};
+}
+
+/**
+ * Deterministic provider for tests and offline runs
+ * respond(inputs, call) returns the text (or raw response) for each call; a thrown error is propagated
+ */
+export function createFakeProvider(respond = () => 'Fake summary') {
+	const calls = [];
+	return {
+		name: 'fake',
+		calls,
+		async run(model, inputs) {
+			const call = { model, inputs };
+			calls.push(call);
+			const output = await respond(inputs, call);
+			return typeof output === 'string' ? { response: output } : output;
+		}
+	};
+}
+
+/**
+ * Resolve model and generation parameters for a task from env vars
+ */
+export function getTaskConfig(env = {}, task) {
+	const defaults = TASK_DEFAULTS[task] || TASK_DEFAULTS.summarize;
+	const prefix = `LLM_${task.toUpperCase()}`;
+	
+	const number = (value, fallback) => {
+		const parsed = parseFloat(value);
+		return Number.isFinite(parsed) ? parsed : fallback;
+	};
+	
+	return {
+		model: env[`${prefix}_MODEL`] || env.LLM_MODEL || DEFAULT_MODEL,
+		temperature: number(env[`${prefix}_TEMPERATURE`], defaults.temperature),
+		maxTokens: Math.round(number(env[`${prefix}_MAX_TOKENS`], defaults.maxTokens))
+	};
+}
+
+/**
+ * Pull the generated text out of the different response shapes models return
+ */
+export function extractResponseText(response) {
+	if (typeof response === 'string') {
+		return response;
+	}
+	if (response && typeof response.response === 'string') {
+		return response.response;
+	}
+	if (response?.choices?.[0]?.message?.content) {
+		return response.choices[0].message.content;
+	}
+	if (response?.result && typeof response.result.response === 'string') {
+		return response.result.response;
+	}
+	return null;
+}
+
+/**
+ * Whether an error from the provider is worth retrying
+ */
+export function isTransientError(error) {
+	const status = error?.status ?? error?.statusCode;
+	if (status === 429 || (status >= 500 && status < 600)) {
+		return true;
+	}
+	return /timed? ?out|rate limit|too many requests|capacity|overloaded|temporar|network|unavailable|\b5\d\d\b|\b429\b/i.test(
+		error?.message || ''
+	);
+}
+
+/**
+ * Create an LLM client
+ * Options: provider (defaults to Workers AI via env.AI), sleep (override for tests)
+ */
+export function createLLMClient(env = {}, options = {}) {
+	const provider = options.provider || workersAIProvider(env.AI);
+	const sleep = options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+	const maxRetries = Math.max(0, parseInt(env.LLM_MAX_RETRIES ?? DEFAULT_MAX_RETRIES, 10) || 0);
+	const retryBaseMs = parseInt(env.LLM_RETRY_BASE_MS ?? DEFAULT_RETRY_BASE_MS, 10) || 0;
+	const jsonRepairAttempts = Math.max(0, parseInt(env.LLM_JSON_REPAIR_ATTEMPTS ?? DEFAULT_JSON_REPAIR_ATTEMPTS, 10) || 0);
+	
+	/**
+	 * Run a chat completion for a task and return the generated text
+	 */
+	async function complete(task, { system, prompt, messages }) {
+		const config = getTaskConfig(env, task);
+		const inputs = {
+			messages: messages || [
+				{ role: 'system', content: system },
+				{ role: 'user', content: prompt }
+			],
+			max_tokens: config.maxTokens,
+			temperature: config.temperature
+		};
+		
+		let lastError;
+		for (let attempt = 0; attempt <= maxRetries; attempt++) {
+			try {
+				const response = await provider.run(config.model, inputs);
+				const text = extractResponseText(response);
+				
+				if (!text || !text.trim()) {
+					throw new LLMError(`Empty or unrecognized response from ${config.model}`, { task });
+				}
+				return text.trim();
+			} catch (error) {
+				const transient = !(error instanceof LLMError) && isTransientError(error);
+				lastError = error;
+				
+				if (!transient || attempt === maxRetries) {
+					break;
+				}
+				
+				// Exponential backoff with jitter
+				const delay = retryBaseMs * 2 ** attempt + Math.floor(Math.random() * retryBaseMs);
+				console.warn(`LLM ${task} attempt ${attempt + 1} failed (${error.message}), retrying in ${delay}ms`);
+				await sleep(delay);
+			}
+		}
+		
+		if (lastError instanceof LLMError) {
+			throw lastError;
+		}
+		throw new LLMError(`LLM ${task} failed: ${lastError.message}`, {
+			task,
+			transient: isTransientError(lastError),
+			cause: lastError
+		});
+	}
+	
+	/**
+	 * Run a completion that must return JSON
+	 * validate(data) returns { valid, errors, value }; invalid output is sent back to the model
+	 * with the errors for repair before giving up
+	 */
+	async function completeJSON(task, { system, prompt }, validate = (data) => ({ valid: true, errors: [], value: data })) {
+		const messages = [
+			{ role: 'system', content: system },
+			{ role: 'user', content: prompt }
+		];
+		
+		let errors = [];
+		for (let attempt = 0; attempt <= jsonRepairAttempts; attempt++) {
+			const text = await complete(task, { messages });
+			
+			try {
+				const result = validate(parseJSONFromText(text));
+				if (result.valid) {
+					return result.value;
+				}
+				errors = result.errors;
+			} catch (error) {
+				errors = [`Invalid JSON: ${error.message}`];
+			}
+			
+			console.warn(`LLM ${task} returned malformed JSON (attempt ${attempt + 1}): ${errors.join('; ')}`);
+			messages.push(
+				{ role: 'assistant', content: text },
+				{
+					role: 'user',
+					content: `Your previous response was not valid. Problems:\n- ${errors.join('\n- ')}\n\nRespond again with only the corrected JSON object, no other text.`
+				}
+			);
+		}
+		
+		throw new LLMError(`LLM ${task} did not return valid JSON: ${errors.join('; ')}`, { task });
+	}
+	
+	return {
+		provider,
+		complete,
+		completeJSON
+	};
+}
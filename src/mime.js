@@ -0,0 +1,297 @@
+/**
+ * MIME parsing for inbound email (RFC 5322, RFC 2045-2047, RFC 2231)
+ *
+ * Handles nested multipart bodies, base64 and quoted-printable transfer encodings, charsets
+ * (decoded with TextDecoder, falling back to UTF-8 for labels it does not know) and
+ * encoded-word headers. Attachments are described, not kept: only their name, type and size
+ * are returned.
+ */
+
+const decoderCache = new Map();
+
+/**
+ * Convert bytes to a string with one character per byte, so MIME structure can be parsed
+ * before any charset is applied
+ */
+function toBinaryString(bytes) {
+	let result = '';
+	for (let i = 0; i < bytes.length; i += 8192) {
+		result += String.fromCharCode(...bytes.subarray(i, i + 8192));
+	}
+	return result;
+}
+
+/**
+ * Convert a one-character-per-byte string back to bytes
+ */
+function toBytes(binary) {
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i) & 0xff;
+	}
+	return bytes;
+}
+
+/**
+ * Decode bytes in a charset (UTF-8 when the charset is missing or unsupported)
+ */
+export function decodeCharset(bytes, charset = 'utf-8') {
+	const label = (charset || 'utf-8').toLowerCase().trim();
+	if (!decoderCache.has(label)) {
+		let decoder;
+		try {
+			decoder = new TextDecoder(label);
+		} catch {
+			decoder = new TextDecoder('utf-8');
+		}
+		decoderCache.set(label, decoder);
+	}
+	return decoderCache.get(label).decode(bytes);
+}
+
+/**
+ * Decode a quoted-printable body to bytes
+ */
+function decodeQuotedPrintable(binary) {
+	const text = binary.replace(/=\r?\n/g, '');
+	const bytes = [];
+	for (let i = 0; i < text.length; i++) {
+		if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.substr(i + 1, 2))) {
+			bytes.push(parseInt(text.substr(i + 1, 2), 16));
+			i += 2;
+		} else {
+			bytes.push(text.charCodeAt(i) & 0xff);
+		}
+	}
+	return new Uint8Array(bytes);
+}
+
+/**
+ * Decode a base64 body to bytes (whitespace and invalid characters are ignored)
+ */
+function decodeBase64(binary) {
+	const clean = binary.replace(/[^A-Za-z0-9+/]/g, '');
+	const padded = clean + '='.repeat((4 - (clean.length % 4)) % 4);
+	try {
+		return toBytes(atob(padded));
+	} catch {
+		return new Uint8Array(0);
+	}
+}
+
+/**
+ * Decode a part body according to its Content-Transfer-Encoding
+ */
+function decodeTransfer(binary, encoding) {
+	switch ((encoding || '').toLowerCase().trim()) {
+		case 'base64':
+			return decodeBase64(binary);
+		case 'quoted-printable':
+			return decodeQuotedPrintable(binary);
+		default:
+			return toBytes(binary);
+	}
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?charset?B|Q?text?=) in a header value
+ * Whitespace between adjacent encoded words is dropped, as the RFC requires
+ */
+export function decodeHeader(value) {
+	return value
+		.replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?[^?]+\?[BbQq]\?[^?]*\?=)/g, '$1')
+		.replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+			const bytes = encoding.toUpperCase() === 'B'
+				? decodeBase64(text)
+				: decodeQuotedPrintable(text.replace(/_/g, ' '));
+			return decodeCharset(bytes, charset);
+		});
+}
+
+/**
+ * Parse a header block into { name: [values] } (names lowercased, folded lines joined)
+ * Raw 8-bit header bytes are read as UTF-8 (RFC 6532)
+ */
+function parseHeaderBlock(block) {
+	const headers = {};
+	const unfolded = block.replace(/\r?\n[ \t]+/g, ' ');
+	
+	for (const line of unfolded.split(/\r?\n/)) {
+		const colon = line.indexOf(':');
+		if (colon <= 0) {
+			continue;
+		}
+		
+		const name = line.slice(0, colon).trim().toLowerCase();
+		const value = decodeCharset(toBytes(line.slice(colon + 1).trim()));
+		(headers[name] = headers[name] || []).push(value);
+	}
+	return headers;
+}
+
+/**
+ * Split a part into its header block and body
+ */
+function splitPart(binary) {
+	const match = /\r?\n\r?\n/.exec(binary);
+	if (!match) {
+		return { headers: parseHeaderBlock(binary), body: '' };
+	}
+	return {
+		headers: parseHeaderBlock(binary.slice(0, match.index)),
+		body: binary.slice(match.index + match[0].length)
+	};
+}
+
+/**
+ * Parse a structured header such as Content-Type into { value, params }
+ * Supports quoted values and RFC 2231 extended parameters (name*=charset''value, name*0=...)
+ */
+export function parseHeaderParams(header = '') {
+	const [value, ...rest] = header.split(';');
+	const params = {};
+	const extended = {};
+	
+	for (const match of rest.join(';').matchAll(/([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g)) {
+		const key = match[1].toLowerCase();
+		let paramValue = match[2].trim();
+		if (paramValue.startsWith('"')) {
+			paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+		}
+		
+		const continuation = /^([^*]+)\*(\d+)?(\*)?$/.exec(key);
+		if (continuation) {
+			(extended[continuation[1]] = extended[continuation[1]] || []).push({
+				index: parseInt(continuation[2] || '0'),
+				value: paramValue,
+				encoded: Boolean(continuation[3]) || (!continuation[2] && key.endsWith('*'))
+			});
+		} else {
+			params[key] = decodeHeader(paramValue);
+		}
+	}
+	
+	for (const [key, pieces] of Object.entries(extended)) {
+		pieces.sort((a, b) => a.index - b.index);
+		let charset = 'utf-8';
+		params[key] = pieces.map((piece, i) => {
+			let text = piece.value;
+			if (i === 0 && piece.encoded) {
+				const [pieceCharset, , encodedText] = text.split("'");
+				charset = pieceCharset || charset;
+				text = encodedText ?? '';
+			}
+			return piece.encoded ? decodeCharset(toBytes(text.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)))), charset) : text;
+		}).join('');
+	}
+	
+	return { value: value.trim().toLowerCase(), params };
+}
+
+/**
+ * Split a multipart body on its boundary
+ */
+function splitMultipart(body, boundary) {
+	const delimiter = `--${boundary}`;
+	const parts = [];
+	
+	for (const chunk of body.split(delimiter).slice(1)) {
+		// The closing delimiter is "--boundary--"
+		if (chunk.startsWith('--')) {
+			break;
+		}
+		parts.push(chunk.replace(/^[ \t]*\r?\n/, '').replace(/\r?\n$/, ''));
+	}
+	return parts;
+}
+
+/**
+ * Walk a part tree and collect text bodies and attachment descriptions
+ */
+function walkPart(binary, result) {
+	const { headers, body } = splitPart(binary);
+	const type = parseHeaderParams(headers['content-type']?.[0] || 'text/plain');
+	const disposition = parseHeaderParams(headers['content-disposition']?.[0] || '');
+	const filename = disposition.params.filename || type.params.name || null;
+	
+	if (type.value.startsWith('multipart/') && type.params.boundary) {
+		for (const part of splitMultipart(body, type.params.boundary)) {
+			walkPart(part, result);
+		}
+		return;
+	}
+	
+	const isText = type.value === 'text/plain' || type.value === 'text/html';
+	if (isText && disposition.value !== 'attachment' && !filename) {
+		const text = decodeCharset(decodeTransfer(body, headers['content-transfer-encoding']?.[0]), type.params.charset);
+		const key = type.value === 'text/html' ? 'html' : 'text';
+		result[key] = result[key] ? `${result[key]}\n\n${text}` : text;
+		return;
+	}
+	
+	const size = decodeTransfer(body, headers['content-transfer-encoding']?.[0]).length;
+	result.attachments.push({
+		filename: filename || (type.value === 'message/rfc822' ? 'forwarded-message.eml' : null),
+		content_type: type.value,
+		size,
+		inline: disposition.value === 'inline' || Boolean(headers['content-id'])
+	});
+}
+
+/**
+ * Strip the angle brackets from a Message-ID
+ */
+function messageId(value) {
+	const match = /<([^>]+)>/.exec(value || '');
+	return match ? match[1].trim() : (value || '').trim() || null;
+}
+
+/**
+ * Parse an address header into [{ name, address }]
+ */
+export function parseAddressList(value = '') {
+	const addresses = [];
+	for (const entry of value.match(/(?:"[^"]*"|[^,])+/g) || []) {
+		const match = /^\s*(?:"?([^"<]*?)"?\s*)?<([^>]+)>\s*$/.exec(entry);
+		if (match) {
+			addresses.push({ name: match[1]?.trim() || null, address: match[2].trim().toLowerCase() });
+		} else if (entry.includes('@')) {
+			addresses.push({ name: null, address: entry.trim().toLowerCase() });
+		}
+	}
+	return addresses;
+}
+
+/**
+ * Parse a raw RFC 5322 message
+ * raw is the message as bytes (ArrayBuffer/Uint8Array) or a string
+ * Returns { headers, messageId, inReplyTo, references, subject, from, to, cc, date, text, html, attachments }
+ * where date is unix seconds (null when missing or invalid) and text/html are null when absent
+ */
+export function parseMime(raw) {
+	const binary = typeof raw === 'string'
+		? toBinaryString(new TextEncoder().encode(raw))
+		: toBinaryString(raw instanceof Uint8Array ? raw : new Uint8Array(raw));
+	
+	const { headers } = splitPart(binary);
+	const result = { text: null, html: null, attachments: [] };
+	walkPart(binary, result);
+	
+	const header = (name) => headers[name]?.[0] ? decodeHeader(headers[name][0]) : null;
+	const date = Date.parse(header('date') || '');
+	
+	return {
+		headers,
+		messageId: messageId(header('message-id')),
+		inReplyTo: messageId(header('in-reply-to')),
+		references: [...(header('references') || '').matchAll(/<([^>]+)>/g)].map(match => match[1].trim()),
+		subject: header('subject'),
+		from: parseAddressList(header('from') || '')[0] || null,
+		to: parseAddressList(header('to') || ''),
+		cc: parseAddressList(header('cc') || ''),
+		date: Number.isNaN(date) ? null : Math.floor(date / 1000),
+		text: result.text,
+		html: result.html,
+		attachments: result.attachments
+	};
+}
@@ -0,0 +1,111 @@
+/**
+ * Outbound webhook notifications
+ *
+ * Webhook targets are configured as a JSON array, e.g.
+ * [{ "url": "https://hooks.slack.com/services/...", "format": "slack" }, { "url": "https://example.com/hook" }]
+ * - slack: Slack incoming-webhook message ({ text, blocks })
+ * - json (default): the event as JSON ({ type, ...data })
+ *
+ * Targets usually embed credentials in the URL, so set them as secrets.
+ */
+
+export const WEBHOOK_FORMATS = ['slack', 'json'];
+
+// Give up on a target that does not answer within this time
+const DELIVERY_TIMEOUT_MS = 10000;
+
+/**
+ * Error raised when an outbound webhook is rejected or unreachable
+ */
+export class DeliveryError extends Error {
+	constructor(message, { url, status = null, cause } = {}) {
+		super(message);
+		this.name = 'DeliveryError';
+		this.url = url;
+		this.status = status;
+		this.cause = cause;
+	}
+}
+
+/**
+ * Parse a JSON array of webhook targets from an env var
+ * Invalid entries are skipped with a warning so one typo does not silence every target
+ * Returns [{ url, format }]
+ */
+export function parseWebhookTargets(value, name = 'webhook targets') {
+	if (!value) {
+		return [];
+	}
+	
+	let targets;
+	try {
+		targets = typeof value === 'string' ? JSON.parse(value) : value;
+	} catch (error) {
+		console.warn(`Ignoring ${name}: not valid JSON (${error.message})`);
+		return [];
+	}
+	
+	return (Array.isArray(targets) ? targets : [targets])
+		.map(target => typeof target === 'string' ? { url: target } : target)
+		.filter(target => {
+			const valid = /^https?:\/\//.test(target?.url || '') && WEBHOOK_FORMATS.includes(target.format || 'json');
+			if (!valid) {
+				console.warn(`Ignoring invalid entry in ${name}: ${JSON.stringify(target)}`);
+			}
+			return valid;
+		})
+		.map(target => ({ url: target.url, format: target.format || 'json' }));
+}
+
+/**
+ * POST a JSON body to a webhook (an object, or a string that is sent as is, e.g. when it is signed)
+ * Options: headers are added to the request, fetch overrides the global fetch (for tests)
+ * Throws DeliveryError for network failures and non-2xx responses
+ */
+export async function postWebhook(url, body, options = {}) {
+	const send = options.fetch || fetch;
+	
+	let response;
+	try {
+		response = await send(url, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', ...options.headers },
+			body: typeof body === 'string' ? body : JSON.stringify(body),
+			signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+		});
+	} catch (error) {
+		throw new DeliveryError(`Could not reach ${new URL(url).host}: ${error.message}`, { url, cause: error });
+	}
+	
+	if (!response.ok) {
+		throw new DeliveryError(`${new URL(url).host} answered ${response.status}`, { url, status: response.status });
+	}
+	return response;
+}
+
+/**
+ * Send an event to every target in its format
+ * message is { type, text, data }: text is the human-readable line for chat formats,
+ * data the structured payload for JSON targets
+ * Returns { delivered, errors } where errors lists the targets that failed
+ */
+export async function notifyTargets(targets, message, options = {}) {
+	const errors = [];
+	let delivered = 0;
+	
+	for (const target of targets) {
+		const body = target.format === 'slack'
+			? { text: message.text, blocks: [{ type: 'section', text: { type: 'mrkdwn', text: message.text } }] }
+			: { type: message.type, ...message.data };
+		
+		try {
+			await postWebhook(target.url, body, options);
+			delivered++;
+		} catch (error) {
+			console.error(`Failed to deliver ${message.type}:`, error.message);
+			errors.push(error.message);
+		}
+	}
+	
+	return { delivered, errors };
+}
@@ -0,0 +1,251 @@
+/**
+ * Calendar periods for aggregation windows
+ *
+ * Aggregations cover explicit periods instead of a rolling "last N days" window:
+ * - day: a calendar day (key '2025-01-15')
+ * - week: an ISO week, Monday to Sunday (key '2025-W03')
+ * - month: a calendar month (key '2025-01')
+ * - custom: an explicit start/end (key '<start>-<end>')
+ *
+ * Days start at midnight in AGGREGATION_TIMEZONE (IANA name, default 'UTC').
+ * start and end are unix seconds and both inclusive (end is the last second before the
+ * next period), like the date_range_start/date_range_end columns.
+ *
+ * AGGREGATION_MATCH decides which source summaries belong to a period:
+ * - overlap (default): every summary whose date range overlaps the period
+ * - end: summaries whose date range ends inside the period, so consecutive periods never share one
+ * - contained: only summaries entirely inside the period
+ */
+
+export const PERIOD_TYPES = ['day', 'week', 'month'];
+
+export const MATCH_MODES = ['overlap', 'end', 'contained'];
+
+// Period the scheduled aggregation covers when AGGREGATION_PERIOD is not set
+export const DEFAULT_PERIOD_TYPE = 'week';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intl formatters are expensive to build; one per time zone
+const formatters = new Map();
+
+/**
+ * Resolve the configured time zone (throws RangeError for unknown names)
+ */
+export function getTimeZone(env = {}) {
+	const timeZone = env.AGGREGATION_TIMEZONE || 'UTC';
+	try {
+		getFormatter(timeZone);
+	} catch {
+		throw new RangeError(`Unknown time zone: ${timeZone}`);
+	}
+	return timeZone;
+}
+
+/**
+ * Resolve the configured source summary selection rule
+ */
+export function getMatchMode(env = {}) {
+	const mode = env.AGGREGATION_MATCH || 'overlap';
+	return MATCH_MODES.includes(mode) ? mode : 'overlap';
+}
+
+/**
+ * Formatter for wall-clock fields in a time zone (throws RangeError for unknown zones)
+ */
+function getFormatter(timeZone) {
+	let formatter = formatters.get(timeZone);
+	if (!formatter) {
+		formatter = new Intl.DateTimeFormat('en-US', {
+			timeZone,
+			hourCycle: 'h23',
+			year: 'numeric',
+			month: 'numeric',
+			day: 'numeric',
+			hour: 'numeric',
+			minute: 'numeric',
+			second: 'numeric'
+		});
+		formatters.set(timeZone, formatter);
+	}
+	return formatter;
+}
+
+/**
+ * Wall-clock fields of an instant (milliseconds) in a time zone
+ */
+function zonedParts(ms, timeZone) {
+	const parts = {};
+	for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(ms))) {
+		if (type !== 'literal') {
+			parts[type] = parseInt(value, 10);
+		}
+	}
+	return parts;
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+function zoneOffset(ms, timeZone) {
+	const p = zonedParts(ms, timeZone);
+	return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Unix seconds of local midnight on a calendar date (month and day may overflow, like Date.UTC)
+ */
+function zonedMidnight({ year, month, day }, timeZone) {
+	const wallClock = Date.UTC(year, month - 1, day);
+	const guess = wallClock - zoneOffset(wallClock, timeZone);
+	// Check the offset again at the guess in case a DST change falls between the two
+	return Math.floor((wallClock - zoneOffset(guess, timeZone)) / 1000);
+}
+
+/**
+ * Calendar date fields of a UTC-midnight timestamp (milliseconds)
+ */
+function dateFields(ms) {
+	const date = new Date(ms);
+	return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Zero-pad a date field
+ */
+function pad(value, length = 2) {
+	return String(value).padStart(length, '0');
+}
+
+/**
+ * First day of the period containing a calendar date, the first day of the next one, and the key
+ */
+function calendarPeriod(type, { year, month, day }) {
+	if (type === 'day') {
+		return {
+			first: { year, month, day },
+			next: { year, month, day: day + 1 },
+			key: `${year}-${pad(month)}-${pad(day)}`
+		};
+	}
+	
+	if (type === 'month') {
+		return {
+			first: { year, month, day: 1 },
+			next: { year, month: month + 1, day: 1 },
+			key: `${year}-${pad(month)}`
+		};
+	}
+	
+	// ISO week: starts on Monday, belongs to the year of its Thursday
+	const date = Date.UTC(year, month - 1, day);
+	const weekday = new Date(date).getUTCDay() || 7;
+	const monday = date - (weekday - 1) * DAY_MS;
+	const thursday = dateFields(monday + 3 * DAY_MS);
+	const week = 1 + Math.floor((Date.UTC(thursday.year, thursday.month - 1, thursday.day) - Date.UTC(thursday.year, 0, 1)) / DAY_MS / 7);
+	
+	return {
+		first: dateFields(monday),
+		next: dateFields(monday + 7 * DAY_MS),
+		key: `${thursday.year}-W${pad(week)}`
+	};
+}
+
+/**
+ * Get the period of a type that contains an instant (unix seconds)
+ * Returns { type, key, start, end }
+ */
+export function getPeriod(type, at, timeZone = 'UTC') {
+	if (!PERIOD_TYPES.includes(type)) {
+		throw new RangeError(`period must be one of ${PERIOD_TYPES.join(', ')}`);
+	}
+	
+	const local = zonedParts(at * 1000, timeZone);
+	const { first, next, key } = calendarPeriod(type, local);
+	
+	return {
+		type,
+		key,
+		start: zonedMidnight(first, timeZone),
+		end: zonedMidnight(next, timeZone) - 1
+	};
+}
+
+/**
+ * Get the period of a type that contains a calendar date ('YYYY-MM-DD' in the time zone)
+ */
+export function getPeriodForDate(type, date, timeZone = 'UTC') {
+	const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+	const fields = match && { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10) };
+	
+	if (!fields || fields.month < 1 || fields.month > 12 || fields.day < 1 || fields.day > 31
+		|| dateFields(Date.UTC(fields.year, fields.month - 1, fields.day)).day !== fields.day) {
+		throw new RangeError(`Invalid date: ${date} (expected YYYY-MM-DD)`);
+	}
+	
+	return getPeriod(type, zonedMidnight(fields, timeZone), timeZone);
+}
+
+/**
+ * Get the period of the same type right before a period
+ */
+export function getPreviousPeriod(period, timeZone = 'UTC') {
+	if (period.type === 'custom') {
+		return customPeriod(2 * period.start - period.end - 1, period.start - 1);
+	}
+	return getPeriod(period.type, period.start - 1, timeZone);
+}
+
+/**
+ * Get the most recent period of a type that has fully ended at an instant (unix seconds)
+ */
+export function getLastCompletedPeriod(type, at, timeZone = 'UTC') {
+	return getPreviousPeriod(getPeriod(type, at, timeZone), timeZone);
+}
+
+/**
+ * An explicit period (start and end inclusive, unix seconds)
+ */
+export function customPeriod(start, end) {
+	return { type: 'custom', key: `${start}-${end}`, start, end };
+}
+
+/**
+ * Resolve an aggregation request into a period
+ * Options (all optional):
+ * - period + date: the period containing that date ('YYYY-MM-DD'); without date, the period containing `at`
+ * - start + end: an explicit custom period (unix seconds, inclusive)
+ * - days: a rolling window of that many days ending at `at` (stored as a custom period)
+ * Without options the period type is AGGREGATION_PERIOD (default 'week')
+ * Throws RangeError for invalid options
+ */
+export function resolveAggregationPeriod(env = {}, options = {}, at = Math.floor(Date.now() / 1000)) {
+	const timeZone = getTimeZone(env);
+	const { period, date, start, end, days } = options;
+	
+	if (start !== undefined || end !== undefined) {
+		if (period !== undefined) {
+			throw new RangeError('Pass either period or start/end, not both');
+		}
+		
+		const startTime = Number(start);
+		const endTime = Number(end);
+		if (!Number.isInteger(startTime) || !Number.isInteger(endTime) || startTime > endTime) {
+			throw new RangeError('start and end must be unix seconds with start <= end');
+		}
+		return customPeriod(startTime, endTime);
+	}
+	
+	if (period === undefined && days !== undefined) {
+		const dayCount = Number(days);
+		if (!Number.isInteger(dayCount) || dayCount < 1) {
+			throw new RangeError('days must be a positive integer');
+		}
+		return customPeriod(at - dayCount * 24 * 60 * 60, at);
+	}
+	
+	const type = period || env.AGGREGATION_PERIOD || DEFAULT_PERIOD_TYPE;
+	return date !== undefined
+		? getPeriodForDate(type, date, timeZone)
+		: getPeriod(type, at, timeZone);
+}
@@ -0,0 +1,271 @@
+/**
+ * Prompt builders shared by the summarization services and workflows
+ */
+
+import { STRUCTURED_SUMMARY_FORMAT } from './structured.js';
+
+/**
+ * Parse a metadata column that may be stored as a JSON string
+ */
+export function parseMetadata(metadata) {
+	if (!metadata) {
+		return {};
+	}
+	return typeof metadata === 'string' ? JSON.parse(metadata) : metadata;
+}
+
+/**
+ * Format a date range (unix seconds) for prompts
+ */
+function formatDateRange(start, end) {
+	return new Date(start * 1000).toLocaleDateString() +
+		' to ' +
+		new Date(end * 1000).toLocaleDateString();
+}
+
+/**
+ * Render one feedback item for a prompt
+ */
+export function renderFeedbackItem(item, index = 0) {
+	const metadata = parseMetadata(item.metadata);
+	
+	const label = item.id ? `Feedback ${index + 1} (id: ${item.id})` : `Feedback ${index + 1}`;
+	let text = `${label}:\n${item.content}`;
+	if (metadata.author) {
+		text += `\n[From: ${metadata.author}]`;
+	}
+	return text;
+}
+
+/**
+ * Render one source summary for a prompt
+ */
+export function renderSourceSummary(summary) {
+	const sourceName = summary.source || 'Unknown';
+	const dateRange = formatDateRange(summary.date_range_start, summary.date_range_end);
+	
+	let text = `Source: ${sourceName} (${summary.feedback_count} items, ${dateRange})\n${summary.summary}`;
+	if (summary.structured) {
+		text += `\nStructured findings: ${JSON.stringify(summary.structured)}`;
+	}
+	return text;
+}
+
+/**
+ * Render clustered themes (with per-source counts) for a prompt
+ */
+export function renderThemes(themes) {
+	return themes
+		.map(theme => {
+			const sources = Object.entries(theme.source_counts || {})
+				.map(([source, count]) => `${source}: ${count}`)
+				.join(', ');
+			return `- ${theme.label} (${theme.window_count ?? theme.member_count} items; ${sources})`;
+		})
+		.join('\n');
+}
+
+/**
+ * Build the per-source feedback summary prompt
+ */
+export function buildFeedbackSummaryPrompt(feedbackItems) {
+	const combinedContent = feedbackItems
+		.map((item, index) => renderFeedbackItem(item, index))
+		.join('\n\n---\n\n');
+	
+	const prompt = `You are a product feedback analyst. Analyze the following feedback items and create a concise summary that highlights:
+1. Main themes and topics
+2. Common pain points or issues
+3. Positive feedback or praise
+4. Suggestions or feature requests
+5. Overall sentiment
+
+Feedback items:
+${combinedContent}
+
+Respond with only a JSON object in this format:
+${STRUCTURED_SUMMARY_FORMAT}
+
+The "summary" field should be a well-structured summary that would help a product manager understand the key insights from this feedback. Use the feedback ids shown above for "representative_feedback_ids".`;
+
+	return {
+		system: 'You are a helpful assistant that summarizes product feedback concisely and clearly. You always answer with valid JSON.',
+		prompt
+	};
+}
+
+/**
+ * Render the previous period's aggregated summary for a prompt
+ */
+function renderPreviousAggregate(previous) {
+	let text = `Aggregated summary of the previous period (${previous.period_key || formatDateRange(previous.date_range_start, previous.date_range_end)}, ${previous.total_feedback_count} items):\n${previous.summary}`;
+	if (previous.structured) {
+		text += `\nStructured findings: ${JSON.stringify({ ...previous.structured, summary: undefined, representative_feedback_ids: undefined })}`;
+	}
+	return text;
+}
+
+/**
+ * Build the cross-source aggregation prompt
+ * reportType 'rollup' synthesizes the period as a whole; 'trend' reads the summaries in
+ * date order and describes how feedback changed over the period
+ * previous (the previous period's aggregated summary) lets the model describe movement since then
+ */
+export function buildAggregationPrompt(sourceSummaries, { themes = [], reportType = 'rollup', previous = null } = {}) {
+	const ordered = reportType === 'trend'
+		? [...sourceSummaries].sort((a, b) => a.date_range_start - b.date_range_start)
+		: sourceSummaries;
+	const combinedSummaries = ordered
+		.map(renderSourceSummary)
+		.join('\n\n---\n\n');
+	
+	// Themes come from embedding clusters, so their counts are exact rather than model estimates
+	const themeSection = themes.length > 0
+		? `\n\nTop themes clustered from individual feedback across all sources (item counts are exact):\n${renderThemes(themes)}`
+		: '';
+	
+	const previousSection = previous
+		? `\n\n${renderPreviousAggregate(previous)}\n\nCompare with the previous period: say which issues are new, growing, fading or resolved, and how sentiment moved. Do not cite feedback ids from the previous period.`
+		: '';
+	
+	const instructions = reportType === 'trend'
+		? `You are a product manager writing the monthly feedback report. The source summaries below are in date order.
+Create a report on how feedback developed over the period that:
+1. Identifies the themes that dominated the period across all sources
+2. Calls out issues that emerged, grew, faded or were resolved, with when they changed
+3. Notes how sentiment moved over the period and what drove it
+4. Tracks which feature requests keep coming back
+5. Compares the sources: where each theme showed up first and loudest
+6. Recommends priorities for the next period`
+		: `You are a product manager analyzing feedback summaries from multiple sources.
+Create a comprehensive aggregated summary that:
+1. Identifies common themes across all sources
+2. Highlights the most critical issues or pain points
+3. Notes positive feedback and what users love
+4. Prioritizes feature requests and suggestions by frequency/importance
+5. Provides overall sentiment analysis
+6. Suggests actionable insights for the product team`;
+
+	const prompt = `${instructions}
+
+Source Summaries:
+${combinedSummaries}${themeSection}${previousSection}
+
+Respond with only a JSON object in this format:
+${STRUCTURED_SUMMARY_FORMAT}
+
+The "summary" field should be a well-structured, executive-level summary that synthesizes insights from all sources. Count "mentions" across all sources, and take "representative_feedback_ids" from the structured findings above.`;
+
+	return {
+		system: 'You are a product management assistant that synthesizes feedback from multiple sources into actionable insights. You always answer with valid JSON.',
+		prompt
+	};
+}
+
+/**
+ * JSON shape of a comparison narrative, described to the model in prompts
+ */
+export const COMPARISON_FORMAT = `{
+  "summary": "1-3 paragraphs on what changed between the periods and why it matters",
+  "rising": ["issue or request that grew or is new", ...],
+  "fading": ["issue or request that shrank or disappeared", ...]
+}`;
+
+/**
+ * Build the prompt that explains the measured change between two periods
+ * metrics are the deltas from trends.js; summaries are each period's aggregated summary (optional)
+ */
+export function buildComparisonPrompt({ current, previous, metrics, currentSummary = null, previousSummary = null }) {
+	const periodName = (period) => period.type === 'custom' ? formatDateRange(period.start, period.end) : `${period.type} ${period.key}`;
+	const summarySection = [
+		currentSummary && `Summary of ${periodName(current)}:\n${currentSummary.summary}`,
+		previousSummary && `Summary of ${periodName(previous)}:\n${previousSummary.summary}`
+	].filter(Boolean).join('\n\n---\n\n');
+	
+	const prompt = `You are a product manager explaining how user feedback changed between two periods.
+Current period: ${periodName(current)}
+Previous period: ${periodName(previous)}
+
+Measured changes (exact counts; "change" is current minus previous, "percent_change" is null when the previous value was 0):
+${JSON.stringify(metrics, null, 2)}${summarySection ? `\n\n${summarySection}` : ''}
+
+Explain:
+1. Which complaints and requests are rising or new, and which are fading
+2. How feedback volume moved per source
+3. How sentiment moved and what likely drove it
+4. What the product team should look at first
+
+Only describe changes the numbers or summaries support. Respond with only a JSON object in this format:
+${COMPARISON_FORMAT}`;
+
+	return {
+		system: 'You are a product analytics assistant that explains changes in feedback accurately and concisely. You always answer with valid JSON.',
+		prompt
+	};
+}
+
+/**
+ * Render a partial (chunk) summary for a reduce prompt
+ */
+export function renderPartialSummary(partial, index = 0) {
+	return `Partial summary ${index + 1}:\n${JSON.stringify(partial.structured || { summary: partial.summary })}`;
+}
+
+/**
+ * Build the prompt that merges partial summaries of one batch into a single summary
+ * scope describes what was summarized (e.g. "feedback from github")
+ */
+export function buildReducePrompt(partials, scope = 'feedback') {
+	const combinedPartials = partials
+		.map((partial, index) => renderPartialSummary(partial, index))
+		.join('\n\n---\n\n');
+	
+	const prompt = `The ${scope} was too large to analyze at once, so it was split into parts and each part was summarized separately.
+Merge the partial summaries below into one summary of the whole set:
+1. Combine duplicate themes, pain points, praise and feature requests
+2. Add up "mentions" for entries that describe the same thing
+3. Weight the overall sentiment by how much feedback each part covered
+4. Keep the most representative feedback ids
+
+Partial summaries:
+${combinedPartials}
+
+Respond with only a JSON object in this format:
+${STRUCTURED_SUMMARY_FORMAT}
+
+The "summary" field should read as a single summary of all the ${scope}, not a list of parts.`;
+
+	return {
+		system: 'You are a product feedback analyst that merges partial analyses into one accurate summary. You always answer with valid JSON.',
+		prompt
+	};
+}
+
+/**
+ * Build the per-item classification prompt
+ */
+export function buildClassificationPrompt(feedbackItems, { categories, urgencyLevels, productAreas }) {
+	const combinedContent = feedbackItems
+		.map((item, index) => renderFeedbackItem(item, index))
+		.join('\n\n---\n\n');
+	
+	const prompt = `Classify each of the following feedback items.
+
+For every item provide:
+- "id": the feedback id shown in parentheses
+- "sentiment": a number from -1 (very negative) to 1 (very positive)
+- "category": one of ${categories.join(', ')}
+- "urgency": one of ${urgencyLevels.join(', ')} (critical = outage, data loss or security issue)
+- "product_area": one of ${productAreas.join(', ')}
+
+Feedback items:
+${combinedContent}
+
+Respond with only a JSON object in this format:
+{ "classifications": [{ "id": <feedback id>, "sentiment": <number>, "category": "...", "urgency": "...", "product_area": "..." }, ...] }`;
+
+	return {
+		system: 'You are a product feedback triage assistant that labels feedback consistently. You always answer with valid JSON.',
+		prompt
+	};
+}
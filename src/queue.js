@@ -0,0 +1,239 @@
+/**
+ * Queue-based webhook ingestion
+ *
+ * The webhook handler verifies a delivery and enqueues its raw body; the queue
+ * consumer parses it, stores the feedback and starts a summarization batch when
+ * one is due. Payloads that cannot be parsed, or still cannot be stored after
+ * INGEST_MAX_RETRIES attempts (default 3), are written to the dead_letters table
+ * and can be replayed through the API.
+ *
+ * Without a FEEDBACK_QUEUE binding a local queue delivers messages inline (tests
+ * and local runs).
+ */
+
+import * as db from './db.js';
+import { parseWebhook, parseWebhookSource, getSourceConfig } from './sources.js';
+import { storeFeedbackItems } from './ingest.js';
+import { flushSource } from './batching.js';
+import { detectAlerts } from './alerts.js';
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_SECONDS = 30;
+
+// Deliveries per message before the local queue gives up (stands in for the queue's max_retries)
+const MAX_LOCAL_ATTEMPTS = 10;
+
+/**
+ * Error raised while ingesting a payload
+ * stage is 'parse' or 'store'; permanent errors go straight to the dead-letter table
+ */
+export class IngestError extends Error {
+	constructor(message, { stage, permanent = false, cause } = {}) {
+		super(message);
+		this.name = 'IngestError';
+		this.stage = stage;
+		this.permanent = permanent;
+		this.cause = cause;
+	}
+}
+
+/**
+ * Parse and store one webhook payload, then start a batch if the source is due and check the
+ * source for a volume spike
+ * event is the delivery's event header, when the source sends one (see getWebhookEvent)
+ * Returns { source, stored, updated, duplicates, batchId, alerts }
+ */
+export async function ingestPayload(env, { source, rawBody, event = null }) {
+	let feedbackSource;
+	try {
+		// Vendor paths such as support/zendesk are stored under their source
+		feedbackSource = parseWebhookSource(source).source;
+	} catch (error) {
+		throw new IngestError(`Could not parse ${source} payload: ${error.message}`, { stage: 'parse', permanent: true, cause: error });
+	}
+	
+	// Parser settings set at runtime (/api/sources) apply on top of env
+	let config;
+	try {
+		config = await getSourceConfig(env, source);
+	} catch (error) {
+		throw new IngestError(`Could not load ${source} settings: ${error.message}`, { stage: 'parse', cause: error });
+	}
+	
+	let feedbackItems;
+	try {
+		feedbackItems = parseWebhook(source, JSON.parse(rawBody), { event, env: config.env });
+	} catch (error) {
+		throw new IngestError(`Could not parse ${source} payload: ${error.message}`, { stage: 'parse', permanent: true, cause: error });
+	}
+	
+	return ingestItems(env, feedbackSource, feedbackItems);
+}
+
+/**
+ * Store parsed feedback items, then start a batch if the source is due and check the source
+ * for a volume spike (used by ingestPayload and inbound email)
+ * Returns { source, stored, updated, duplicates, batchId, alerts }
+ */
+export async function ingestItems(env, source, feedbackItems) {
+	let stored;
+	try {
+		stored = await storeFeedbackItems(env, source, feedbackItems);
+	} catch (error) {
+		throw new IngestError(`Could not store ${source} feedback: ${error.message}`, { stage: 'store', cause: error });
+	}
+	
+	// The feedback is safe in D1 at this point; if no batch starts now the cron flush picks it up
+	let batch = null;
+	let alerts = null;
+	if (stored.inserted > 0 || stored.requeued > 0) {
+		batch = await flushSource(env, source).catch(error => {
+			console.error(`Failed to start batch for ${source}:`, error);
+			return null;
+		});
+	}
+	if (stored.inserted > 0) {
+		alerts = await detectAlerts(env, { scopes: ['source'], sources: [source] }).catch(error => {
+			console.error(`Failed to check ${source} for alerts:`, error);
+			return null;
+		});
+	}
+	
+	return {
+		source,
+		stored: stored.inserted,
+		updated: stored.updated,
+		duplicates: stored.duplicates,
+		batchId: batch?.started ? batch.batchId : null,
+		alerts: alerts ? alerts.fired.length : 0
+	};
+}
+
+/**
+ * Queue consumer: ingest each message, retrying transient failures with backoff
+ */
+export async function handleIngestBatch(batch, env) {
+	const maxRetries = Math.max(0, parseInt(env.INGEST_MAX_RETRIES ?? DEFAULT_MAX_RETRIES, 10) || 0);
+	const retryDelay = parseInt(env.INGEST_RETRY_DELAY_SECONDS ?? DEFAULT_RETRY_DELAY_SECONDS, 10) || 0;
+	
+	for (const message of batch.messages) {
+		const { source, rawBody, event = null } = message.body;
+		
+		try {
+			const result = await ingestPayload(env, message.body);
+			console.log(`Ingested ${source} payload: ${result.stored} stored, ${result.duplicates} duplicates`);
+			message.ack();
+		} catch (error) {
+			const stage = error.stage || 'store';
+			const attempts = message.attempts || 1;
+			
+			if (!error.permanent && attempts <= maxRetries) {
+				const delaySeconds = retryDelay * 2 ** (attempts - 1);
+				console.warn(`Ingesting ${source} payload failed (attempt ${attempts}), retrying in ${delaySeconds}s: ${error.message}`);
+				message.retry({ delaySeconds });
+				continue;
+			}
+			
+			try {
+				await db.insertDeadLetter(env.DB, source, rawBody, stage, error.message, attempts, event);
+				console.error(`Dead-lettered ${source} payload after ${attempts} attempts: ${error.message}`);
+				message.ack();
+			} catch (deadLetterError) {
+				// Leave the message to the queue's own retry limit rather than dropping it
+				console.error('Failed to record dead letter:', deadLetterError);
+				message.retry({ delaySeconds: retryDelay });
+			}
+		}
+	}
+}
+
+/**
+ * In-memory stand-in for a Queue binding
+ * Messages are delivered to handleIngestBatch as soon as they are sent; retries run
+ * immediately (no delay) until the message is acked or dead-lettered
+ */
+export function createLocalQueue(env) {
+	const sent = [];
+	
+	async function deliver(body) {
+		for (let attempts = 1; attempts <= MAX_LOCAL_ATTEMPTS; attempts++) {
+			let outcome = null;
+			const message = {
+				id: crypto.randomUUID(),
+				body,
+				attempts,
+				ack: () => { outcome = 'ack'; },
+				retry: () => { outcome = 'retry'; }
+			};
+			
+			await handleIngestBatch({ queue: 'local', messages: [message] }, env);
+			if (outcome !== 'retry') {
+				return;
+			}
+		}
+		throw new Error(`Message was not acknowledged after ${MAX_LOCAL_ATTEMPTS} attempts`);
+	}
+	
+	return {
+		name: 'local',
+		sent,
+		
+		async send(body) {
+			sent.push(body);
+			await deliver(body);
+		}
+	};
+}
+
+// Shared per isolate, like the in-memory vector index
+let localQueue = null;
+
+/**
+ * Get the ingest queue for this environment
+ */
+export function getIngestQueue(env) {
+	if (env.FEEDBACK_QUEUE) {
+		return env.FEEDBACK_QUEUE;
+	}
+	
+	if (!localQueue) {
+		console.warn('No FEEDBACK_QUEUE binding configured, ingesting webhooks inline');
+		localQueue = createLocalQueue(env);
+	}
+	return localQueue;
+}
+
+/**
+ * Enqueue a verified webhook body for ingestion
+ * Options: event is the delivery's event header (see getWebhookEvent), queue overrides the ingest queue
+ * If the queue is unavailable the payload is dead-lettered so it can be replayed later
+ * Returns { queued, deadLetterId }
+ */
+export async function enqueueWebhook(env, source, rawBody, { queue = getIngestQueue(env), event = null } = {}) {
+	try {
+		await queue.send({ source, rawBody, event, receivedAt: Math.floor(Date.now() / 1000) });
+		return { queued: true, deadLetterId: null };
+	} catch (error) {
+		console.error(`Failed to enqueue ${source} webhook:`, error);
+		const deadLetterId = await db.insertDeadLetter(env.DB, source, rawBody, 'enqueue', error.message, 1, event);
+		return { queued: false, deadLetterId };
+	}
+}
+
+/**
+ * Send a dead-lettered payload through ingestion again
+ * A replay that fails again creates a new dead letter
+ * Returns { replayed, deadLetter } (deadLetter is null when the id does not exist)
+ */
+export async function replayDeadLetter(env, deadLetterId, options = {}) {
+	const deadLetter = await db.getDeadLetterById(env.DB, deadLetterId);
+	if (!deadLetter) {
+		return { replayed: false, deadLetter: null };
+	}
+	
+	const queue = options.queue || getIngestQueue(env);
+	await queue.send({ source: deadLetter.source, rawBody: deadLetter.payload, event: deadLetter.event ?? null, receivedAt: Math.floor(Date.now() / 1000), replayOf: deadLetter.id });
+	await db.markDeadLetterReplayed(env.DB, deadLetter.id);
+	
+	return { replayed: true, deadLetter };
+}
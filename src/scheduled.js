@@ -0,0 +1,82 @@
+/**
+ * Scheduled jobs
+ *
+ * Each cron trigger in wrangler.jsonc runs one job, picked by event.cron:
+ * - flush-batches (every 5 minutes): start summarization batches for sources that are due
+ * - daily-digest (daily): summarize every source's waiting feedback, whatever its batch window
+ * - weekly-rollup (Mondays): cross-source 'rollup' aggregation of the ISO week that just ended,
+ *   plus a week-over-week comparison report
+ * - monthly-report (1st of the month): 'trend' report on the month that just ended, plus a
+ *   month-over-month comparison report
+ *   (comparisons run as the last step of AggregationWorkflow, see its compare param)
+ *
+ * - detect-alerts (every 15 minutes): check every source and theme for spikes (see alerts.js)
+ *
+ * Both aggregations include the previous period's aggregate in their prompt (see AggregationWorkflow).
+ *
+ * Periods follow AGGREGATION_TIMEZONE (see periods.js); schedule the weekly and monthly
+ * triggers after midnight in that zone so the period has ended when they run.
+ */
+
+import { flushDueBatches } from './batching.js';
+import { getLastCompletedPeriod, getTimeZone } from './periods.js';
+import { detectAlerts } from './alerts.js';
+
+// Must match the triggers in wrangler.jsonc
+export const CRON_JOBS = {
+	'*/5 * * * *': 'flush-batches',
+	'0 0 * * *': 'daily-digest',
+	'0 1 * * 1': 'weekly-rollup',
+	'0 2 1 * *': 'monthly-report',
+	'*/15 * * * *': 'detect-alerts'
+};
+
+/**
+ * Start summarization batches; force starts one for every source with waiting feedback
+ */
+async function startBatches(env, force) {
+	const batches = await flushDueBatches(env, { force });
+	return { started: Object.values(batches).filter(batch => batch.started).length };
+}
+
+/**
+ * Start an AggregationWorkflow for the last completed period of a type; the workflow also
+ * compares that period with the one before it
+ */
+async function aggregateLastPeriod(env, periodType, reportType, at) {
+	const period = getLastCompletedPeriod(periodType, at, getTimeZone(env));
+	const workflow = await env.AGGREGATION_WORKFLOW.run({
+		params: { period, reportType, includePrevious: true, compare: true }
+	});
+	
+	return { period, reportType, workflowId: workflow.id };
+}
+
+const JOBS = {
+	'flush-batches': (env) => startBatches(env, false),
+	'daily-digest': (env) => startBatches(env, true),
+	'weekly-rollup': (env, at) => aggregateLastPeriod(env, 'week', 'rollup', at),
+	'monthly-report': (env, at) => aggregateLastPeriod(env, 'month', 'trend', at),
+	'detect-alerts': async (env, at) => {
+		const { fired, suppressed } = await detectAlerts(env, { now: at });
+		return { fired: fired.length, suppressed };
+	}
+};
+
+/**
+ * Run the job for a cron trigger
+ * Returns { job, result }; job is null for a cron expression without a job
+ */
+export async function runScheduledJob(event, env) {
+	const job = CRON_JOBS[event.cron] || null;
+	if (!job) {
+		console.warn(`No scheduled job for cron "${event.cron}"`);
+		return { job, result: null };
+	}
+	
+	const at = Math.floor((event.scheduledTime ?? Date.now()) / 1000);
+	const result = await JOBS[job](env, at);
+	console.log(`Scheduled job ${job} finished:`, JSON.stringify(result));
+	
+	return { job, result };
+}
@@ -0,0 +1,192 @@
+/**
+ * Search over raw feedback
+ *
+ * Two modes:
+ * - keyword: SQLite FTS5 (feedback_fts) with bm25 ranking
+ * - semantic: embed the query and find the nearest feedback vectors in the vector index
+ *
+ * Both modes share the same filters and return the same result shape, including an
+ * HTML-escaped snippet with matched terms wrapped in <mark>.
+ */
+
+import * as db from './db.js';
+import { createEmbedder } from './embeddings.js';
+import { getVectorIndex } from './vectorIndex.js';
+import { formatFeedback } from './feedback.js';
+
+export const SEARCH_MODES = ['keyword', 'semantic'];
+
+export const MAX_SEARCH_LIMIT = 100;
+
+// D1 allows 100 bound parameters per query; leave room for the filters
+export const MAX_SEMANTIC_CANDIDATES = 90;
+
+// Characters of context shown around the first match in semantic snippets
+const SNIPPET_CONTEXT = 100;
+
+// Markers FTS5 puts around matches; replaced with <mark> after escaping
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+/**
+ * Escape text for safe HTML rendering
+ */
+function escapeHTML(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * Turn a marked snippet into escaped HTML with <mark> tags
+ */
+function markedToHTML(text) {
+	return escapeHTML(text)
+		.split(MARK_START).join('<mark>')
+		.split(MARK_END).join('</mark>');
+}
+
+/**
+ * Split a user query into words and quoted phrases
+ */
+function queryTerms(query) {
+	const terms = [];
+	for (const match of (query || '').matchAll(/"([^"]+)"|(\S+)/g)) {
+		const words = (match[1] || match[2]).match(/[\p{L}\p{N}_]+/gu);
+		if (words) {
+			terms.push(words.join(' '));
+		}
+	}
+	return terms;
+}
+
+/**
+ * Build an FTS5 MATCH expression from free text
+ * Every term is quoted so user input can never be parsed as FTS syntax; all terms must match
+ */
+export function buildMatchQuery(query) {
+	return queryTerms(query)
+		.map(term => `"${term}"`)
+		.join(' ');
+}
+
+/**
+ * Snippet around the first occurrence of any query word, with the words highlighted
+ */
+export function highlightSnippet(content, query) {
+	const text = content || '';
+	const words = queryTerms(query).flatMap(term => term.split(' '));
+	const pattern = words.length > 0
+		? new RegExp(words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'giu')
+		: null;
+	
+	const first = pattern ? text.search(pattern) : -1;
+	const start = first > SNIPPET_CONTEXT ? first - SNIPPET_CONTEXT : 0;
+	const end = Math.min(text.length, Math.max(first, 0) + SNIPPET_CONTEXT * 2);
+	
+	let snippet = text.slice(start, end);
+	if (pattern) {
+		snippet = snippet.replace(pattern, match => `${MARK_START}${match}${MARK_END}`);
+	}
+	
+	return (start > 0 ? '…' : '') + markedToHTML(snippet) + (end < text.length ? '…' : '');
+}
+
+/**
+ * Shape a feedback row for the API with its search score and snippet
+ */
+function toResult(row, score, snippet) {
+	return { ...formatFeedback(row), score, snippet };
+}
+
+/**
+ * Keyword search with FTS5
+ */
+async function keywordSearch(env, query, filters, { limit, offset }) {
+	const matchQuery = buildMatchQuery(query);
+	if (!matchQuery) {
+		return { results: [], hasMore: false };
+	}
+	
+	// Fetch one extra row to know whether another page exists
+	const rows = await db.searchFeedbackText(env.DB, matchQuery, filters, {
+		limit: limit + 1,
+		offset,
+		snippetStart: MARK_START,
+		snippetEnd: MARK_END
+	});
+	
+	return {
+		// bm25 is lower for better matches; negate so higher scores rank first in both modes
+		results: rows.slice(0, limit).map(row => toResult(row, -row.rank, markedToHTML(row.snippet))),
+		hasMore: rows.length > limit,
+		truncated: false
+	};
+}
+
+/**
+ * Semantic search over feedback embeddings
+ * Source and date filters run in the vector index; the rest are applied to the D1 rows, so with
+ * any of them set every allowed candidate is fetched. Only the MAX_SEMANTIC_CANDIDATES nearest
+ * vectors are ever considered; truncated is true when the index had at least that many, so
+ * matches past the cap (or dropped by the D1 filters) may be missing
+ */
+async function semanticSearch(env, query, filters, { limit, offset, embedder, index }) {
+	const [vector] = await (embedder || createEmbedder(env)).embed([query]);
+	
+	const vectorFilter = {};
+	if (filters.source) {
+		vectorFilter.source = filters.source;
+	}
+	if (filters.since !== undefined || filters.until !== undefined) {
+		vectorFilter.created_at = {};
+		if (filters.since !== undefined) vectorFilter.created_at.$gte = filters.since;
+		if (filters.until !== undefined) vectorFilter.created_at.$lte = filters.until;
+	}
+	
+	const rowFiltered = Object.entries(filters).some(([name, value]) => !['source', 'since', 'until'].includes(name) && value !== undefined);
+	const topK = rowFiltered ? MAX_SEMANTIC_CANDIDATES : Math.min(offset + limit + 1, MAX_SEMANTIC_CANDIDATES);
+	const matches = await (index || getVectorIndex(env)).query(vector, {
+		topK,
+		filter: Object.keys(vectorFilter).length > 0 ? vectorFilter : undefined
+	});
+	
+	const scores = new Map(matches.map(match => [parseInt(match.id, 10), match.score]));
+	const rows = await db.getFeedbackByIds(env.DB, [...scores.keys()], filters);
+	const ranked = rows.sort((a, b) => scores.get(b.id) - scores.get(a.id));
+	
+	return {
+		results: ranked.slice(offset, offset + limit).map(row => toResult(row, scores.get(row.id), highlightSnippet(row.content, query))),
+		hasMore: ranked.length > offset + limit,
+		truncated: topK === MAX_SEMANTIC_CANDIDATES && matches.length === topK
+	};
+}
+
+/**
+ * Search raw feedback
+ * Filters: source, since, until, processed, category, urgency, productArea, author, label, priority
+ * Options: mode ('keyword' or 'semantic'), limit, offset; embedder and index override the defaults (for tests)
+ * Returns { results, nextOffset, truncated } where nextOffset is null on the last page and
+ * truncated marks semantic results limited to the MAX_SEMANTIC_CANDIDATES nearest vectors
+ */
+export async function searchFeedback(env, query, filters = {}, options = {}) {
+	const mode = options.mode || 'keyword';
+	const limit = Math.max(1, Math.min(options.limit || 20, MAX_SEARCH_LIMIT));
+	const offset = Math.max(0, options.offset || 0);
+	
+	if (!SEARCH_MODES.includes(mode)) {
+		throw new Error(`Unknown search mode: ${mode}`);
+	}
+	
+	const { results, hasMore, truncated } = mode === 'semantic'
+		? await semanticSearch(env, query, filters, { ...options, limit, offset })
+		: await keywordSearch(env, query, filters, { limit, offset });
+	
+	return {
+		results,
+		nextOffset: hasMore ? offset + limit : null,
+		truncated
+	};
+}
@@ -0,0 +1,311 @@
+/**
+ * Feedback source registry
+ *
+ * Every source that may post to /webhook/<source> is an adapter in SOURCE_ADAPTERS declaring:
+ * - name: the path segment, which is also what its feedback is stored under
+ * - verification: how deliveries are signed, { method, ...options } (see verify.js)
+ * - parse(payload, { event, env }): the payload parser, returning feedback items (see webhooks.js)
+ * - eventHeader: header carrying the event type, for payloads whose shape does not identify it
+ * - externalId(item, payload): the key redeliveries are deduplicated by (default: the parser's)
+ * - batching: default batching policy (see batching.js); env vars and runtime settings override it
+ * - settings: env vars the parser reads, which can also be set at runtime
+ * - vendors: adapters selected by a second path segment (/webhook/support/zendesk), declaring the
+ *   same fields except batching and vendors; their feedback is stored and batched with the source's
+ *
+ * Runtime settings (source_settings, managed through /api/sources) disable a source or one of its
+ * vendors, override its batching policy and set its parser settings without a deploy. Disabling a
+ * source only stops new deliveries; feedback already stored is still summarized.
+ *
+ * Deliveries for unregistered sources are rejected, or recorded in quarantined_webhooks for
+ * inspection when UNKNOWN_SOURCES is 'quarantine'. Only their metadata is recorded (headers, body
+ * size and SHA-256), never the body, and at most MAX_QUARANTINED_WEBHOOKS of them are kept.
+ */
+
+import * as db from './db.js';
+import { sha256Hex } from './verify.js';
+import {
+	parseGitHubWebhook,
+	parseDiscordWebhook,
+	parseTwitterWebhook,
+	parseEmailWebhook,
+	parseSupportTicketWebhook,
+	parseForumWebhook
+} from './webhooks.js';
+import { SUPPORT_VENDORS } from './support.js';
+import { FORUM_ENGINES } from './forums.js';
+
+// Most quarantined deliveries kept; once reached, unknown sources are rejected until some are deleted
+const MAX_QUARANTINED_WEBHOOKS = 1000;
+
+// Request headers that may carry credentials are not stored with a quarantined delivery
+const REDACTED_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+// Runtime batching fields: request field, source_settings column, policy key, minimum value
+const BATCHING_FIELDS = [
+	['window_seconds', 'batch_window_seconds', 'windowSeconds', 0],
+	['max_items', 'batch_max_items', 'maxItems', 1],
+	['max_in_flight', 'batch_max_in_flight', 'maxInFlight', 1]
+];
+
+/**
+ * Default external-id extractor: the key the parser derived from the payload
+ * (null for payloads without an id, which are stored without deduplication)
+ */
+function parsedExternalId(item) {
+	return item.externalId ?? null;
+}
+
+/**
+ * Fill in the optional fields of an adapter and of its vendor adapters
+ */
+function defineAdapter({ vendors = {}, ...adapter }) {
+	return {
+		eventHeader: null,
+		externalId: parsedExternalId,
+		batching: {},
+		settings: [],
+		...adapter,
+		vendors: Object.fromEntries(Object.entries(vendors).map(([name, vendor]) => [name, defineAdapter(vendor)]))
+	};
+}
+
+// Registered sources by the segment of /webhook/<source>
+export const SOURCE_ADAPTERS = {
+	github: defineAdapter({
+		name: 'github',
+		verification: { method: 'github' },
+		parse: parseGitHubWebhook,
+		eventHeader: 'X-GitHub-Event',
+		settings: ['GITHUB_ACTIONS']
+	}),
+	discord: defineAdapter({
+		name: 'discord',
+		verification: { method: 'discord' },
+		parse: parseDiscordWebhook,
+		// Chat messages are short and frequent; summarize them in larger batches
+		batching: { maxItems: 100 }
+	}),
+	twitter: defineAdapter({
+		name: 'twitter',
+		verification: { method: 'shared-secret', prefix: 'twitter' },
+		parse: parseTwitterWebhook,
+		batching: { maxItems: 100 }
+	}),
+	email: defineAdapter({
+		name: 'email',
+		verification: { method: 'shared-secret', prefix: 'email' },
+		parse: parseEmailWebhook
+	}),
+	support: defineAdapter({
+		name: 'support',
+		verification: { method: 'shared-secret', prefix: 'support' },
+		parse: parseSupportTicketWebhook,
+		vendors: SUPPORT_VENDORS
+	}),
+	forum: defineAdapter({
+		name: 'forum',
+		verification: { method: 'shared-secret', prefix: 'forum' },
+		parse: parseForumWebhook,
+		vendors: FORUM_ENGINES
+	})
+};
+
+/**
+ * Find the adapter for a webhook path source such as 'github' or 'support/zendesk'
+ * Returns { source, vendor, adapter } where source is what the feedback is stored under, vendor
+ * is null for plain sources and adapter is the one that parses and verifies the delivery
+ * Throws RangeError for an unregistered source or vendor
+ */
+export function resolveSourceAdapter(path) {
+	const [source, vendor = null, ...rest] = path.toLowerCase().split('/');
+	if (!Object.hasOwn(SOURCE_ADAPTERS, source)) {
+		throw new RangeError(`Unknown source: ${path}`);
+	}
+	
+	const base = SOURCE_ADAPTERS[source];
+	if (vendor === null) {
+		return { source, vendor, adapter: base };
+	}
+	if (rest.length > 0 || !Object.hasOwn(base.vendors, vendor)) {
+		throw new RangeError(`Unknown ${source} vendor: ${[vendor, ...rest].join('/')}`);
+	}
+	return { source, vendor, adapter: base.vendors[vendor] };
+}
+
+/**
+ * Split a webhook path source such as 'support/zendesk' into { source, vendor }
+ * Throws RangeError for an unregistered source or vendor
+ */
+export function parseWebhookSource(path) {
+	const { source, vendor } = resolveSourceAdapter(path);
+	return { source, vendor };
+}
+
+/**
+ * Read the event type of a delivery from its adapter's event header
+ * Returns null for sources without one
+ */
+export function getWebhookEvent(path, headers) {
+	const { adapter } = resolveSourceAdapter(path);
+	return adapter.eventHeader ? headers.get(adapter.eventHeader) : null;
+}
+
+/**
+ * Parse a payload with its source's adapter, keying each item with the adapter's extractor
+ * Options: event (see getWebhookEvent), env (parser settings such as GITHUB_ACTIONS)
+ * Throws RangeError for an unregistered source or vendor
+ */
+export function parseWebhook(path, payload, { event = null, env = {} } = {}) {
+	const { adapter } = resolveSourceAdapter(path);
+	return adapter.parse(payload, { event, env }).map(item => ({ ...item, externalId: adapter.externalId(item, payload) }));
+}
+
+/**
+ * Runtime parser settings stored for a source (parsed source_settings.settings)
+ */
+function storedSettings(row) {
+	try {
+		return JSON.parse(row?.settings || '{}');
+	} catch {
+		console.error(`Settings of source ${row.source} are not valid JSON`);
+		return {};
+	}
+}
+
+/**
+ * Batching overrides stored for a source, as batch policy fields (null where unset)
+ */
+export function batchingOverrides(row) {
+	return Object.fromEntries(BATCHING_FIELDS.map(([, column, key]) => [key, row?.[column] ?? null]));
+}
+
+/**
+ * Load the runtime configuration of a webhook path source
+ * A vendor is enabled only if its source is too; its parser env is env plus the runtime settings
+ * of the source and the vendor
+ * Returns { enabled, env }
+ */
+export async function getSourceConfig(env, path) {
+	const { source, vendor } = parseWebhookSource(path);
+	const names = vendor ? [source, `${source}/${vendor}`] : [source];
+	const rows = await db.getSourceSettings(env.DB, names);
+	const [base, vendorRow] = names.map(name => rows.find(row => row.source === name));
+	
+	return {
+		enabled: [base, vendorRow].every(row => !row || row.enabled !== 0),
+		env: { ...env, ...storedSettings(base), ...storedSettings(vendorRow) }
+	};
+}
+
+/**
+ * Validate a PATCH /api/sources/:name body against the source's adapter
+ * existing is the stored source_settings row; omitted fields keep their value and null resets a
+ * batching field or setting to its default
+ * Throws RangeError for invalid fields
+ * Returns the fields for db.upsertSourceSettings
+ */
+export function validateSourceUpdate(path, body = {}, existing = null) {
+	const { source, vendor, adapter } = resolveSourceAdapter(path);
+	const update = {
+		enabled: !existing || existing.enabled !== 0,
+		...Object.fromEntries(BATCHING_FIELDS.map(([, column]) => [column, existing?.[column] ?? null])),
+		settings: storedSettings(existing)
+	};
+	
+	if (body.enabled !== undefined) {
+		if (typeof body.enabled !== 'boolean') {
+			throw new RangeError('enabled must be true or false');
+		}
+		update.enabled = body.enabled;
+	}
+	
+	if (body.batching !== undefined) {
+		if (vendor) {
+			throw new RangeError(`Vendors are batched with their source; configure batching on ${source}`);
+		}
+		if (typeof body.batching !== 'object' || body.batching === null) {
+			throw new RangeError('batching must be an object');
+		}
+		for (const [field, column, , min] of BATCHING_FIELDS) {
+			const value = body.batching[field];
+			if (value === undefined) {
+				continue;
+			}
+			if (value !== null && !(Number.isInteger(value) && value >= min)) {
+				throw new RangeError(`batching.${field} must be an integer of at least ${min}, or null`);
+			}
+			update[column] = value;
+		}
+	}
+	
+	if (body.settings !== undefined) {
+		if (typeof body.settings !== 'object' || body.settings === null) {
+			throw new RangeError('settings must be an object');
+		}
+		for (const [key, value] of Object.entries(body.settings)) {
+			if (!adapter.settings.includes(key)) {
+				const allowed = adapter.settings.length > 0 ? adapter.settings.join(', ') : 'none';
+				throw new RangeError(`Unknown setting ${key} for ${path} (settings: ${allowed})`);
+			}
+			if (value !== null && typeof value !== 'string') {
+				throw new RangeError(`Setting ${key} must be a string, or null`);
+			}
+			if (value === null) {
+				delete update.settings[key];
+			} else {
+				update.settings[key] = value;
+			}
+		}
+	}
+	
+	return update;
+}
+
+/**
+ * Describe a registered source for API responses
+ * row is its source_settings row (null when never configured); policy is the effective batching
+ * policy of a plain source (see getBatchPolicy); vendors are described by their own rows
+ */
+export function formatSource(path, row = null, { policy = null, vendorRows = [] } = {}) {
+	const { source, vendor, adapter } = resolveSourceAdapter(path);
+	const settings = storedSettings(row);
+	const described = {
+		name: vendor ? `${source}/${vendor}` : source,
+		enabled: !row || row.enabled !== 0,
+		verification: adapter.verification.method,
+		event_header: adapter.eventHeader,
+		// Runtime values; null falls back to the env var of the same name
+		settings: Object.fromEntries(adapter.settings.map(key => [key, settings[key] ?? null])),
+		updated_at: row?.updated_at ?? null
+	};
+	
+	if (vendor) {
+		return described;
+	}
+	return {
+		...described,
+		batching: { defaults: adapter.batching, overrides: batchingOverrides(row), policy },
+		vendors: Object.keys(adapter.vendors).map(name => {
+			const vendorPath = `${source}/${name}`;
+			return formatSource(vendorPath, vendorRows.find(vendorRow => vendorRow.source === vendorPath) ?? null);
+		})
+	};
+}
+
+/**
+ * Record a delivery for an unregistered source in quarantined_webhooks
+ * Only the body's size and SHA-256 are kept, not the body; credentials in headers are dropped
+ * Returns the quarantine id, or null when MAX_QUARANTINED_WEBHOOKS are already kept
+ */
+export async function quarantineWebhook(env, path, request) {
+	const body = new Uint8Array(await request.arrayBuffer());
+	const headers = [...request.headers].filter(([name]) => !REDACTED_HEADERS.includes(name.toLowerCase()));
+	
+	return db.insertQuarantinedWebhook(env.DB, {
+		source: path.toLowerCase().slice(0, 200),
+		payloadSize: body.byteLength,
+		payloadSha256: await sha256Hex(body),
+		headers: JSON.stringify(Object.fromEntries(headers)),
+		ipAddress: request.headers.get('CF-Connecting-IP')
+	}, MAX_QUARANTINED_WEBHOOKS);
+}
@@ -0,0 +1,129 @@
+/**
+ * Time-series statistics for dashboard charts
+ *
+ * Feedback is counted per time bucket with SQL aggregates over feedback.created_at:
+ * - hour and day buckets start on the hour / at midnight UTC
+ * - week buckets start on Monday 00:00 UTC
+ *
+ * Series are dense (one count per bucket, zeros included) so they can be charted directly.
+ * Sentiment bands follow the dashboard badges: positive above SENTIMENT_THRESHOLD, negative
+ * below its negative, neutral in between.
+ */
+
+import * as db from './db.js';
+
+export const BUCKET_SIZES = {
+	hour: 60 * 60,
+	day: 24 * 60 * 60,
+	week: 7 * 24 * 60 * 60
+};
+
+export const SENTIMENT_BANDS = ['negative', 'neutral', 'positive'];
+
+export const SENTIMENT_THRESHOLD = 0.2;
+
+// Most buckets one request may span (e.g. ~3 weeks of hours, over a year of days)
+export const MAX_BUCKETS = 500;
+
+// Range used when since is not given
+const DEFAULT_RANGE_BUCKETS = { hour: 48, day: 30, week: 12 };
+
+// The unix epoch is a Thursday; week buckets are shifted to start on Monday (1970-01-05)
+const WEEK_OFFSET = 4 * 24 * 60 * 60;
+
+/**
+ * Resolve and validate a time-series request
+ * Options: since, until (unix seconds, inclusive; default: a bucket-dependent range ending now), bucket (default 'day')
+ * Throws RangeError for invalid options
+ * Returns { bucket, bucketSeconds, offset, since, until } with since aligned to its bucket start
+ */
+export function resolveTimeseriesRange({ since, until, bucket = 'day' } = {}, now = Math.floor(Date.now() / 1000)) {
+	const bucketSeconds = BUCKET_SIZES[bucket];
+	if (!bucketSeconds) {
+		throw new RangeError(`bucket must be one of ${Object.keys(BUCKET_SIZES).join(', ')}`);
+	}
+	
+	const end = until === undefined ? now : Number(until);
+	const start = since === undefined ? end - DEFAULT_RANGE_BUCKETS[bucket] * bucketSeconds + 1 : Number(since);
+	if (!Number.isInteger(start) || !Number.isInteger(end) || start > end) {
+		throw new RangeError('since and until must be unix seconds with since <= until');
+	}
+	
+	const offset = bucket === 'week' ? WEEK_OFFSET : 0;
+	const alignedStart = bucketStart(start, bucketSeconds, offset);
+	if ((end - alignedStart) / bucketSeconds >= MAX_BUCKETS) {
+		throw new RangeError(`The range spans more than ${MAX_BUCKETS} ${bucket} buckets; use a larger bucket or a shorter range`);
+	}
+	
+	return { bucket, bucketSeconds, offset, since: alignedStart, until: end };
+}
+
+/**
+ * Start of the bucket containing a timestamp
+ */
+function bucketStart(timestamp, bucketSeconds, offset) {
+	return Math.floor((timestamp - offset) / bucketSeconds) * bucketSeconds + offset;
+}
+
+/**
+ * Turn { bucket, <key>, count } rows into one dense series per key
+ */
+function toSeries(rows, key, buckets, keys = []) {
+	const index = new Map(buckets.map((bucket, i) => [bucket, i]));
+	const series = Object.fromEntries(keys.map(name => [name, buckets.map(() => 0)]));
+	
+	for (const row of rows) {
+		const name = row[key];
+		series[name] = series[name] || buckets.map(() => 0);
+		series[name][index.get(row.bucket)] += row.count;
+	}
+	return series;
+}
+
+/**
+ * Get bucketed feedback counts per source, category and sentiment band
+ * Options: see resolveTimeseriesRange
+ * Returns { bucket, since, until, buckets, bySource, byCategory, bySentiment } where buckets are
+ * bucket start times and every series has one count per bucket
+ */
+export async function getTimeseries(env, options = {}, now = Math.floor(Date.now() / 1000)) {
+	const range = resolveTimeseriesRange(options, now);
+	
+	const buckets = [];
+	for (let bucket = range.since; bucket <= range.until; bucket += range.bucketSeconds) {
+		buckets.push(bucket);
+	}
+	
+	const rows = await db.getFeedbackTimeseries(env.DB, {
+		since: range.since,
+		until: range.until,
+		bucketSeconds: range.bucketSeconds,
+		offset: range.offset,
+		sentimentThreshold: SENTIMENT_THRESHOLD
+	});
+	
+	return {
+		bucket: range.bucket,
+		since: range.since,
+		until: range.until,
+		buckets,
+		bySource: toSeries(rows.bySource, 'source', buckets),
+		byCategory: toSeries(rows.byCategory, 'category', buckets),
+		bySentiment: toSeries(rows.bySentiment, 'band', buckets, SENTIMENT_BANDS)
+	};
+}
+
+/**
+ * Get unprocessed feedback per source with the age of the oldest row
+ * Returns rows of { source, unprocessed, waiting, oldest, oldestAgeSeconds }
+ */
+export async function getBacklog(env, now = Math.floor(Date.now() / 1000)) {
+	const rows = await db.getBacklogStats(env.DB);
+	return rows.map(row => ({
+		source: row.source,
+		unprocessed: row.unprocessed,
+		waiting: row.waiting,
+		oldest: row.oldest,
+		oldestAgeSeconds: Math.max(0, now - row.oldest)
+	}));
+}
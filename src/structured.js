@@ -0,0 +1,157 @@
+/**
+ * Structured summary schema and validation
+ *
+ * Source and aggregated summaries are stored as prose plus a JSON object:
+ * {
+ *   summary: string,
+ *   themes: string[],
+ *   pain_points: [{ description: string, mentions: number }],
+ *   praise: string[],
+ *   feature_requests: [{ description: string, mentions: number }],
+ *   sentiment_score: number (-1..1),
+ *   representative_feedback_ids: number[]
+ * }
+ */
+
+/**
+ * JSON shape described to the model in prompts
+ */
+export const STRUCTURED_SUMMARY_FORMAT = `{
+  "summary": "2-4 paragraph prose summary for a product manager",
+  "themes": ["short theme name", ...],
+  "pain_points": [{ "description": "what is painful", "mentions": <number of feedback items> }, ...],
+  "praise": ["what users like", ...],
+  "feature_requests": [{ "description": "requested capability", "mentions": <number of feedback items> }, ...],
+  "sentiment_score": <number from -1 (very negative) to 1 (very positive)>,
+  "representative_feedback_ids": [<feedback id>, ...]
+}`;
+
+/**
+ * Extract a JSON object from model output (handles code fences and surrounding prose)
+ */
+export function parseJSONFromText(text) {
+	if (!text) {
+		throw new Error('Empty response');
+	}
+	
+	const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+	const candidate = fenced ? fenced[1] : text;
+	const start = candidate.indexOf('{');
+	const end = candidate.lastIndexOf('}');
+	
+	if (start === -1 || end <= start) {
+		throw new Error('No JSON object found in response');
+	}
+	
+	return JSON.parse(candidate.slice(start, end + 1));
+}
+
+/**
+ * Normalize a list of strings (objects with a description or name are accepted)
+ */
+function stringList(value, field, errors) {
+	if (value === undefined || value === null) {
+		return [];
+	}
+	if (!Array.isArray(value)) {
+		errors.push(`${field} must be an array`);
+		return [];
+	}
+	
+	return value
+		.map((entry) => (typeof entry === 'string' ? entry : entry?.description || entry?.name || entry?.text))
+		.filter((entry) => typeof entry === 'string' && entry.trim())
+		.map((entry) => entry.trim());
+}
+
+/**
+ * Normalize a list of { description, mentions } entries (plain strings count as one mention)
+ */
+function countedList(value, field, errors) {
+	if (value === undefined || value === null) {
+		return [];
+	}
+	if (!Array.isArray(value)) {
+		errors.push(`${field} must be an array`);
+		return [];
+	}
+	
+	const items = [];
+	for (const entry of value) {
+		const description = typeof entry === 'string' ? entry : entry?.description || entry?.text || entry?.name;
+		if (typeof description !== 'string' || !description.trim()) {
+			errors.push(`${field} entries need a description`);
+			continue;
+		}
+		
+		const mentions = parseInt(entry?.mentions ?? entry?.count ?? 1, 10);
+		items.push({
+			description: description.trim(),
+			mentions: Number.isFinite(mentions) && mentions > 0 ? mentions : 1
+		});
+	}
+	
+	// Most mentioned first so consumers can rank without re-sorting
+	return items.sort((a, b) => b.mentions - a.mentions);
+}
+
+/**
+ * Validate and normalize a structured summary
+ * Options: allowedFeedbackIds - ids the summary may cite (unknown ids are dropped)
+ * Returns { valid, errors, value }
+ */
+export function validateStructuredSummary(data, { allowedFeedbackIds } = {}) {
+	const errors = [];
+	
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		return { valid: false, errors: ['Response must be a JSON object'], value: null };
+	}
+	
+	if (typeof data.summary !== 'string' || !data.summary.trim()) {
+		errors.push('summary must be a non-empty string');
+	}
+	
+	const sentiment = typeof data.sentiment_score === 'string' ? parseFloat(data.sentiment_score) : data.sentiment_score;
+	if (typeof sentiment !== 'number' || !Number.isFinite(sentiment)) {
+		errors.push('sentiment_score must be a number between -1 and 1');
+	}
+	
+	let representativeIds = [];
+	if (Array.isArray(data.representative_feedback_ids)) {
+		representativeIds = data.representative_feedback_ids
+			.map((id) => parseInt(id, 10))
+			.filter((id) => Number.isInteger(id) && (!allowedFeedbackIds || allowedFeedbackIds.includes(id)));
+	} else if (data.representative_feedback_ids !== undefined) {
+		errors.push('representative_feedback_ids must be an array of feedback ids');
+	}
+	
+	const value = {
+		summary: typeof data.summary === 'string' ? data.summary.trim() : '',
+		themes: stringList(data.themes, 'themes', errors),
+		pain_points: countedList(data.pain_points, 'pain_points', errors),
+		praise: stringList(data.praise, 'praise', errors),
+		feature_requests: countedList(data.feature_requests, 'feature_requests', errors),
+		sentiment_score: Number.isFinite(sentiment) ? Math.max(-1, Math.min(1, sentiment)) : 0,
+		representative_feedback_ids: [...new Set(representativeIds)]
+	};
+	
+	return { valid: errors.length === 0, errors, value: errors.length === 0 ? value : null };
+}
+
+/**
+ * Parse a stored structured column back into an object
+ */
+export function parseStoredStructured(value) {
+	if (!value) {
+		return null;
+	}
+	if (typeof value === 'object') {
+		return value;
+	}
+	
+	try {
+		return JSON.parse(value);
+	} catch {
+		return null;
+	}
+}
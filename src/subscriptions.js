@@ -0,0 +1,348 @@
+/**
+ * Summary subscriptions
+ *
+ * A subscription pushes every new aggregated summary (optionally only one period type and report
+ * type) and, when include_source_summaries is set, every new source summary to one destination:
+ * - slack: Slack incoming webhook; the summary is rendered as blocks
+ * - email: sent through the email provider's HTTP API (EMAIL_API_URL, default Resend), which must
+ *   accept { from, to, subject, text, html } with a Bearer EMAIL_API_KEY; sent from EMAIL_FROM
+ * - webhook: the summary as JSON, signed with the subscription's secret in
+ *   X-Feedback-Signature (sha256=<hex HMAC-SHA256 of the body>)
+ *
+ * Deliveries run as workflow steps with retries, and every delivery is logged in
+ * subscription_deliveries (attempts, last error, final status).
+ */
+
+import * as db from './db.js';
+import { PERIOD_TYPES } from './periods.js';
+import { REPORT_TYPES } from './aggregate.js';
+import { hmacSha256Hex } from './verify.js';
+import { postWebhook, DeliveryError } from './notifications.js';
+
+export const SUBSCRIPTION_CHANNELS = ['slack', 'email', 'webhook'];
+
+export const SUMMARY_TYPES = ['aggregated', 'source'];
+
+// Retries per delivery step; the step fails for good after the last one
+export const DELIVERY_STEP_CONFIG = {
+	retries: { limit: 3, delay: '1 minute', backoff: 'exponential' }
+};
+
+const DEFAULT_EMAIL_API_URL = 'https://api.resend.com/emails';
+
+// Slack rejects section text longer than 3000 characters
+const SLACK_TEXT_LIMIT = 3000;
+
+// Items listed per structured field in Slack and email messages
+const LIST_LIMIT = 5;
+
+/**
+ * Generate a signing secret for a webhook subscription
+ */
+function generateSecret() {
+	return [...crypto.getRandomValues(new Uint8Array(32))].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Validate a subscription request body (snake_case, as sent to /api/subscriptions)
+ * existing is the stored subscription when updating; omitted fields keep their value
+ * Throws RangeError for invalid fields
+ * Returns the fields for db.createSubscription / db.updateSubscription
+ */
+export function validateSubscription(body = {}, existing = null) {
+	const value = (field) => body[field] !== undefined ? body[field] : existing?.[field] ?? null;
+	
+	const name = value('name');
+	if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+		throw new RangeError('name is required (at most 100 characters)');
+	}
+	
+	const channel = value('channel');
+	if (!SUBSCRIPTION_CHANNELS.includes(channel)) {
+		throw new RangeError(`channel must be one of ${SUBSCRIPTION_CHANNELS.join(', ')}`);
+	}
+	
+	const target = value('target');
+	if (channel === 'email' ? !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target || '') : !/^https:\/\/\S+$/.test(target || '')) {
+		throw new RangeError(channel === 'email' ? 'target must be an email address' : 'target must be an https:// URL');
+	}
+	
+	const periodType = value('period_type');
+	if (periodType !== null && ![...PERIOD_TYPES, 'custom'].includes(periodType)) {
+		throw new RangeError(`period_type must be one of ${[...PERIOD_TYPES, 'custom'].join(', ')}`);
+	}
+	
+	const reportType = value('report_type');
+	if (reportType !== null && !REPORT_TYPES.includes(reportType)) {
+		throw new RangeError(`report_type must be one of ${REPORT_TYPES.join(', ')}`);
+	}
+	
+	const source = value('source');
+	if (source !== null && typeof source !== 'string') {
+		throw new RangeError('source must be a source name');
+	}
+	
+	// Webhook subscriptions are always signed; keep the stored secret unless a new one is given
+	let secret = null;
+	if (channel === 'webhook') {
+		secret = value('secret') || generateSecret();
+		if (typeof secret !== 'string' || secret.length < 16) {
+			throw new RangeError('secret must be at least 16 characters');
+		}
+	}
+	
+	return {
+		name: name.trim(),
+		channel,
+		target,
+		secret,
+		periodType,
+		reportType,
+		includeSourceSummaries: Boolean(value('include_source_summaries')),
+		source,
+		enabled: value('enabled') !== false && value('enabled') !== 0
+	};
+}
+
+/**
+ * Prepare a stored subscription for API responses (the secret is only returned when requested)
+ */
+export function formatSubscription(row, { revealSecret = false } = {}) {
+	const { secret, ...subscription } = row;
+	return {
+		...subscription,
+		include_source_summaries: Boolean(row.include_source_summaries),
+		enabled: Boolean(row.enabled),
+		...(revealSecret && secret ? { secret } : { has_secret: Boolean(secret) })
+	};
+}
+
+/**
+ * Format a unix timestamp as a UTC date
+ */
+function formatDate(timestamp) {
+	return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Title and one-line description of a summary for messages
+ */
+function describeSummary(summaryType, summary) {
+	const range = `${formatDate(summary.date_range_start)} – ${formatDate(summary.date_range_end)}`;
+	
+	if (summaryType === 'source') {
+		return {
+			title: `Feedback summary: ${summary.source}`,
+			meta: `${summary.feedback_count} items • ${range}`
+		};
+	}
+	
+	const label = summary.report_type === 'trend' ? 'Feedback trend report' : 'Feedback roll-up';
+	return {
+		title: summary.period_key ? `${label}: ${summary.period_key}` : label,
+		meta: `${summary.total_feedback_count} items from ${summary.source_count} sources • ${range}`
+	};
+}
+
+/**
+ * The structured fields worth listing in a message, as [{ heading, items }]
+ */
+function summaryLists(structured) {
+	if (!structured) {
+		return [];
+	}
+	
+	return [
+		{ heading: 'Themes', items: (structured.themes || []).slice(0, LIST_LIMIT) },
+		{ heading: 'Pain points', items: (structured.pain_points || []).slice(0, LIST_LIMIT).map(p => `${p.description} (${p.mentions})`) },
+		{ heading: 'Feature requests', items: (structured.feature_requests || []).slice(0, LIST_LIMIT).map(r => `${r.description} (${r.mentions})`) }
+	].filter(list => list.items.length > 0);
+}
+
+/**
+ * Render a summary as a Slack incoming-webhook message
+ */
+export function buildSlackMessage(summaryType, summary) {
+	const { title, meta } = describeSummary(summaryType, summary);
+	const text = summary.summary.length > SLACK_TEXT_LIMIT ? `${summary.summary.slice(0, SLACK_TEXT_LIMIT - 1)}…` : summary.summary;
+	
+	const blocks = [
+		{ type: 'header', text: { type: 'plain_text', text: title.slice(0, 150) } },
+		{ type: 'section', text: { type: 'mrkdwn', text } }
+	];
+	
+	const lists = summaryLists(summary.structured);
+	if (lists.length > 0) {
+		blocks.push({
+			type: 'section',
+			fields: lists.map(list => ({ type: 'mrkdwn', text: `*${list.heading}*\n${list.items.map(item => `• ${item}`).join('\n')}` }))
+		});
+	}
+	
+	blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: meta }] });
+	return { text: title, blocks };
+}
+
+/**
+ * Escape text for HTML email bodies
+ */
+function escapeHtml(text) {
+	return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Render a summary as an email ({ subject, text, html })
+ */
+export function buildEmail(summaryType, summary) {
+	const { title, meta } = describeSummary(summaryType, summary);
+	const lists = summaryLists(summary.structured);
+	
+	const text = [
+		title,
+		meta,
+		'',
+		summary.summary,
+		...lists.flatMap(list => ['', `${list.heading}:`, ...list.items.map(item => `- ${item}`)])
+	].join('\n');
+	
+	const html = [
+		`<h2>${escapeHtml(title)}</h2>`,
+		`<p style="color:#666">${escapeHtml(meta)}</p>`,
+		...summary.summary.split(/\n{2,}/).map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+		...lists.map(list => `<h3>${escapeHtml(list.heading)}</h3><ul>${list.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`)
+	].join('\n');
+	
+	return { subject: title, text, html };
+}
+
+/**
+ * Build the JSON body sent to generic webhooks
+ */
+export function buildWebhookPayload(summaryType, summary, deliveryId) {
+	return {
+		type: `summary.${summaryType}`,
+		delivery_id: deliveryId,
+		summary
+	};
+}
+
+/**
+ * Send an email through the provider's HTTP API
+ * Options: fetch overrides the global fetch (for tests)
+ */
+export async function sendEmail(env, to, email, options = {}) {
+	const url = env.EMAIL_API_URL || DEFAULT_EMAIL_API_URL;
+	if (!env.EMAIL_API_KEY || !env.EMAIL_FROM) {
+		throw new DeliveryError('Email delivery is not configured (set EMAIL_API_KEY and EMAIL_FROM)', { url });
+	}
+	
+	return postWebhook(url, { from: env.EMAIL_FROM, to: [to], ...email }, {
+		...options,
+		headers: { Authorization: `Bearer ${env.EMAIL_API_KEY}` }
+	});
+}
+
+/**
+ * Send a summary to one subscription in its channel's format
+ * Options: fetch overrides the global fetch (for tests)
+ */
+export async function sendToSubscription(env, subscription, summaryType, summary, deliveryId, options = {}) {
+	switch (subscription.channel) {
+		case 'slack':
+			return postWebhook(subscription.target, buildSlackMessage(summaryType, summary), options);
+		case 'email':
+			return sendEmail(env, subscription.target, buildEmail(summaryType, summary), options);
+		default: {
+			const body = JSON.stringify(buildWebhookPayload(summaryType, summary, deliveryId));
+			return postWebhook(subscription.target, body, {
+				...options,
+				headers: {
+					'X-Feedback-Event': `summary.${summaryType}`,
+					'X-Feedback-Delivery': String(deliveryId),
+					'X-Feedback-Signature': `sha256=${await hmacSha256Hex(subscription.secret, body)}`
+				}
+			});
+		}
+	}
+}
+
+/**
+ * Load a summary of either type
+ */
+function getSummary(env, summaryType, summaryId) {
+	return summaryType === 'aggregated'
+		? db.getAggregatedSummaryById(env.DB, summaryId)
+		: db.getSourceSummaryById(env.DB, summaryId);
+}
+
+/**
+ * Attempt one logged delivery; the error is rethrown so the step is retried
+ */
+async function attemptDelivery(env, delivery, summaryType, summaryId, options) {
+	const [subscription, summary] = await Promise.all([
+		db.getSubscriptionById(env.DB, delivery.subscriptionId),
+		getSummary(env, summaryType, summaryId)
+	]);
+	
+	// Deleted or disabled since the delivery was logged
+	if (!subscription || !subscription.enabled || !summary) {
+		await db.recordDeliveryAttempt(env.DB, delivery.deliveryId, 'Subscription or summary no longer available');
+		await db.failDelivery(env.DB, delivery.deliveryId);
+		return { deliveryId: delivery.deliveryId, skipped: true };
+	}
+	
+	try {
+		await sendToSubscription(env, subscription, summaryType, summary, delivery.deliveryId, options);
+	} catch (error) {
+		await db.recordDeliveryAttempt(env.DB, delivery.deliveryId, error.message);
+		throw error;
+	}
+	
+	await db.recordDeliveryAttempt(env.DB, delivery.deliveryId);
+	return { deliveryId: delivery.deliveryId, skipped: false };
+}
+
+/**
+ * Deliver a new summary to every matching subscription
+ * Each delivery is logged up front and attempted in its own step, retried per DELIVERY_STEP_CONFIG;
+ * a delivery whose retries are exhausted is marked failed without failing the others
+ * Options:
+ * - runStep: (name, fn, config) => result, wraps each step (workflows pass step.do)
+ * - fetch: overrides the global fetch (for tests)
+ * Returns { delivered, failed, skipped }
+ */
+export async function deliverSummary(env, summaryType, summaryId, options = {}) {
+	const runStep = options.runStep || ((name, fn) => fn());
+	
+	const deliveries = await runStep('prepare-deliveries', async () => {
+		const summary = await getSummary(env, summaryType, summaryId);
+		if (!summary) {
+			return [];
+		}
+		
+		const subscriptions = await db.getSubscriptionsForSummary(env.DB, summaryType, summary);
+		const deliveryIds = await db.createSubscriptionDeliveries(env.DB, subscriptions.map(s => s.id), summaryType, summaryId);
+		return deliveryIds.map((deliveryId, i) => ({ deliveryId, subscriptionId: subscriptions[i].id }));
+	});
+	
+	const result = { delivered: 0, failed: 0, skipped: 0 };
+	for (const delivery of deliveries) {
+		try {
+			const { skipped } = await runStep(
+				`deliver-to-subscription-${delivery.subscriptionId}`,
+				() => attemptDelivery(env, delivery, summaryType, summaryId, options),
+				DELIVERY_STEP_CONFIG
+			);
+			result[skipped ? 'skipped' : 'delivered']++;
+		} catch (error) {
+			console.error(`Delivery ${delivery.deliveryId} to subscription ${delivery.subscriptionId} failed:`, error.message);
+			await runStep(`fail-delivery-${delivery.deliveryId}`, async () => {
+				await db.failDelivery(env.DB, delivery.deliveryId);
+				return { deliveryId: delivery.deliveryId };
+			});
+			result.failed++;
+		}
+	}
+	
+	return result;
+}
@@ -3,72 +3,64 @@
  */
 
 import * as db from './db.js';
+import { createLLMClient } from './llm.js';
+import { buildFeedbackSummaryPrompt, buildReducePrompt, renderFeedbackItem, renderPartialSummary } from './prompts.js';
+import { validateStructuredSummary } from './structured.js';
+import { getInputTokenBudget, mapReduce, truncateToTokens } from './chunking.js';
 
 /**
- * Generate summary using Workers AI
+ * Generate a structured summary (prose plus validated JSON) using the shared LLM client
+ * Returns { summary, structured }
  */
-async function generateSummary(ai, feedbackItems) {
+export async function generateSummary(llm, feedbackItems) {
 	if (!feedbackItems || feedbackItems.length === 0) {
-		return 'No feedback to summarize.';
+		return { summary: 'No feedback to summarize.', structured: null };
 	}
 	
-	// Combine all feedback content
-	const combinedContent = feedbackItems
-		.map((item, index) => {
-			const metadata = typeof item.metadata === 'string' 
-				? JSON.parse(item.metadata) 
-				: item.metadata;
-			
-			let text = `Feedback ${index + 1}:\n${item.content}`;
-			if (metadata.author) {
-				text += `\n[From: ${metadata.author}]`;
-			}
-			return text;
-		})
-		.join('\n\n---\n\n');
+	const feedbackIds = feedbackItems.map(item => item.id).filter(Boolean);
+	const structured = await llm.completeJSON(
+		'summarize',
+		buildFeedbackSummaryPrompt(feedbackItems),
+		(data) => validateStructuredSummary(data, { allowedFeedbackIds: feedbackIds.length > 0 ? feedbackIds : undefined })
+	);
 	
-	// Create prompt for summarization
-	const prompt = `You are a product feedback analyst. Analyze the following feedback items and create a concise summary that highlights:
-1. Main themes and topics
-2. Common pain points or issues
-3. Positive feedback or praise
-4. Suggestions or feature requests
-5. Overall sentiment
-
-Feedback items:
-${combinedContent}
+	return { summary: structured.summary, structured };
+}
 
-Provide a well-structured summary that would help a product manager understand the key insights from this feedback.`;
+/**
+ * Merge partial structured summaries into one
+ * task selects the LLM settings ('summarize' or 'aggregate'), scope describes the content for the prompt
+ */
+export async function reduceSummaries(llm, partials, { task = 'summarize', scope = 'feedback' } = {}) {
+	const feedbackIds = [...new Set(partials.flatMap(p => p.structured?.representative_feedback_ids || []))];
+	const structured = await llm.completeJSON(
+		task,
+		buildReducePrompt(partials, scope),
+		(data) => validateStructuredSummary(data, { allowedFeedbackIds: feedbackIds })
+	);
+	
+	return { summary: structured.summary, structured };
+}
 
-	try {
-		const response = await ai.run('@cf/meta/llama-3.1-8b-instruct', {
-			messages: [
-				{
-					role: 'system',
-					content: 'You are a helpful assistant that summarizes product feedback concisely and clearly.'
-				},
-				{
-					role: 'user',
-					content: prompt
-				}
-			],
-			max_tokens: 1000,
-			temperature: 0.7
-		});
-		
-		// Extract the summary from the response
-		if (response.response) {
-			return response.response;
-		}
-		if (typeof response === 'string') {
-			return response;
-		}
-		return JSON.stringify(response);
-	} catch (error) {
-		console.error('Error generating summary:', error);
-		// Fallback to a simple summary if AI fails
-		return `Summary of ${feedbackItems.length} feedback items. Error generating AI summary: ${error.message}`;
-	}
+/**
+ * Summarize feedback of any size with map-reduce over token-budgeted chunks
+ * runStep(name, fn) lets workflows run each chunk and reduction as a durable step
+ * Returns { summary, structured, chunkCount }
+ */
+export async function summarizeInChunks(env, llm, feedbackItems, { source = 'feedback', runStep } = {}) {
+	const { result, chunkCount } = await mapReduce({
+		items: feedbackItems,
+		budget: getInputTokenBudget(env, 'summarize'),
+		name: 'summarize',
+		renderItem: renderFeedbackItem,
+		truncateItem: (item, maxTokens) => ({ ...item, content: truncateToTokens(item.content, maxTokens - 50) }),
+		renderPartial: renderPartialSummary,
+		map: (chunk) => generateSummary(llm, chunk),
+		reduce: (partials) => reduceSummaries(llm, partials, { task: 'summarize', scope: `feedback from ${source}` }),
+		runStep
+	});
+	
+	return { ...result, chunkCount };
 }
 
 /**
@@ -76,7 +68,7 @@ Provide a well-structured summary that would help a product manager understand t
  * This is called from webhook handlers using ctx.waitUntil() for background processing
  */
 export async function processFeedbackBatch(env, source, feedbackData) {
-	const ai = env.AI;
+	const llm = createLLMClient(env);
 	
 	if (!feedbackData || feedbackData.length === 0) {
 		return;
@@ -100,7 +92,7 @@ export async function processFeedbackBatch(env, source, feedbackData) {
 		}
 		
 		// Generate summary for this batch
-		const summary = await generateSummary(ai, feedbackItems);
+		const { summary, structured } = await summarizeInChunks(env, llm, feedbackItems, { source });
 		
 		// Calculate date range
 		const timestamps = feedbackItems.map(f => f.created_at);
@@ -114,7 +106,9 @@ export async function processFeedbackBatch(env, source, feedbackData) {
 			summary,
 			dateRangeStart,
 			dateRangeEnd,
-			feedbackItems.length
+			feedbackItems.length,
+			structured,
+			feedbackItems.map(f => f.id)
 		);
 		
 		// Mark feedback as processed
@@ -131,7 +125,7 @@ export async function processFeedbackBatch(env, source, feedbackData) {
  * Summarize feedback for a specific source (called from cron or manual trigger)
  */
 export async function summarizeSourceFeedback(env, source, days = 1) {
-	const ai = env.AI;
+	const llm = createLLMClient(env);
 	
 	const cutoffTime = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
 	
@@ -151,7 +145,7 @@ export async function summarizeSourceFeedback(env, source, days = 1) {
 	
 	try {
 		// Generate summary
-		const summary = await generateSummary(ai, recentFeedback);
+		const { summary, structured } = await summarizeInChunks(env, llm, recentFeedback, { source });
 		
 		// Calculate date range
 		const timestamps = recentFeedback.map(f => f.created_at);
@@ -165,7 +159,9 @@ export async function summarizeSourceFeedback(env, source, days = 1) {
 			summary,
 			dateRangeStart,
 			dateRangeEnd,
-			recentFeedback.length
+			recentFeedback.length,
+			structured,
+			recentFeedback.map(f => f.id)
 		);
 		
 		// Mark as processed
@@ -176,6 +172,7 @@ export async function summarizeSourceFeedback(env, source, days = 1) {
 			success: true,
 			message: `Generated summary for ${source}`,
 			summary,
+			structured,
 			feedbackCount: recentFeedback.length
 		};
 	} catch (error) {
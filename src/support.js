@@ -0,0 +1,394 @@
+/**
+ * Support desk adapters
+ *
+ * Each helpdesk posts to its own path (/webhook/support/<vendor>) and its native payload is mapped
+ * to support feedback: the ticket or conversation text, plus tags, requester, organization,
+ * customer tier/plan and CSAT in metadata (metadata.vendor names the helpdesk).
+ *
+ * - zendesk: event webhooks (zen:event-type:ticket.*) and trigger payloads ({ ticket: { ... } })
+ * - intercom: conversation topics (conversation.user.created, conversation.user.replied,
+ *   conversation.rating.added)
+ * - freshdesk: automation webhooks ({ freshdesk_webhook: { ticket_* } })
+ * - jsm: Jira Service Management issue and comment events (jira:issue_*, comment_created)
+ *
+ * Ticket snapshots are stored as edits of one item per ticket, so a later delivery (new status,
+ * tags or rating) updates the item instead of adding another; replies and ratings with a
+ * comment are items of their own. Agent replies and internal notes are skipped.
+ */
+
+import { htmlToText } from './emailText.js';
+
+// Tags such as tier_enterprise, plan:pro or plan-free name the customer's tier when no field does
+const TIER_TAG = /^(?:tier|plan)[_:-](.+)$/i;
+
+/**
+ * Build one support feedback item
+ * External ids are prefixed with the vendor so ticket numbers of different helpdesks never collide
+ */
+function supportItem(vendor, { kind, id, content, isEdit = false, metadata }) {
+	return {
+		content,
+		externalId: id === undefined || id === null || id === '' ? null : `${vendor}:${kind}:${id}`,
+		isEdit,
+		metadata: { vendor, ...metadata }
+	};
+}
+
+/**
+ * Normalize tags given as an array or a comma/space separated string
+ */
+function tagList(tags) {
+	if (Array.isArray(tags)) {
+		return tags.map(tag => (typeof tag === 'string' ? tag : tag?.name)).filter(Boolean);
+	}
+	return (tags || '').split(/[,\s]+/).filter(Boolean);
+}
+
+/**
+ * Customer tier/plan: the first explicit value, otherwise a tier_ or plan_ tag
+ */
+function customerTier(tags, ...candidates) {
+	const explicit = candidates.find(value => value !== undefined && value !== null && value !== '');
+	if (explicit) {
+		return String(explicit);
+	}
+	
+	const tag = tags.map(name => TIER_TAG.exec(name)).find(Boolean);
+	return tag ? tag[1] : null;
+}
+
+/**
+ * Normalize a satisfaction rating to { rating, score, comment } where score runs from 0 (unhappy) to 1
+ * rating is the vendor's own value: 'good'/'bad' (Zendesk) or 1-5 (Intercom, Freshdesk, JSM)
+ * Returns null when the ticket has not been rated
+ */
+function csat(rating, comment = null) {
+	if (rating === undefined || rating === null || rating === '') {
+		return null;
+	}
+	
+	const text = String(rating).trim().toLowerCase();
+	let score = null;
+	if (text.startsWith('good')) {
+		score = 1;
+	} else if (text.startsWith('bad')) {
+		score = 0;
+	} else if (/^[1-5]$/.test(text)) {
+		score = (Number(text) - 1) / 4;
+	}
+	
+	// Zendesk reports unrated tickets as 'offered' or 'unoffered'
+	if (score === null) {
+		return null;
+	}
+	return { rating: /^[1-5]$/.test(text) ? Number(text) : text.replace(/[^a-z].*$/, ''), score, comment: comment || null };
+}
+
+/**
+ * Ticket content: number and subject, the description and any satisfaction comment
+ */
+function ticketContent(label, subject, text, rating) {
+	const satisfaction = rating ? `\n\nSatisfaction: ${rating.rating}${rating.comment ? ` - ${rating.comment}` : ''}` : '';
+	return `${label}: ${subject || 'No Subject'}\n\n${text || ''}${satisfaction}`.trim();
+}
+
+// Zendesk event webhooks carry ids only; trigger payloads carry whatever the trigger's JSON body sends
+const ZENDESK_EVENT_PARSERS = {
+	'ticket.created': ({ detail }) => [supportItem('zendesk', {
+		kind: 'ticket',
+		id: detail.id,
+		content: ticketContent(`Ticket #${detail.id}`, detail.subject, detail.description),
+		metadata: {
+			ticket_id: detail.id,
+			status: detail.status?.toLowerCase(),
+			priority: detail.priority?.toLowerCase() || null,
+			type: detail.type?.toLowerCase() || null,
+			tags: tagList(detail.tags),
+			requester_id: detail.requester_id,
+			organization_id: detail.organization_id || null,
+			customer_tier: customerTier(tagList(detail.tags)),
+			csat: null,
+			channel: detail.via?.channel || null,
+			created_at: detail.created_at
+		}
+	})],
+	
+	// Only public comments by the requester's side are feedback
+	'ticket.comment_added': ({ detail, event }) => {
+		const comment = event?.comment;
+		if (!comment || comment.is_public === false || comment.author?.is_staff) {
+			return [];
+		}
+		return [supportItem('zendesk', {
+			kind: 'comment',
+			id: comment.id,
+			content: `Reply on ticket #${detail.id} (${detail.subject || 'No Subject'}): ${comment.body}`,
+			metadata: {
+				ticket_id: detail.id,
+				comment_id: comment.id,
+				author: comment.author?.name || null,
+				tags: tagList(detail.tags),
+				customer_tier: customerTier(tagList(detail.tags))
+			}
+		})];
+	}
+};
+
+/**
+ * Parse a Zendesk webhook: an event webhook, or a trigger posting { ticket: { ... } } with the
+ * fields of the Ticket API (requester, organization and satisfaction_rating objects included)
+ */
+export function parseZendeskWebhook(payload) {
+	if (typeof payload.type === 'string' && payload.type.startsWith('zen:event-type:')) {
+		const parser = ZENDESK_EVENT_PARSERS[payload.type.slice('zen:event-type:'.length)];
+		return parser && payload.detail ? parser(payload) : [];
+	}
+	
+	const ticket = payload.ticket;
+	if (!ticket) {
+		return [];
+	}
+	
+	const tags = tagList(ticket.tags);
+	const rating = csat(ticket.satisfaction_rating?.score, ticket.satisfaction_rating?.comment);
+	const organization = ticket.organization;
+	
+	return [supportItem('zendesk', {
+		kind: 'ticket',
+		id: ticket.id,
+		content: ticketContent(`Ticket #${ticket.id}`, ticket.subject, ticket.description, rating),
+		isEdit: true,
+		metadata: {
+			ticket_id: ticket.id,
+			ticket_url: ticket.url || null,
+			status: ticket.status,
+			priority: ticket.priority || null,
+			type: ticket.type || null,
+			tags,
+			requester: ticket.requester ? { name: ticket.requester.name, email: ticket.requester.email } : null,
+			organization: organization?.name || null,
+			customer_tier: customerTier(tags, organization?.organization_fields?.plan, organization?.organization_fields?.tier),
+			csat: rating,
+			channel: ticket.via?.channel || null,
+			created_at: ticket.created_at
+		}
+	})];
+}
+
+/**
+ * Requester of an Intercom conversation (the author of its first message)
+ */
+function intercomRequester(conversation) {
+	const author = conversation.source?.author;
+	return author ? { name: author.name || null, email: author.email || null } : null;
+}
+
+/**
+ * Metadata shared by every item of an Intercom conversation
+ */
+function intercomMetadata(conversation, appId) {
+	const tags = tagList(conversation.tags?.tags);
+	const attributes = conversation.custom_attributes || {};
+	return {
+		ticket_id: conversation.id,
+		ticket_url: appId ? `https://app.intercom.com/a/apps/${appId}/inbox/inbox/conversation/${conversation.id}` : null,
+		status: conversation.state,
+		priority: conversation.priority === 'priority' ? 'high' : null,
+		tags,
+		requester: intercomRequester(conversation),
+		customer_tier: customerTier(tags, attributes.plan, attributes.tier)
+	};
+}
+
+// Contact (not teammate or bot) authors of Intercom conversation parts
+const INTERCOM_CUSTOMER_AUTHORS = ['user', 'lead', 'contact'];
+
+// One parser per Intercom topic
+const INTERCOM_TOPIC_PARSERS = {
+	'conversation.user.created': (conversation, appId) => [supportItem('intercom', {
+		kind: 'conversation',
+		id: conversation.id,
+		content: ticketContent(`Conversation #${conversation.id}`, conversation.source?.subject || conversation.title, htmlToText(conversation.source?.body || '')),
+		metadata: { ...intercomMetadata(conversation, appId), channel: conversation.source?.delivered_as || null }
+	})],
+	
+	'conversation.user.replied': (conversation, appId) => {
+		const parts = conversation.conversation_parts?.conversation_parts || [];
+		const part = parts.filter(candidate => candidate.body && INTERCOM_CUSTOMER_AUTHORS.includes(candidate.author?.type)).pop();
+		if (!part) {
+			return [];
+		}
+		return [supportItem('intercom', {
+			kind: 'part',
+			id: part.id,
+			content: `Reply on conversation #${conversation.id}: ${htmlToText(part.body)}`,
+			metadata: { ...intercomMetadata(conversation, appId), part_id: part.id, author: part.author?.name || null }
+		})];
+	},
+	
+	'conversation.rating.added': (conversation, appId) => {
+		const rating = csat(conversation.conversation_rating?.rating, conversation.conversation_rating?.remark);
+		if (!rating) {
+			return [];
+		}
+		return [supportItem('intercom', {
+			kind: 'rating',
+			id: conversation.id,
+			content: `Rating of conversation #${conversation.id}: ${rating.rating}/5${rating.comment ? ` - ${rating.comment}` : ''}`,
+			isEdit: true,
+			metadata: { ...intercomMetadata(conversation, appId), csat: rating }
+		})];
+	}
+};
+
+/**
+ * Parse an Intercom notification ({ topic, data: { item: conversation } })
+ * Topics without a parser (assignments, state changes, ...) yield no items
+ */
+export function parseIntercomWebhook(payload) {
+	const parser = INTERCOM_TOPIC_PARSERS[payload.topic];
+	const conversation = payload.data?.item;
+	return parser && conversation ? parser(conversation, payload.app_id) : [];
+}
+
+/**
+ * Parse a Freshdesk automation webhook ({ freshdesk_webhook: { ticket_id, ticket_subject, ... } })
+ * Automations send a snapshot of the ticket, so each delivery updates the ticket's item
+ */
+export function parseFreshdeskWebhook(payload) {
+	const ticket = payload.freshdesk_webhook;
+	if (!ticket || !ticket.ticket_id) {
+		return [];
+	}
+	
+	const tags = tagList(ticket.ticket_tags);
+	const rating = csat(ticket.ticket_satisfaction_rating, ticket.ticket_satisfaction_comment);
+	
+	return [supportItem('freshdesk', {
+		kind: 'ticket',
+		id: ticket.ticket_id,
+		content: ticketContent(`Ticket #${ticket.ticket_id}`, ticket.ticket_subject, htmlToText(ticket.ticket_description || ''), rating),
+		isEdit: true,
+		metadata: {
+			ticket_id: ticket.ticket_id,
+			ticket_url: ticket.ticket_url || null,
+			status: ticket.ticket_status?.toLowerCase() || null,
+			priority: ticket.ticket_priority?.toLowerCase() || null,
+			type: ticket.ticket_type || null,
+			tags,
+			requester: ticket.ticket_requester_email ? { name: ticket.ticket_requester_name || null, email: ticket.ticket_requester_email } : null,
+			organization: ticket.ticket_company_name || null,
+			customer_tier: customerTier(tags, ticket.ticket_company_plan, ticket.ticket_cf_plan),
+			csat: rating,
+			channel: ticket.ticket_source?.toLowerCase() || null,
+			triggered_event: ticket.triggered_event || null
+		}
+	})];
+}
+
+/**
+ * Plain text of an Atlassian Document Format node (Jira Cloud REST v3 descriptions and comments)
+ */
+function adfToText(node) {
+	if (!node) return '';
+	if (typeof node === 'string') return node;
+	if (node.type === 'text') return node.text || '';
+	if (node.type === 'hardBreak') return '\n';
+	
+	const children = (node.content || []).map(adfToText);
+	const blocks = ['doc', 'blockquote', 'bulletList', 'orderedList'];
+	if (node.type === 'listItem') return `- ${children.join('').trim()}\n`;
+	return blocks.includes(node.type) ? children.join('').trim() : `${children.join('')}\n`;
+}
+
+/**
+ * Metadata of a Jira Service Management request
+ * JSM_ORGANIZATION_FIELD, JSM_SATISFACTION_FIELD and JSM_TIER_FIELD name the custom fields
+ * (e.g. customfield_10002) holding organizations, the CSAT rating and the customer tier
+ */
+function jsmMetadata(issue, env) {
+	const fields = issue.fields || {};
+	const tags = tagList(fields.labels);
+	const organizations = env.JSM_ORGANIZATION_FIELD ? fields[env.JSM_ORGANIZATION_FIELD] : null;
+	const satisfaction = env.JSM_SATISFACTION_FIELD ? fields[env.JSM_SATISFACTION_FIELD] : null;
+	const tier = env.JSM_TIER_FIELD ? fields[env.JSM_TIER_FIELD] : null;
+	
+	return {
+		ticket_id: issue.key || issue.id,
+		ticket_url: issue.self && issue.key ? `${new URL(issue.self).origin}/browse/${issue.key}` : null,
+		status: fields.status?.name || null,
+		priority: fields.priority?.name?.toLowerCase() || null,
+		type: fields.issuetype?.name || null,
+		tags,
+		requester: fields.reporter ? { name: fields.reporter.displayName || null, email: fields.reporter.emailAddress || null } : null,
+		organization: Array.isArray(organizations) ? organizations.map(org => org.name).filter(Boolean).join(', ') || null : null,
+		customer_tier: customerTier(tags, tier?.value ?? tier),
+		csat: csat(satisfaction?.rating, satisfaction?.comment)
+	};
+}
+
+/**
+ * Parse a Jira Service Management webhook (Jira issue and comment events)
+ * Issue events send a snapshot of the request; internal comments (jsdPublic false) are skipped
+ * Options: env (see jsmMetadata)
+ */
+export function parseJsmWebhook(payload, { env = {} } = {}) {
+	const issue = payload.issue;
+	if (!issue) {
+		return [];
+	}
+	
+	const fields = issue.fields || {};
+	const metadata = jsmMetadata(issue, env);
+	
+	if (payload.webhookEvent === 'comment_created' || payload.webhookEvent === 'comment_updated') {
+		const comment = payload.comment;
+		if (!comment || comment.jsdPublic === false) {
+			return [];
+		}
+		return [supportItem('jsm', {
+			kind: 'comment',
+			id: comment.id,
+			content: `Reply on ticket #${metadata.ticket_id} (${fields.summary || 'No Subject'}): ${adfToText(comment.body)}`,
+			isEdit: payload.webhookEvent === 'comment_updated',
+			metadata: { ...metadata, comment_id: comment.id, author: comment.author?.displayName || null }
+		})];
+	}
+	
+	if (payload.webhookEvent === 'jira:issue_created' || payload.webhookEvent === 'jira:issue_updated') {
+		return [supportItem('jsm', {
+			kind: 'ticket',
+			id: issue.id,
+			content: ticketContent(`Ticket #${metadata.ticket_id}`, fields.summary, adfToText(fields.description), metadata.csat),
+			isEdit: true,
+			metadata: { ...metadata, created_at: fields.created || null }
+		})];
+	}
+	
+	return [];
+}
+
+// Adapters by the vendor segment of /webhook/support/<vendor> (see SOURCE_ADAPTERS in sources.js)
+export const SUPPORT_VENDORS = {
+	zendesk: {
+		name: 'zendesk',
+		verification: { method: 'zendesk' },
+		parse: parseZendeskWebhook
+	},
+	intercom: {
+		name: 'intercom',
+		verification: { method: 'hub-signature', secret: 'INTERCOM_CLIENT_SECRET', hash: 'SHA-1' },
+		parse: parseIntercomWebhook
+	},
+	freshdesk: {
+		name: 'freshdesk',
+		verification: { method: 'shared-secret', prefix: 'freshdesk' },
+		parse: parseFreshdeskWebhook
+	},
+	jsm: {
+		name: 'jsm',
+		verification: { method: 'hub-signature', secret: 'JSM_WEBHOOK_SECRET' },
+		parse: parseJsmWebhook,
+		settings: ['JSM_ORGANIZATION_FIELD', 'JSM_SATISFACTION_FIELD', 'JSM_TIER_FIELD']
+	}
+};
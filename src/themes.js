@@ -0,0 +1,166 @@
+/**
+ * Theme clustering across sources
+ *
+ * Every processed feedback row is embedded, stored in the vector index and assigned
+ * to the closest existing theme (cosine similarity against the theme centroid). Rows
+ * that match no theme closely enough start a new one. Themes are persisted in D1 with
+ * their member feedback ids, so counts per source and first/last seen timestamps can
+ * be computed for any time window.
+ *
+ * Centroids are also kept in their own vector index (THEME_VECTORIZE), which finds the
+ * nearest theme without loading every centroid. The D1 row is the source of truth: a
+ * row joins with a conditional update on the theme's member_count, so batches clustering
+ * into the same theme at once re-read it instead of overwriting each other's centroid.
+ */
+
+import * as db from './db.js';
+import { createEmbedder } from './embeddings.js';
+import { getVectorIndex, cosineSimilarity } from './vectorIndex.js';
+
+// Minimum similarity for joining an existing theme (THEME_SIMILARITY_THRESHOLD overrides)
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.8;
+
+// Times a row re-reads a theme that another batch changed before giving up
+const MAX_JOIN_ATTEMPTS = 5;
+
+const MAX_LABEL_LENGTH = 80;
+
+// Source prefixes like "Issue #12:", "Review of PR #3 (approved):" or "Subject:" (see webhooks.js)
+const SOURCE_PREFIX = /^(?:(?:Comment on )?(?:Issue|PR) #\d+|(?:Review of |Review comment on )PR #\d+|(?:Comment on )?Discussion(?: #\d+)?|Ticket #\S+|Subject|Post)(?: \(.*?\))?:\s*/i;
+
+/**
+ * Derive a short theme label from the first member's content
+ */
+export function themeLabel(content) {
+	const firstLine = (content || '')
+		.split('\n')
+		.map(line => line.trim())
+		.find(Boolean) || 'Untitled theme';
+	
+	const label = firstLine.replace(SOURCE_PREFIX, '');
+	return label.length > MAX_LABEL_LENGTH ? label.slice(0, MAX_LABEL_LENGTH - 1) + '…' : label;
+}
+
+/**
+ * Running mean of a centroid after adding one vector
+ */
+function addToCentroid(centroid, count, values) {
+	return centroid.map((value, i) => (value * count + values[i]) / (count + 1));
+}
+
+/**
+ * Find the theme closest to a vector, read from D1 with its current centroid
+ * Themes changed earlier in the same call are compared as well, since index writes are not
+ * immediately visible to queries
+ * Returns { theme, similarity } or null when there are no themes
+ */
+async function findNearestTheme(env, themeIndex, values, recentThemeIds) {
+	const [match] = await themeIndex.query(values, { topK: 1 });
+	const candidateIds = new Set(recentThemeIds);
+	if (match) {
+		candidateIds.add(parseInt(match.id, 10));
+	}
+	
+	let best = null;
+	for (const themeId of candidateIds) {
+		const theme = await db.getThemeCentroid(env.DB, themeId);
+		if (!theme) {
+			continue;
+		}
+		const similarity = cosineSimilarity(values, theme.centroid);
+		if (!best || similarity > best.similarity) {
+			best = { theme, similarity };
+		}
+	}
+	return best;
+}
+
+/**
+ * Add a row to a theme, re-reading the theme whenever another writer changed it first
+ * Returns the theme's new centroid, or null when it no longer matches closely enough
+ */
+async function joinNearestTheme(env, { theme, similarity }, record, values, threshold) {
+	for (let attempt = 1; attempt <= MAX_JOIN_ATTEMPTS; attempt++) {
+		const centroid = addToCentroid(theme.centroid, theme.member_count, values);
+		const joined = await db.joinTheme(env.DB, theme.id, theme.member_count, {
+			feedbackId: record.id,
+			similarity,
+			centroid,
+			seenAt: record.created_at
+		});
+		if (joined) {
+			return centroid;
+		}
+		
+		theme = await db.getThemeCentroid(env.DB, theme.id);
+		similarity = cosineSimilarity(values, theme.centroid);
+		if (similarity < threshold) {
+			return null;
+		}
+	}
+	throw new Error(`Theme ${theme.id} kept changing while feedback ${record.id} was joining it`);
+}
+
+/**
+ * Embed feedback records, store their vectors and assign each one to a theme
+ * Options: embedder, index and themeIndex override the Workers AI embedder and the feedback and
+ * theme vector indexes (for tests)
+ * Returns { embedded, joined, created }
+ */
+export async function embedAndClusterFeedback(env, records, options = {}) {
+	if (!records || records.length === 0) {
+		return { embedded: 0, joined: 0, created: 0 };
+	}
+	
+	const embedder = options.embedder || createEmbedder(env);
+	const index = options.index || getVectorIndex(env);
+	const themeIndex = options.themeIndex || getVectorIndex(env, 'THEME_VECTORIZE');
+	const threshold = parseFloat(env.THEME_SIMILARITY_THRESHOLD) || DEFAULT_SIMILARITY_THRESHOLD;
+	
+	const vectors = await embedder.embed(records.map(record => record.content));
+	
+	await index.upsert(records.map((record, i) => ({
+		id: record.id,
+		values: vectors[i],
+		metadata: {
+			source: record.source,
+			created_at: record.created_at
+		}
+	})));
+	
+	// Skip rows that already belong to a theme (e.g. when a workflow step is retried)
+	const existing = await db.getThemeMemberships(env.DB, records.map(record => record.id));
+	const alreadyAssigned = new Set(existing.map(row => row.feedback_id));
+	
+	// Themes this call created or moved, so later rows see them before the index does
+	const recentThemeIds = new Set();
+	let joined = 0;
+	let created = 0;
+	
+	for (let i = 0; i < records.length; i++) {
+		const record = records[i];
+		const values = vectors[i];
+		if (alreadyAssigned.has(record.id)) {
+			continue;
+		}
+		
+		const nearest = await findNearestTheme(env, themeIndex, values, recentThemeIds);
+		const centroid = nearest && nearest.similarity >= threshold
+			? await joinNearestTheme(env, nearest, record, values, threshold)
+			: null;
+		
+		let themeId;
+		if (centroid) {
+			themeId = nearest.theme.id;
+			await themeIndex.upsert([{ id: themeId, values: centroid }]);
+			joined++;
+		} else {
+			themeId = await db.insertTheme(env.DB, themeLabel(record.content), values, record.id, record.created_at);
+			await themeIndex.upsert([{ id: themeId, values }]);
+			created++;
+		}
+		recentThemeIds.add(themeId);
+	}
+	
+	return { embedded: records.length, joined, created };
+}
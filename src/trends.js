@@ -0,0 +1,210 @@
+/**
+ * Comparison reports between two periods
+ *
+ * A comparison report measures how feedback moved from one period to another and asks the
+ * model to explain it:
+ * - volume: feedback count in total and per source
+ * - sentiment: average classification sentiment overall and per source
+ * - categories: classification counts per category
+ * - themes: members per theme, largest absolute change first
+ *
+ * Every count delta is { current, previous, change, percent_change } (percent_change is null
+ * when the previous value was 0). Reports are stored in comparison_reports, one per pair of
+ * periods; comparing the same pair again replaces the report.
+ */
+
+import * as db from './db.js';
+import { createLLMClient } from './llm.js';
+import { buildComparisonPrompt } from './prompts.js';
+import { customPeriod, getPreviousPeriod, getTimeZone, resolveAggregationPeriod } from './periods.js';
+
+// Themes listed in a report (and sent to the model)
+const MAX_THEMES = 15;
+
+/**
+ * Delta between two counts
+ */
+export function countDelta(current = 0, previous = 0) {
+	return {
+		current,
+		previous,
+		change: current - previous,
+		percent_change: previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null
+	};
+}
+
+/**
+ * Delta between two averages (null when either period has no data)
+ */
+function averageDelta(current, previous) {
+	const round = (value) => value === null ? null : Math.round(value * 1000) / 1000;
+	return {
+		current: round(current),
+		previous: round(previous),
+		change: current === null || previous === null ? null : round(current - previous)
+	};
+}
+
+/**
+ * Deltas for every key of two { key: count } maps, largest absolute change first
+ */
+function countDeltas(current, previous) {
+	const keys = [...new Set([...Object.keys(current), ...Object.keys(previous)])];
+	const deltas = keys
+		.map(key => [key, countDelta(current[key], previous[key])])
+		.sort(([, a], [, b]) => Math.abs(b.change) - Math.abs(a.change));
+	return Object.fromEntries(deltas);
+}
+
+/**
+ * Index rows by a key column, keeping one value column
+ */
+function byKey(rows, key, value) {
+	return Object.fromEntries(rows.map(row => [row[key], row[value]]));
+}
+
+/**
+ * Count-weighted average sentiment of per-source rows (null without classified feedback)
+ */
+function overallSentiment(rows) {
+	const count = rows.reduce((sum, row) => sum + row.count, 0);
+	return count > 0 ? rows.reduce((sum, row) => sum + row.avg_sentiment * row.count, 0) / count : null;
+}
+
+/**
+ * Label a theme's movement between two periods
+ */
+function themeStatus(delta) {
+	if (delta.previous === 0) return 'new';
+	if (delta.current === 0) return 'gone';
+	if (delta.change > 0) return 'rising';
+	if (delta.change < 0) return 'fading';
+	return 'steady';
+}
+
+/**
+ * Compute the deltas between the metrics of two periods
+ * current and previous come from db.getPeriodMetrics; themes from db.getThemeGrowth
+ */
+export function computeDeltas(current, previous, themes = []) {
+	const sources = [...new Set([...current.sentiment, ...previous.sentiment].map(row => row.source))];
+	const sentimentBySource = (rows) => byKey(rows, 'source', 'avg_sentiment');
+	const currentSentiment = sentimentBySource(current.sentiment);
+	const previousSentiment = sentimentBySource(previous.sentiment);
+	
+	const total = (rows) => rows.reduce((sum, row) => sum + row.count, 0);
+	
+	return {
+		volume: {
+			total: countDelta(total(current.volume), total(previous.volume)),
+			by_source: countDeltas(byKey(current.volume, 'source', 'count'), byKey(previous.volume, 'source', 'count'))
+		},
+		sentiment: {
+			overall: averageDelta(overallSentiment(current.sentiment), overallSentiment(previous.sentiment)),
+			by_source: Object.fromEntries(sources.map(source => [
+				source,
+				averageDelta(currentSentiment[source] ?? null, previousSentiment[source] ?? null)
+			]))
+		},
+		categories: countDeltas(byKey(current.categories, 'category', 'count'), byKey(previous.categories, 'category', 'count')),
+		themes: themes.map(theme => {
+			const delta = countDelta(theme.current_count, theme.previous_count);
+			return { id: theme.id, label: theme.label, ...delta, status: themeStatus(delta) };
+		})
+	};
+}
+
+/**
+ * Validate and normalize a comparison narrative from the model
+ * Returns { valid, errors, value }
+ */
+export function validateComparison(data) {
+	const errors = [];
+	
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		return { valid: false, errors: ['Response must be a JSON object'], value: null };
+	}
+	if (typeof data.summary !== 'string' || !data.summary.trim()) {
+		errors.push('summary must be a non-empty string');
+	}
+	
+	const list = (field) => {
+		if (data[field] === undefined || data[field] === null) {
+			return [];
+		}
+		if (!Array.isArray(data[field])) {
+			errors.push(`${field} must be an array of strings`);
+			return [];
+		}
+		return data[field]
+			.map(entry => typeof entry === 'string' ? entry : entry?.description)
+			.filter(entry => typeof entry === 'string' && entry.trim())
+			.map(entry => entry.trim());
+	};
+	
+	const value = {
+		summary: typeof data.summary === 'string' ? data.summary.trim() : '',
+		rising: list('rising'),
+		fading: list('fading')
+	};
+	
+	return { valid: errors.length === 0, errors, value: errors.length === 0 ? value : null };
+}
+
+/**
+ * Resolve the two periods of a comparison request
+ * options: see resolveAggregationPeriod for the current period, plus previousStart/previousEnd for
+ * an explicit baseline (default: the period right before the current one)
+ * Throws RangeError for invalid options
+ * Returns { current, previous }
+ */
+export function resolveComparisonPeriods(env = {}, options = {}, at = Math.floor(Date.now() / 1000)) {
+	const { previousStart, previousEnd, ...periodOptions } = options;
+	const current = resolveAggregationPeriod(env, periodOptions, at);
+	
+	if (previousStart === undefined && previousEnd === undefined) {
+		return { current, previous: getPreviousPeriod(current, getTimeZone(env)) };
+	}
+	
+	const start = Number(previousStart);
+	const end = Number(previousEnd);
+	if (!Number.isInteger(start) || !Number.isInteger(end) || start > end) {
+		throw new RangeError('previous_start and previous_end must be unix seconds with previous_start <= previous_end');
+	}
+	return { current, previous: customPeriod(start, end) };
+}
+
+/**
+ * Compare two periods: compute the deltas, generate the narrative and store the report
+ * Options: llm overrides the shared LLM client (for tests)
+ * Returns the stored report
+ */
+export async function comparePeriods(env, current, previous, options = {}) {
+	const [currentMetrics, previousMetrics, themes] = await Promise.all([
+		db.getPeriodMetrics(env.DB, current.start, current.end),
+		db.getPeriodMetrics(env.DB, previous.start, previous.end),
+		db.getThemeGrowth(env.DB, current, previous, MAX_THEMES)
+	]);
+	const metrics = computeDeltas(currentMetrics, previousMetrics, themes);
+	
+	let narrative;
+	if (metrics.volume.total.current === 0 && metrics.volume.total.previous === 0) {
+		narrative = { summary: 'No feedback was received in either period.', rising: [], fading: [] };
+	} else {
+		// The roll-ups (when they exist) tell the model what the numbers are about
+		const [currentSummary, previousSummary] = await Promise.all([
+			db.getAggregatedSummaryForPeriod(env.DB, current.type, current.key),
+			db.getAggregatedSummaryForPeriod(env.DB, previous.type, previous.key)
+		]);
+		
+		const llm = options.llm || createLLMClient(env);
+		narrative = await llm.completeJSON(
+			'compare',
+			buildComparisonPrompt({ current, previous, metrics, currentSummary, previousSummary }),
+			validateComparison
+		);
+	}
+	
+	const reportId = await db.upsertComparisonReport(env.DB, current, previous, metrics, narrative.summary, narrative);
+	return db.getComparisonReportById(env.DB, reportId);
+}
@@ -0,0 +1,145 @@
+/**
+ * Vector index abstraction for feedback embeddings
+ *
+ * Both implementations expose the same interface:
+ * - upsert(vectors): store [{ id, values, metadata }]
+ * - query(values, { topK, filter }): nearest neighbours as [{ id, score, metadata }]
+ * - getByIds(ids): stored vectors as [{ id, values, metadata }]
+ * - deleteByIds(ids)
+ *
+ * Production uses Cloudflare Vectorize (VECTORIZE for feedback, THEME_VECTORIZE for theme
+ * centroids); tests and local runs without a binding use an in-memory index with the same
+ * cosine scoring.
+ */
+
+/**
+ * Cosine similarity between two vectors
+ */
+export function cosineSimilarity(a, b) {
+	let dot = 0;
+	let normA = 0;
+	let normB = 0;
+	
+	for (let i = 0; i < a.length; i++) {
+		dot += a[i] * b[i];
+		normA += a[i] * a[i];
+		normB += b[i] * b[i];
+	}
+	
+	if (normA === 0 || normB === 0) {
+		return 0;
+	}
+	return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Check metadata against a Vectorize-style filter ({ field: value } or { field: { $in, $eq, $ne, $gte, $lte } })
+ */
+function matchesFilter(metadata = {}, filter = {}) {
+	return Object.entries(filter).every(([field, condition]) => {
+		const value = metadata[field];
+		
+		if (condition === null || typeof condition !== 'object') {
+			return value === condition;
+		}
+		if ('$eq' in condition && value !== condition.$eq) return false;
+		if ('$ne' in condition && value === condition.$ne) return false;
+		if ('$in' in condition && !condition.$in.includes(value)) return false;
+		if ('$nin' in condition && condition.$nin.includes(value)) return false;
+		if ('$gte' in condition && !(value >= condition.$gte)) return false;
+		if ('$lte' in condition && !(value <= condition.$lte)) return false;
+		if ('$gt' in condition && !(value > condition.$gt)) return false;
+		if ('$lt' in condition && !(value < condition.$lt)) return false;
+		return true;
+	});
+}
+
+/**
+ * In-memory vector index (tests and local development)
+ */
+export function createMemoryIndex() {
+	const vectors = new Map();
+	
+	return {
+		name: 'memory',
+		
+		async upsert(items) {
+			for (const item of items) {
+				vectors.set(String(item.id), { id: String(item.id), values: [...item.values], metadata: item.metadata || {} });
+			}
+			return { count: items.length };
+		},
+		
+		async query(values, { topK = 10, filter } = {}) {
+			return [...vectors.values()]
+				.filter(vector => !filter || matchesFilter(vector.metadata, filter))
+				.map(vector => ({ id: vector.id, score: cosineSimilarity(values, vector.values), metadata: vector.metadata }))
+				.sort((a, b) => b.score - a.score)
+				.slice(0, topK);
+		},
+		
+		async getByIds(ids) {
+			return ids.map(id => vectors.get(String(id))).filter(Boolean);
+		},
+		
+		async deleteByIds(ids) {
+			for (const id of ids) {
+				vectors.delete(String(id));
+			}
+			return { count: ids.length };
+		}
+	};
+}
+
+/**
+ * Vector index backed by a Cloudflare Vectorize binding
+ */
+export function createVectorizeIndex(binding) {
+	return {
+		name: 'vectorize',
+		
+		async upsert(items) {
+			return binding.upsert(items.map(item => ({
+				id: String(item.id),
+				values: item.values,
+				metadata: item.metadata || {}
+			})));
+		},
+		
+		async query(values, { topK = 10, filter } = {}) {
+			// 'indexed' keeps topK up to 100 (with 'all' Vectorize caps it at 20)
+			const result = await binding.query(values, {
+				topK: Math.min(topK, 100),
+				filter,
+				returnMetadata: 'indexed'
+			});
+			return (result.matches || []).map(match => ({ id: match.id, score: match.score, metadata: match.metadata || {} }));
+		},
+		
+		async getByIds(ids) {
+			return binding.getByIds(ids.map(String));
+		},
+		
+		async deleteByIds(ids) {
+			return binding.deleteByIds(ids.map(String));
+		}
+	};
+}
+
+// Shared per isolate so local runs without Vectorize keep vectors between requests
+const localIndexes = new Map();
+
+/**
+ * Get the vector index behind a binding (feedback embeddings by default)
+ */
+export function getVectorIndex(env, binding = 'VECTORIZE') {
+	if (env[binding]) {
+		return createVectorizeIndex(env[binding]);
+	}
+	
+	if (!localIndexes.has(binding)) {
+		console.warn(`No ${binding} binding configured, using an in-memory vector index`);
+		localIndexes.set(binding, createMemoryIndex());
+	}
+	return localIndexes.get(binding);
+}
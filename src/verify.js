@@ -0,0 +1,262 @@
+/**
+ * Webhook signature verification for each feedback source
+ *
+ * Each source adapter declares its verification as { method, ...options } (see sources.js):
+ * - github: HMAC-SHA256 of the raw body in X-Hub-Signature-256 (GITHUB_WEBHOOK_SECRET)
+ * - discord: Ed25519 signature of timestamp + body in X-Signature-Ed25519 (DISCORD_PUBLIC_KEY)
+ * - shared-secret: configurable header holding either an HMAC-SHA256 of the body or the shared
+ *   secret itself (<PREFIX>_WEBHOOK_SECRET); used by email, support, forum, twitter and freshdesk
+ * - zendesk: base64 HMAC-SHA256 of timestamp + body in X-Zendesk-Webhook-Signature (ZENDESK_WEBHOOK_SECRET)
+ * - hub-signature: hex HMAC of the body in X-Hub-Signature or another header, keyed with the env
+ *   var named by secret; used by intercom (SHA-1, INTERCOM_CLIENT_SECRET), jsm (JSM_WEBHOOK_SECRET)
+ *   and discourse (X-Discourse-Event-Signature, DISCOURSE_WEBHOOK_SECRET)
+ *
+ * Discord and Zendesk sign a timestamp with the body; deliveries whose timestamp is more than
+ * MAX_TIMESTAMP_SKEW_SECONDS away from now are rejected as stale_timestamp, so captured requests
+ * cannot be replayed later.
+ */
+
+import { resolveSourceAdapter } from './sources.js';
+
+const encoder = new TextEncoder();
+
+const DEFAULT_SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Largest accepted difference between a signed timestamp and the current time
+const MAX_TIMESTAMP_SKEW_SECONDS = 5 * 60;
+
+/**
+ * Convert a hex string to bytes (returns null for malformed input)
+ */
+function hexToBytes(hex) {
+	if (!hex || hex.length % 2 !== 0 || !/^[0-9a-fA-F]+$/.test(hex)) {
+		return null;
+	}
+	
+	const bytes = new Uint8Array(hex.length / 2);
+	for (let i = 0; i < bytes.length; i++) {
+		bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+	}
+	return bytes;
+}
+
+/**
+ * Convert bytes to a lowercase hex string
+ */
+function bytesToHex(bytes) {
+	return [...new Uint8Array(bytes)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare two byte arrays without short-circuiting on the first difference
+ */
+export function timingSafeEqual(a, b) {
+	if (a.length !== b.length) {
+		return false;
+	}
+	
+	let diff = 0;
+	for (let i = 0; i < a.length; i++) {
+		diff |= a[i] ^ b[i];
+	}
+	return diff === 0;
+}
+
+/**
+ * Check that a signed timestamp (in milliseconds, NaN when unparseable) is close to now
+ */
+function isFreshTimestamp(timestampMs) {
+	return Math.abs(Date.now() - timestampMs) <= MAX_TIMESTAMP_SKEW_SECONDS * 1000;
+}
+
+/**
+ * Compute the HMAC of a string body (hash is 'SHA-256' or 'SHA-1')
+ */
+async function hmac(secret, body, hash = 'SHA-256') {
+	const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash }, false, ['sign']);
+	return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(body)));
+}
+
+/**
+ * Compute a hex-encoded HMAC-SHA256 of a string body
+ */
+export async function hmacSha256Hex(secret, body) {
+	return bytesToHex(await hmac(secret, body));
+}
+
+/**
+ * Compute the hex-encoded SHA-256 digest of a body (string or bytes)
+ */
+export async function sha256Hex(body) {
+	const bytes = typeof body === 'string' ? encoder.encode(body) : body;
+	return bytesToHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+/**
+ * Check a hex HMAC-SHA256 signature (optionally prefixed with "sha256=")
+ */
+async function verifyHmac(secret, body, signature) {
+	const provided = hexToBytes((signature || '').replace(/^sha256=/, ''));
+	if (!provided) {
+		return false;
+	}
+	
+	const expected = hexToBytes(await hmacSha256Hex(secret, body));
+	return timingSafeEqual(provided, expected);
+}
+
+/**
+ * Verify a GitHub webhook delivery
+ */
+async function verifyGitHub(request, rawBody, env) {
+	if (!env.GITHUB_WEBHOOK_SECRET) {
+		return { valid: false, reason: 'not_configured' };
+	}
+	
+	const signature = request.headers.get('X-Hub-Signature-256');
+	if (!signature) {
+		return { valid: false, reason: 'missing_signature' };
+	}
+	
+	const valid = await verifyHmac(env.GITHUB_WEBHOOK_SECRET, rawBody, signature);
+	return valid ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+}
+
+/**
+ * Verify a Discord interaction (Ed25519 over timestamp + body)
+ */
+async function verifyDiscord(request, rawBody, env) {
+	if (!env.DISCORD_PUBLIC_KEY) {
+		return { valid: false, reason: 'not_configured' };
+	}
+	
+	const signature = hexToBytes(request.headers.get('X-Signature-Ed25519'));
+	const timestamp = request.headers.get('X-Signature-Timestamp');
+	if (!signature || !timestamp) {
+		return { valid: false, reason: 'missing_signature' };
+	}
+	
+	const publicKey = hexToBytes(env.DISCORD_PUBLIC_KEY);
+	if (!publicKey) {
+		return { valid: false, reason: 'not_configured' };
+	}
+	
+	// X-Signature-Timestamp is in unix seconds
+	if (!/^\d+$/.test(timestamp) || !isFreshTimestamp(parseInt(timestamp, 10) * 1000)) {
+		return { valid: false, reason: 'stale_timestamp' };
+	}
+	
+	try {
+		const key = await crypto.subtle.importKey('raw', publicKey, { name: 'Ed25519' }, false, ['verify']);
+		const valid = await crypto.subtle.verify('Ed25519', key, signature, encoder.encode(timestamp + rawBody));
+		return valid ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+	} catch (error) {
+		console.error('Discord signature verification error:', error);
+		return { valid: false, reason: 'invalid_signature' };
+	}
+}
+
+/**
+ * Verify a shared-secret source (email, support, forum, twitter)
+ *
+ * <SOURCE>_SIGNATURE_MODE selects 'hmac' (default) or 'secret' (header carries the secret itself)
+ */
+async function verifySharedSecret(source, request, rawBody, env) {
+	const prefix = source.toUpperCase();
+	const secret = env[`${prefix}_WEBHOOK_SECRET`];
+	if (!secret) {
+		return { valid: false, reason: 'not_configured' };
+	}
+	
+	const header = env[`${prefix}_SIGNATURE_HEADER`] || DEFAULT_SIGNATURE_HEADER;
+	const signature = request.headers.get(header);
+	if (!signature) {
+		return { valid: false, reason: 'missing_signature' };
+	}
+	
+	const mode = (env[`${prefix}_SIGNATURE_MODE`] || 'hmac').toLowerCase();
+	const valid =
+		mode === 'secret'
+			? timingSafeEqual(encoder.encode(signature), encoder.encode(secret))
+			: await verifyHmac(secret, rawBody, signature);
+	
+	return valid ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+}
+
+/**
+ * Verify a Zendesk webhook (base64 HMAC-SHA256 of the signature timestamp + body)
+ */
+async function verifyZendesk(request, rawBody, env) {
+	if (!env.ZENDESK_WEBHOOK_SECRET) {
+		return { valid: false, reason: 'not_configured' };
+	}
+	
+	const signature = request.headers.get('X-Zendesk-Webhook-Signature');
+	const timestamp = request.headers.get('X-Zendesk-Webhook-Signature-Timestamp');
+	if (!signature || !timestamp) {
+		return { valid: false, reason: 'missing_signature' };
+	}
+	
+	// X-Zendesk-Webhook-Signature-Timestamp is an ISO 8601 date
+	if (!isFreshTimestamp(Date.parse(timestamp))) {
+		return { valid: false, reason: 'stale_timestamp' };
+	}
+	
+	const expected = btoa(String.fromCharCode(...await hmac(env.ZENDESK_WEBHOOK_SECRET, timestamp + rawBody)));
+	const valid = timingSafeEqual(encoder.encode(signature), encoder.encode(expected));
+	return valid ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+}
+
+/**
+ * Verify a delivery signed with a hex HMAC of the body in X-Hub-Signature ("<algorithm>=<hex>")
+ * Used by Intercom (sha1, keyed with the app's client secret), Jira Service Management (sha256)
+ * and Discourse (sha256 in X-Discourse-Event-Signature)
+ */
+async function verifyHubSignature(secret, hash, request, rawBody, header = 'X-Hub-Signature') {
+	if (!secret) {
+		return { valid: false, reason: 'not_configured' };
+	}
+	
+	const signature = request.headers.get(header);
+	if (!signature) {
+		return { valid: false, reason: 'missing_signature' };
+	}
+	
+	const provided = hexToBytes(signature.replace(/^sha(?:1|256)=/, ''));
+	const valid = Boolean(provided) && timingSafeEqual(provided, await hmac(secret, rawBody, hash));
+	return valid ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+}
+
+// Verification methods adapters can declare; each takes the declaration's options
+const VERIFICATION_METHODS = {
+	github: (request, rawBody, env) => verifyGitHub(request, rawBody, env),
+	discord: (request, rawBody, env) => verifyDiscord(request, rawBody, env),
+	zendesk: (request, rawBody, env) => verifyZendesk(request, rawBody, env),
+	'shared-secret': (request, rawBody, env, { prefix }) => verifySharedSecret(prefix, request, rawBody, env),
+	'hub-signature': (request, rawBody, env, { secret, hash = 'SHA-256', header }) =>
+		verifyHubSignature(env[secret], hash, request, rawBody, header)
+};
+
+/**
+ * Verify that a webhook request really comes from the given source, with the method its adapter declares
+ * Returns { valid, reason } where reason explains a failed check (unknown_source for unregistered sources)
+ */
+export async function verifyWebhookSignature(source, request, rawBody, env) {
+	// Escape hatch for local development only
+	if (env.WEBHOOK_VERIFICATION === 'disabled') {
+		return { valid: true };
+	}
+	
+	let adapter;
+	try {
+		({ adapter } = resolveSourceAdapter(source));
+	} catch (error) {
+		if (error instanceof RangeError) {
+			return { valid: false, reason: 'unknown_source' };
+		}
+		throw error;
+	}
+	
+	const { method, ...options } = adapter.verification;
+	return VERIFICATION_METHODS[method](request, rawBody, env, options);
+}
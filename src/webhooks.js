@@ -1,57 +1,213 @@
 /**
- * Webhook handlers for different feedback sources
+ * Webhook payload parsers for each feedback source
+ *
+ * Parsers take the payload plus { event, env }: event is the delivery's event header for
+ * sources that send one, env holds per-source parser settings. They are registered, together
+ * with each source's verification and batching policy, in sources.js, which also routes
+ * deliveries to them (parseWebhook). Vendor adapters live in support.js and forums.js.
  */
 
+import { extractMessageText, htmlToText } from './emailText.js';
+
 /**
- * Parse GitHub webhook payload
+ * Build a stable external key for deduplicating redelivered webhooks
+ * Returns null when the payload carries no usable id
  */
-export function parseGitHubWebhook(payload) {
-	const items = [];
+function externalId(kind, id) {
+	if (id === undefined || id === null || id === '') {
+		return null;
+	}
+	return `${kind}:${id}`;
+}
+
+// Actions stored by default; others (labeled, closed, deleted, ...) only describe state changes
+export const DEFAULT_GITHUB_ACTIONS = ['opened', 'created', 'edited', 'reopened', 'submitted'];
+
+/**
+ * Resolve the GitHub actions to store from GITHUB_ACTIONS (comma-separated, '*' for all)
+ */
+export function getGitHubActions(env = {}) {
+	const actions = (env.GITHUB_ACTIONS || '').split(',').map(action => action.trim()).filter(Boolean);
+	return actions.length > 0 ? actions : DEFAULT_GITHUB_ACTIONS;
+}
+
+/**
+ * Guess the event type of a GitHub payload delivered without X-GitHub-Event (e.g. older dead letters)
+ * The most specific object wins: a comment payload also carries the issue it belongs to
+ */
+function inferGitHubEvent(payload) {
+	if (payload.comment) {
+		if (payload.discussion) return 'discussion_comment';
+		if (payload.pull_request) return 'pull_request_review_comment';
+		return 'issue_comment';
+	}
+	if (payload.review) return 'pull_request_review';
+	if (payload.pull_request) return 'pull_request';
+	if (payload.discussion) return 'discussion';
+	if (payload.issue) return 'issues';
+	return null;
+}
+
+/**
+ * Non-zero reaction counts of a GitHub issue, comment or discussion ({ total, '+1', heart, ... })
+ * Returns null when the payload has no reactions
+ */
+function reactionCounts(reactions) {
+	if (!reactions || !reactions.total_count) {
+		return null;
+	}
 	
-	// Handle GitHub Issues
-	if (payload.issue) {
-		items.push({
-			content: `Issue #${payload.issue.number}: ${payload.issue.title}\n\n${payload.issue.body || ''}`,
-			metadata: {
-				issue_number: payload.issue.number,
-				issue_url: payload.issue.html_url,
-				author: payload.issue.user?.login,
-				labels: payload.issue.labels?.map(l => l.name) || [],
-				state: payload.issue.state,
-				action: payload.action
-			}
-		});
+	const counts = { total: reactions.total_count };
+	for (const [name, count] of Object.entries(reactions)) {
+		if (typeof count === 'number' && count > 0 && name !== 'total_count') {
+			counts[name] = count;
+		}
 	}
+	return counts;
+}
+
+/**
+ * Build one GitHub feedback item (reactions are added as a signal-strength field when present)
+ */
+function githubItem(payload, { content, kind, id, reactions, metadata }) {
+	const counts = reactionCounts(reactions);
+	return {
+		content,
+		externalId: externalId(kind, id),
+		isEdit: payload.action === 'edited',
+		metadata: {
+			...metadata,
+			...(counts ? { reactions: counts } : {}),
+			action: payload.action
+		}
+	};
+}
+
+// One parser per X-GitHub-Event type, each returning the items of one delivery
+const GITHUB_EVENT_PARSERS = {
+	issues: ({ issue, ...payload }) => [githubItem(payload, {
+		content: `Issue #${issue.number}: ${issue.title}\n\n${issue.body || ''}`,
+		kind: 'issue',
+		id: issue.id ?? issue.number,
+		reactions: issue.reactions,
+		metadata: {
+			issue_number: issue.number,
+			issue_url: issue.html_url,
+			author: issue.user?.login,
+			labels: issue.labels?.map(l => l.name) || [],
+			state: issue.state
+		}
+	})],
 	
-	// Handle GitHub Issue Comments
-	if (payload.comment && payload.issue) {
-		items.push({
-			content: `Comment on Issue #${payload.issue.number}: ${payload.comment.body}`,
-			metadata: {
-				issue_number: payload.issue.number,
-				issue_url: payload.issue.html_url,
-				comment_id: payload.comment.id,
-				author: payload.comment.user?.login,
-				action: payload.action
-			}
-		});
+	// Comments on pull requests arrive as issue comments too
+	issue_comment: ({ issue, comment, ...payload }) => [githubItem(payload, {
+		content: `Comment on ${issue.pull_request ? 'PR' : 'Issue'} #${issue.number}: ${comment.body}`,
+		kind: 'comment',
+		id: comment.id,
+		reactions: comment.reactions,
+		metadata: {
+			issue_number: issue.number,
+			issue_url: issue.html_url,
+			comment_id: comment.id,
+			comment_url: comment.html_url,
+			author: comment.user?.login
+		}
+	})],
+	
+	discussion: ({ discussion, ...payload }) => [githubItem(payload, {
+		content: `Discussion: ${discussion.title}\n\n${discussion.body || ''}`,
+		kind: 'discussion',
+		id: discussion.id ?? discussion.number,
+		reactions: discussion.reactions,
+		metadata: {
+			discussion_number: discussion.number,
+			discussion_url: discussion.html_url,
+			author: discussion.user?.login,
+			category: discussion.category?.name
+		}
+	})],
+	
+	discussion_comment: ({ discussion, comment, ...payload }) => [githubItem(payload, {
+		content: `Comment on Discussion #${discussion.number} (${discussion.title}): ${comment.body}`,
+		kind: 'discussion_comment',
+		id: comment.id,
+		reactions: comment.reactions,
+		metadata: {
+			discussion_number: discussion.number,
+			discussion_url: discussion.html_url,
+			comment_id: comment.id,
+			comment_url: comment.html_url,
+			parent_comment_id: comment.parent_id ?? null,
+			author: comment.user?.login,
+			category: discussion.category?.name
+		}
+	})],
+	
+	pull_request: ({ pull_request: pr, ...payload }) => [githubItem(payload, {
+		content: `PR #${pr.number}: ${pr.title}\n\n${pr.body || ''}`,
+		kind: 'pull_request',
+		id: pr.id ?? pr.number,
+		reactions: pr.reactions,
+		metadata: {
+			pr_number: pr.number,
+			pr_url: pr.html_url,
+			author: pr.user?.login,
+			labels: pr.labels?.map(l => l.name) || [],
+			state: pr.state,
+			draft: pr.draft ?? false
+		}
+	})],
+	
+	// Approvals without a comment carry no feedback
+	pull_request_review: ({ pull_request: pr, review, ...payload }) => review.body ? [githubItem(payload, {
+		content: `Review of PR #${pr.number} (${review.state}): ${review.body}`,
+		kind: 'review',
+		id: review.id,
+		metadata: {
+			pr_number: pr.number,
+			pr_url: pr.html_url,
+			review_id: review.id,
+			review_url: review.html_url,
+			review_state: review.state,
+			author: review.user?.login
+		}
+	})] : [],
+	
+	pull_request_review_comment: ({ pull_request: pr, comment, ...payload }) => [githubItem(payload, {
+		content: `Review comment on PR #${pr.number}${comment.path ? ` (${comment.path})` : ''}: ${comment.body}`,
+		kind: 'review_comment',
+		id: comment.id,
+		reactions: comment.reactions,
+		metadata: {
+			pr_number: pr.number,
+			pr_url: pr.html_url,
+			comment_id: comment.id,
+			comment_url: comment.html_url,
+			in_reply_to_id: comment.in_reply_to_id ?? null,
+			path: comment.path,
+			author: comment.user?.login
+		}
+	})]
+};
+
+/**
+ * Parse GitHub webhook payload
+ * The event comes from X-GitHub-Event (inferred from the payload shape when missing); events
+ * without a parser (ping, star, ...) and actions outside actions yield no items
+ * Options: event, env (GITHUB_ACTIONS, see getGitHubActions)
+ */
+export function parseGitHubWebhook(payload, { event = null, env = {} } = {}) {
+	const parser = GITHUB_EVENT_PARSERS[event || inferGitHubEvent(payload)];
+	if (!parser) {
+		return [];
 	}
 	
-	// Handle GitHub Discussions
-	if (payload.discussion) {
-		items.push({
-			content: `Discussion: ${payload.discussion.title}\n\n${payload.discussion.body || ''}`,
-			metadata: {
-				discussion_number: payload.discussion.number,
-				discussion_url: payload.discussion.html_url,
-				author: payload.discussion.user?.login,
-				category: payload.discussion.category?.name,
-				action: payload.action
-			}
-		});
+	const actions = getGitHubActions(env);
+	if (payload.action && !actions.includes('*') && !actions.includes(payload.action)) {
+		return [];
 	}
 	
-	return items;
+	return parser(payload, { event, env });
 }
 
 /**
@@ -80,6 +236,7 @@ export function parseDiscordWebhook(payload) {
 		
 		items.push({
 			content: content.trim(),
+			externalId: externalId('message', payload.id),
 			metadata: {
 				channel_id: payload.channel_id,
 				guild_id: payload.guild_id,
@@ -104,6 +261,7 @@ export function parseTwitterWebhook(payload) {
 	if (payload.tweet) {
 		items.push({
 			content: payload.tweet.text || payload.tweet.full_text || '',
+			externalId: externalId('tweet', payload.tweet.id),
 			metadata: {
 				tweet_id: payload.tweet.id,
 				author: payload.tweet.user?.screen_name,
@@ -118,6 +276,7 @@ export function parseTwitterWebhook(payload) {
 	if (payload.text) {
 		items.push({
 			content: payload.text,
+			externalId: externalId('tweet', payload.id),
 			metadata: {
 				tweet_id: payload.id,
 				author: payload.author,
@@ -132,13 +291,15 @@ export function parseTwitterWebhook(payload) {
 
 /**
  * Parse email webhook payload (generic format)
+ * Only the new text is kept: HTML bodies are converted to text, quoted replies and signatures removed
  */
 export function parseEmailWebhook(payload) {
 	const items = [];
 	
-	if (payload.subject || payload.body || payload.text) {
+	if (payload.subject || payload.body || payload.text || payload.html) {
 		items.push({
-			content: `Subject: ${payload.subject || 'No Subject'}\n\n${payload.body || payload.text || payload.html || ''}`,
+			content: `Subject: ${payload.subject || 'No Subject'}\n\n${extractMessageText({ text: payload.body || payload.text, html: payload.html })}`,
+			externalId: externalId('message', payload.message_id || payload.id),
 			metadata: {
 				from: payload.from || payload.sender,
 				to: payload.to || payload.recipient,
@@ -162,6 +323,7 @@ export function parseSupportTicketWebhook(payload) {
 		const ticket = payload.ticket;
 		items.push({
 			content: `Ticket #${ticket.id || ticket.number}: ${ticket.subject || ticket.title}\n\n${ticket.description || ticket.body || ticket.content || ''}`,
+			externalId: externalId('ticket', ticket.id || ticket.number),
 			metadata: {
 				ticket_id: ticket.id || ticket.number,
 				status: ticket.status,
@@ -174,6 +336,7 @@ export function parseSupportTicketWebhook(payload) {
 	} else if (payload.subject || payload.content) {
 		items.push({
 			content: `Subject: ${payload.subject || 'No Subject'}\n\n${payload.content || payload.body || payload.description || ''}`,
+			externalId: externalId('ticket', payload.id || payload.ticket_id),
 			metadata: {
 				ticket_id: payload.id || payload.ticket_id,
 				status: payload.status,
@@ -187,8 +350,17 @@ export function parseSupportTicketWebhook(payload) {
 	return items;
 }
 
+/**
+ * Text of a generic forum post; HTML bodies (such as Discourse's cooked) are converted to text
+ */
+function forumPostText(post) {
+	const text = post.content || post.body || post.text || post.cooked || '';
+	return /<[a-z][^>]*>/i.test(text) ? htmlToText(text) : text;
+}
+
 /**
  * Parse forum webhook payload (generic format)
+ * Forum engines with their own adapter post to /webhook/forum/<engine> instead (see forums.js)
  */
 export function parseForumWebhook(payload) {
 	const items = [];
@@ -197,7 +369,8 @@ export function parseForumWebhook(payload) {
 	if (payload.post) {
 		const post = payload.post;
 		items.push({
-			content: `Post: ${post.title || 'No Title'}\n\n${post.content || post.body || post.text || ''}`,
+			content: `Post: ${post.title || post.topic_title || 'No Title'}\n\n${forumPostText(post)}`,
+			externalId: externalId('post', post.id),
 			metadata: {
 				post_id: post.id,
 				author: post.author || post.user,
@@ -209,7 +382,8 @@ export function parseForumWebhook(payload) {
 		});
 	} else if (payload.title || payload.content) {
 		items.push({
-			content: `Post: ${payload.title || 'No Title'}\n\n${payload.content || payload.body || payload.text || ''}`,
+			content: `Post: ${payload.title || 'No Title'}\n\n${forumPostText(payload)}`,
+			externalId: externalId('post', payload.id),
 			metadata: {
 				post_id: payload.id,
 				author: payload.author || payload.user,
@@ -223,28 +397,3 @@ export function parseForumWebhook(payload) {
 	
 	return items;
 }
-
-/**
- * Main webhook parser router
- */
-export function parseWebhook(source, payload) {
-	const parsers = {
-		github: parseGitHubWebhook,
-		discord: parseDiscordWebhook,
-		twitter: parseTwitterWebhook,
-		email: parseEmailWebhook,
-		support: parseSupportTicketWebhook,
-		forum: parseForumWebhook
-	};
-	
-	const parser = parsers[source.toLowerCase()];
-	if (!parser) {
-		// Generic fallback - try to extract any text content
-		return [{
-			content: typeof payload === 'string' ? payload : JSON.stringify(payload),
-			metadata: { raw: true }
-		}];
-	}
-	
-	return parser(payload);
-}
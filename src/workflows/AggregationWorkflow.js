@@ -1,100 +1,83 @@
 /**
  * Aggregation Workflow
  * 
- * This workflow aggregates summaries from all sources:
- * Step 1: Fetch source summaries for the time period
- * Step 2: Generate aggregated summary using Workers AI
- * Step 3: Store aggregated summary in D1
+ * This workflow aggregates summaries from all sources for one period (see periods.js):
+ * Step 1: Fetch source summaries and the top cross-source themes for the period (plus the previous
+ *         period's aggregate when includePrevious is set)
+ * Step 2: Generate aggregated summary using Workers AI (prose + structured JSON, map-reduce over chunks)
+ * Step 3: Store aggregated summary in D1, linked to the source summaries it was built from
+ *         (a re-run for the same period replaces the earlier summary)
+ * Step 4: Deliver the summary to matching subscriptions (one retried step per subscription, see subscriptions.js)
+ * Step 5: When compare is set, compare the period with the one before it (see trends.js)
+ *
+ * Params: { period: { type, key, start, end }, reportType, includePrevious, compare }, or { days } for a rolling window
+ * reportType is 'rollup' (default) or 'trend' and picks the prompt (see REPORT_TYPES in aggregate.js)
+ * includePrevious adds the previous period's aggregate of the same report type to the prompt so the
+ * summary can describe what moved
+ * compare stores a comparison report for the period and the previous one as the last step, after
+ * the aggregated summary is stored (or right away when the period has no source summaries)
  */
 
 import { WorkflowEntrypoint } from 'cloudflare:workers';
 
 import * as db from '../db.js';
+import { createLLMClient } from '../llm.js';
+import { aggregateInChunks, getPreviousAggregate } from '../aggregate.js';
+import { resolveAggregationPeriod, getMatchMode, getPreviousPeriod, getTimeZone } from '../periods.js';
+import { deliverSummary } from '../subscriptions.js';
+import { comparePeriods } from '../trends.js';
 
 export class AggregationWorkflow extends WorkflowEntrypoint {
 	async run(event, step) {
-		const { days = 7 } = event.params;
+		const { reportType = 'rollup', includePrevious = false, compare = false } = event.params;
 		
-		// Step 1: Calculate date range and fetch source summaries
+		// Step 1: Resolve the period and fetch the source summaries that belong to it
 		const sourceSummaries = await step.do('fetch-source-summaries', async () => {
-			const now = Math.floor(Date.now() / 1000);
-			const startTime = now - (days * 24 * 60 * 60);
-			
-			const summaries = await db.getSourceSummaries(this.env.DB, startTime, now);
+			const period = event.params.period || resolveAggregationPeriod(this.env, { days: event.params.days ?? 7 });
+			const summaries = await db.getSourceSummaries(this.env.DB, period.start, period.end, getMatchMode(this.env));
 			
 			return {
 				summaries,
-				dateRange: { start: startTime, end: now }
+				period,
+				dateRange: { start: period.start, end: period.end }
 			};
 		});
 		
+		// Top themes give the model clustered evidence instead of guessing themes from prose
+		const topThemes = await step.do('fetch-top-themes', async () => {
+			return db.getThemes(this.env.DB, {
+				since: sourceSummaries.dateRange.start,
+				until: sourceSummaries.dateRange.end,
+				limit: 10
+			});
+		});
+		
+		const previousAggregate = includePrevious
+			? await step.do('fetch-previous-aggregate', async () => getPreviousAggregate(this.env, sourceSummaries.period, reportType))
+			: null;
+		
 		if (sourceSummaries.summaries.length === 0) {
 			return {
 				success: true,
 				message: 'No source summaries found for the specified time period',
 				summary: null,
+				period: sourceSummaries.period,
+				comparisonId: compare ? await this.comparePeriod(step, sourceSummaries.period) : null,
 				dateRange: sourceSummaries.dateRange
 			};
 		}
 		
-		// Step 2: Generate aggregated summary using Workers AI
-		const aggregatedSummary = await step.do('generate-aggregated-summary', async () => {
-			const combinedSummaries = sourceSummaries.summaries
-				.map((summary) => {
-					const sourceName = summary.source || 'Unknown';
-					const dateRange = new Date(summary.date_range_start * 1000).toLocaleDateString() + 
-						' to ' + 
-						new Date(summary.date_range_end * 1000).toLocaleDateString();
-					
-					return `Source: ${sourceName} (${summary.feedback_count} items, ${dateRange})\n${summary.summary}`;
-				})
-				.join('\n\n---\n\n');
-			
-			const prompt = `You are a product manager analyzing feedback summaries from multiple sources. 
-Create a comprehensive aggregated summary that:
-1. Identifies common themes across all sources
-2. Highlights the most critical issues or pain points
-3. Notes positive feedback and what users love
-4. Prioritizes feature requests and suggestions by frequency/importance
-5. Provides overall sentiment analysis
-6. Suggests actionable insights for the product team
-
-Source Summaries:
-${combinedSummaries}
-
-Provide a well-structured, executive-level summary that synthesizes insights from all sources.`;
-			
-			try {
-				const response = await this.env.AI.run('@cf/meta/llama-3.1-8b-instruct', {
-					messages: [
-						{
-							role: 'system',
-							content: 'You are a product management assistant that synthesizes feedback from multiple sources into actionable insights.'
-						},
-						{
-							role: 'user',
-							content: prompt
-						}
-					],
-					max_tokens: 1500,
-					temperature: 0.7
-				});
-				
-				// Extract the summary from the response
-				if (response.response) {
-					return response.response;
-				}
-				if (typeof response === 'string') {
-					return response;
-				}
-				return JSON.stringify(response);
-			} catch (error) {
-				console.error('Error generating aggregated summary:', error);
-				throw new Error(`Failed to generate aggregated summary: ${error.message}`);
-			}
+		// Step 2: Generate structured aggregated summary using Workers AI
+		// Summaries are chunked to fit the model context and reduced step by step
+		const llm = createLLMClient(this.env);
+		const { summary: aggregatedSummary, structured, chunkCount } = await aggregateInChunks(this.env, llm, sourceSummaries.summaries, {
+			themes: topThemes,
+			reportType,
+			previous: previousAggregate,
+			runStep: (name, fn) => step.do(name, fn)
 		});
 		
-		// Step 3: Calculate totals and store aggregated summary
+		// Step 3: Calculate totals and store aggregated summary with the ids of the source summaries it used
 		const result = await step.do('store-aggregated-summary', async () => {
 			const totalFeedbackCount = sourceSummaries.summaries.reduce(
 				(sum, s) => sum + s.feedback_count, 
@@ -103,29 +86,70 @@ Provide a well-structured, executive-level summary that synthesizes insights fro
 			const uniqueSources = new Set(sourceSummaries.summaries.map(s => s.source));
 			const sourceCount = uniqueSources.size;
 			
-			await db.insertAggregatedSummary(
+			const aggregatedSummaryId = await db.upsertAggregatedSummary(
 				this.env.DB,
+				sourceSummaries.period,
 				aggregatedSummary,
-				sourceSummaries.dateRange.start,
-				sourceSummaries.dateRange.end,
 				sourceCount,
-				totalFeedbackCount
+				totalFeedbackCount,
+				structured,
+				sourceSummaries.summaries.map(s => s.id),
+				reportType
 			);
 			
 			return {
+				aggregatedSummaryId,
 				sourceCount,
 				totalFeedbackCount,
 				dateRange: sourceSummaries.dateRange
 			};
 		});
 		
+		// Step 4: Push the summary to subscriptions; a failed delivery must not fail the aggregation
+		let deliveries = null;
+		try {
+			deliveries = await deliverSummary(this.env, 'aggregated', result.aggregatedSummaryId, {
+				runStep: (name, fn, config) => config ? step.do(name, config, fn) : step.do(name, fn)
+			});
+		} catch (error) {
+			console.error(`Subscription delivery failed for aggregated summary ${result.aggregatedSummaryId}:`, error);
+		}
+		
+		// Step 5: Compare the period with the previous one
+		const comparisonId = compare ? await this.comparePeriod(step, sourceSummaries.period) : null;
+		
 		return {
 			success: true,
 			message: 'Aggregated summary generated successfully',
+			aggregatedSummaryId: result.aggregatedSummaryId,
 			summary: aggregatedSummary,
+			structured,
+			chunkCount,
 			sourceCount: result.sourceCount,
 			totalFeedbackCount: result.totalFeedbackCount,
+			period: sourceSummaries.period,
+			reportType,
+			previousAggregateId: previousAggregate?.id ?? null,
+			deliveries,
+			comparisonId,
 			dateRange: result.dateRange
 		};
 	}
+	
+	/**
+	 * Store the comparison report of a period and the one before it
+	 * A failed comparison is logged and does not fail the aggregation
+	 * Returns the report id, or null when the comparison failed
+	 */
+	async comparePeriod(step, period) {
+		try {
+			return await step.do('compare-periods', async () => {
+				const report = await comparePeriods(this.env, period, getPreviousPeriod(period, getTimeZone(this.env)));
+				return report.id;
+			});
+		} catch (error) {
+			console.error(`Failed to compare ${period.type} ${period.key} with the previous period:`, error);
+			return null;
+		}
+	}
 }
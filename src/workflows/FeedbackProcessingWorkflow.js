@@ -1,169 +1,188 @@
 /**
  * Feedback Processing Workflow
  * 
- * This workflow handles the complete feedback processing pipeline:
- * Step 1: Store feedback in D1
- * Step 2: Summarize feedback using Workers AI
- * Step 3: Mark feedback as processed
+ * This workflow summarizes one batch of stored feedback (see batching.js):
+ * Step 1: Fetch the ids of the feedback rows claimed by the batch, then the columns later steps
+ *         use in chunks (step output is capped at 1 MiB, so 500 full rows do not fit in one step)
+ * Step 2: Classify each item (sentiment, category, urgency, product area)
+ * Step 3: Embed each item and cluster it into cross-source themes
+ * Step 4: Summarize feedback using Workers AI (prose + structured JSON, map-reduce over chunks)
+ * Step 5: Store the summary with the ids of the feedback it covers, once per batch
+ * Step 6: Mark feedback as processed and complete the batch (a failed run releases its rows, or
+ *         marks them processed when its summary was already stored)
+ * Step 7: Deliver the summary to subscriptions that include source summaries (see subscriptions.js)
+ *
+ * Re-summarization batches pass supersedesId; the new summary becomes the next version of
+ * that summary, which is marked superseded.
  */
 
 import { WorkflowEntrypoint } from 'cloudflare:workers';
 
 import * as db from '../db.js';
+import { createLLMClient, getTaskConfig } from '../llm.js';
+import { summarizeInChunks } from '../summarize.js';
+import { classifyInChunks } from '../classify.js';
+import { embedAndClusterFeedback } from '../themes.js';
+import { deliverSummary } from '../subscriptions.js';
+
+// Feedback rows read per step
+const FETCH_CHUNK_SIZE = 50;
+
+// Feedback rows embedded and clustered per step
+const CLUSTER_CHUNK_SIZE = 50;
 
 export class FeedbackProcessingWorkflow extends WorkflowEntrypoint {
 	async run(event, step) {
-		const { source, feedbackItems } = event.params;
+		const { source, batchId, supersedesId = null } = event.params;
 		
-		// Step 1: Store feedback items in D1
-		const storedFeedback = await step.do('store-feedback', async () => {
-			const feedbackIds = [];
-			const storedItems = [];
-			
-			for (const item of feedbackItems) {
-				const id = await db.insertFeedback(
-					this.env.DB,
-					source,
-					item.content,
-					item.metadata || {}
-				);
-				feedbackIds.push(id);
-				storedItems.push({
-					id,
-					source,
-					content: item.content,
-					metadata: item.metadata
-				});
-			}
-			
-			return {
-				feedbackIds,
-				items: storedItems,
-				count: storedItems.length
-			};
+		// Step 1: Fetch the feedback rows claimed for this batch
+		const claimedIds = await step.do('fetch-batch-feedback', async () => {
+			return db.getBatchFeedbackIds(this.env.DB, batchId);
 		});
 		
-		if (storedFeedback.count === 0) {
-			return {
-				success: true,
-				message: 'No feedback items to process',
-				feedbackIds: []
-			};
+		// Rows edited since the claim are left out; they go to the next batch (see db.upsertFeedback)
+		const feedbackRecords = [];
+		const fetchChunkCount = Math.ceil(claimedIds.length / FETCH_CHUNK_SIZE);
+		for (let i = 0; i < fetchChunkCount; i++) {
+			const chunkIds = claimedIds.slice(i * FETCH_CHUNK_SIZE, (i + 1) * FETCH_CHUNK_SIZE);
+			const rows = await step.do(`fetch-batch-feedback-chunk-${i + 1}-of-${fetchChunkCount}`, async () => {
+				return db.getBatchFeedbackRecords(this.env.DB, batchId, chunkIds);
+			});
+			feedbackRecords.push(...rows);
 		}
 		
-		// Step 2: Fetch stored feedback records (to get timestamps)
-		const feedbackRecords = await step.do('fetch-feedback-records', async () => {
-			const feedbackIds = storedFeedback.feedbackIds;
-			const placeholders = feedbackIds.map(() => '?').join(',');
-			const result = await this.env.DB.prepare(
-				`SELECT * FROM feedback WHERE id IN (${placeholders}) AND processed = 0`
-			)
-				.bind(...feedbackIds)
-				.all();
-			
-			return result.results || [];
-		});
-		
 		if (feedbackRecords.length === 0) {
+			await step.do('complete-batch', async () => {
+				await db.completeFeedbackBatch(this.env.DB, batchId);
+				return { batchId };
+			});
+			
 			return {
 				success: true,
 				message: 'No unprocessed feedback found',
-				feedbackIds: storedFeedback.feedbackIds
+				batchId,
+				feedbackIds: []
 			};
 		}
 		
-		// Step 3: Generate summary using Workers AI
-		const summary = await step.do('generate-summary', async () => {
-			const combinedContent = feedbackRecords
-				.map((item, index) => {
-					const metadata = typeof item.metadata === 'string' 
-						? JSON.parse(item.metadata) 
-						: item.metadata || {};
-					
-					let text = `Feedback ${index + 1}:\n${item.content}`;
-					if (metadata.author) {
-						text += `\n[From: ${metadata.author}]`;
-					}
-					return text;
-				})
-				.join('\n\n---\n\n');
-			
-			const prompt = `You are a product feedback analyst. Analyze the following feedback items and create a concise summary that highlights:
-1. Main themes and topics
-2. Common pain points or issues
-3. Positive feedback or praise
-4. Suggestions or feature requests
-5. Overall sentiment
-
-Feedback items:
-${combinedContent}
-
-Provide a well-structured summary that would help a product manager understand the key insights from this feedback.`;
+		try {
+			return await this.processBatch(step, source, batchId, feedbackRecords, supersedesId);
+		} catch (error) {
+			// Give the rows back to the next batch instead of leaving them claimed until the batch expires;
+			// once the summary is stored the rows are marked processed instead, so they are not summarized twice
+			await step.do('release-batch', async () => {
+				await db.releaseFeedbackBatch(this.env.DB, batchId, 'failed', error.message);
+				return { batchId };
+			});
+			throw error;
+		}
+	}
+	
+	/**
+	 * Classify, cluster and summarize the batch, then mark its rows processed
+	 */
+	async processBatch(step, source, batchId, feedbackRecords, supersedesId) {
+		const feedbackIds = feedbackRecords.map(f => f.id);
+		const llm = createLLMClient(this.env);
+		
+		// Step 2: Classify each item (one step per chunk, then store the labels)
+		// Classification is best-effort: a failure here must not block the summary
+		let classifiedCount = 0;
+		try {
+			const classifications = await classifyInChunks(this.env, llm, feedbackRecords, {
+				runStep: (name, fn) => step.do(name, fn)
+			});
 			
-			try {
-				const response = await this.env.AI.run('@cf/meta/llama-3.1-8b-instruct', {
-					messages: [
-						{
-							role: 'system',
-							content: 'You are a helpful assistant that summarizes product feedback concisely and clearly.'
-						},
-						{
-							role: 'user',
-							content: prompt
-						}
-					],
-					max_tokens: 1000,
-					temperature: 0.7
+			classifiedCount = await step.do('store-classifications', async () => {
+				return db.upsertClassifications(this.env.DB, classifications, getTaskConfig(this.env, 'classify').model);
+			});
+		} catch (error) {
+			console.error(`Classification failed for ${source}:`, error);
+		}
+		
+		// Step 3: Embed each item and assign it to a cross-source theme (best-effort as well)
+		const clustering = { embedded: 0, joined: 0, created: 0 };
+		try {
+			const chunkCount = Math.ceil(feedbackRecords.length / CLUSTER_CHUNK_SIZE);
+			for (let i = 0; i < chunkCount; i++) {
+				const chunk = feedbackRecords.slice(i * CLUSTER_CHUNK_SIZE, (i + 1) * CLUSTER_CHUNK_SIZE);
+				const result = await step.do(`cluster-themes-chunk-${i + 1}-of-${chunkCount}`, async () => {
+					return embedAndClusterFeedback(this.env, chunk);
 				});
-				
-				// Extract the summary from the response
-				if (response.response) {
-					return response.response;
-				}
-				if (typeof response === 'string') {
-					return response;
-				}
-				return JSON.stringify(response);
-			} catch (error) {
-				console.error('Error generating summary:', error);
-				throw new Error(`Failed to generate summary: ${error.message}`);
+				clustering.embedded += result.embedded;
+				clustering.joined += result.joined;
+				clustering.created += result.created;
 			}
+		} catch (error) {
+			console.error(`Theme clustering failed for ${source}:`, error);
+		}
+		
+		// Step 4: Generate structured summary using Workers AI
+		// Records are split into chunks that fit the model context; each chunk and each
+		// reduction of partial summaries runs as its own durable step
+		const { summary, structured, chunkCount } = await summarizeInChunks(this.env, llm, feedbackRecords, {
+			source,
+			runStep: (name, fn) => step.do(name, fn)
 		});
 		
-		// Step 4: Calculate date range and store summary
+		// Step 5: Calculate date range and store summary with the ids of the rows it covers
+		// A retried step finds the summary it already stored for the batch instead of adding another
 		const summaryResult = await step.do('store-summary', async () => {
 			const timestamps = feedbackRecords.map(f => f.created_at);
 			const dateRangeStart = Math.min(...timestamps);
 			const dateRangeEnd = Math.max(...timestamps);
 			
-			await db.insertSourceSummary(
-				this.env.DB,
-				source,
-				summary,
+			const { summaryId } = await db.storeBatchSummary(this.env.DB, batchId, source, summary, {
 				dateRangeStart,
 				dateRangeEnd,
-				feedbackRecords.length
-			);
+				structured,
+				feedbackIds,
+				supersedesId
+			});
 			
 			return {
+				summaryId,
+				supersedesId,
 				dateRangeStart,
 				dateRangeEnd,
 				feedbackCount: feedbackRecords.length
 			};
 		});
 		
-		// Step 5: Mark feedback as processed
+		// Step 6: Mark feedback as processed and close the batch
 		await step.do('mark-processed', async () => {
-			await db.markFeedbackProcessed(this.env.DB, storedFeedback.feedbackIds);
-			return { processed: storedFeedback.feedbackIds.length };
+			const processed = await db.markBatchProcessed(this.env.DB, batchId);
+			return { processed };
 		});
 		
+		await step.do('complete-batch', async () => {
+			await db.completeFeedbackBatch(this.env.DB, batchId, summaryResult.summaryId);
+			return { batchId };
+		});
+		
+		// Step 7: Push the summary to subscriptions (best-effort, the batch is already complete)
+		let deliveries = null;
+		try {
+			deliveries = await deliverSummary(this.env, 'source', summaryResult.summaryId, {
+				runStep: (name, fn, config) => config ? step.do(name, config, fn) : step.do(name, fn)
+			});
+		} catch (error) {
+			console.error(`Subscription delivery failed for summary ${summaryResult.summaryId}:`, error);
+		}
+		
 		return {
 			success: true,
-			message: `Processed ${storedFeedback.count} feedback items for ${source}`,
-			feedbackIds: storedFeedback.feedbackIds,
-			summaryId: summaryResult,
-			summaryPreview: summary.substring(0, 200) + '...'
+			message: `Processed ${feedbackIds.length} feedback items for ${source}`,
+			batchId,
+			feedbackIds,
+			summaryId: summaryResult.summaryId,
+			supersedesId,
+			summaryPreview: summary.substring(0, 200) + '...',
+			structured,
+			chunkCount,
+			classifiedCount,
+			clustering,
+			deliveries
 		};
 	}
 }
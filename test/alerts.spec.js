@@ -0,0 +1,145 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { getAlertPolicy, evaluateAlerts, detectAlerts, DEFAULT_ALERT_POLICY } from '../src/alerts.js';
+import { parseWebhookTargets } from '../src/notifications.js';
+import { acknowledgeAlert, getAlerts } from '../src/db.js';
+
+const NOW = 1_700_000_000;
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// Records outbound requests; fails for URLs containing "broken"
+function fakeFetch() {
+	const requests = [];
+	const send = async (url, init) => {
+		requests.push({ url, body: JSON.parse(init.body) });
+		return new Response('ok', { status: url.includes('broken') ? 500 : 200 });
+	};
+	send.requests = requests;
+	return send;
+}
+
+async function insertFeedback(rows) {
+	await env.DB.batch(
+		rows.flatMap(({ id, source, createdAt, sentiment = null, themeId = null }) => [
+			env.DB.prepare('INSERT INTO feedback (id, source, content, metadata, created_at) VALUES (?, ?, ?, ?, ?)').bind(id, source, `feedback ${id}`, '{}', createdAt),
+			...(sentiment === null ? [] : [env.DB.prepare('INSERT INTO feedback_classifications (feedback_id, sentiment, category, urgency, product_area) VALUES (?, ?, ?, ?, ?)').bind(id, sentiment, 'bug', 'high', 'api')]),
+			...(themeId === null ? [] : [env.DB.prepare('INSERT INTO theme_members (feedback_id, theme_id, similarity) VALUES (?, ?, 1)').bind(id, themeId)]),
+		])
+	);
+}
+
+describe('alert policy', () => {
+	it('reads thresholds from env vars', () => {
+		expect(getAlertPolicy({})).toEqual(DEFAULT_ALERT_POLICY);
+		expect(getAlertPolicy({ ALERT_MIN_COUNT: '10', ALERT_VOLUME_RATIO: '2.5', ALERT_WINDOW_SECONDS: 'soon' })).toMatchObject({
+			minCount: 10,
+			volumeRatio: 2.5,
+			windowSeconds: HOUR,
+		});
+	});
+
+	it('fires on volume spikes and rising negative rates only', () => {
+		const policy = { ...DEFAULT_ALERT_POLICY, baselineSeconds: 10 * HOUR };
+		const row = (overrides) => ({
+			scope_key: 'twitter',
+			label: 'twitter',
+			window_count: 0,
+			baseline_count: 0,
+			window_classified: 0,
+			window_negative: 0,
+			baseline_classified: 0,
+			baseline_negative: 0,
+			...overrides,
+		});
+
+		// 10 baseline items over 10 windows = 1 expected per window
+		expect(evaluateAlerts([row({ window_count: 5, baseline_count: 10 })], 'source', policy).map((a) => a.kind)).toEqual(['volume_spike']);
+		expect(evaluateAlerts([row({ window_count: 4, baseline_count: 0 })], 'source', policy)).toEqual([]);
+		expect(evaluateAlerts([row({ window_count: 20, baseline_count: 100 })], 'source', policy)).toEqual([]);
+
+		const negative = evaluateAlerts([row({ window_count: 4, baseline_count: 40, window_classified: 6, window_negative: 4, baseline_classified: 40, baseline_negative: 8 })], 'theme', policy);
+		expect(negative).toHaveLength(1);
+		expect(negative[0]).toMatchObject({ kind: 'negative_sentiment', dedupeKey: 'negative_sentiment:theme:twitter', currentValue: 0.67, baselineValue: 0.2 });
+
+		// Already mostly negative before the window
+		expect(evaluateAlerts([row({ window_count: 4, baseline_count: 40, window_classified: 6, window_negative: 4, baseline_classified: 40, baseline_negative: 24 })], 'source', policy)).toEqual([]);
+	});
+
+	it('parses webhook targets and skips invalid ones', () => {
+		expect(parseWebhookTargets('[{"url":"https://hooks.slack.com/x","format":"slack"},"https://example.com/hook",{"url":"ftp://nope"}]')).toEqual([
+			{ url: 'https://hooks.slack.com/x', format: 'slack' },
+			{ url: 'https://example.com/hook', format: 'json' },
+		]);
+		expect(parseWebhookTargets('not json')).toEqual([]);
+		expect(parseWebhookTargets(undefined)).toEqual([]);
+	});
+});
+
+describe('alert detection', () => {
+	beforeEach(async () => {
+		await env.DB.batch([
+			env.DB.prepare("INSERT INTO themes (id, label, centroid, first_seen, last_seen) VALUES (1, 'Outage', '[]', 0, 0)"),
+		]);
+
+		// A quiet baseline (one github item a day), then a burst of negative twitter feedback about an outage
+		await insertFeedback([
+			...Array.from({ length: 7 }, (_, i) => ({ id: i + 1, source: 'github', createdAt: NOW - (i + 1) * DAY, sentiment: 0.3 })),
+			...Array.from({ length: 6 }, (_, i) => ({ id: i + 100, source: 'twitter', createdAt: NOW - i * 60, sentiment: -0.8, themeId: 1 })),
+			{ id: 200, source: 'github', createdAt: NOW - 120, sentiment: 0.5 },
+		]);
+	});
+
+	it('stores spikes per source and theme, delivers them and suppresses repeats during the cooldown', async () => {
+		const send = fakeFetch();
+		const alertEnv = {
+			...env,
+			ALERT_WEBHOOKS: JSON.stringify([{ url: 'https://hooks.slack.com/services/T/B/X', format: 'slack' }, { url: 'https://example.com/broken' }]),
+		};
+
+		const first = await detectAlerts(alertEnv, { now: NOW, fetch: send });
+		expect(first.fired.map((alert) => alert.dedupe_key).sort()).toEqual([
+			'negative_sentiment:source:twitter',
+			'negative_sentiment:theme:1',
+			'volume_spike:source:twitter',
+			'volume_spike:theme:1',
+		]);
+
+		const spike = first.fired.find((alert) => alert.dedupe_key === 'volume_spike:source:twitter');
+		expect(spike).toMatchObject({ status: 'open', current_value: 6, baseline_value: 0, label: 'twitter' });
+		expect(spike.details.window_count).toBe(6);
+
+		// Every alert goes to every target; the failing one is recorded
+		expect(send.requests).toHaveLength(8);
+		expect(send.requests[0].body.text).toContain('6 items from twitter in the last 60 minutes');
+		expect(send.requests[1].body).toMatchObject({ type: 'feedback.alert', alert: { id: first.fired[0].id } });
+		const [stored] = await getAlerts(env.DB, { kind: 'volume_spike', source: 'twitter' });
+		expect(stored.delivered_at).not.toBeNull();
+		expect(stored.delivery_error).toContain('500');
+
+		// Same spike 10 minutes later: folded into the existing alerts, nothing sent
+		const again = await detectAlerts(alertEnv, { now: NOW + 600, fetch: send });
+		expect(again).toEqual({ fired: [], suppressed: 4 });
+		expect(send.requests).toHaveLength(8);
+		expect((await getAlerts(env.DB, { kind: 'volume_spike', source: 'twitter' }))[0].occurrence_count).toBe(2);
+	});
+
+	it('only checks the given sources on ingestion', async () => {
+		const { fired } = await detectAlerts(env, { now: NOW, scopes: ['source'], sources: ['github'] });
+		expect(fired).toEqual([]);
+	});
+
+	it('fires again after the cooldown and acknowledges alerts once', async () => {
+		const { fired } = await detectAlerts(env, { now: NOW, scopes: ['source'] });
+		const spike = fired.find((alert) => alert.kind === 'volume_spike');
+
+		expect(await acknowledgeAlert(env.DB, spike.id, 'oncall')).toBe(true);
+		expect(await acknowledgeAlert(env.DB, spike.id, 'oncall')).toBe(false);
+		expect(await getAlerts(env.DB, { status: 'open' })).toHaveLength(1);
+
+		// Keep the burst inside the window 7 hours later
+		await insertFeedback(Array.from({ length: 6 }, (_, i) => ({ id: i + 300, source: 'twitter', createdAt: NOW + 7 * HOUR - i * 60 })));
+		const later = await detectAlerts(env, { now: NOW + 7 * HOUR, scopes: ['source'] });
+		expect(later.fired.map((alert) => alert.kind)).toEqual(['volume_spike']);
+	});
+});
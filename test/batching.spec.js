@@ -0,0 +1,158 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { getBatchPolicy, isBatchDue, flushSource, flushDueBatches } from '../src/batching.js';
+import {
+	claimFeedbackBatch,
+	getBatchFeedbackIds,
+	getBatchFeedbackRecords,
+	releaseFeedbackBatch,
+	completeFeedbackBatch,
+	markBatchProcessed,
+	markFeedbackProcessed,
+	upsertFeedback,
+	storeBatchSummary,
+} from '../src/db.js';
+
+// Records workflow starts instead of running FeedbackProcessingWorkflow
+function fakeWorkflow() {
+	const runs = [];
+	return {
+		runs,
+		async run({ params }) {
+			runs.push(params);
+			return { id: `wf-${runs.length}` };
+		},
+	};
+}
+
+async function insertFeedback(source, count, createdAt) {
+	await env.DB.batch(
+		Array.from({ length: count }, (_, i) =>
+			env.DB.prepare('INSERT INTO feedback (source, content, metadata, created_at) VALUES (?, ?, ?, ?)').bind(
+				source,
+				`${source} feedback ${i}`,
+				'{}',
+				createdAt
+			)
+		)
+	);
+}
+
+describe('batch policy', () => {
+	it('reads per-source settings before the global ones', () => {
+		const policy = getBatchPolicy({ BATCH_MAX_ITEMS: '20', DISCORD_BATCH_WINDOW_SECONDS: '3600' }, 'discord');
+		expect(policy).toEqual({ windowSeconds: 3600, maxItems: 20, maxInFlight: 1 });
+		expect(getBatchPolicy({}, 'github').windowSeconds).toBe(600);
+	});
+
+	it('is due when the item threshold is reached or the window has elapsed', () => {
+		const policy = { windowSeconds: 600, maxItems: 10 };
+		expect(isBatchDue(policy, { pending: 10, oldest: 1000 }, 1000)).toBe(true);
+		expect(isBatchDue(policy, { pending: 2, oldest: 1000 }, 1599)).toBe(false);
+		expect(isBatchDue(policy, { pending: 2, oldest: 1000 }, 1600)).toBe(true);
+		expect(isBatchDue(policy, { pending: 0, oldest: null }, 5000)).toBe(false);
+	});
+});
+
+describe('feedback batches', () => {
+	it('never claims a row for two batches and respects the in-flight cap', async () => {
+		await insertFeedback('discord', 5, 100);
+
+		const [first, second] = await Promise.all([
+			claimFeedbackBatch(env.DB, 'discord', 'a', { maxInFlight: 2, limit: 3 }),
+			claimFeedbackBatch(env.DB, 'discord', 'b', { maxInFlight: 2, limit: 3 }),
+		]);
+		expect(first + second).toBe(5);
+
+		const ids = [...(await getBatchFeedbackIds(env.DB, 'a')), ...(await getBatchFeedbackIds(env.DB, 'b'))];
+		expect(new Set(ids).size).toBe(5);
+
+		// A third batch would exceed the cap even with new feedback waiting
+		await insertFeedback('discord', 1, 200);
+		expect(await claimFeedbackBatch(env.DB, 'discord', 'c', { maxInFlight: 2 })).toBe(0);
+
+		await completeFeedbackBatch(env.DB, 'a');
+		expect(await claimFeedbackBatch(env.DB, 'discord', 'c', { maxInFlight: 2 })).toBe(1);
+	});
+
+	it('starts one workflow per due window and queues the rest behind it', async () => {
+		const workflow = fakeWorkflow();
+		const testEnv = { ...env, FEEDBACK_WORKFLOW: workflow, BATCH_MAX_ITEMS: '3' };
+		const now = Math.floor(Date.now() / 1000);
+
+		await insertFeedback('discord', 2, now);
+		expect(await flushSource(testEnv, 'discord')).toMatchObject({ started: false, reason: 'window_open' });
+
+		await insertFeedback('discord', 1, now);
+		const batch = await flushSource(testEnv, 'discord');
+		expect(batch).toMatchObject({ started: true, itemCount: 3, workflowId: 'wf-1' });
+		expect(workflow.runs).toEqual([{ source: 'discord', batchId: batch.batchId }]);
+
+		// Back-pressure: the next full window waits for the running batch
+		await insertFeedback('discord', 3, now);
+		expect(await flushSource(testEnv, 'discord')).toMatchObject({ started: false, reason: 'batch_in_flight' });
+
+		await releaseFeedbackBatch(env.DB, batch.batchId);
+		expect(await flushSource(testEnv, 'discord')).toMatchObject({ started: true, itemCount: 6 });
+	});
+
+	it('expires stuck batches and flushes every due source from the cron', async () => {
+		const workflow = fakeWorkflow();
+		const testEnv = { ...env, FEEDBACK_WORKFLOW: workflow };
+		await insertFeedback('github', 1, 100);
+		await insertFeedback('email', 1, Math.floor(Date.now() / 1000));
+		await claimFeedbackBatch(env.DB, 'github', 'stuck');
+		await env.DB.prepare("UPDATE feedback_batches SET created_at = 0 WHERE id = 'stuck'").run();
+
+		const results = await flushDueBatches(testEnv);
+
+		expect(results.github).toMatchObject({ started: true, itemCount: 1 });
+		expect(results.email).toMatchObject({ started: false, reason: 'window_open' });
+		const stuck = await env.DB.prepare("SELECT status FROM feedback_batches WHERE id = 'stuck'").first();
+		expect(stuck.status).toBe('expired');
+	});
+
+	it('marks batches larger than the D1 parameter limit processed', async () => {
+		await insertFeedback('discord', 250, 100);
+		expect(await claimFeedbackBatch(env.DB, 'discord', 'large')).toBe(250);
+		expect(await markBatchProcessed(env.DB, 'large')).toBe(250);
+
+		await env.DB.prepare('UPDATE feedback SET processed = 0').run();
+		const ids = await getBatchFeedbackIds(env.DB, 'large');
+		expect(await markFeedbackProcessed(env.DB, ids)).toBe(250);
+		expect((await env.DB.prepare('SELECT COUNT(*) as count FROM feedback WHERE processed = 0').first()).count).toBe(0);
+	});
+
+	it('leaves rows edited after the batch fetched them for the next batch', async () => {
+		const first = await upsertFeedback(env.DB, 'github', { content: 'Login is broken', externalId: 'issue:1' });
+		const second = await upsertFeedback(env.DB, 'github', { content: 'Export is slow', externalId: 'issue:2' });
+		await claimFeedbackBatch(env.DB, 'github', 'running');
+		expect(await getBatchFeedbackIds(env.DB, 'running')).toEqual([first.id, second.id]);
+
+		await upsertFeedback(env.DB, 'github', { content: 'Login is broken on Safari only', externalId: 'issue:1', isEdit: true });
+		expect(await markBatchProcessed(env.DB, 'running')).toBe(1);
+
+		const edited = await env.DB.prepare('SELECT processed, batch_id FROM feedback WHERE id = ?').bind(first.id).first();
+		expect(edited).toEqual({ processed: 0, batch_id: null });
+		await completeFeedbackBatch(env.DB, 'running');
+		expect(await claimFeedbackBatch(env.DB, 'github', 'next')).toBe(1);
+		expect(await getBatchFeedbackRecords(env.DB, 'next', [first.id, second.id])).toEqual([
+			{ id: first.id, source: 'github', content: 'Login is broken on Safari only', metadata: '{"author":null}', created_at: expect.any(Number) },
+		]);
+	});
+
+	it('keeps the rows of a failed batch processed once its summary is stored', async () => {
+		await insertFeedback('github', 2, 100);
+		await claimFeedbackBatch(env.DB, 'github', 'stored');
+		const ids = await getBatchFeedbackIds(env.DB, 'stored');
+		const { summaryId } = await storeBatchSummary(env.DB, 'stored', 'github', 'Two reports', { dateRangeStart: 100, dateRangeEnd: 100, feedbackIds: ids });
+
+		// e.g. mark-processed exhausted its retries
+		await releaseFeedbackBatch(env.DB, 'stored', 'failed', 'D1 unavailable');
+
+		expect((await env.DB.prepare('SELECT COUNT(*) AS count FROM feedback WHERE processed = 1').first()).count).toBe(2);
+		const batch = await env.DB.prepare("SELECT status, summary_id, error FROM feedback_batches WHERE id = 'stored'").first();
+		expect(batch).toEqual({ status: 'failed', summary_id: summaryId, error: 'D1 unavailable' });
+		expect(await claimFeedbackBatch(env.DB, 'github', 'next')).toBe(0);
+	});
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { chunkByTokenBudget, estimateTokens, getInputTokenBudget } from '../src/chunking.js';
+import { createLLMClient, createFakeProvider } from '../src/llm.js';
+import { summarizeInChunks } from '../src/summarize.js';
+
+describe('chunkByTokenBudget', () => {
+	it('packs items until the budget is reached', () => {
+		const items = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)];
+		const chunks = chunkByTokenBudget(items, 20);
+
+		expect(chunks.map((chunk) => chunk.length)).toEqual([2, 1]);
+	});
+
+	it('truncates items that exceed the budget alone', () => {
+		const chunks = chunkByTokenBudget(['x'.repeat(400)], 20, { truncate: (item, maxTokens) => item.slice(0, maxTokens * 4) });
+
+		expect(chunks).toHaveLength(1);
+		expect(estimateTokens(chunks[0][0])).toBeLessThanOrEqual(20);
+	});
+
+	it('derives the budget from the context size and output tokens', () => {
+		expect(getInputTokenBudget({ LLM_CONTEXT_TOKENS: '4000', LLM_SUMMARIZE_MAX_TOKENS: '1000' }, 'summarize')).toBe(2100);
+		expect(getInputTokenBudget({ LLM_SUMMARIZE_INPUT_TOKENS: '300' }, 'summarize')).toBe(300);
+	});
+});
+
+describe('summarizeInChunks', () => {
+	it('summarizes each chunk, then reduces the partial summaries', async () => {
+		const provider = createFakeProvider((inputs) => {
+			const prompt = inputs.messages[1].content;
+			const ids = [...prompt.matchAll(/\(id: (\d+)\)/g)].map((match) => parseInt(match[1], 10));
+			const merged = prompt.includes('Partial summaries:');
+
+			return JSON.stringify({
+				summary: merged ? 'Merged summary' : `Chunk with ${ids.length} items`,
+				themes: [],
+				pain_points: [{ description: 'Slow', mentions: merged ? 4 : 2 }],
+				praise: [],
+				feature_requests: [],
+				sentiment_score: 0,
+				representative_feedback_ids: merged ? [1, 4] : ids,
+			});
+		});
+		const llm = createLLMClient({}, { provider });
+		const feedback = [1, 2, 3, 4].map((id) => ({ id, content: 'Dashboard is slow '.repeat(20), metadata: '{}' }));
+		const steps = [];
+
+		const result = await summarizeInChunks({ LLM_SUMMARIZE_INPUT_TOKENS: '200' }, llm, feedback, {
+			source: 'github',
+			runStep: (name, fn) => {
+				steps.push(name);
+				return fn();
+			},
+		});
+
+		expect(steps).toEqual(['summarize-chunk-1-of-2', 'summarize-chunk-2-of-2', 'summarize-reduce-1-1-of-1']);
+		expect(result.summary).toBe('Merged summary');
+		expect(result.structured.representative_feedback_ids).toEqual([1, 4]);
+		expect(result.chunkCount).toBe(2);
+	});
+});
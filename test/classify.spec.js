@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { classifyInChunks, getProductAreas, validateClassifications } from '../src/classify.js';
+import { createLLMClient, createFakeProvider } from '../src/llm.js';
+
+describe('getProductAreas', () => {
+	it('reads the taxonomy from PRODUCT_AREAS and always keeps "other"', () => {
+		expect(getProductAreas({ PRODUCT_AREAS: 'Workers, R2 ,D1' })).toEqual(['workers', 'r2', 'd1', 'other']);
+		expect(getProductAreas({})).toContain('dashboard');
+	});
+});
+
+describe('validateClassifications', () => {
+	const options = { feedbackIds: [1, 2], productAreas: ['api', 'other'] };
+
+	it('normalizes labels and maps unknown product areas to "other"', () => {
+		const { valid, value } = validateClassifications(
+			{
+				classifications: [
+					{ id: 1, sentiment: -2, category: 'Feature Request', urgency: 'HIGH', product_area: 'API' },
+					{ id: '2', sentiment: '0.5', category: 'praise', urgency: 'low', product_area: 'billing' },
+				],
+			},
+			options
+		);
+
+		expect(valid).toBe(true);
+		expect(value).toEqual([
+			{ feedback_id: 1, sentiment: -1, category: 'feature_request', urgency: 'high', product_area: 'api' },
+			{ feedback_id: 2, sentiment: 0.5, category: 'praise', urgency: 'low', product_area: 'other' },
+		]);
+	});
+
+	it('reports missing items and invalid labels', () => {
+		const { valid, errors } = validateClassifications(
+			{ classifications: [{ id: 1, sentiment: 0, category: 'rant', urgency: 'low', product_area: 'api' }] },
+			options
+		);
+
+		expect(valid).toBe(false);
+		expect(errors).toContain('Missing classifications for feedback ids: 2');
+		expect(errors.some((error) => error.includes('category must be one of'))).toBe(true);
+	});
+});
+
+describe('classifyInChunks', () => {
+	it('classifies at most 20 items per model call', async () => {
+		const provider = createFakeProvider((inputs) => {
+			const ids = [...inputs.messages[1].content.matchAll(/\(id: (\d+)\)/g)].map((match) => parseInt(match[1], 10));
+			return JSON.stringify({
+				classifications: ids.map((id) => ({ id, sentiment: 0, category: 'question', urgency: 'low', product_area: 'other' })),
+			});
+		});
+		const llm = createLLMClient({}, { provider });
+		const feedback = Array.from({ length: 25 }, (_, i) => ({ id: i + 1, content: 'How do I export data?', metadata: '{}' }));
+
+		const result = await classifyInChunks({}, llm, feedback);
+
+		expect(provider.calls).toHaveLength(2);
+		expect(result).toHaveLength(25);
+	});
+});
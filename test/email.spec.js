@@ -0,0 +1,186 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { parseMime } from '../src/mime.js';
+import { htmlToText, stripQuotedReply, stripSignature } from '../src/emailText.js';
+import { ingestEmail, receiveEmail, MAX_EMAIL_BYTES } from '../src/email.js';
+import { parseEmailWebhook } from '../src/webhooks.js';
+
+// Never starts a batch: the window is far in the future and no workflow should run
+const testEnv = { ...env, BATCH_WINDOW_SECONDS: '86400', BATCH_MAX_ITEMS: '1000' };
+
+// Builds a raw message with CRLF line endings
+const raw = (...lines) => lines.join('\r\n');
+
+const MULTIPART = raw(
+	'From: =?UTF-8?Q?Jos=C3=A9_P=C3=A9rez?= <Jose@Example.com>',
+	'To: feedback@acme.test',
+	'Subject: =?UTF-8?B?RXhwb3J0IGZhaWxzIOKAkyBhZ2Fpbg==?=',
+	'Date: Mon, 06 Jan 2025 10:00:00 +0000',
+	'Message-ID: <first@example.com>',
+	'MIME-Version: 1.0',
+	'Content-Type: multipart/mixed; boundary="outer"',
+	'',
+	'--outer',
+	'Content-Type: multipart/alternative; boundary="inner"',
+	'',
+	'--inner',
+	'Content-Type: text/plain; charset=iso-8859-1',
+	'Content-Transfer-Encoding: quoted-printable',
+	'',
+	'The export is empty in the caf=E9 workspace, and the file name is very lon=',
+	'g.',
+	'',
+	'Thanks,',
+	'Jos=E9',
+	'--inner',
+	'Content-Type: text/html; charset=utf-8',
+	'Content-Transfer-Encoding: base64',
+	'',
+	btoa('<p>The export is empty</p>'),
+	'--inner--',
+	'--outer',
+	'Content-Type: image/png; name="screen.png"',
+	'Content-Disposition: attachment; filename*=UTF-8\'\'caf%C3%A9.png',
+	'Content-Transfer-Encoding: base64',
+	'',
+	'iVBORw0KGgo=',
+	'--outer--',
+	''
+);
+
+const REPLY = raw(
+	'From: Support <support@acme.test>',
+	'To: jose@example.com',
+	'Subject: Re: Export fails',
+	'Date: Mon, 06 Jan 2025 12:00:00 +0000',
+	'Message-ID: <second@acme.test>',
+	'In-Reply-To: <first@example.com>',
+	'References: <first@example.com>',
+	'Content-Type: text/html; charset=utf-8',
+	'',
+	'<div>Which browser are you using?<br>We&#39;re looking into it.</div>',
+	'<div class="gmail_quote">On Mon, Jan 6 Jos&eacute; wrote:<blockquote>The export is empty</blockquote></div>'
+);
+
+const FOLLOW_UP = raw(
+	'From: jose@example.com',
+	'Subject: Re: Export fails',
+	'Date: Tue, 07 Jan 2025 09:00:00 +0000',
+	'Message-ID: <third@example.com>',
+	'In-Reply-To: <second@acme.test>',
+	'References: <first@example.com> <second@acme.test>',
+	'',
+	'Firefox 133.',
+	'',
+	'On Mon, Jan 6, 2025 at 12:00 PM Support <support@acme.test>',
+	'wrote:',
+	'> Which browser are you using?',
+	'',
+	'Sent from my phone'
+);
+
+describe('MIME parsing', () => {
+	it('decodes nested multipart bodies, charsets and encoded headers', () => {
+		const message = parseMime(MULTIPART);
+
+		expect(message).toMatchObject({
+			messageId: 'first@example.com',
+			inReplyTo: null,
+			references: [],
+			subject: 'Export fails – again',
+			from: { name: 'José Pérez', address: 'jose@example.com' },
+			to: [{ name: null, address: 'feedback@acme.test' }],
+			date: Date.UTC(2025, 0, 6, 10) / 1000,
+			html: '<p>The export is empty</p>',
+			attachments: [{ filename: 'café.png', content_type: 'image/png', size: 8, inline: false }],
+		});
+		expect(message.text).toBe('The export is empty in the café workspace, and the file name is very long.\r\n\r\nThanks,\r\nJosé');
+	});
+});
+
+describe('email text', () => {
+	it('converts HTML to text without quoted replies', () => {
+		expect(htmlToText('<html><head><style>p{}</style></head><body><p>Hello&nbsp;there</p><ul><li>One</li><li>Two &amp; three</li></ul><blockquote>old <blockquote>older</blockquote> text</blockquote></body></html>')).toBe(
+			'Hello there\n\n- One\n- Two & three'
+		);
+		expect(htmlToText('New<div id="divRplyFwdMsg">From: someone</div><div>Old</div>')).toBe('New');
+	});
+
+	it('strips quoted replies and signatures', () => {
+		expect(stripQuotedReply('Still broken.\n\n-----Original Message-----\nFrom: x')).toBe('Still broken.');
+		expect(stripQuotedReply('Agreed.\n\nFrom: Support <s@acme.test>\nSent: Monday\nTo: me')).toBe('Agreed.');
+		expect(stripQuotedReply('Yes\n> quoted\nno')).toBe('Yes\nno');
+
+		expect(stripSignature('It crashes.\n-- \nJane Doe\nACME Corp')).toBe('It crashes.');
+		expect(stripSignature('It crashes.\n\nBest regards,\nJane Doe\nProduct Manager')).toBe('It crashes.');
+		expect(stripSignature('Thanks for the fix!\nIt works now.')).toBe('Thanks for the fix!\nIt works now.');
+	});
+
+	it('cleans the body of generic email webhooks', () => {
+		const [item] = parseEmailWebhook({ subject: 'Hi', html: '<p>Love it</p><blockquote>old</blockquote>', message_id: 'm1' });
+		expect(item.content).toBe('Subject: Hi\n\nLove it');
+	});
+});
+
+describe('inbound email', () => {
+	it('stitches replies into one feedback item per thread', async () => {
+		const first = await ingestEmail(testEnv, new TextEncoder().encode(MULTIPART));
+		expect(first).toMatchObject({ stored: 1, threadId: 'first@example.com', duplicate: false });
+
+		await ingestEmail(testEnv, REPLY);
+		const last = await ingestEmail(testEnv, FOLLOW_UP);
+		expect(last).toMatchObject({ stored: 0, updated: 1, threadId: 'first@example.com' });
+
+		const { results } = await env.DB.prepare('SELECT external_id, content, metadata FROM feedback').all();
+		expect(results).toHaveLength(1);
+		expect(results[0].external_id).toBe('thread:first@example.com');
+		expect(results[0].content).toBe(
+			[
+				'Subject: Export fails – again',
+				'',
+				'From: José Pérez <jose@example.com> (2025-01-06T10:00:00.000Z)',
+				'The export is empty in the café workspace, and the file name is very long.',
+				'',
+				'---',
+				'',
+				'From: Support <support@acme.test> (2025-01-06T12:00:00.000Z)',
+				"Which browser are you using?\nWe're looking into it.",
+				'',
+				'---',
+				'',
+				'From: jose@example.com (2025-01-07T09:00:00.000Z)',
+				'Firefox 133.',
+			].join('\n')
+		);
+		expect(JSON.parse(results[0].metadata)).toMatchObject({
+			message_count: 3,
+			participants: ['jose@example.com', 'support@acme.test'],
+			last_message_id: 'third@example.com',
+			attachments: [{ filename: 'café.png', size: 8 }],
+		});
+	});
+
+	it('ignores redelivered messages and requeues summarized threads', async () => {
+		await ingestEmail(testEnv, MULTIPART);
+		expect(await ingestEmail(testEnv, MULTIPART)).toMatchObject({ duplicate: true, duplicates: 1 });
+
+		await env.DB.prepare("UPDATE feedback SET processed = 1, batch_id = 'done'").run();
+		await ingestEmail(testEnv, REPLY);
+
+		const row = await env.DB.prepare('SELECT processed, batch_id FROM feedback').first();
+		expect(row).toEqual({ processed: 0, batch_id: null });
+		expect((await env.DB.prepare('SELECT COUNT(*) AS count FROM email_messages').first()).count).toBe(2);
+	});
+
+	it('rejects oversized messages before reading them', async () => {
+		let rejected = null;
+		const message = { rawSize: MAX_EMAIL_BYTES + 1, raw: null, setReject: (reason) => (rejected = reason) };
+
+		expect(await receiveEmail(message, testEnv)).toBeNull();
+		expect(rejected).toMatch(/larger than 10 MiB/);
+
+		const stream = new Response(REPLY).body;
+		const result = await receiveEmail({ rawSize: REPLY.length, raw: stream, from: 'support@acme.test', to: 'feedback@acme.test', setReject: () => {} }, testEnv);
+		expect(result).toMatchObject({ stored: 1, threadId: 'first@example.com' });
+	});
+});
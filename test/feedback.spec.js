@@ -0,0 +1,81 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { browseFeedback, getFeedbackDetail, decodeCursor, encodeCursor } from '../src/feedback.js';
+import { insertSourceSummary, insertAggregatedSummary, getFeedbackForSummary, getSourcesForAggregatedSummary } from '../src/db.js';
+
+beforeEach(async () => {
+	const rows = [
+		[1, 'github', 'Crash on save', { author: 'ana', labels: ['bug', 'ui'] }, 100, 1],
+		[2, 'github', 'Add export', { author: 'ben', labels: ['enhancement'] }, 200, 1],
+		[3, 'support', 'Billing wrong', { author: 'cy', priority: 'high' }, 200, 0],
+		[4, 'discord', 'Love it', { author: 'ana' }, 300, 0],
+	];
+	await env.DB.batch(
+		rows.map(([id, source, content, metadata, createdAt, processed]) =>
+			env.DB.prepare('INSERT INTO feedback (id, source, content, metadata, created_at, processed) VALUES (?, ?, ?, ?, ?, ?)').bind(
+				id,
+				source,
+				content,
+				JSON.stringify(metadata),
+				createdAt,
+				processed
+			)
+		)
+	);
+	await env.DB.prepare(
+		"INSERT INTO source_summaries (id, source, summary, date_range_start, date_range_end, feedback_count, created_at) VALUES (7, 'github', 'Crashes and exports', 100, 200, 2, 400)"
+	).run();
+});
+
+describe('browseFeedback', () => {
+	it('pages through every row exactly once with ties broken by id', async () => {
+		const seen = [];
+		let after = null;
+		do {
+			const page = await browseFeedback(env, {}, { limit: 1, after });
+			seen.push(...page.feedback.map((item) => item.id));
+			after = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+		} while (after);
+
+		expect(seen).toEqual([4, 3, 2, 1]);
+
+		const ascending = await browseFeedback(env, {}, { order: 'asc', limit: 10 });
+		expect(ascending.feedback.map((item) => item.id)).toEqual([1, 2, 3, 4]);
+		expect(ascending.nextCursor).toBeNull();
+	});
+
+	it('filters on metadata fields and the processed flag', async () => {
+		const ids = async (filters) => (await browseFeedback(env, filters)).feedback.map((item) => item.id);
+
+		expect(await ids({ author: 'ana' })).toEqual([4, 1]);
+		expect(await ids({ label: 'ui' })).toEqual([1]);
+		expect(await ids({ priority: 'high' })).toEqual([3]);
+		expect(await ids({ processed: false, since: 150 })).toEqual([4, 3]);
+	});
+
+	it('links processed feedback to the summaries that covered it', async () => {
+		const item = await getFeedbackDetail(env, 1);
+		expect(item.metadata.labels).toEqual(['bug', 'ui']);
+		expect(item.summaries).toEqual([{ id: 7, created_at: 400, date_range_start: 100, date_range_end: 200 }]);
+
+		expect((await getFeedbackDetail(env, 3)).summaries).toEqual([]);
+		expect(await getFeedbackDetail(env, 99)).toBeNull();
+	});
+
+	it('prefers recorded provenance over date range matching', async () => {
+		// Covers the same range as summary 7 but only row 2 was summarized
+		const summaryId = await insertSourceSummary(env.DB, 'github', 'Exports', 100, 200, 1, null, [2]);
+
+		expect((await getFeedbackForSummary(env.DB, summaryId)).map((row) => row.id)).toEqual([2]);
+		expect((await getFeedbackDetail(env, 1)).summaries.map((s) => s.id)).toEqual([7]);
+		expect((await getFeedbackDetail(env, 2)).summaries.map((s) => s.id).sort()).toEqual([7, summaryId]);
+
+		const aggregatedId = await insertAggregatedSummary(env.DB, 'All', 100, 200, 1, 3, null, [7, summaryId]);
+		expect((await getSourcesForAggregatedSummary(env.DB, aggregatedId)).map((s) => s.id).sort()).toEqual([7, summaryId]);
+	});
+
+	it('rejects malformed cursors', () => {
+		expect(decodeCursor(encodeCursor(200, 3))).toEqual({ value: 200, id: 3 });
+		expect(decodeCursor('not-a-cursor')).toBeNull();
+	});
+});
@@ -0,0 +1,106 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { parseWebhook, getWebhookEvent } from '../src/sources.js';
+import { createLocalQueue, enqueueWebhook } from '../src/queue.js';
+import topicCreated from './fixtures/forum/discourse-topic-created.json';
+import firstPost from './fixtures/forum/discourse-post-created-first.json';
+import reply from './fixtures/forum/discourse-post-created-reply.json';
+
+const discourseEnv = { DISCOURSE_URL: 'https://community.example.com/', DISCOURSE_CATEGORIES: '{"12": "Feature Requests"}' };
+
+// Never starts a batch: the window is far in the future and no workflow should run
+const testEnv = { ...env, ...discourseEnv, BATCH_WINDOW_SECONDS: '86400', BATCH_MAX_ITEMS: '1000' };
+
+const parse = (event, payload) => parseWebhook('forum/discourse', payload, { event, env: discourseEnv });
+
+// Recorded sample deliveries of a Discourse forum (ids and names anonymized)
+describe('Discourse adapter', () => {
+	it('maps topics with their category, tags and engagement', () => {
+		expect(parse('topic_created', topicCreated)).toEqual([
+			{
+				content: 'Topic: Dark mode for the analytics dashboard',
+				externalId: 'discourse:topic:7712',
+				isEdit: false,
+				metadata: {
+					engine: 'discourse',
+					topic_id: 7712,
+					topic_title: 'Dark mode for the analytics dashboard',
+					topic_url: 'https://community.example.com/t/dark-mode-for-the-analytics-dashboard/7712',
+					category_id: 12,
+					category: 'Feature Requests',
+					tags: ['dashboard', 'accessibility'],
+					author: 'mira_k',
+					engagement: { views: 0, likes: 0, replies: 0 },
+				},
+			},
+		]);
+
+		// The first post carries the topic's text and updates the topic item
+		expect(parse('post_created', firstPost)).toEqual([
+			expect.objectContaining({
+				content: 'Topic: Dark mode for the analytics dashboard\n\nThe analytics dashboard is very bright at night.\n\nCould we get a dark theme? Something like:\n\n- follow the OS setting\n- a manual toggle',
+				externalId: 'discourse:topic:7712',
+				isEdit: true,
+			}),
+		]);
+	});
+
+	it('attaches replies to their topic without the quoted post', () => {
+		const [item] = parse('post_created', reply);
+
+		expect(item).toEqual({
+			content: 'Reply to post #2 in topic #7712 (Dark mode for the analytics dashboard): +1, and the charts should use a palette that works on dark backgrounds & in print.',
+			externalId: 'discourse:post:40377',
+			isEdit: false,
+			metadata: {
+				engine: 'discourse',
+				topic_id: 7712,
+				topic_title: 'Dark mode for the analytics dashboard',
+				category_id: 12,
+				category: 'Feature Requests',
+				author: 'tomasz',
+				topic_external_id: 'discourse:topic:7712',
+				post_id: 40377,
+				post_number: 3,
+				reply_to_post_number: 2,
+				post_url: 'https://community.example.com/t/dark-mode-for-the-analytics-dashboard/7712/3',
+				engagement: { likes: 6, reads: 4, replies: 0 },
+			},
+		});
+		expect(parse('post_edited', reply)[0].isEdit).toBe(true);
+
+		// Without a category mapping the slug stands in for the name
+		expect(parseWebhook('forum/discourse', reply, { event: 'post_created' })[0].metadata.category).toBe('feature-requests');
+	});
+
+	it('skips staff posts, whispers, private messages and other events', () => {
+		expect(parse('post_created', { post: { ...reply.post, staff: true } })).toEqual([]);
+		expect(parse('post_created', { post: { ...reply.post, post_type: 4 } })).toEqual([]);
+		expect(parse('post_created', { post: { ...reply.post, topic_archetype: 'private_message' } })).toEqual([]);
+		expect(parse('topic_created', { topic: { ...topicCreated.topic, archetype: 'private_message' } })).toEqual([]);
+		expect(parse('post_liked', { like: { post: reply.post } })).toEqual([]);
+
+		expect(getWebhookEvent('forum/discourse', new Headers({ 'X-Discourse-Event': 'post_edited' }))).toBe('post_edited');
+	});
+
+	it('strips HTML from posts sent in the generic forum format', () => {
+		expect(parseWebhook('forum', firstPost)[0].content).toMatch(/^Post: Dark mode for the analytics dashboard\n\nThe analytics dashboard is very bright at night\./);
+	});
+});
+
+describe('Discourse ingestion', () => {
+
+	it('stores one item per topic plus its replies, in either delivery order', async () => {
+		const queue = createLocalQueue(testEnv);
+		await enqueueWebhook(testEnv, 'forum/discourse', JSON.stringify(firstPost), { queue, event: 'post_created' });
+		await enqueueWebhook(testEnv, 'forum/discourse', JSON.stringify(topicCreated), { queue, event: 'topic_created' });
+		await enqueueWebhook(testEnv, 'forum/discourse', JSON.stringify(reply), { queue, event: 'post_created' });
+
+		const { results } = await env.DB.prepare('SELECT source, external_id, content FROM feedback ORDER BY id').all();
+		expect(results.map(({ source, external_id }) => ({ source, external_id }))).toEqual([
+			{ source: 'forum', external_id: 'discourse:topic:7712' },
+			{ source: 'forum', external_id: 'discourse:post:40377' },
+		]);
+		expect(results[0].content).toContain('very bright at night');
+	});
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { createLLMClient, createFakeProvider, getTaskConfig, extractResponseText, LLMError, DEFAULT_MODEL } from '../src/llm.js';
+import { buildFeedbackSummaryPrompt } from '../src/prompts.js';
+import { validateStructuredSummary } from '../src/structured.js';
+import { generateSummary } from '../src/summarize.js';
+
+const noSleep = async () => {};
+
+describe('getTaskConfig', () => {
+	it('uses task defaults when nothing is configured', () => {
+		expect(getTaskConfig({}, 'aggregate')).toEqual({ model: DEFAULT_MODEL, temperature: 0.7, maxTokens: 1500 });
+	});
+
+	it('prefers task-specific env vars over global ones', () => {
+		const env = { LLM_MODEL: '@cf/global', LLM_SUMMARIZE_MODEL: '@cf/summarize', LLM_SUMMARIZE_TEMPERATURE: '0.2', LLM_SUMMARIZE_MAX_TOKENS: '400' };
+		expect(getTaskConfig(env, 'summarize')).toEqual({ model: '@cf/summarize', temperature: 0.2, maxTokens: 400 });
+		expect(getTaskConfig(env, 'aggregate').model).toBe('@cf/global');
+	});
+});
+
+describe('extractResponseText', () => {
+	it('unwraps the response shapes models return', () => {
+		expect(extractResponseText({ response: 'a' })).toBe('a');
+		expect(extractResponseText('b')).toBe('b');
+		expect(extractResponseText({ choices: [{ message: { content: 'c' } }] })).toBe('c');
+		expect(extractResponseText({ unexpected: true })).toBeNull();
+	});
+});
+
+describe('createLLMClient', () => {
+	it('sends the prompt and task settings to the provider', async () => {
+		const provider = createFakeProvider(() => '  Users want dark mode.  ');
+		const llm = createLLMClient({ LLM_SUMMARIZE_MAX_TOKENS: '256' }, { provider });
+
+		const text = await llm.complete('summarize', buildFeedbackSummaryPrompt([{ content: 'Please add dark mode', metadata: '{"author":"sam"}' }]));
+
+		expect(text).toBe('Users want dark mode.');
+		expect(provider.calls).toHaveLength(1);
+		expect(provider.calls[0].model).toBe(DEFAULT_MODEL);
+		expect(provider.calls[0].inputs.max_tokens).toBe(256);
+		expect(provider.calls[0].inputs.messages[1].content).toContain('Please add dark mode\n[From: sam]');
+	});
+
+	it('retries transient errors with backoff', async () => {
+		let attempts = 0;
+		const provider = createFakeProvider(() => {
+			attempts++;
+			if (attempts < 3) throw new Error('503 Service Unavailable');
+			return 'ok';
+		});
+		const delays = [];
+		const llm = createLLMClient({ LLM_RETRY_BASE_MS: '10' }, { provider, sleep: async (ms) => delays.push(ms) });
+
+		expect(await llm.complete('summarize', { system: 's', prompt: 'p' })).toBe('ok');
+		expect(attempts).toBe(3);
+		expect(delays).toHaveLength(2);
+		expect(delays[1]).toBeGreaterThanOrEqual(20);
+	});
+
+	it('does not retry permanent errors', async () => {
+		let attempts = 0;
+		const provider = createFakeProvider(() => {
+			attempts++;
+			throw new Error('Invalid input');
+		});
+		const llm = createLLMClient({}, { provider, sleep: noSleep });
+
+		await expect(llm.complete('aggregate', { system: 's', prompt: 'p' })).rejects.toThrow(LLMError);
+		expect(attempts).toBe(1);
+	});
+
+	it('rejects empty responses', async () => {
+		const llm = createLLMClient({}, { provider: createFakeProvider(() => ({})), sleep: noSleep });
+		await expect(llm.complete('summarize', { system: 's', prompt: 'p' })).rejects.toThrow(/Empty or unrecognized response/);
+	});
+});
+
+describe('structured summaries', () => {
+	const validSummary = {
+		summary: 'Users want dark mode and faster loads.',
+		themes: ['UI'],
+		pain_points: ['Slow loads', { description: 'Crashes on save', mentions: 3 }],
+		praise: [],
+		feature_requests: [{ description: 'Dark mode', mentions: 2 }],
+		sentiment_score: '-0.3',
+		representative_feedback_ids: [1, 99],
+	};
+
+	it('normalizes valid output and drops unknown feedback ids', () => {
+		const { valid, value } = validateStructuredSummary(validSummary, { allowedFeedbackIds: [1, 2] });
+
+		expect(valid).toBe(true);
+		expect(value.pain_points).toEqual([
+			{ description: 'Crashes on save', mentions: 3 },
+			{ description: 'Slow loads', mentions: 1 },
+		]);
+		expect(value.sentiment_score).toBe(-0.3);
+		expect(value.representative_feedback_ids).toEqual([1]);
+	});
+
+	it('asks the model to repair malformed JSON', async () => {
+		const responses = ['Here is the summary: {"summary": ', '```json\n' + JSON.stringify(validSummary) + '\n```'];
+		const provider = createFakeProvider(() => responses.shift());
+		const llm = createLLMClient({}, { provider, sleep: noSleep });
+
+		const result = await generateSummary(llm, [
+			{ id: 1, content: 'Dark mode please', metadata: '{}' },
+			{ id: 2, content: 'It crashes', metadata: '{}' },
+		]);
+
+		expect(result.summary).toBe(validSummary.summary);
+		expect(result.structured.representative_feedback_ids).toEqual([1]);
+		expect(provider.calls).toHaveLength(2);
+		expect(provider.calls[1].inputs.messages.at(-1).content).toContain('Invalid JSON');
+	});
+
+	it('gives up after the repair attempts are exhausted', async () => {
+		const provider = createFakeProvider(() => JSON.stringify({ themes: 'not a list' }));
+		const llm = createLLMClient({ LLM_JSON_REPAIR_ATTEMPTS: '1' }, { provider, sleep: noSleep });
+
+		await expect(generateSummary(llm, [{ id: 1, content: 'x', metadata: '{}' }])).rejects.toThrow(/did not return valid JSON/);
+		expect(provider.calls).toHaveLength(2);
+	});
+});
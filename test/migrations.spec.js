@@ -0,0 +1,92 @@
+import { env, applyD1Migrations } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Tables, indexes and triggers, minus D1/SQLite internals and the migrations bookkeeping
+async function schemaObjects(db) {
+	const { results } = await db
+		.prepare(
+			`SELECT type, name, tbl_name, sql FROM sqlite_master
+			 WHERE name NOT LIKE 'sqlite_%' AND name NOT LIKE '_cf_%' AND tbl_name != ?
+			 ORDER BY type, name`
+		)
+		.bind(MIGRATIONS_TABLE)
+		.all();
+	return results;
+}
+
+// ALTER TABLE appends columns, so columns are compared by name rather than by position
+async function describeSchema(db) {
+	const objects = await schemaObjects(db);
+	const tables = {};
+
+	for (const object of objects.filter(o => o.type === 'table')) {
+		const { results: columns } = await db.prepare(`PRAGMA table_info(${object.name})`).all();
+		const { results: foreignKeys } = await db.prepare(`PRAGMA foreign_key_list(${object.name})`).all();
+		tables[object.name] = {
+			columns: columns
+				.map(({ name, type, notnull, dflt_value, pk }) => ({ name, type, notnull, dflt_value, pk }))
+				.sort((a, b) => a.name.localeCompare(b.name)),
+			foreignKeys: foreignKeys
+				.map(({ table, from, to }) => `${from} -> ${table}(${to})`)
+				.sort()
+		};
+	}
+
+	return {
+		tables,
+		indexes: objects.filter(o => o.type === 'index').map(o => `${o.tbl_name}: ${o.sql}`),
+		triggers: objects.filter(o => o.type === 'trigger').map(o => o.sql)
+	};
+}
+
+describe('migrations', () => {
+	beforeAll(async () => {
+		await applyD1Migrations(env.MIGRATIONS_DB, env.TEST_MIGRATIONS, MIGRATIONS_TABLE);
+		await env.SCHEMA_DB.batch(env.TEST_SCHEMA.map(query => env.SCHEMA_DB.prepare(query)));
+	});
+
+	it('are numbered in order without gaps', () => {
+		const numbers = env.TEST_MIGRATIONS.map(migration => parseInt(migration.name, 10));
+		expect(numbers).toEqual(numbers.map((_, index) => index + 1));
+	});
+
+	it('produce the same schema as schema.sql', async () => {
+		const migrated = await describeSchema(env.MIGRATIONS_DB);
+		const expected = await describeSchema(env.SCHEMA_DB);
+
+		expect(Object.keys(migrated.tables).sort()).toEqual(Object.keys(expected.tables).sort());
+		expect(migrated).toEqual(expected);
+	});
+
+	it('record every applied migration and skip them on the next run', async () => {
+		const { results } = await env.MIGRATIONS_DB.prepare(`SELECT name FROM ${MIGRATIONS_TABLE} ORDER BY id`).all();
+		expect(results.map(row => row.name)).toEqual(env.TEST_MIGRATIONS.map(migration => migration.name));
+
+		await applyD1Migrations(env.MIGRATIONS_DB, env.TEST_MIGRATIONS, MIGRATIONS_TABLE);
+		const { count } = await env.MIGRATIONS_DB.prepare(`SELECT COUNT(*) AS count FROM ${MIGRATIONS_TABLE}`).first();
+		expect(count).toBe(env.TEST_MIGRATIONS.length);
+	});
+
+	it('upgrade a database that already holds feedback', async () => {
+		const db = env.MIGRATIONS_DB;
+		const tables = (await schemaObjects(db)).filter(o => o.type === 'table' && !o.name.startsWith('feedback_fts_'));
+		await db.batch([
+			...tables.map(table => db.prepare(`DROP TABLE IF EXISTS ${table.name}`)),
+			db.prepare(`DROP TABLE IF EXISTS ${MIGRATIONS_TABLE}`)
+		]);
+
+		const [initial, ...rest] = env.TEST_MIGRATIONS;
+		await applyD1Migrations(db, [initial], MIGRATIONS_TABLE);
+		await db.prepare("INSERT INTO feedback (source, content) VALUES ('github', 'Dashboard export is slow')").run();
+		await applyD1Migrations(db, [initial, ...rest], MIGRATIONS_TABLE);
+
+		const row = await db.prepare('SELECT source, external_id, batch_id FROM feedback').first();
+		expect(row).toEqual({ source: 'github', external_id: null, batch_id: null });
+
+		// The full-text migration indexes rows that were already there
+		const match = await db.prepare("SELECT rowid FROM feedback_fts WHERE feedback_fts MATCH 'export'").first();
+		expect(match).not.toBeNull();
+	});
+});
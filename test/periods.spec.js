@@ -0,0 +1,107 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { getPeriod, getPeriodForDate, getPreviousPeriod, resolveAggregationPeriod } from '../src/periods.js';
+import { getSourceSummaries, upsertAggregatedSummary, getSourcesForAggregatedSummary, getLatestAggregatedSummaries } from '../src/db.js';
+
+const seconds = (iso) => Date.parse(iso) / 1000;
+
+describe('calendar periods', () => {
+	it('aligns days, ISO weeks and months in UTC', () => {
+		const at = seconds('2025-01-01T15:30:00Z');
+
+		expect(getPeriod('day', at)).toEqual({ type: 'day', key: '2025-01-01', start: seconds('2025-01-01T00:00:00Z'), end: seconds('2025-01-02T00:00:00Z') - 1 });
+		expect(getPeriod('week', at)).toEqual({ type: 'week', key: '2025-W01', start: seconds('2024-12-30T00:00:00Z'), end: seconds('2025-01-06T00:00:00Z') - 1 });
+		expect(getPeriod('month', at)).toEqual({ type: 'month', key: '2025-01', start: seconds('2025-01-01T00:00:00Z'), end: seconds('2025-02-01T00:00:00Z') - 1 });
+	});
+
+	it('gives early January days to the ISO week of the previous year', () => {
+		expect(getPeriodForDate('week', '2021-01-03').key).toBe('2020-W53');
+		expect(getPeriodForDate('week', '2021-01-04').key).toBe('2021-W01');
+	});
+
+	it('follows the configured time zone across DST changes', () => {
+		// Clocks in New York skip an hour on 2025-03-09, so that day is 23 hours long
+		const day = getPeriodForDate('day', '2025-03-09', 'America/New_York');
+		expect(day.start).toBe(seconds('2025-03-09T05:00:00Z'));
+		expect(day.end).toBe(seconds('2025-03-10T04:00:00Z') - 1);
+
+		// 23:30 UTC on the last day of February is already March in Berlin
+		const month = getPeriod('month', seconds('2025-02-28T23:30:00Z'), 'Europe/Berlin');
+		expect(month).toMatchObject({ key: '2025-03', start: seconds('2025-02-28T23:00:00Z'), end: seconds('2025-03-31T22:00:00Z') - 1 });
+	});
+
+	it('steps back to the previous period', () => {
+		expect(getPreviousPeriod(getPeriodForDate('month', '2025-01-15')).key).toBe('2024-12');
+		expect(getPreviousPeriod({ type: 'custom', key: '100-199', start: 100, end: 199 })).toMatchObject({ start: 0, end: 99 });
+	});
+
+	it('resolves aggregation requests and rejects invalid ones', () => {
+		const at = seconds('2025-05-14T12:00:00Z');
+
+		expect(resolveAggregationPeriod({}, {}, at).key).toBe('2025-W20');
+		expect(resolveAggregationPeriod({ AGGREGATION_PERIOD: 'month' }, {}, at).key).toBe('2025-05');
+		expect(resolveAggregationPeriod({}, { period: 'day', date: '2025-02-01' }, at).key).toBe('2025-02-01');
+		expect(resolveAggregationPeriod({}, { start: 10, end: 20 }, at)).toEqual({ type: 'custom', key: '10-20', start: 10, end: 20 });
+		expect(resolveAggregationPeriod({}, { days: 7 }, at)).toMatchObject({ type: 'custom', end: at });
+
+		expect(() => resolveAggregationPeriod({}, { period: 'year' }, at)).toThrow(RangeError);
+		expect(() => resolveAggregationPeriod({}, { period: 'day', date: '2025-02-30' }, at)).toThrow(RangeError);
+		expect(() => resolveAggregationPeriod({}, { period: 'day', start: 1, end: 2 }, at)).toThrow(RangeError);
+		expect(() => resolveAggregationPeriod({}, { start: 20, end: 10 }, at)).toThrow(RangeError);
+		expect(() => resolveAggregationPeriod({ AGGREGATION_TIMEZONE: 'Mars/Olympus' }, {}, at)).toThrow(RangeError);
+	});
+});
+
+describe('aggregation periods in D1', () => {
+	beforeEach(async () => {
+		// Period under test is 100-199: 1 straddles its start, 2 is inside, 3 straddles its end, 4 is outside
+		await env.DB.batch(
+			[
+				[1, 50, 120],
+				[2, 130, 150],
+				[3, 180, 260],
+				[4, 300, 400],
+			].map(([id, start, end]) =>
+				env.DB.prepare(
+					"INSERT INTO source_summaries (id, source, summary, date_range_start, date_range_end, feedback_count, created_at) VALUES (?, 'github', 'Summary', ?, ?, 1, ?)"
+				).bind(id, start, end, id)
+			)
+		);
+	});
+
+	it('selects source summaries by overlap, end or containment', async () => {
+		const ids = async (match) => (await getSourceSummaries(env.DB, 100, 199, match)).map((summary) => summary.id).sort();
+
+		expect(await ids('overlap')).toEqual([1, 2, 3]);
+		expect(await ids('end')).toEqual([1, 2]);
+		expect(await ids('contained')).toEqual([2]);
+	});
+
+	it('keeps one aggregated summary per period', async () => {
+		const period = { type: 'week', key: '2025-W20', start: 100, end: 199 };
+
+		const firstId = await upsertAggregatedSummary(env.DB, period, 'First run', 1, 2, null, [1, 2]);
+		const secondId = await upsertAggregatedSummary(env.DB, period, 'Second run', 1, 3, null, [2, 3]);
+		await upsertAggregatedSummary(env.DB, { ...period, type: 'month', key: '2025-05' }, 'Month', 1, 3, null, [2]);
+
+		expect(secondId).toBe(firstId);
+		const weekly = await getLatestAggregatedSummaries(env.DB, 10, { periodType: 'week' });
+		expect(weekly).toHaveLength(1);
+		expect(weekly[0]).toMatchObject({ summary: 'Second run', total_feedback_count: 3, period_key: '2025-W20' });
+		expect(weekly[0].updated_at).not.toBeNull();
+		expect((await getSourcesForAggregatedSummary(env.DB, firstId)).map((summary) => summary.id).sort()).toEqual([2, 3]);
+		expect(await getLatestAggregatedSummaries(env.DB)).toHaveLength(2);
+	});
+
+	it('keeps the earlier aggregated summary and its sources when a replacement fails', async () => {
+		const period = { type: 'week', key: '2025-W20', start: 100, end: 199 };
+		const id = await upsertAggregatedSummary(env.DB, period, 'First run', 1, 2, null, [1, 2]);
+
+		// Source summary 999 does not exist, so its link fails after the summary was replaced
+		await expect(upsertAggregatedSummary(env.DB, period, 'Second run', 1, 3, null, [3, 999])).rejects.toThrow();
+
+		const [weekly] = await getLatestAggregatedSummaries(env.DB, 10, { periodType: 'week' });
+		expect(weekly).toMatchObject({ id, summary: 'First run' });
+		expect((await getSourcesForAggregatedSummary(env.DB, id)).map((summary) => summary.id).sort()).toEqual([1, 2]);
+	});
+});
@@ -0,0 +1,117 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { createLocalQueue, enqueueWebhook, handleIngestBatch, replayDeadLetter } from '../src/queue.js';
+import { getDeadLetters } from '../src/db.js';
+
+const issuePayload = JSON.stringify({ action: 'opened', issue: { id: 11, number: 3, title: 'Export broken', body: 'CSV is empty', user: { login: 'ana' } } });
+
+// Never starts a batch: the window is far in the future and no workflow should run
+const testEnv = { ...env, BATCH_WINDOW_SECONDS: '86400', BATCH_MAX_ITEMS: '1000', INGEST_MAX_RETRIES: '2', INGEST_RETRY_DELAY_SECONDS: '10' };
+
+// D1 with the feedback table unavailable; other tables (dead letters, settings) still work
+const failingStorageEnv = {
+	...testEnv,
+	DB: {
+		prepare(query) {
+			if (/\bfeedback\b/.test(query)) {
+				throw new Error('D1_ERROR: no such table: feedback');
+			}
+			return env.DB.prepare(query);
+		},
+		batch: (statements) => env.DB.batch(statements),
+	},
+};
+
+function message(body, attempts = 1) {
+	return {
+		body,
+		attempts,
+		outcome: null,
+		ack() {
+			this.outcome = { ack: true };
+		},
+		retry(options) {
+			this.outcome = { retry: options };
+		},
+	};
+}
+
+describe('queue consumer', () => {
+	it('stores parsed feedback and drops redeliveries', async () => {
+		const queue = createLocalQueue(testEnv);
+		await enqueueWebhook(testEnv, 'github', issuePayload, { queue });
+		await enqueueWebhook(testEnv, 'github', issuePayload, { queue });
+
+		const { results } = await env.DB.prepare('SELECT source, external_id, processed FROM feedback').all();
+		expect(results).toEqual([{ source: 'github', external_id: 'issue:11', processed: 0 }]);
+		expect(queue.sent).toHaveLength(2);
+	});
+
+	it('dead-letters unparseable payloads without retrying', async () => {
+		const msg = message({ source: 'github', rawBody: '{not json' });
+		await handleIngestBatch({ messages: [msg] }, testEnv);
+
+		expect(msg.outcome).toEqual({ ack: true });
+		const [deadLetter] = await getDeadLetters(env.DB);
+		expect(deadLetter).toMatchObject({ source: 'github', stage: 'parse', attempts: 1 });
+	});
+
+	it('retries storage failures with backoff, then dead-letters them', async () => {
+		const first = message({ source: 'github', rawBody: issuePayload }, 1);
+		const second = message({ source: 'github', rawBody: issuePayload }, 2);
+		await handleIngestBatch({ messages: [first, second] }, failingStorageEnv);
+		expect(first.outcome).toEqual({ retry: { delaySeconds: 10 } });
+		expect(second.outcome).toEqual({ retry: { delaySeconds: 20 } });
+
+		const last = message({ source: 'github', rawBody: issuePayload }, 3);
+		await handleIngestBatch({ messages: [last] }, failingStorageEnv);
+		expect(last.outcome).toEqual({ ack: true });
+		expect((await getDeadLetters(env.DB))[0]).toMatchObject({ stage: 'store', attempts: 3 });
+	});
+
+	it('keeps payloads the queue refused and replays them', async () => {
+		const brokenQueue = {
+			async send() {
+				throw new Error('Queue unavailable');
+			},
+		};
+		const { queued, deadLetterId } = await enqueueWebhook(testEnv, 'github', issuePayload, { queue: brokenQueue });
+		expect(queued).toBe(false);
+		expect((await getDeadLetters(env.DB))[0]).toMatchObject({ id: deadLetterId, stage: 'enqueue' });
+
+		const result = await replayDeadLetter(testEnv, deadLetterId, { queue: createLocalQueue(testEnv) });
+		expect(result.replayed).toBe(true);
+		expect(await getDeadLetters(env.DB)).toEqual([]);
+		expect((await getDeadLetters(env.DB, { includeReplayed: true }))[0]).toMatchObject({ replay_count: 1 });
+		expect((await env.DB.prepare('SELECT COUNT(*) as count FROM feedback').first()).count).toBe(1);
+
+		expect((await replayDeadLetter(testEnv, 999)).deadLetter).toBeNull();
+	});
+
+	it('parses payloads by their event header, including replays', async () => {
+		const commentPayload = JSON.stringify({ action: 'created', issue: { id: 11, number: 3, title: 'Export broken' }, comment: { id: 21, body: 'Same for XLSX' } });
+		const brokenQueue = {
+			async send() {
+				throw new Error('Queue unavailable');
+			},
+		};
+		const { deadLetterId } = await enqueueWebhook(testEnv, 'github', commentPayload, { queue: brokenQueue, event: 'issue_comment' });
+		expect((await getDeadLetters(env.DB))[0]).toMatchObject({ id: deadLetterId, event: 'issue_comment' });
+
+		const queue = createLocalQueue(testEnv);
+		await replayDeadLetter(testEnv, deadLetterId, { queue });
+		expect(queue.sent[0]).toMatchObject({ event: 'issue_comment' });
+
+		const { results } = await env.DB.prepare('SELECT external_id FROM feedback').all();
+		expect(results).toEqual([{ external_id: 'comment:21' }]);
+	});
+
+	it('stores vendor deliveries under their source', async () => {
+		const ticketPayload = JSON.stringify({ freshdesk_webhook: { ticket_id: 7, ticket_subject: 'Refund', ticket_description: 'Charged twice' } });
+		const queue = createLocalQueue(testEnv);
+		await enqueueWebhook(testEnv, 'support/freshdesk', ticketPayload, { queue });
+
+		const { results } = await env.DB.prepare('SELECT source, external_id FROM feedback').all();
+		expect(results).toEqual([{ source: 'support', external_id: 'freshdesk:ticket:7' }]);
+	});
+});
@@ -0,0 +1,93 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { CRON_JOBS, runScheduledJob } from '../src/scheduled.js';
+
+// Records workflow starts instead of running the workflows
+function fakeWorkflow() {
+	const runs = [];
+	return {
+		runs,
+		async run({ params }) {
+			runs.push(params);
+			return { id: `wf-${runs.length}` };
+		},
+	};
+}
+
+function cronFor(job) {
+	return Object.keys(CRON_JOBS).find((cron) => CRON_JOBS[cron] === job);
+}
+
+// Wednesday 2025-01-15 12:00 UTC
+const NOW = Date.UTC(2025, 0, 15, 12);
+
+describe('scheduled jobs', () => {
+	it('rolls up the ISO week that just ended and compares it with the week before', async () => {
+		const workflow = fakeWorkflow();
+		const { job, result } = await runScheduledJob(
+			{ cron: cronFor('weekly-rollup'), scheduledTime: NOW },
+			{ ...env, AGGREGATION_WORKFLOW: workflow }
+		);
+
+		expect(job).toBe('weekly-rollup');
+		expect(workflow.runs).toHaveLength(1);
+		// The comparison with the week before runs as the workflow's last step
+		expect(workflow.runs[0]).toMatchObject({ reportType: 'rollup', includePrevious: true, compare: true });
+		expect(workflow.runs[0].period).toMatchObject({
+			type: 'week',
+			key: '2025-W02',
+			start: Date.UTC(2025, 0, 6) / 1000,
+			end: Date.UTC(2025, 0, 13) / 1000 - 1,
+		});
+		expect(result.workflowId).toBe('wf-1');
+	});
+
+	it('writes a trend report on the month that just ended', async () => {
+		const workflow = fakeWorkflow();
+		await runScheduledJob({ cron: cronFor('monthly-report'), scheduledTime: NOW }, { ...env, AGGREGATION_WORKFLOW: workflow });
+
+		expect(workflow.runs[0].reportType).toBe('trend');
+		expect(workflow.runs[0].period).toMatchObject({ type: 'month', key: '2024-12' });
+	});
+
+	it('uses the aggregation time zone for the period', async () => {
+		const workflow = fakeWorkflow();
+		// Monday 2025-01-13 00:30 in Berlin is still Sunday in UTC
+		await runScheduledJob(
+			{ cron: cronFor('weekly-rollup'), scheduledTime: Date.UTC(2025, 0, 12, 23, 30) },
+			{ ...env, AGGREGATION_WORKFLOW: workflow, AGGREGATION_TIMEZONE: 'Europe/Berlin' }
+		);
+
+		expect(workflow.runs[0].period.key).toBe('2025-W02');
+	});
+
+	it('starts batches with an open window only for the daily digest', async () => {
+		const now = Math.floor(Date.now() / 1000);
+		await env.DB.prepare('INSERT INTO feedback (source, content, metadata, created_at) VALUES (?, ?, ?, ?)')
+			.bind('discord', 'fresh feedback', '{}', now)
+			.run();
+
+		const workflow = fakeWorkflow();
+		const jobEnv = { ...env, FEEDBACK_WORKFLOW: workflow };
+
+		const flush = await runScheduledJob({ cron: cronFor('flush-batches') }, jobEnv);
+		expect(flush.result).toEqual({ started: 0 });
+		expect(workflow.runs).toHaveLength(0);
+
+		const digest = await runScheduledJob({ cron: cronFor('daily-digest') }, jobEnv);
+		expect(digest.result).toEqual({ started: 1 });
+		expect(workflow.runs[0].source).toBe('discord');
+	});
+
+	it('ignores cron expressions without a job', async () => {
+		const workflow = fakeWorkflow();
+		const { job, result } = await runScheduledJob(
+			{ cron: '15 3 * * *' },
+			{ ...env, AGGREGATION_WORKFLOW: workflow, FEEDBACK_WORKFLOW: workflow }
+		);
+
+		expect(job).toBeNull();
+		expect(result).toBeNull();
+		expect(workflow.runs).toHaveLength(0);
+	});
+});
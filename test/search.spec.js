@@ -0,0 +1,99 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { searchFeedback, buildMatchQuery, highlightSnippet } from '../src/search.js';
+import { createMemoryIndex } from '../src/vectorIndex.js';
+import { upsertClassifications } from '../src/db.js';
+
+// Deterministic embeddings: "login" texts point one way, everything else another
+const fakeEmbedder = {
+	model: 'fake',
+	async embed(texts) {
+		return texts.map((text) => (/log ?in|sign ?in/i.test(text) ? [1, 0] : [0, 1]));
+	},
+};
+
+const rows = [
+	{ id: 1, source: 'github', content: 'Login fails with <script> error after the update', created_at: 100, processed: 1 },
+	{ id: 2, source: 'discord', content: 'Cannot sign in on mobile, login page spins forever', created_at: 200, processed: 0 },
+	{ id: 3, source: 'email', content: 'Please add dark mode to the dashboard', created_at: 300, processed: 0 },
+];
+
+beforeEach(async () => {
+	await env.DB.batch(
+		rows.map((r) =>
+			env.DB.prepare('INSERT INTO feedback (id, source, content, metadata, created_at, processed) VALUES (?, ?, ?, ?, ?, ?)').bind(
+				r.id,
+				r.source,
+				r.content,
+				'{}',
+				r.created_at,
+				r.processed
+			)
+		)
+	);
+	await upsertClassifications(env.DB, [{ feedback_id: 1, sentiment: -0.8, category: 'bug', urgency: 'high', product_area: 'authentication' }]);
+});
+
+describe('keyword search', () => {
+	it('finds matches with escaped, highlighted snippets', async () => {
+		const { results, nextOffset } = await searchFeedback(env, 'login');
+
+		expect(results.map((r) => r.id).sort()).toEqual([1, 2]);
+		expect(nextOffset).toBeNull();
+		const first = results.find((r) => r.id === 1);
+		expect(first.snippet).toContain('<mark>Login</mark>');
+		expect(first.snippet).toContain('&lt;script&gt;');
+		expect(first.classification).toMatchObject({ category: 'bug', urgency: 'high' });
+	});
+
+	it('applies filters and paginates', async () => {
+		expect((await searchFeedback(env, 'login', { processed: false })).results.map((r) => r.id)).toEqual([2]);
+		expect((await searchFeedback(env, 'login', { category: 'bug' })).results.map((r) => r.id)).toEqual([1]);
+		expect((await searchFeedback(env, 'login', { since: 150, until: 250 })).results.map((r) => r.id)).toEqual([2]);
+
+		const page = await searchFeedback(env, 'login', {}, { limit: 1 });
+		expect(page.results).toHaveLength(1);
+		expect(page.nextOffset).toBe(1);
+		const next = await searchFeedback(env, 'login', {}, { limit: 1, offset: page.nextOffset });
+		expect(next.results[0].id).not.toBe(page.results[0].id);
+		expect(next.nextOffset).toBeNull();
+	});
+
+	it('treats FTS syntax in the query as plain text', async () => {
+		expect(buildMatchQuery('login OR "dark mode" NEAR(')).toBe('"login" "OR" "dark mode" "NEAR"');
+		await expect(searchFeedback(env, 'dashboard AND (')).resolves.toMatchObject({ results: [] });
+	});
+});
+
+describe('semantic search', () => {
+	it('ranks feedback by embedding similarity and filters in the index', async () => {
+		const index = createMemoryIndex();
+		const vectors = await fakeEmbedder.embed(rows.map((r) => r.content));
+		await index.upsert(rows.map((r, i) => ({ id: r.id, values: vectors[i], metadata: { source: r.source, created_at: r.created_at } })));
+
+		const all = await searchFeedback(env, 'users cannot log in', {}, { mode: 'semantic', embedder: fakeEmbedder, index, limit: 2 });
+		expect(all.results.map((r) => r.id).sort()).toEqual([1, 2]);
+		expect(all.nextOffset).toBe(2);
+		expect(all.truncated).toBe(false);
+
+		const discord = await searchFeedback(env, 'users cannot log in', { source: 'discord' }, { mode: 'semantic', embedder: fakeEmbedder, index });
+		expect(discord.results.map((r) => r.id)).toEqual([2]);
+	});
+
+	it('flags results limited by the candidate cap', async () => {
+		const index = createMemoryIndex();
+		const [vector] = await fakeEmbedder.embed(['users cannot log in']);
+		await index.upsert(Array.from({ length: 95 }, (_, i) => ({ id: i + 1, values: vector, metadata: { source: 'github', created_at: 100 } })));
+
+		// Label filters run on the D1 rows, so the full candidate cap is fetched
+		const filtered = await searchFeedback(env, 'log in', { category: 'bug' }, { mode: 'semantic', embedder: fakeEmbedder, index });
+		expect(filtered.results.map((r) => r.id)).toEqual([1]);
+		expect(filtered.truncated).toBe(true);
+
+		expect((await searchFeedback(env, 'log in', {}, { mode: 'semantic', embedder: fakeEmbedder, index, limit: 5 })).truncated).toBe(false);
+	});
+
+	it('highlights query words around the first match', () => {
+		expect(highlightSnippet('x'.repeat(150) + ' dark mode please', 'dark')).toMatch(/^….*<mark>dark<\/mark> mode please$/);
+	});
+});
@@ -0,0 +1,34 @@
+import { env, applyD1Migrations } from 'cloudflare:test';
+import { beforeAll, beforeEach } from 'vitest';
+
+// Same bookkeeping table as wrangler.jsonc, so the specs run against the schema production has
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+let tables;
+
+// Tables the migrations create, minus D1/SQLite internals, the full-text index (kept in sync by
+// triggers on feedback) and the migrations bookkeeping
+async function migratedTables() {
+	const { results } = await env.DB.prepare(
+		`SELECT name FROM sqlite_master
+		 WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE '_cf_%' AND name NOT LIKE 'feedback_fts%' AND name != ?`
+	)
+		.bind(MIGRATIONS_TABLE)
+		.all();
+	return results.map(({ name }) => name);
+}
+
+// Applied once per run: migrations already recorded in schema_migrations are skipped
+beforeAll(async () => {
+	await applyD1Migrations(env.DB, env.TEST_MIGRATIONS, MIGRATIONS_TABLE);
+	tables ??= await migratedTables();
+});
+
+// Every test starts from empty tables and ids counting from 1
+beforeEach(async () => {
+	await env.DB.batch([
+		env.DB.prepare('PRAGMA defer_foreign_keys = true'),
+		...tables.map(name => env.DB.prepare(`DELETE FROM ${name}`)),
+		env.DB.prepare('DELETE FROM sqlite_sequence'),
+	]);
+});
@@ -0,0 +1,174 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { SOURCE_ADAPTERS, parseWebhook, getSourceConfig } from '../src/sources.js';
+import { verifyWebhookSignature, sha256Hex } from '../src/verify.js';
+import { getBatchPolicy } from '../src/batching.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+// Skips signature checks and records enqueued deliveries instead of ingesting them
+function workerEnv(vars = {}) {
+	const sent = [];
+	const testEnv = { ...env, ADMIN_TOKEN, WEBHOOK_VERIFICATION: 'disabled', FEEDBACK_QUEUE: { send: async (body) => sent.push(body) }, ...vars };
+	return { sent, testEnv };
+}
+
+// Sends the admin token unless the headers replace it
+async function request(testEnv, method, path, body, headers = {}) {
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(
+		new Request(`http://example.com${path}`, {
+			method,
+			headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, ...headers },
+			body: body === undefined ? undefined : JSON.stringify(body),
+		}),
+		testEnv,
+		ctx
+	);
+	await waitOnExecutionContext(ctx);
+	return { status: response.status, body: await response.json() };
+}
+
+describe('source registry', () => {
+	it('declares verification, parsing and batching for every source and vendor', () => {
+		const adapters = Object.values(SOURCE_ADAPTERS).flatMap((adapter) => [adapter, ...Object.values(adapter.vendors)]);
+		for (const adapter of adapters) {
+			expect(['github', 'discord', 'zendesk', 'shared-secret', 'hub-signature']).toContain(adapter.verification.method);
+			expect(adapter.parse).toBeTypeOf('function');
+			expect(adapter.externalId).toBeTypeOf('function');
+		}
+
+		// Adapter defaults apply below env vars and runtime settings
+		expect(getBatchPolicy({}, 'discord').maxItems).toBe(100);
+		expect(getBatchPolicy({ BATCH_MAX_ITEMS: '20' }, 'discord').maxItems).toBe(20);
+		expect(getBatchPolicy({ BATCH_MAX_ITEMS: '20' }, 'discord', { maxItems: 5, windowSeconds: null })).toEqual({ windowSeconds: 600, maxItems: 5, maxInFlight: 1 });
+	});
+
+	it('refuses payloads of unregistered sources instead of storing them raw', async () => {
+		expect(() => parseWebhook('custom', { text: 'Please add dark mode' })).toThrow(RangeError);
+		expect(await verifyWebhookSignature('custom', new Request('http://example.com', { method: 'POST' }), '{}', {})).toEqual({
+			valid: false,
+			reason: 'unknown_source',
+		});
+	});
+});
+
+describe('source settings API', () => {
+	it('lists sources with their vendors and batching policy', async () => {
+		const { testEnv } = workerEnv();
+		const { body } = await request(testEnv, 'GET', '/api/sources');
+
+		expect(body.sources.map((source) => source.name)).toEqual(['github', 'discord', 'twitter', 'email', 'support', 'forum']);
+		expect(body.sources[0]).toMatchObject({
+			enabled: true,
+			verification: 'github',
+			event_header: 'X-GitHub-Event',
+			settings: { GITHUB_ACTIONS: null },
+			batching: { defaults: {}, policy: { windowSeconds: 600, maxItems: 50, maxInFlight: 1 } },
+		});
+		expect(body.sources[4].vendors.map((vendor) => vendor.name)).toEqual(['support/zendesk', 'support/intercom', 'support/freshdesk', 'support/jsm']);
+	});
+
+	it('requires the admin token for changes but not for reads', async () => {
+		const { testEnv } = workerEnv();
+		const anonymous = { Authorization: '' };
+
+		expect(await request(testEnv, 'PATCH', '/api/sources/github', { enabled: false }, anonymous)).toEqual({
+			status: 401,
+			body: { success: false, error: 'Admin token required' },
+		});
+		expect((await request(testEnv, 'DELETE', '/api/sources/github', undefined, { Authorization: 'Bearer wrong' })).status).toBe(401);
+		expect((await request(testEnv, 'GET', '/api/quarantine', undefined, anonymous)).status).toBe(401);
+		expect((await request(testEnv, 'GET', '/api/subscriptions', undefined, anonymous)).status).toBe(401);
+		expect((await request(testEnv, 'POST', '/api/dead-letters/1/replay', undefined, anonymous)).status).toBe(401);
+		expect((await request(testEnv, 'DELETE', '/api/summaries/1', undefined, anonymous)).status).toBe(401);
+		expect((await request(testEnv, 'POST', '/api/summaries/1/resummarize', undefined, anonymous)).status).toBe(401);
+		expect((await request(testEnv, 'POST', '/api/summaries/resummarize', { since: 0, until: 1 }, anonymous)).status).toBe(401);
+		expect((await request(testEnv, 'POST', '/api/trends', { period: 'week' }, anonymous)).status).toBe(401);
+		expect((await request(testEnv, 'POST', '/api/alerts/1/acknowledge', undefined, anonymous)).status).toBe(401);
+		expect((await request(testEnv, 'POST', '/api/alerts/detect', undefined, anonymous)).status).toBe(401);
+		expect((await request(testEnv, 'GET', '/api/sources', undefined, anonymous)).status).toBe(200);
+
+		// Without the secret nothing is accepted
+		const { testEnv: unconfigured } = workerEnv({ ADMIN_TOKEN: undefined });
+		expect((await request(unconfigured, 'PATCH', '/api/sources/github', { enabled: false })).status).toBe(401);
+		expect((await request(testEnv, 'GET', '/api/sources/github')).body.source.enabled).toBe(true);
+	});
+
+	it('disables a source with its vendors until it is enabled again', async () => {
+		const { sent, testEnv } = workerEnv();
+
+		expect((await request(testEnv, 'PATCH', '/api/sources/support', { enabled: false })).body.source.enabled).toBe(false);
+		expect(await request(testEnv, 'POST', '/webhook/support/zendesk', { type: 'zen:event-type:ticket.created' })).toEqual({
+			status: 403,
+			body: { success: false, error: 'Source support/zendesk is disabled' },
+		});
+
+		await request(testEnv, 'PATCH', '/api/sources/support', { enabled: true });
+		await request(testEnv, 'PATCH', '/api/sources/support/jsm', { enabled: false });
+		expect((await request(testEnv, 'POST', '/webhook/support/zendesk', { type: 'zen:event-type:ticket.created' })).status).toBe(202);
+		expect((await request(testEnv, 'POST', '/webhook/support/jsm', { webhookEvent: 'jira:issue_created' })).status).toBe(403);
+		expect(sent.map((message) => message.source)).toEqual(['support/zendesk']);
+	});
+
+	it('configures batching and parser settings at runtime', async () => {
+		const { testEnv } = workerEnv();
+
+		const { body } = await request(testEnv, 'PATCH', '/api/sources/github', { batching: { max_items: 5 }, settings: { GITHUB_ACTIONS: '*' } });
+		expect(body.source.batching).toMatchObject({ overrides: { maxItems: 5, windowSeconds: null }, policy: { maxItems: 5, windowSeconds: 600 } });
+		expect((await getSourceConfig(testEnv, 'github')).env.GITHUB_ACTIONS).toBe('*');
+
+		// Vendor settings are layered over their source's
+		await request(testEnv, 'PATCH', '/api/sources/forum/discourse', { settings: { DISCOURSE_URL: 'https://community.example.com' } });
+		expect((await getSourceConfig(testEnv, 'forum/discourse')).env).toMatchObject({ DISCOURSE_URL: 'https://community.example.com' });
+
+		expect((await request(testEnv, 'PATCH', '/api/sources/github', { settings: { GITHUB_TOKEN: 'x' } })).status).toBe(400);
+		expect((await request(testEnv, 'PATCH', '/api/sources/support/zendesk', { batching: { max_items: 5 } })).status).toBe(400);
+		expect((await request(testEnv, 'PATCH', '/api/sources/github', { batching: { max_items: 0 } })).status).toBe(400);
+		expect((await request(testEnv, 'GET', '/api/sources/support/kayako')).status).toBe(404);
+
+		const reset = await request(testEnv, 'DELETE', '/api/sources/github');
+		expect(reset.body.source).toMatchObject({ settings: { GITHUB_ACTIONS: null }, batching: { policy: { maxItems: 50 } } });
+	});
+});
+
+describe('unknown sources', () => {
+	it('rejects deliveries, or quarantines them when configured', async () => {
+		const { sent, testEnv } = workerEnv();
+		expect((await request(testEnv, 'POST', '/webhook/custom', { text: 'Please add dark mode' })).status).toBe(404);
+
+		const quarantineEnv = { ...testEnv, UNKNOWN_SOURCES: 'quarantine' };
+		const { status, body } = await request(quarantineEnv, 'POST', '/webhook/custom', { text: 'Please add dark mode' }, { Authorization: 'Bearer token', 'X-Custom-Event': 'note' });
+		expect(status).toBe(202);
+		expect(body).toMatchObject({ success: true, quarantined: true });
+		expect(sent).toEqual([]);
+
+		const { body: listed } = await request(quarantineEnv, 'GET', '/api/quarantine');
+		expect(listed.webhooks).toEqual([
+			expect.objectContaining({ id: body.quarantineId, source: 'custom', payload_size: 31, payload_sha256: await sha256Hex('{"text":"Please add dark mode"}') }),
+		]);
+
+		// Only metadata is kept, never the body
+		const { body: detail } = await request(quarantineEnv, 'GET', `/api/quarantine/${body.quarantineId}`);
+		expect(detail.webhook).not.toHaveProperty('payload');
+		expect(detail.webhook.headers).toMatchObject({ 'x-custom-event': 'note' });
+		expect(detail.webhook.headers).not.toHaveProperty('authorization');
+
+		expect((await request(quarantineEnv, 'DELETE', `/api/quarantine/${body.quarantineId}`)).status).toBe(200);
+		expect((await request(quarantineEnv, 'GET', `/api/quarantine/${body.quarantineId}`)).status).toBe(404);
+	});
+
+	it('stops quarantining once the table is full', async () => {
+		const { testEnv } = workerEnv({ UNKNOWN_SOURCES: 'quarantine' });
+		await env.DB.prepare(
+			`WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 1000)
+			INSERT INTO quarantined_webhooks (source, payload_size, payload_sha256, created_at) SELECT 'custom', 0, '', i FROM n`
+		).run();
+
+		expect((await request(testEnv, 'POST', '/webhook/custom', { text: 'Please add dark mode' })).status).toBe(404);
+
+		await env.DB.prepare('DELETE FROM quarantined_webhooks WHERE id = 1').run();
+		expect((await request(testEnv, 'POST', '/webhook/custom', { text: 'Please add dark mode' })).status).toBe(202);
+	});
+});
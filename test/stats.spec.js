@@ -0,0 +1,78 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resolveTimeseriesRange, getTimeseries, getBacklog } from '../src/stats.js';
+
+const seconds = (iso) => Date.parse(iso) / 1000;
+
+describe('time-series ranges', () => {
+	it('aligns the start to the bucket', () => {
+		expect(resolveTimeseriesRange({ since: seconds('2025-01-15T10:30:00Z'), until: seconds('2025-01-16T00:00:00Z'), bucket: 'hour' }).since).toBe(seconds('2025-01-15T10:00:00Z'));
+		expect(resolveTimeseriesRange({ since: seconds('2025-01-15T10:30:00Z'), until: seconds('2025-01-16T00:00:00Z') }).since).toBe(seconds('2025-01-15T00:00:00Z'));
+		// Wednesday 2025-01-15 belongs to the week starting Monday 2025-01-13
+		expect(resolveTimeseriesRange({ since: seconds('2025-01-15T10:30:00Z'), until: seconds('2025-02-01T00:00:00Z'), bucket: 'week' }).since).toBe(seconds('2025-01-13T00:00:00Z'));
+	});
+
+	it('defaults to a range ending now and rejects invalid requests', () => {
+		const now = seconds('2025-01-15T12:00:00Z');
+		expect(resolveTimeseriesRange({}, now)).toMatchObject({ bucket: 'day', since: seconds('2024-12-16T00:00:00Z'), until: now });
+
+		expect(() => resolveTimeseriesRange({ bucket: 'minute' }, now)).toThrow(RangeError);
+		expect(() => resolveTimeseriesRange({ since: 20, until: 10 }, now)).toThrow(RangeError);
+		expect(() => resolveTimeseriesRange({ since: NaN }, now)).toThrow(RangeError);
+		expect(() => resolveTimeseriesRange({ since: 0, until: now, bucket: 'hour' }, now)).toThrow(/500 hour buckets/);
+	});
+});
+
+describe('time-series statistics', () => {
+	beforeEach(async () => {
+		const rows = [
+			[1, 'github', '2025-01-13T09:00:00Z', 1, null, -0.7, 'bug'],
+			[2, 'github', '2025-01-13T23:59:59Z', 1, null, 0.5, 'praise'],
+			[3, 'discord', '2025-01-15T08:00:00Z', 0, 'batch-1', 0.1, 'question'],
+			[4, 'github', '2025-01-15T09:00:00Z', 0, null, null, null],
+			[5, 'discord', '2025-01-14T08:00:00Z', 0, null, null, null],
+			[6, 'github', '2025-01-20T09:00:00Z', 0, null, null, null],
+		];
+		await env.DB.batch(
+			rows.flatMap(([id, source, createdAt, processed, batchId, sentiment, category]) => [
+				env.DB.prepare('INSERT INTO feedback (id, source, content, metadata, created_at, processed, batch_id) VALUES (?, ?, ?, ?, ?, ?, ?)').bind(
+					id,
+					source,
+					`feedback ${id}`,
+					'{}',
+					seconds(createdAt),
+					processed,
+					batchId
+				),
+				...(category
+					? [env.DB.prepare('INSERT INTO feedback_classifications (feedback_id, sentiment, category, urgency, product_area) VALUES (?, ?, ?, ?, ?)').bind(id, sentiment, category, 'low', 'api')]
+					: []),
+			])
+		);
+	});
+
+	it('returns one dense series per source, category and sentiment band', async () => {
+		const timeseries = await getTimeseries(env, { since: seconds('2025-01-13T00:00:00Z'), until: seconds('2025-01-16T00:00:00Z') - 1 });
+
+		expect(timeseries.buckets).toEqual(['2025-01-13', '2025-01-14', '2025-01-15'].map((day) => seconds(`${day}T00:00:00Z`)));
+		expect(timeseries.bySource).toEqual({ github: [2, 0, 1], discord: [0, 1, 1] });
+		expect(timeseries.byCategory).toEqual({ bug: [1, 0, 0], praise: [1, 0, 0], question: [0, 0, 1] });
+		expect(timeseries.bySentiment).toEqual({ negative: [1, 0, 0], neutral: [0, 0, 1], positive: [1, 0, 0] });
+	});
+
+	it('buckets by ISO week', async () => {
+		const timeseries = await getTimeseries(env, { since: seconds('2025-01-13T00:00:00Z'), until: seconds('2025-01-26T23:59:59Z'), bucket: 'week' });
+
+		expect(timeseries.buckets).toEqual([seconds('2025-01-13T00:00:00Z'), seconds('2025-01-20T00:00:00Z')]);
+		expect(timeseries.bySource.github).toEqual([3, 1]);
+	});
+
+	it('reports unprocessed feedback and the age of the oldest row per source', async () => {
+		const backlog = await getBacklog(env, seconds('2025-01-21T08:00:00Z'));
+
+		expect(backlog).toEqual([
+			{ source: 'discord', unprocessed: 2, waiting: 1, oldest: seconds('2025-01-14T08:00:00Z'), oldestAgeSeconds: 7 * 24 * 60 * 60 },
+			{ source: 'github', unprocessed: 2, waiting: 2, oldest: seconds('2025-01-15T09:00:00Z'), oldestAgeSeconds: 6 * 24 * 60 * 60 - 60 * 60 },
+		]);
+	});
+});
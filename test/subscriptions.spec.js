@@ -0,0 +1,165 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { validateSubscription, buildSlackMessage, buildEmail, deliverSummary, DELIVERY_STEP_CONFIG } from '../src/subscriptions.js';
+import { hmacSha256Hex } from '../src/verify.js';
+import { createSubscription, getSubscriptionDeliveries } from '../src/db.js';
+
+const STRUCTURED = {
+	summary: 'Login failures dominated the week.',
+	themes: ['Login', 'Performance'],
+	pain_points: [{ description: 'SSO loop', mentions: 4 }],
+	praise: [],
+	feature_requests: [{ description: 'Dark mode', mentions: 2 }],
+	sentiment_score: -0.3,
+	representative_feedback_ids: [],
+};
+
+const AGGREGATED = {
+	id: 1,
+	summary: 'Login failures dominated the week.\n\nPerformance <improved> slightly.',
+	structured: STRUCTURED,
+	date_range_start: Date.UTC(2025, 0, 6) / 1000,
+	date_range_end: Date.UTC(2025, 0, 13) / 1000 - 1,
+	source_count: 2,
+	total_feedback_count: 12,
+	period_type: 'week',
+	period_key: '2025-W02',
+	report_type: 'rollup',
+};
+
+// Records outbound requests; fails for URLs containing "broken"
+function fakeFetch() {
+	const requests = [];
+	const send = async (url, init) => {
+		requests.push({ url, headers: init.headers, raw: init.body, body: JSON.parse(init.body) });
+		return new Response('ok', { status: url.includes('broken') ? 503 : 200 });
+	};
+	send.requests = requests;
+	return send;
+}
+
+describe('subscription settings', () => {
+	it('validates new subscriptions and signs webhooks by default', () => {
+		expect(() => validateSubscription({ channel: 'slack', target: 'https://hooks.slack.com/x' })).toThrow(RangeError);
+		expect(() => validateSubscription({ name: 'Team', channel: 'sms', target: 'https://x' })).toThrow(/channel/);
+		expect(() => validateSubscription({ name: 'Team', channel: 'slack', target: 'http://hooks.slack.com/x' })).toThrow(/https/);
+		expect(() => validateSubscription({ name: 'Team', channel: 'email', target: 'not-an-address' })).toThrow(/email/);
+		expect(() => validateSubscription({ name: 'Team', channel: 'slack', target: 'https://x', period_type: 'year' })).toThrow(/period_type/);
+
+		expect(validateSubscription({ name: ' Team ', channel: 'email', target: 'team@example.com', period_type: 'week' })).toEqual({
+			name: 'Team',
+			channel: 'email',
+			target: 'team@example.com',
+			secret: null,
+			periodType: 'week',
+			reportType: null,
+			includeSourceSummaries: false,
+			source: null,
+			enabled: true,
+		});
+		expect(validateSubscription({ name: 'Hook', channel: 'webhook', target: 'https://example.com/hook' }).secret).toMatch(/^[0-9a-f]{64}$/);
+	});
+
+	it('keeps stored fields when updating', () => {
+		const existing = { name: 'Hook', channel: 'webhook', target: 'https://example.com/hook', secret: 'stored-secret-value', period_type: null, report_type: 'trend', include_source_summaries: 1, source: null, enabled: 1 };
+
+		expect(validateSubscription({ enabled: false }, existing)).toMatchObject({ secret: 'stored-secret-value', reportType: 'trend', includeSourceSummaries: true, enabled: false });
+		expect(validateSubscription({ report_type: null }, existing).reportType).toBeNull();
+	});
+});
+
+describe('summary messages', () => {
+	it('renders Slack blocks and emails from the structured summary', () => {
+		const slack = buildSlackMessage('aggregated', AGGREGATED);
+		expect(slack.text).toBe('Feedback roll-up: 2025-W02');
+		expect(slack.blocks.map((block) => block.type)).toEqual(['header', 'section', 'section', 'context']);
+		expect(slack.blocks[2].fields.map((field) => field.text)).toEqual(['*Themes*\n• Login\n• Performance', '*Pain points*\n• SSO loop (4)', '*Feature requests*\n• Dark mode (2)']);
+		expect(slack.blocks[3].elements[0].text).toBe('12 items from 2 sources • 2025-01-06 – 2025-01-12');
+
+		const email = buildEmail('source', { ...AGGREGATED, source: 'github', feedback_count: 5, structured: null });
+		expect(email.subject).toBe('Feedback summary: github');
+		expect(email.html).toContain('<p>Performance &lt;improved&gt; slightly.</p>');
+		expect(email.text).toContain('5 items • 2025-01-06 – 2025-01-12');
+	});
+});
+
+describe('summary delivery', () => {
+	beforeEach(async () => {
+		await env.DB.batch([
+			env.DB.prepare(
+				'INSERT INTO aggregated_summaries (id, summary, structured, date_range_start, date_range_end, source_count, total_feedback_count, period_type, period_key, report_type) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+			).bind(1, AGGREGATED.summary, JSON.stringify(STRUCTURED), AGGREGATED.date_range_start, AGGREGATED.date_range_end, 2, 12, 'week', '2025-W02', 'rollup'),
+			env.DB.prepare(
+				"INSERT INTO source_summaries (id, source, summary, date_range_start, date_range_end, feedback_count, status) VALUES (7, 'github', 'Five bug reports.', 1736121600, 1736207999, 5, 'active')"
+			),
+		]);
+	});
+
+	it('sends each channel its format and logs every delivery', async () => {
+		const slackId = await createSubscription(env.DB, { name: 'Slack', channel: 'slack', target: 'https://hooks.slack.com/services/T/B/X' });
+		const hookId = await createSubscription(env.DB, { name: 'Hook', channel: 'webhook', target: 'https://example.com/hook', secret: 'a-long-signing-secret' });
+		const emailId = await createSubscription(env.DB, { name: 'Email', channel: 'email', target: 'team@example.com', periodType: 'week' });
+		await createSubscription(env.DB, { name: 'Monthly', channel: 'slack', target: 'https://hooks.slack.com/monthly', periodType: 'month' });
+		await createSubscription(env.DB, { name: 'Paused', channel: 'slack', target: 'https://hooks.slack.com/paused', enabled: false });
+
+		const send = fakeFetch();
+		const emailEnv = { ...env, EMAIL_API_URL: 'https://email.example.com/send', EMAIL_API_KEY: 'key', EMAIL_FROM: 'feedback@example.com' };
+		const result = await deliverSummary(emailEnv, 'aggregated', 1, { fetch: send });
+
+		expect(result).toEqual({ delivered: 3, failed: 0, skipped: 0 });
+		expect(send.requests.map((request) => request.url)).toEqual(['https://hooks.slack.com/services/T/B/X', 'https://example.com/hook', 'https://email.example.com/send']);
+
+		const [slack, hook, email] = send.requests;
+		expect(slack.body.text).toBe('Feedback roll-up: 2025-W02');
+		expect(hook.body).toMatchObject({ type: 'summary.aggregated', summary: { id: 1, period_key: '2025-W02', structured: { themes: ['Login', 'Performance'] } } });
+		expect(hook.headers['X-Feedback-Signature']).toBe(`sha256=${await hmacSha256Hex('a-long-signing-secret', hook.raw)}`);
+		expect(email.headers.Authorization).toBe('Bearer key');
+		expect(email.body).toMatchObject({ from: 'feedback@example.com', to: ['team@example.com'], subject: 'Feedback roll-up: 2025-W02' });
+
+		for (const id of [slackId, hookId, emailId]) {
+			const [delivery] = await getSubscriptionDeliveries(env.DB, id);
+			expect(delivery).toMatchObject({ summary_type: 'aggregated', summary_id: 1, status: 'delivered', attempts: 1, last_error: null });
+		}
+	});
+
+	it('retries failed deliveries in their own step and marks them failed when retries run out', async () => {
+		const brokenId = await createSubscription(env.DB, { name: 'Broken', channel: 'webhook', target: 'https://broken.example.com/hook', secret: 'a-long-signing-secret' });
+		await createSubscription(env.DB, { name: 'Email', channel: 'email', target: 'team@example.com' });
+
+		// Stands in for step.do: runs a step up to 1 + retries.limit times
+		const steps = [];
+		const runStep = async (name, fn, config) => {
+			steps.push(name);
+			for (let attempt = 0; ; attempt++) {
+				try {
+					return await fn();
+				} catch (error) {
+					if (!config || attempt >= config.retries.limit) {
+						throw error;
+					}
+				}
+			}
+		};
+
+		// Email is not configured, so both deliveries fail
+		const result = await deliverSummary(env, 'aggregated', 1, { fetch: fakeFetch(), runStep });
+
+		expect(result).toEqual({ delivered: 0, failed: 2, skipped: 0 });
+		expect(steps).toEqual(['prepare-deliveries', `deliver-to-subscription-${brokenId}`, 'fail-delivery-1', `deliver-to-subscription-${brokenId + 1}`, 'fail-delivery-2']);
+
+		const [delivery] = await getSubscriptionDeliveries(env.DB, brokenId);
+		expect(delivery).toMatchObject({ status: 'failed', attempts: DELIVERY_STEP_CONFIG.retries.limit + 1, last_error: 'broken.example.com answered 503' });
+	});
+
+	it('only sends source summaries to subscriptions that include them', async () => {
+		await createSubscription(env.DB, { name: 'Aggregates only', channel: 'slack', target: 'https://hooks.slack.com/aggregates' });
+		await createSubscription(env.DB, { name: 'GitLab', channel: 'slack', target: 'https://hooks.slack.com/gitlab', includeSourceSummaries: true, source: 'gitlab' });
+		await createSubscription(env.DB, { name: 'Everything', channel: 'slack', target: 'https://hooks.slack.com/everything', includeSourceSummaries: true });
+
+		const send = fakeFetch();
+		const result = await deliverSummary(env, 'source', 7, { fetch: send });
+
+		expect(result.delivered).toBe(1);
+		expect(send.requests[0]).toMatchObject({ url: 'https://hooks.slack.com/everything', body: { text: 'Feedback summary: github' } });
+	});
+});
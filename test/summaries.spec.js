@@ -0,0 +1,142 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { flushSource, resummarizeSummary, resummarizeRange } from '../src/batching.js';
+import {
+	insertSourceSummary,
+	storeBatchSummary,
+	deleteSourceSummary,
+	getSourceSummaryVersions,
+	getLatestSourceSummaries,
+	getSourceSummaries,
+	getBatchFeedbackIds,
+	releaseFeedbackBatch,
+} from '../src/db.js';
+
+// Records workflow starts instead of running FeedbackProcessingWorkflow
+function fakeWorkflow() {
+	const runs = [];
+	return {
+		runs,
+		async run({ params }) {
+			runs.push(params);
+			return { id: `wf-${runs.length}` };
+		},
+	};
+}
+
+async function processedCount(ids) {
+	const { count } = await env.DB.prepare(`SELECT COUNT(*) AS count FROM feedback WHERE processed = 1 AND id IN (${ids.join(',')})`).first();
+	return count;
+}
+
+beforeEach(async () => {
+	// Rows 1-3 were summarized with provenance, 4-5 by a summary stored before provenance existed, 6 is waiting
+	await env.DB.batch(
+		[
+			[1, 'github', 100, 1],
+			[2, 'github', 150, 1],
+			[3, 'github', 200, 1],
+			[4, 'email', 100, 1],
+			[5, 'email', 300, 1],
+			[6, 'github', 500, 0],
+		].map(([id, source, createdAt, processed]) =>
+			env.DB.prepare("INSERT INTO feedback (id, source, content, metadata, created_at, processed, batch_id) VALUES (?, ?, ?, '{}', ?, ?, 'old')").bind(
+				id,
+				source,
+				`${source} feedback ${id}`,
+				createdAt,
+				processed
+			)
+		)
+	);
+	await env.DB.prepare('UPDATE feedback SET batch_id = NULL WHERE id = 6').run();
+	await insertSourceSummary(env.DB, 'github', 'Garbled output', 100, 200, 3, null, [1, 2, 3]);
+	await env.DB.prepare(
+		"INSERT INTO source_summaries (source, summary, date_range_start, date_range_end, feedback_count, created_at) VALUES ('email', 'Legacy summary', 100, 300, 2, 400)"
+	).run();
+});
+
+describe('re-summarization', () => {
+	it('claims the covered rows for a batch that supersedes the summary', async () => {
+		const workflow = fakeWorkflow();
+		const testEnv = { ...env, FEEDBACK_WORKFLOW: workflow };
+
+		const result = await resummarizeSummary(testEnv, 1);
+
+		expect(result).toMatchObject({ started: true, summaryId: 1, itemCount: 3, workflowId: 'wf-1' });
+		expect(workflow.runs).toEqual([{ source: 'github', batchId: result.batchId, supersedesId: 1 }]);
+		expect(await getBatchFeedbackIds(env.DB, result.batchId)).toEqual([1, 2, 3]);
+
+		// A second request waits for the first, and regular batches only see the waiting row
+		expect(await resummarizeSummary(testEnv, 1)).toMatchObject({ started: false, reason: 'in_progress', batchId: result.batchId });
+		expect(await flushSource(testEnv, 'github', { force: true })).toMatchObject({ started: true, itemCount: 1 });
+	});
+
+	it('falls back to the date range for summaries without provenance', async () => {
+		const result = await resummarizeSummary({ ...env, FEEDBACK_WORKFLOW: fakeWorkflow() }, 2);
+
+		expect(result).toMatchObject({ started: true, itemCount: 2 });
+		expect(await getBatchFeedbackIds(env.DB, result.batchId)).toEqual([4, 5]);
+	});
+
+	it('marks the rows processed again when the batch is released', async () => {
+		const workflow = {
+			async run() {
+				throw new Error('Workflows unavailable');
+			},
+		};
+
+		await expect(resummarizeSummary({ ...env, FEEDBACK_WORKFLOW: workflow }, 1)).rejects.toThrow('Workflows unavailable');
+		expect(await processedCount([1, 2, 3])).toBe(3);
+
+		// A regular batch hands its rows back as unprocessed
+		await releaseFeedbackBatch(env.DB, 'old');
+		expect(await processedCount([1, 2, 3])).toBe(3);
+	});
+
+	it('re-summarizes every active summary overlapping a date range', async () => {
+		const workflow = fakeWorkflow();
+		await deleteSourceSummary(env.DB, 2);
+
+		const { results, remaining } = await resummarizeRange({ ...env, FEEDBACK_WORKFLOW: workflow }, { since: 150, until: 250 });
+
+		expect(remaining).toBe(0);
+		expect(results.map((result) => result.summaryId)).toEqual([1]);
+		expect(workflow.runs).toHaveLength(1);
+	});
+});
+
+describe('summary versions', () => {
+	it('keeps the superseded version in the history and out of listings', async () => {
+		const workflow = fakeWorkflow();
+		await resummarizeSummary({ ...env, FEEDBACK_WORKFLOW: workflow }, 1);
+		const [{ batchId }] = workflow.runs;
+
+		// A retried store step finds the stored summary instead of adding another version
+		const stored = { dateRangeStart: 100, dateRangeEnd: 200, feedbackIds: [1, 2, 3], supersedesId: 1 };
+		const { summaryId: replacementId, created } = await storeBatchSummary(env.DB, batchId, 'github', 'Crashes on save', stored);
+		expect(created).toBe(true);
+		expect(await storeBatchSummary(env.DB, batchId, 'github', 'Crashes on save', stored)).toEqual({ summaryId: replacementId, created: false });
+		expect((await env.DB.prepare('SELECT COUNT(*) AS count FROM summary_feedback WHERE summary_id = ?').bind(replacementId).first()).count).toBe(3);
+
+		const versions = await getSourceSummaryVersions(env.DB, 1);
+		expect(versions.map(({ id, version, status, supersedes_id }) => ({ id, version, status, supersedes_id }))).toEqual([
+			{ id: replacementId, version: 2, status: 'active', supersedes_id: 1 },
+			{ id: 1, version: 1, status: 'superseded', supersedes_id: null },
+		]);
+		expect((await getSourceSummaryVersions(env.DB, replacementId)).map((summary) => summary.id)).toEqual([replacementId, 1]);
+
+		const latest = await getLatestSourceSummaries(env.DB);
+		expect(latest.map((summary) => summary.id).sort()).toEqual([2, replacementId]);
+		expect(await resummarizeSummary(env, 1)).toMatchObject({ started: false, reason: 'not_active' });
+	});
+
+	it('hides soft-deleted summaries from listings and aggregation', async () => {
+		expect(await deleteSourceSummary(env.DB, 1)).toBe(true);
+		expect(await deleteSourceSummary(env.DB, 1)).toBe(false);
+
+		expect((await getLatestSourceSummaries(env.DB)).map((summary) => summary.id)).toEqual([2]);
+		expect((await getSourceSummaries(env.DB, 0, 1000)).map((summary) => summary.id)).toEqual([2]);
+		expect((await getSourceSummaryVersions(env.DB, 1))[0].status).toBe('deleted');
+	});
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { parseWebhook, parseWebhookSource } from '../src/sources.js';
+import zendeskTicketCreated from './fixtures/support/zendesk-ticket-created.json';
+import zendeskCommentAdded from './fixtures/support/zendesk-comment-added.json';
+import zendeskTrigger from './fixtures/support/zendesk-trigger.json';
+import intercomCreated from './fixtures/support/intercom-conversation-created.json';
+import intercomReplied from './fixtures/support/intercom-conversation-replied.json';
+import intercomRating from './fixtures/support/intercom-rating-added.json';
+import freshdeskTicket from './fixtures/support/freshdesk-ticket.json';
+import jsmIssueCreated from './fixtures/support/jsm-issue-created.json';
+import jsmCommentCreated from './fixtures/support/jsm-comment-created.json';
+
+// Recorded sample deliveries of each helpdesk (ids and names anonymized)
+describe('support desk adapters', () => {
+	it('maps Zendesk event webhooks and trigger payloads', () => {
+		expect(parseWebhook('support/zendesk', zendeskTicketCreated)).toEqual([
+			{
+				content: 'Ticket #48213: CSV export is empty\n\nExporting the monthly report produces an empty CSV since yesterday.',
+				externalId: 'zendesk:ticket:48213',
+				isEdit: false,
+				metadata: {
+					vendor: 'zendesk',
+					ticket_id: '48213',
+					status: 'new',
+					priority: 'high',
+					type: 'incident',
+					tags: ['export', 'tier_enterprise'],
+					requester_id: '8447388090494',
+					organization_id: '24103912877',
+					customer_tier: 'enterprise',
+					csat: null,
+					channel: 'web_form',
+					created_at: '2025-01-06T09:41:07Z',
+				},
+			},
+		]);
+
+		expect(parseWebhook('support/zendesk', zendeskCommentAdded)[0]).toMatchObject({
+			content: 'Reply on ticket #48213 (CSV export is empty): Still empty after clearing the cache. It works for the weekly report.',
+			externalId: 'zendesk:comment:29830551873042',
+			metadata: { author: 'Dana Whitfield', customer_tier: 'enterprise' },
+		});
+
+		const [ticket] = parseWebhook('support/zendesk', zendeskTrigger);
+		expect(ticket).toMatchObject({ externalId: 'zendesk:ticket:48213', isEdit: true });
+		expect(ticket.content).toMatch(/\n\nSatisfaction: bad - Took three days to fix\.$/);
+		expect(ticket.metadata).toMatchObject({
+			requester: { name: 'Dana Whitfield', email: 'dana@northwind.example' },
+			organization: 'Northwind',
+			customer_tier: 'Enterprise',
+			tags: ['export', 'tier_enterprise'],
+			csat: { rating: 'bad', score: 0, comment: 'Took three days to fix.' },
+		});
+	});
+
+	it('skips agent replies and internal notes', () => {
+		const staffComment = { ...zendeskCommentAdded, event: { comment: { ...zendeskCommentAdded.event.comment, author: { is_staff: true } } } };
+		expect(parseWebhook('support/zendesk', staffComment)).toEqual([]);
+		expect(parseWebhook('support/zendesk', { ...zendeskTicketCreated, type: 'zen:event-type:ticket.status_changed' })).toEqual([]);
+
+		expect(parseWebhook('support/jsm', { ...jsmCommentCreated, comment: { ...jsmCommentCreated.comment, jsdPublic: false } })).toEqual([]);
+		expect(parseWebhook('support/intercom', { ...intercomCreated, topic: 'conversation.admin.assigned' })).toEqual([]);
+	});
+
+	it('maps Intercom conversations, customer replies and ratings', () => {
+		const [conversation] = parseWebhook('support/intercom', intercomCreated);
+		expect(conversation).toMatchObject({
+			content: 'Conversation #215468392170: No Subject\n\nHi! Is there a way to get dark mode in the dashboard?\n\nMy eyes thank you.',
+			externalId: 'intercom:conversation:215468392170',
+			metadata: {
+				vendor: 'intercom',
+				ticket_url: 'https://app.intercom.com/a/apps/x7k2p9qa/inbox/inbox/conversation/215468392170',
+				tags: ['feature-request'],
+				requester: { name: 'Priya Raman', email: 'priya@contoso.example' },
+				customer_tier: 'Pro',
+				channel: 'customer_initiated',
+			},
+		});
+
+		// The latest customer part, not the admin answer before it
+		expect(parseWebhook('support/intercom', intercomReplied)[0]).toMatchObject({
+			content: 'Reply on conversation #215468392170: Great, the white background is painful at night.',
+			externalId: 'intercom:part:31876540187',
+		});
+
+		expect(parseWebhook('support/intercom', intercomRating)[0]).toMatchObject({
+			content: 'Rating of conversation #215468392170: 2/5 - Answer was quick but there is still no dark mode.',
+			externalId: 'intercom:rating:215468392170',
+			metadata: { csat: { rating: 2, score: 0.25 } },
+		});
+	});
+
+	it('maps Freshdesk automation webhooks', () => {
+		expect(parseWebhook('support/freshdesk', freshdeskTicket)).toEqual([
+			{
+				content: 'Ticket #1204: Invoice shows the wrong VAT rate\n\nOur invoice for December applies 19% VAT instead of 7%.\nCustomer number 88213.',
+				externalId: 'freshdesk:ticket:1204',
+				isEdit: true,
+				metadata: {
+					vendor: 'freshdesk',
+					ticket_id: 1204,
+					ticket_url: 'https://acme.freshdesk.com/helpdesk/tickets/1204',
+					status: 'open',
+					priority: 'urgent',
+					type: 'Incident',
+					tags: ['billing', 'plan_business'],
+					requester: { name: 'Jonas Keller', email: 'jonas@fabrikam.example' },
+					organization: 'Fabrikam GmbH',
+					customer_tier: 'business',
+					csat: null,
+					channel: 'email',
+					triggered_event: '{ticket_action:created}',
+				},
+			},
+		]);
+	});
+
+	it('maps Jira Service Management requests and public comments', () => {
+		const env = { JSM_ORGANIZATION_FIELD: 'customfield_10002', JSM_TIER_FIELD: 'customfield_10034', JSM_SATISFACTION_FIELD: 'customfield_10040' };
+
+		const [request] = parseWebhook('support/jsm', jsmIssueCreated, { env });
+		expect(request).toMatchObject({
+			content: 'Ticket #HELP-311: SSO login loops back to the sign-in page\n\nAfter entering my Okta credentials I land on the sign-in page again.\n- Chrome 131\n- Safari 18',
+			externalId: 'jsm:ticket:10482',
+			isEdit: true,
+			metadata: {
+				ticket_id: 'HELP-311',
+				ticket_url: 'https://acme.atlassian.net/browse/HELP-311',
+				status: 'Waiting for support',
+				priority: 'high',
+				requester: { name: 'Lena Ortiz', email: 'lena@tailspin.example' },
+				organization: 'Tailspin Toys',
+				customer_tier: 'Enterprise',
+				csat: null,
+			},
+		});
+
+		expect(parseWebhook('support/jsm', jsmCommentCreated, { env })[0]).toMatchObject({
+			content: 'Reply on ticket #HELP-311 (SSO login loops back to the sign-in page): Happens in incognito mode too.',
+			externalId: 'jsm:comment:20917',
+			metadata: { author: 'Lena Ortiz', csat: { rating: 4, score: 0.75 } },
+		});
+	});
+
+	it('selects adapters by the webhook path', () => {
+		expect(parseWebhookSource('support/Zendesk')).toEqual({ source: 'support', vendor: 'zendesk' });
+		expect(parseWebhookSource('github')).toEqual({ source: 'github', vendor: null });
+		expect(() => parseWebhookSource('support/kayako')).toThrow(RangeError);
+		expect(() => parseWebhookSource('github/zendesk')).toThrow(RangeError);
+
+		// The vendor-neutral format keeps working on /webhook/support
+		expect(parseWebhook('support', { ticket: { id: 5, subject: 'Hi', description: 'Help' } })[0].externalId).toBe('ticket:5');
+	});
+});
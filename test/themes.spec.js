@@ -0,0 +1,125 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { embedAndClusterFeedback, themeLabel } from '../src/themes.js';
+import { createMemoryIndex, cosineSimilarity } from '../src/vectorIndex.js';
+import { getThemes, getThemeMembers, getThemeCentroid, joinTheme } from '../src/db.js';
+
+// Deterministic embeddings: texts mentioning "slow" point one way, everything else another
+const fakeEmbedder = {
+	model: 'fake',
+	async embed(texts) {
+		return texts.map((text) => (/slow/i.test(text) ? [1, 0.1, 0] : [0, 0.1, 1]));
+	},
+};
+
+describe('vector index', () => {
+	it('returns nearest neighbours honoring metadata filters', async () => {
+		const index = createMemoryIndex();
+		await index.upsert([
+			{ id: 1, values: [1, 0], metadata: { source: 'github' } },
+			{ id: 2, values: [0.9, 0.1], metadata: { source: 'discord' } },
+			{ id: 3, values: [0, 1], metadata: { source: 'github' } },
+		]);
+
+		const matches = await index.query([1, 0], { topK: 2, filter: { source: 'github' } });
+		expect(matches.map((match) => match.id)).toEqual(['1', '3']);
+		expect(cosineSimilarity([1, 0], [1, 0])).toBeCloseTo(1);
+	});
+});
+
+describe('embedAndClusterFeedback', () => {
+	it('groups similar feedback from different sources into one theme', async () => {
+		const records = [
+			{ id: 1, source: 'github', content: 'Issue #4: Dashboard is slow', created_at: 100 },
+			{ id: 2, source: 'discord', content: 'the dashboard got so slow today', created_at: 200 },
+			{ id: 3, source: 'email', content: 'Subject: Invoice question', created_at: 300 },
+		];
+		await env.DB.batch(
+			records.map((r) =>
+				env.DB.prepare('INSERT INTO feedback (id, source, content, metadata, created_at) VALUES (?, ?, ?, ?, ?)').bind(
+					r.id,
+					r.source,
+					r.content,
+					'{}',
+					r.created_at
+				)
+			)
+		);
+		const index = createMemoryIndex();
+		const themeIndex = createMemoryIndex();
+
+		const result = await embedAndClusterFeedback(env, records, { embedder: fakeEmbedder, index, themeIndex });
+		expect(result).toEqual({ embedded: 3, joined: 1, created: 2 });
+
+		// Retrying the same chunk does not duplicate memberships
+		expect(await embedAndClusterFeedback(env, records, { embedder: fakeEmbedder, index, themeIndex })).toEqual({
+			embedded: 3,
+			joined: 0,
+			created: 0,
+		});
+
+		const themes = await getThemes(env.DB);
+		expect(themes[0]).toMatchObject({
+			label: 'Dashboard is slow',
+			member_count: 2,
+			first_seen: 100,
+			last_seen: 200,
+			source_counts: { github: 1, discord: 1 },
+		});
+		expect((await getThemeMembers(env.DB, themes[0].id)).map((m) => m.id).sort()).toEqual([1, 2]);
+		expect((await themeIndex.query([1, 0.1, 0], { topK: 1 }))[0].id).toBe(String(themes[0].id));
+	});
+
+	it('keeps the updates of concurrent batches joining the same theme', async () => {
+		const records = [1, 2, 3, 4, 5].map((id) => ({ id, source: 'github', content: `Page ${id} is slow`, created_at: id * 100 }));
+		await env.DB.batch(
+			records.map((r) =>
+				env.DB.prepare('INSERT INTO feedback (id, source, content, metadata, created_at) VALUES (?, ?, ?, ?, ?)').bind(
+					r.id,
+					r.source,
+					r.content,
+					'{}',
+					r.created_at
+				)
+			)
+		);
+		const options = { embedder: fakeEmbedder, index: createMemoryIndex(), themeIndex: createMemoryIndex() };
+		await embedAndClusterFeedback(env, records.slice(0, 1), options);
+
+		await Promise.all([
+			embedAndClusterFeedback(env, records.slice(1, 3), options),
+			embedAndClusterFeedback(env, records.slice(3), options),
+		]);
+
+		const [theme] = await getThemes(env.DB);
+		expect(theme.member_count).toBe(5);
+		expect((await getThemeMembers(env.DB, theme.id)).map((m) => m.id).sort()).toEqual([1, 2, 3, 4, 5]);
+	});
+
+	it('rejects a join based on a stale member count', async () => {
+		await env.DB.batch(
+			[1, 2].map((id) =>
+				env.DB.prepare('INSERT INTO feedback (id, source, content, metadata, created_at) VALUES (?, ?, ?, ?, ?)').bind(id, 'github', 'slow', '{}', 100)
+			)
+		);
+		const options = { embedder: fakeEmbedder, index: createMemoryIndex(), themeIndex: createMemoryIndex() };
+		await embedAndClusterFeedback(env, [{ id: 1, source: 'github', content: 'slow', created_at: 100 }], options);
+		const [{ id: themeId }] = await getThemes(env.DB);
+
+		const joined = await joinTheme(env.DB, themeId, 0, { feedbackId: 2, similarity: 1, centroid: [0, 0, 1], seenAt: 100 });
+		expect(joined).toBe(false);
+		expect(await getThemeCentroid(env.DB, themeId)).toMatchObject({ member_count: 1, centroid: [1, 0.1, 0] });
+		expect(await getThemeMembers(env.DB, themeId)).toHaveLength(1);
+	});
+
+	it('labels themes from the first line without source prefixes', () => {
+		expect(themeLabel('Ticket #77: Cannot log in\n\nDetails')).toBe('Cannot log in');
+		expect(themeLabel('PR #42: Fix dark mode contrast\n\nBody')).toBe('Fix dark mode contrast');
+		expect(themeLabel('Comment on PR #42: Still broken on Firefox')).toBe('Still broken on Firefox');
+		expect(themeLabel('Review of PR #42 (changes_requested): Needs a test')).toBe('Needs a test');
+		expect(themeLabel('Review comment on PR #42 (src/app.js): Typo here')).toBe('Typo here');
+		expect(themeLabel('Review comment on PR #42: Typo here')).toBe('Typo here');
+		expect(themeLabel('Comment on Discussion #9 (Export (CSV) ideas): Add XLSX too')).toBe('Add XLSX too');
+		expect(themeLabel('Discussion: Roadmap for 2025')).toBe('Roadmap for 2025');
+	});
+});
@@ -0,0 +1,136 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { computeDeltas, countDelta, comparePeriods, resolveComparisonPeriods, validateComparison } from '../src/trends.js';
+import { buildAggregationPrompt } from '../src/prompts.js';
+import { getPeriodForDate } from '../src/periods.js';
+import { createLLMClient, createFakeProvider } from '../src/llm.js';
+import { getComparisonReports } from '../src/db.js';
+
+const seconds = (iso) => Date.parse(iso) / 1000;
+
+// Week 2025-W03 compared with 2025-W02
+const current = getPeriodForDate('week', '2025-01-15');
+const previous = getPeriodForDate('week', '2025-01-08');
+
+describe('comparison deltas', () => {
+	it('computes count deltas with percent change', () => {
+		expect(countDelta(15, 10)).toEqual({ current: 15, previous: 10, change: 5, percent_change: 50 });
+		expect(countDelta(3, 0)).toEqual({ current: 3, previous: 0, change: 3, percent_change: null });
+	});
+
+	it('compares volume, sentiment, categories and themes', () => {
+		const metrics = computeDeltas(
+			{
+				volume: [{ source: 'github', count: 6 }, { source: 'discord', count: 2 }],
+				sentiment: [{ source: 'github', avg_sentiment: -0.5, count: 6 }],
+				categories: [{ category: 'bug', count: 5 }],
+			},
+			{
+				volume: [{ source: 'github', count: 2 }, { source: 'email', count: 4 }],
+				sentiment: [{ source: 'github', avg_sentiment: 0.1, count: 2 }, { source: 'email', avg_sentiment: 0.5, count: 2 }],
+				categories: [{ category: 'bug', count: 1 }, { category: 'praise', count: 3 }],
+			},
+			[
+				{ id: 1, label: 'Login fails', current_count: 4, previous_count: 0 },
+				{ id: 2, label: 'Dark mode', current_count: 1, previous_count: 3 },
+			]
+		);
+
+		expect(metrics.volume.total).toEqual({ current: 8, previous: 6, change: 2, percent_change: 33.3 });
+		expect(Object.keys(metrics.volume.by_source)).toEqual(['github', 'email', 'discord']);
+		expect(metrics.volume.by_source.email).toMatchObject({ current: 0, previous: 4, change: -4 });
+		expect(metrics.sentiment.overall).toEqual({ current: -0.5, previous: 0.3, change: -0.8 });
+		expect(metrics.sentiment.by_source.email).toEqual({ current: null, previous: 0.5, change: null });
+		expect(metrics.categories.bug).toMatchObject({ change: 4, percent_change: 400 });
+		expect(metrics.themes.map((theme) => theme.status)).toEqual(['new', 'fading']);
+	});
+
+	it('validates the model narrative', () => {
+		expect(validateComparison({ summary: ' More login bugs. ', rising: ['Login', { description: 'SSO' }] }).value).toEqual({
+			summary: 'More login bugs.',
+			rising: ['Login', 'SSO'],
+			fading: [],
+		});
+		expect(validateComparison({ rising: 'Login' }).errors).toEqual(['summary must be a non-empty string', 'rising must be an array of strings']);
+	});
+});
+
+describe('comparison periods', () => {
+	it('compares with the previous period unless a baseline is given', () => {
+		const at = seconds('2025-01-15T12:00:00Z');
+
+		expect(resolveComparisonPeriods({}, { period: 'week' }, at).previous.key).toBe('2025-W02');
+		expect(resolveComparisonPeriods({}, { period: 'month', date: '2025-03-10' }, at).previous.key).toBe('2025-02');
+		expect(resolveComparisonPeriods({}, { period: 'week', previousStart: 10, previousEnd: 20 }, at).previous).toEqual({ type: 'custom', key: '10-20', start: 10, end: 20 });
+
+		expect(() => resolveComparisonPeriods({}, { period: 'week', previousStart: 20, previousEnd: 10 }, at)).toThrow(RangeError);
+		expect(() => resolveComparisonPeriods({}, { period: 'year' }, at)).toThrow(RangeError);
+	});
+});
+
+describe('comparison reports', () => {
+	beforeEach(async () => {
+		// Login complaints grow from 1 to 3 between the weeks; github volume drops
+		const rows = [
+			[1, 'github', 'Login fails', '2025-01-08T10:00:00Z', -0.2, 'bug', 1],
+			[2, 'github', 'Love the API', '2025-01-09T10:00:00Z', 0.8, 'praise', null],
+			[3, 'github', 'Docs are great', '2025-01-10T10:00:00Z', 0.6, 'praise', null],
+			[4, 'github', 'Login fails again', '2025-01-14T10:00:00Z', -0.8, 'bug', 1],
+			[5, 'discord', 'Cannot log in', '2025-01-15T10:00:00Z', -0.6, 'bug', 1],
+		];
+		await env.DB.batch([
+			env.DB.prepare("INSERT INTO themes (id, label, centroid, member_count, first_seen, last_seen) VALUES (1, 'Login fails', '[]', 3, 0, 0)"),
+			...rows.flatMap(([id, source, content, createdAt, sentiment, category, themeId]) => [
+				env.DB.prepare('INSERT INTO feedback (id, source, content, metadata, created_at) VALUES (?, ?, ?, ?, ?)').bind(id, source, content, '{}', seconds(createdAt)),
+				env.DB.prepare('INSERT INTO feedback_classifications (feedback_id, sentiment, category, urgency, product_area) VALUES (?, ?, ?, ?, ?)').bind(id, sentiment, category, 'medium', 'auth'),
+				...(themeId ? [env.DB.prepare('INSERT INTO theme_members (feedback_id, theme_id, similarity) VALUES (?, ?, 1)').bind(id, themeId)] : []),
+			]),
+		]);
+	});
+
+	it('stores the deltas with the narrative and replaces the report on a re-run', async () => {
+		const provider = createFakeProvider(() => JSON.stringify({ summary: 'Login problems are rising.', rising: ['Login failures'], fading: ['Praise for docs'] }));
+		const llm = createLLMClient({}, { provider });
+
+		const report = await comparePeriods(env, current, previous, { llm });
+
+		expect(report).toMatchObject({ period_type: 'week', period_key: '2025-W03', previous_period_key: '2025-W02', summary: 'Login problems are rising.' });
+		expect(report.structured.rising).toEqual(['Login failures']);
+		expect(report.metrics.volume.total).toMatchObject({ current: 2, previous: 3, change: -1 });
+		expect(report.metrics.volume.by_source.discord).toMatchObject({ current: 1, previous: 0, percent_change: null });
+		expect(report.metrics.categories.praise).toMatchObject({ current: 0, previous: 2 });
+		expect(report.metrics.sentiment.overall).toEqual({ current: -0.7, previous: 0.4, change: -1.1 });
+		expect(report.metrics.themes).toEqual([{ id: 1, label: 'Login fails', current: 2, previous: 1, change: 1, percent_change: 100, status: 'rising' }]);
+
+		// The model sees the measured deltas
+		expect(provider.calls[0].inputs.messages[1].content).toContain('"percent_change": 100');
+
+		const again = await comparePeriods(env, current, previous, { llm });
+		expect(again.id).toBe(report.id);
+		expect(again.updated_at).not.toBeNull();
+		expect(await getComparisonReports(env.DB, 10, { periodType: 'week' })).toHaveLength(1);
+	});
+
+	it('skips the model when neither period has feedback', async () => {
+		const provider = createFakeProvider();
+		const empty = getPeriodForDate('week', '2024-06-12');
+
+		const report = await comparePeriods(env, empty, getPeriodForDate('week', '2024-06-05'), { llm: createLLMClient({}, { provider }) });
+
+		expect(report.summary).toBe('No feedback was received in either period.');
+		expect(provider.calls).toHaveLength(0);
+	});
+});
+
+describe('aggregation with the previous period', () => {
+	it('adds the previous aggregate to the prompt', () => {
+		const summaries = [{ source: 'github', summary: 'Login bugs', feedback_count: 3, date_range_start: 0, date_range_end: 100 }];
+		const previousAggregate = { period_key: '2025-W02', summary: 'Mostly praise', total_feedback_count: 7, structured: { themes: ['docs'], representative_feedback_ids: [9] } };
+
+		const { prompt } = buildAggregationPrompt(summaries, { previous: previousAggregate });
+		expect(prompt).toContain('Aggregated summary of the previous period (2025-W02, 7 items):\nMostly praise');
+		expect(prompt).toContain('"themes":["docs"]');
+		expect(prompt).not.toContain('representative_feedback_ids":[9]');
+		expect(buildAggregationPrompt(summaries).prompt).not.toContain('previous period');
+	});
+});
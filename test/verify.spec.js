@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import { verifyWebhookSignature, hmacSha256Hex } from '../src/verify.js';
+
+const body = JSON.stringify({ issue: { number: 1, title: 'Bug' }, action: 'opened' });
+
+function bytesToHex(bytes) {
+	return [...new Uint8Array(bytes)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function webhookRequest(headers) {
+	return new Request('http://example.com/webhook/test', { method: 'POST', headers, body });
+}
+
+describe('GitHub signatures', () => {
+	const env = { GITHUB_WEBHOOK_SECRET: 'gh-secret' };
+
+	it('accepts a valid X-Hub-Signature-256', async () => {
+		const signature = `sha256=${await hmacSha256Hex('gh-secret', body)}`;
+		const result = await verifyWebhookSignature('github', webhookRequest({ 'X-Hub-Signature-256': signature }), body, env);
+		expect(result).toEqual({ valid: true });
+	});
+
+	it('rejects a signature made with another secret', async () => {
+		const signature = `sha256=${await hmacSha256Hex('other-secret', body)}`;
+		const result = await verifyWebhookSignature('github', webhookRequest({ 'X-Hub-Signature-256': signature }), body, env);
+		expect(result).toEqual({ valid: false, reason: 'invalid_signature' });
+	});
+
+	it('rejects unsigned deliveries and unconfigured secrets', async () => {
+		expect(await verifyWebhookSignature('github', webhookRequest({}), body, env)).toEqual({ valid: false, reason: 'missing_signature' });
+		expect(await verifyWebhookSignature('github', webhookRequest({}), body, {})).toEqual({ valid: false, reason: 'not_configured' });
+	});
+});
+
+describe('Discord signatures', () => {
+	it('verifies Ed25519 signatures over timestamp + body', async () => {
+		const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+		const publicKey = bytesToHex(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+		const sign = async (timestamp) =>
+			bytesToHex(await crypto.subtle.sign('Ed25519', keyPair.privateKey, new TextEncoder().encode(timestamp + body)));
+		const timestamp = String(Math.floor(Date.now() / 1000));
+		const signature = await sign(timestamp);
+		const env = { DISCORD_PUBLIC_KEY: publicKey };
+
+		const valid = await verifyWebhookSignature(
+			'discord',
+			webhookRequest({ 'X-Signature-Ed25519': signature, 'X-Signature-Timestamp': timestamp }),
+			body,
+			env
+		);
+		expect(valid).toEqual({ valid: true });
+
+		const tampered = await verifyWebhookSignature(
+			'discord',
+			webhookRequest({ 'X-Signature-Ed25519': signature, 'X-Signature-Timestamp': String(Number(timestamp) + 1) }),
+			body,
+			env
+		);
+		expect(tampered).toEqual({ valid: false, reason: 'invalid_signature' });
+	});
+
+	it('rejects correctly signed requests with a stale timestamp', async () => {
+		const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+		const env = { DISCORD_PUBLIC_KEY: bytesToHex(await crypto.subtle.exportKey('raw', keyPair.publicKey)) };
+		const timestamp = String(Math.floor(Date.now() / 1000) - 10 * 60);
+		const signature = bytesToHex(await crypto.subtle.sign('Ed25519', keyPair.privateKey, new TextEncoder().encode(timestamp + body)));
+
+		expect(
+			await verifyWebhookSignature('discord', webhookRequest({ 'X-Signature-Ed25519': signature, 'X-Signature-Timestamp': timestamp }), body, env)
+		).toEqual({ valid: false, reason: 'stale_timestamp' });
+	});
+});
+
+describe('Shared-secret sources', () => {
+	it('checks an HMAC in the configured header', async () => {
+		const env = { SUPPORT_WEBHOOK_SECRET: 'support-secret', SUPPORT_SIGNATURE_HEADER: 'X-Desk-Signature' };
+		const signature = await hmacSha256Hex('support-secret', body);
+
+		expect(await verifyWebhookSignature('support', webhookRequest({ 'X-Desk-Signature': signature }), body, env)).toEqual({ valid: true });
+		expect(await verifyWebhookSignature('support', webhookRequest({ 'X-Webhook-Signature': signature }), body, env)).toEqual({
+			valid: false,
+			reason: 'missing_signature',
+		});
+	});
+
+	it('compares the header to the secret in secret mode', async () => {
+		const env = { EMAIL_WEBHOOK_SECRET: 'email-secret', EMAIL_SIGNATURE_MODE: 'secret' };
+
+		expect(await verifyWebhookSignature('email', webhookRequest({ 'X-Webhook-Signature': 'email-secret' }), body, env)).toEqual({ valid: true });
+		expect(await verifyWebhookSignature('email', webhookRequest({ 'X-Webhook-Signature': 'guess' }), body, env)).toEqual({
+			valid: false,
+			reason: 'invalid_signature',
+		});
+	});
+});
+
+describe('Support desk vendors', () => {
+	it('checks Zendesk, Intercom and Jira Service Management signatures', async () => {
+		const hmacBytes = async (secret, hash, message) => {
+			const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash }, false, ['sign']);
+			return new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message)));
+		};
+		const env = { ZENDESK_WEBHOOK_SECRET: 'zd-secret', INTERCOM_CLIENT_SECRET: 'ic-secret', JSM_WEBHOOK_SECRET: 'jsm-secret' };
+
+		const zendeskSignature = async (timestamp) => btoa(String.fromCharCode(...(await hmacBytes('zd-secret', 'SHA-256', timestamp + body))));
+		const zendeskRequest = (signature, timestamp) =>
+			webhookRequest({ 'X-Zendesk-Webhook-Signature': signature, 'X-Zendesk-Webhook-Signature-Timestamp': timestamp });
+		const timestamp = new Date().toISOString();
+		const zendesk = await zendeskSignature(timestamp);
+		expect(await verifyWebhookSignature('support/zendesk', zendeskRequest(zendesk, timestamp), body, env)).toEqual({ valid: true });
+		expect(
+			await verifyWebhookSignature('support/zendesk', zendeskRequest(zendesk, new Date(Date.now() + 1000).toISOString()), body, env)
+		).toEqual({ valid: false, reason: 'invalid_signature' });
+
+		// A captured delivery cannot be replayed once its timestamp is older than five minutes
+		const stale = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+		expect(await verifyWebhookSignature('support/zendesk', zendeskRequest(await zendeskSignature(stale), stale), body, env)).toEqual({
+			valid: false,
+			reason: 'stale_timestamp',
+		});
+
+		const intercom = `sha1=${bytesToHex(await hmacBytes('ic-secret', 'SHA-1', body))}`;
+		expect(await verifyWebhookSignature('support/intercom', webhookRequest({ 'X-Hub-Signature': intercom }), body, env)).toEqual({ valid: true });
+
+		const jsm = `sha256=${await hmacSha256Hex('jsm-secret', body)}`;
+		expect(await verifyWebhookSignature('support/jsm', webhookRequest({ 'X-Hub-Signature': jsm }), body, env)).toEqual({ valid: true });
+		expect(await verifyWebhookSignature('support/jsm', webhookRequest({ 'X-Hub-Signature': intercom }), body, env)).toEqual({ valid: false, reason: 'invalid_signature' });
+	});
+
+	it('uses a shared secret for Freshdesk', async () => {
+		const env = { FRESHDESK_WEBHOOK_SECRET: 'fd-secret', FRESHDESK_SIGNATURE_MODE: 'secret', SUPPORT_WEBHOOK_SECRET: 'support-secret' };
+
+		expect(await verifyWebhookSignature('support/freshdesk', webhookRequest({ 'X-Webhook-Signature': 'fd-secret' }), body, env)).toEqual({ valid: true });
+		expect(await verifyWebhookSignature('support/freshdesk', webhookRequest({ 'X-Webhook-Signature': 'support-secret' }), body, env)).toEqual({
+			valid: false,
+			reason: 'invalid_signature',
+		});
+	});
+});
+
+describe('Forum engines', () => {
+	it('checks the Discourse event signature', async () => {
+		const env = { DISCOURSE_WEBHOOK_SECRET: 'discourse-secret' };
+		const signature = `sha256=${await hmacSha256Hex('discourse-secret', body)}`;
+
+		expect(await verifyWebhookSignature('forum/discourse', webhookRequest({ 'X-Discourse-Event-Signature': signature }), body, env)).toEqual({ valid: true });
+		expect(await verifyWebhookSignature('forum/discourse', webhookRequest({ 'X-Hub-Signature': signature }), body, env)).toEqual({
+			valid: false,
+			reason: 'missing_signature',
+		});
+	});
+});
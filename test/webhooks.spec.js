@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { parseGitHubWebhook } from '../src/webhooks.js';
+import { parseWebhook, getWebhookEvent } from '../src/sources.js';
+
+const issue = { id: 101, number: 7, title: 'Export fails', body: 'CSV is empty', html_url: 'https://github.com/o/r/issues/7', user: { login: 'ana' }, labels: [{ name: 'bug' }], state: 'open' };
+const pullRequest = { id: 202, number: 9, title: 'Faster export', body: 'Streams rows', html_url: 'https://github.com/o/r/pull/9', user: { login: 'ben' }, labels: [], state: 'open', draft: false };
+const discussion = { id: 303, number: 4, title: 'Dark mode?', body: 'Please', html_url: 'https://github.com/o/r/discussions/4', user: { login: 'cy' }, category: { name: 'Ideas' } };
+const reactions = { url: 'https://api.github.com/x', total_count: 5, '+1': 3, '-1': 0, laugh: 0, hooray: 0, confused: 0, heart: 2, rocket: 0, eyes: 0 };
+
+describe('GitHub webhooks', () => {
+	it('parses one item per event type', () => {
+		const parse = (event, payload) => parseGitHubWebhook(payload, { event });
+
+		expect(parse('issues', { action: 'opened', issue: { ...issue, reactions } })).toEqual([
+			{
+				content: 'Issue #7: Export fails\n\nCSV is empty',
+				externalId: 'issue:101',
+				isEdit: false,
+				metadata: {
+					issue_number: 7,
+					issue_url: issue.html_url,
+					author: 'ana',
+					labels: ['bug'],
+					state: 'open',
+					reactions: { total: 5, '+1': 3, heart: 2 },
+					action: 'opened',
+				},
+			},
+		]);
+
+		// The issue a comment belongs to is not stored again
+		const comment = parse('issue_comment', { action: 'created', issue: { ...issue, pull_request: {} }, comment: { id: 11, body: 'Same here', user: { login: 'dee' } } });
+		expect(comment).toHaveLength(1);
+		expect(comment[0]).toMatchObject({ content: 'Comment on PR #7: Same here', externalId: 'comment:11' });
+
+		expect(parse('discussion_comment', { action: 'created', discussion, comment: { id: 12, body: '+1', parent_id: 10, user: { login: 'eve' } } })[0]).toMatchObject({
+			content: 'Comment on Discussion #4 (Dark mode?): +1',
+			externalId: 'discussion_comment:12',
+			metadata: { discussion_number: 4, parent_comment_id: 10, author: 'eve', category: 'Ideas' },
+		});
+		expect(parse('pull_request', { action: 'opened', pull_request: pullRequest })[0]).toMatchObject({ content: 'PR #9: Faster export\n\nStreams rows', externalId: 'pull_request:202' });
+		expect(parse('pull_request_review', { action: 'submitted', pull_request: pullRequest, review: { id: 13, state: 'changes_requested', body: 'Needs tests', user: { login: 'fay' } } })[0]).toMatchObject({
+			content: 'Review of PR #9 (changes_requested): Needs tests',
+			externalId: 'review:13',
+			metadata: { review_state: 'changes_requested' },
+		});
+		expect(parse('pull_request_review_comment', { action: 'created', pull_request: pullRequest, comment: { id: 14, body: 'Off by one', path: 'src/export.js', in_reply_to_id: 15, user: { login: 'gus' } } })[0]).toMatchObject({
+			content: 'Review comment on PR #9 (src/export.js): Off by one',
+			externalId: 'review_comment:14',
+			metadata: { in_reply_to_id: 15, path: 'src/export.js' },
+		});
+	});
+
+	it('skips silent reviews, state-change actions and unknown events', () => {
+		expect(parseGitHubWebhook({ action: 'submitted', pull_request: pullRequest, review: { id: 13, state: 'approved', body: null } }, { event: 'pull_request_review' })).toEqual([]);
+		expect(parseGitHubWebhook({ action: 'labeled', issue }, { event: 'issues' })).toEqual([]);
+		expect(parseGitHubWebhook({ action: 'closed', issue }, { event: 'issues' })).toEqual([]);
+		expect(parseGitHubWebhook({ zen: 'Keep it simple.', hook_id: 1 }, { event: 'ping' })).toEqual([]);
+		expect(parseGitHubWebhook({ action: 'started', repository: {} }, { event: 'watch' })).toEqual([]);
+
+		expect(parseGitHubWebhook({ action: 'closed', issue }, { event: 'issues', env: { GITHUB_ACTIONS: 'opened, closed' } })).toHaveLength(1);
+		expect(parseGitHubWebhook({ action: 'labeled', issue }, { event: 'issues', env: { GITHUB_ACTIONS: '*' } })).toHaveLength(1);
+	});
+
+	it('marks edits and infers the event when the header is missing', () => {
+		const [edited] = parseWebhook('github', { action: 'edited', discussion, comment: { id: 12, body: 'Updated' } });
+		expect(edited).toMatchObject({ externalId: 'discussion_comment:12', isEdit: true });
+
+		expect(parseWebhook('github', { action: 'created', issue, comment: { id: 11, body: 'Same here' } }).map((item) => item.externalId)).toEqual(['comment:11']);
+	});
+
+	it('reads the event header of sources that send one', () => {
+		const headers = new Headers({ 'X-GitHub-Event': 'issue_comment' });
+
+		expect(getWebhookEvent('github', headers)).toBe('issue_comment');
+		expect(getWebhookEvent('discord', headers)).toBeNull();
+	});
+});
@@ -1,11 +1,36 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
+import { unstable_splitSqlQuery } from 'wrangler';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+export default defineWorkersConfig(async () => {
+	// Read on the Node side and handed to the specs as bindings (test/migrations.spec.js)
+	const migrations = await readD1Migrations(path.join(__dirname, 'migrations'));
+	const schema = unstable_splitSqlQuery(readFileSync(path.join(__dirname, 'schema.sql'), 'utf8'));
+	
+	return {
+		test: {
+			// Applies the migrations to DB and empties its tables before each test
+			setupFiles: ['./test/setup.js'],
+			poolOptions: {
+				workers: {
+					wrangler: { configPath: './wrangler.jsonc' },
+					isolatedStorage: false,
+					// Specs share one D1 database (emptied before each test), so run them one at a time
+					singleWorker: true,
+					miniflare: {
+						// Empty databases for checking the migrations against schema.sql
+						d1Databases: {
+							MIGRATIONS_DB: { id: 'test-migrations' },
+							SCHEMA_DB: { id: 'test-schema' },
+						},
+						bindings: {
+							TEST_MIGRATIONS: migrations,
+							TEST_SCHEMA: schema,
+						},
+					},
+				},
 			},
 		},
-	},
+	};
 });